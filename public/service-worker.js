@@ -0,0 +1,101 @@
+/* eslint-disable no-restricted-globals */
+// App-shell service worker (registered in production by src/serviceWorkerRegistration.js).
+// - Pages: network first, falling back to the cached index.html so the app opens offline
+// - Build assets under /static/ have hashed names: cache first. Every file in the build's
+//   asset-manifest.json is cached at install, since the first page load fetches its bundles
+//   before this worker is in control; a new index.html brings in its build's files and drops
+//   those of older builds
+// - Everything else (API calls included) goes straight to the network; purchases made
+//   offline are queued by the app itself (src/utils/offlineQueue.js), not here
+
+const CACHE = "purchase-tracker-shell-v2";
+const scope = new URL(self.registration.scope);
+const SHELL = ["./", "index.html", "manifest.json", "favicon.ico", "logo192.png", "logo512.png"].map((path) => new URL(path, scope).href);
+const INDEX_URL = new URL("index.html", scope).href;
+const MANIFEST_URL = new URL("asset-manifest.json", scope).href;
+
+const isStaticAsset = (url) => url.origin === scope.origin && url.pathname.startsWith(`${scope.pathname}static/`);
+
+// URLs of the current build's JS / CSS / media from CRA's asset-manifest.json (source maps left out)
+const buildAssets = () =>
+  fetch(MANIFEST_URL, { cache: "no-cache" })
+    .then((response) => {
+      if (!response.ok) throw new Error(`asset-manifest.json: HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(({ files = {}, entrypoints = [] }) => {
+      // files has "/static/…" paths, entrypoints "static/…": compare them as full URLs
+      const urls = [...Object.values(files), ...entrypoints]
+        .filter((path) => !path.endsWith(".map") && !path.endsWith("index.html"))
+        .map((path) => new URL(path, scope).href);
+      return [...new Set(urls)];
+    });
+
+// Cache what the current build is missing and delete hashed files it no longer uses
+const syncBuildAssets = () =>
+  Promise.all([caches.open(CACHE), buildAssets()]).then(async ([cache, assets]) => {
+    const cached = (await cache.keys()).map((request) => request.url);
+    await cache.addAll(assets.filter((url) => !cached.includes(url)));
+    await Promise.all(cached.filter((url) => isStaticAsset(new URL(url)) && !assets.includes(url)).map((url) => cache.delete(url)));
+  });
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    Promise.all([caches.open(CACHE), buildAssets()])
+      .then(([cache, assets]) => cache.addAll([...SHELL, ...assets]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            // A fresh index.html may belong to a new build: bring the cached assets in line with it
+            event.waitUntil(
+              caches
+                .open(CACHE)
+                .then((cache) => cache.put(INDEX_URL, copy))
+                .then(syncBuildAssets)
+                .catch((err) => console.error(err))
+            );
+          }
+          return response;
+        })
+        .catch(() => caches.match(INDEX_URL))
+    );
+    return;
+  }
+
+  if (isStaticAsset(url) || SHELL.includes(url.href)) {
+    event.respondWith(
+      caches.match(request).then(
+        (cached) =>
+          cached ||
+          fetch(request).then((response) => {
+            if (response.ok) {
+              const copy = response.clone();
+              caches.open(CACHE).then((cache) => cache.put(request, copy));
+            }
+            return response;
+          })
+      )
+    );
+  }
+});
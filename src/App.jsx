@@ -1,10 +1,17 @@
 import AppRouter from "./routes/AppRouter";
 import { AuthProvider } from "./context/AuthContext";
+import { LanguageProvider } from "./context/LanguageContext";
+import IdleTimeoutModal from "./components/IdleTimeoutModal";
+import OfflineSync from "./components/OfflineSync";
 
 function App() {
   return (
     <AuthProvider>
-      <AppRouter />
+      <LanguageProvider>
+        <AppRouter />
+        <IdleTimeoutModal />
+        <OfflineSync />
+      </LanguageProvider>
     </AuthProvider>
   );
 }
@@ -0,0 +1,120 @@
+import { useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { ATTACHMENT_ACCEPT, MAX_ATTACHMENT_BYTES, formatFileSize, prepareAttachments } from "../utils/attachments";
+import { useTranslation } from "../context/LanguageContext";
+
+/**
+ * Bill / receipt picker for a purchase.
+ * - "Attach files" takes photos or PDFs; "Take photo" opens the camera on phones
+ * - Photos are compressed before they are added (see utils/attachments)
+ * - Files that can't be attached are reported with a toast
+ * - With `existing`, attachments already on the purchase are listed too and can be
+ *   marked for removal (applied by the parent when it saves)
+ *
+ * Props:
+ * - files: File[] picked but not uploaded yet; onChange(nextFiles)
+ * - existing: [{ _id, name, size }]; removedIds: ids marked for removal; onToggleRemove(id)
+ */
+export default function AttachmentInput({ files, onChange, existing = [], removedIds = [], onToggleRemove, disabled = false, compact = false, idPrefix = "attachments" }) {
+  const { t } = useTranslation();
+  const [preparing, setPreparing] = useState(false);
+  const fileInput = useRef(null);
+  const cameraInput = useRef(null);
+
+  const keptCount = existing.filter((a) => !removedIds.includes(a._id)).length;
+
+  const handlePicked = async (e) => {
+    const picked = Array.from(e.target.files ?? []);
+    e.target.value = ""; // picking the same file again should still fire onChange
+    if (!picked.length) return;
+    setPreparing(true);
+    try {
+      const { files: ready, errors } = await prepareAttachments(picked, keptCount + files.length);
+      errors.forEach((message) => toast.error(message));
+      if (ready.length) onChange([...files, ...ready]);
+    } finally {
+      setPreparing(false);
+    }
+  };
+
+  const busy = disabled || preparing;
+  const buttonClass = `px-3 ${compact ? "py-1" : "py-2"} rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60`;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <button type="button" onClick={() => fileInput.current?.click()} disabled={busy} className={buttonClass}>
+          📎 {t("attachments.choose")}
+        </button>
+        <button type="button" onClick={() => cameraInput.current?.click()} disabled={busy} className={buttonClass}>
+          📷 {t("attachments.takePhoto")}
+        </button>
+        <span className="text-xs text-gray-500">
+          {preparing ? t("attachments.compressing") : t("attachments.hint", { size: formatFileSize(MAX_ATTACHMENT_BYTES) })}
+        </span>
+        <input
+          ref={fileInput}
+          id={`${idPrefix}-files`}
+          type="file"
+          accept={ATTACHMENT_ACCEPT}
+          multiple
+          onChange={handlePicked}
+          className="sr-only"
+          tabIndex={-1}
+          aria-label={t("attachments.choose")}
+        />
+        <input
+          ref={cameraInput}
+          id={`${idPrefix}-camera`}
+          type="file"
+          accept="image/*"
+          capture="environment"
+          onChange={handlePicked}
+          className="sr-only"
+          tabIndex={-1}
+          aria-label={t("attachments.takePhoto")}
+        />
+      </div>
+
+      {(existing.length > 0 || files.length > 0) && (
+        <ul className="text-sm divide-y divide-gray-100 dark:divide-gray-800">
+          {existing.map((a) => {
+            const removed = removedIds.includes(a._id);
+            return (
+              <li key={a._id} className="flex items-center justify-between gap-2 py-1">
+                <span className={`truncate ${removed ? "line-through text-gray-400" : ""}`}>
+                  {a.name} <span className="text-xs text-gray-500">{formatFileSize(a.size)}</span>
+                </span>
+                <button
+                  type="button"
+                  onClick={() => onToggleRemove?.(a._id)}
+                  disabled={disabled}
+                  className="px-2 py-1 text-xs text-red-600 hover:bg-red-50 rounded disabled:opacity-30"
+                  aria-label={removed ? t("attachments.keep", { name: a.name }) : t("attachments.remove", { name: a.name })}
+                >
+                  {removed ? t("attachments.undo") : "✕"}
+                </button>
+              </li>
+            );
+          })}
+          {files.map((file, index) => (
+            <li key={`${file.name}-${index}`} className="flex items-center justify-between gap-2 py-1">
+              <span className="truncate">
+                {file.name} <span className="text-xs text-gray-500">{formatFileSize(file.size)}</span>
+              </span>
+              <button
+                type="button"
+                onClick={() => onChange(files.filter((_, i) => i !== index))}
+                disabled={disabled}
+                className="px-2 py-1 text-xs text-red-600 hover:bg-red-50 rounded disabled:opacity-30"
+                aria-label={t("attachments.remove", { name: file.name })}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useEffect, useRef, useState } from "react";
+import { getAttachmentFile } from "../services/attachmentService";
+import { formatFileSize, isImage, isPdf } from "../utils/attachments";
+import { useTranslation } from "../context/LanguageContext";
+
+/**
+ * Inline viewer for a purchase's bill / receipt attachments.
+ * - Images are shown fitted to the window, PDFs in the browser's PDF viewer
+ * - Prev / next (and ←/→) step through several attachments; Esc closes
+ * - Files are fetched with the session's token and shown from object URLs
+ *
+ * Props:
+ * - purchaseId, attachments: [{ _id, name, type, size }]
+ * - initialIndex, onClose()
+ */
+export default function AttachmentViewer({ purchaseId, attachments, initialIndex = 0, onClose }) {
+  const { t } = useTranslation();
+  const [index, setIndex] = useState(initialIndex);
+  const [file, setFile] = useState({ url: null, loading: true, error: false });
+  const closeRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  const current = attachments[index];
+  const count = attachments.length;
+
+  useEffect(() => {
+    if (!current) return undefined;
+    let url = null;
+    let cancelled = false;
+    setFile({ url: null, loading: true, error: false });
+    getAttachmentFile(purchaseId, current._id)
+      .then((blob) => {
+        if (cancelled) return;
+        // Keep the stored type: some servers send files as application/octet-stream
+        url = URL.createObjectURL(current.type && blob.type !== current.type ? new Blob([blob], { type: current.type }) : blob);
+        setFile({ url, loading: false, error: false });
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setFile({ url: null, loading: false, error: true });
+      });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [purchaseId, current]);
+
+  useEffect(() => {
+    closeRef.current?.focus();
+    const handleKey = (e) => {
+      if (e.key === "Escape") onCloseRef.current();
+      else if (e.key === "ArrowLeft") setIndex((i) => Math.max(0, i - 1));
+      else if (e.key === "ArrowRight") setIndex((i) => Math.min(count - 1, i + 1));
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [count]);
+
+  if (!current) return null;
+
+  const navButton = "px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 text-sm hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-40";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-2 sm:p-6" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="attachment-viewer-title"
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-4xl h-full max-h-[90vh] flex flex-col bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg"
+      >
+        <div className="flex items-center justify-between gap-2 px-4 py-2 border-b border-gray-200 dark:border-gray-700">
+          <div className="min-w-0">
+            <h2 id="attachment-viewer-title" className="text-sm font-semibold truncate">
+              {current.name}
+            </h2>
+            <div className="text-xs text-gray-500">
+              {count > 1 && `${t("attachments.ofCount", { index: index + 1, count })} · `}
+              {formatFileSize(current.size)}
+            </div>
+          </div>
+          <div className="flex items-center gap-2 shrink-0">
+            {count > 1 && (
+              <>
+                <button type="button" onClick={() => setIndex(index - 1)} disabled={index === 0} className={navButton} aria-label={t("attachments.prev")}>
+                  ‹
+                </button>
+                <button type="button" onClick={() => setIndex(index + 1)} disabled={index === count - 1} className={navButton} aria-label={t("attachments.next")}>
+                  ›
+                </button>
+              </>
+            )}
+            {file.url && (
+              <a href={file.url} download={current.name} className={navButton}>
+                {t("attachments.download")}
+              </a>
+            )}
+            <button ref={closeRef} type="button" onClick={onClose} className={navButton} aria-label={t("common.close")}>
+              ✕
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 min-h-0 flex items-center justify-center bg-gray-100 dark:bg-gray-900 rounded-b-lg overflow-auto">
+          {file.loading ? (
+            <span className="text-sm text-gray-500">{t("common.loading")}</span>
+          ) : file.error ? (
+            <span className="text-sm text-red-600">{t("attachments.loadFailed")}</span>
+          ) : isImage(current) ? (
+            <img src={file.url} alt={current.name} className="max-w-full max-h-full object-contain" />
+          ) : isPdf(current) ? (
+            <iframe src={file.url} title={current.name} className="w-full h-full border-0" />
+          ) : (
+            <span className="text-sm text-gray-500">{t("attachments.noPreview")}</span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
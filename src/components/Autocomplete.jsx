@@ -0,0 +1,155 @@
+import { useEffect, useRef, useState } from "react";
+import { useTranslation } from "../context/LanguageContext";
+
+/**
+ * Text input with a debounced suggestion list (combobox pattern).
+ * - fetchOptions(query) returns a promise of options
+ * - onInputChange(text) fires on every keystroke (free text stays allowed)
+ * - onSelect(option) fires when a suggestion is picked (click or Enter)
+ * - Optional onCreate(text) adds an "Add …" entry when nothing matches exactly
+ *
+ * Usage:
+ * <Autocomplete id="supplier" value={name} fetchOptions={search} getOptionLabel={(s) => s.name}
+ *   onInputChange={setName} onSelect={pick} />
+ */
+
+export default function Autocomplete({
+  id,
+  value,
+  onInputChange,
+  onSelect,
+  fetchOptions,
+  getOptionLabel,
+  getOptionKey = (option) => option.id,
+  renderOption,
+  onCreate,
+  createLabel,
+  placeholder,
+  className,
+  disabled = false,
+  minChars = 1,
+  debounceMs = 250,
+  ...inputProps
+}) {
+  const { t } = useTranslation();
+  const [open, setOpen] = useState(false);
+  const [options, setOptions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const requestRef = useRef(0);
+  const fetchRef = useRef(fetchOptions);
+  fetchRef.current = fetchOptions;
+
+  const query = String(value ?? "").trim();
+
+  // Debounced lookup; stale responses are dropped via the request counter
+  useEffect(() => {
+    if (!open || query.length < minChars) {
+      setOptions([]);
+      return undefined;
+    }
+    const requestId = ++requestRef.current;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const result = await fetchRef.current(query);
+        if (requestId === requestRef.current) setOptions(Array.isArray(result) ? result : []);
+      } catch (err) {
+        if (requestId === requestRef.current) setOptions([]);
+        console.error(err);
+      } finally {
+        if (requestId === requestRef.current) setLoading(false);
+      }
+    }, debounceMs);
+    return () => clearTimeout(timer);
+  }, [query, open, minChars, debounceMs]);
+
+  const exactMatch = options.some((o) => String(getOptionLabel(o)).toLowerCase() === query.toLowerCase());
+  const showCreate = typeof onCreate === "function" && query.length >= minChars && !exactMatch && !loading;
+  const entries = showCreate ? [...options, null] : options; // null = "create" entry
+
+  const choose = (entry) => {
+    setOpen(false);
+    setActiveIndex(-1);
+    if (entry === null) onCreate(query);
+    else onSelect(entry);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || !entries.length) {
+      if (e.key === "ArrowDown") setOpen(true);
+      return;
+    }
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActiveIndex((i) => (i + 1) % entries.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((i) => (i <= 0 ? entries.length - 1 : i - 1));
+    } else if (e.key === "Enter" && activeIndex >= 0) {
+      e.preventDefault();
+      choose(entries[activeIndex]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  const listId = `${id}-listbox`;
+
+  return (
+    <div className="relative">
+      <input
+        id={id}
+        type="text"
+        value={value}
+        onChange={(e) => {
+          onInputChange(e.target.value);
+          setOpen(true);
+          setActiveIndex(-1);
+        }}
+        onFocus={() => setOpen(true)}
+        // delay so a click on an option registers before the list closes
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        className={className}
+        disabled={disabled}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={open && entries.length > 0}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+        {...inputProps}
+      />
+
+      {open && entries.length > 0 && (
+        <ul
+          id={listId}
+          role="listbox"
+          className="absolute z-20 mt-1 w-full max-h-60 overflow-auto rounded-md border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 shadow-lg text-sm"
+        >
+          {entries.map((entry, index) => (
+            <li
+              key={entry === null ? "__create" : getOptionKey(entry)}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(entry)}
+              className={`px-3 py-2 cursor-pointer ${index === activeIndex ? "bg-green-50 dark:bg-gray-700" : "hover:bg-gray-50 dark:hover:bg-gray-700"}`}
+            >
+              {entry === null ? (
+                <span className="text-green-700 dark:text-green-400 font-medium">{createLabel ? createLabel(query) : t("common.addOption", { name: query })}</span>
+              ) : renderOption ? (
+                renderOption(entry)
+              ) : (
+                getOptionLabel(entry)
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
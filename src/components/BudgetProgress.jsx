@@ -0,0 +1,43 @@
+import { budgetProgress } from "../utils/budgets";
+import { useTranslation } from "../context/LanguageContext";
+
+/**
+ * Budget-vs-actual bar for one budget.
+ * - Green while under 80% of the limit, yellow up to the limit, red when over
+ * - `formatCurrency` comes from the parent so amounts match the rest of the page
+ */
+
+const BAR_CLASS = { ok: "bg-green-500", warn: "bg-yellow-500", over: "bg-red-500" };
+
+export default function BudgetProgress({ label, budget, formatCurrency = (v) => String(v) }) {
+  const { t } = useTranslation();
+  const { spent, amount, remaining, ratio, level } = budgetProgress(budget);
+  const percent = Math.round(ratio * 100);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md px-4 py-3 shadow-sm">
+      <div className="flex items-center justify-between gap-2 text-xs text-gray-500">
+        <span className="truncate" title={label}>{label}</span>
+        <span className={level === "over" ? "text-red-600 font-medium" : ""}>{t("budgets.percent", { percent })}</span>
+      </div>
+      <div
+        className="mt-2 h-2 rounded-full bg-gray-100 dark:bg-gray-700 overflow-hidden"
+        role="progressbar"
+        aria-label={t("budgets.used", { label })}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.min(percent, 100)}
+      >
+        <div className={`h-full ${BAR_CLASS[level]}`} style={{ width: `${Math.min(percent, 100)}%` }} />
+      </div>
+      <div className="mt-1 text-xs text-gray-600 dark:text-gray-300">
+        {t("budgets.spentOf", { spent: formatCurrency(spent), amount: formatCurrency(amount) })}
+        {level === "over" ? (
+          <span className="ml-1 text-red-600">· {t("budgets.overBy", { amount: formatCurrency(-remaining) })}</span>
+        ) : (
+          <span className="ml-1 text-gray-400">· {t("budgets.left", { amount: formatCurrency(remaining) })}</span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import { useEffect, useState } from "react";
+import { BS_MONTHS, BS_YEARS, adToBs, bsToAd, daysInBsMonth, formatCalendarDate } from "../utils/bikramSambat";
+import { useTranslation } from "../context/LanguageContext";
+
+/**
+ * Date field in the user's primary calendar.
+ * - `value` and `onChange(value)` always use AD "YYYY-MM-DD" (what the API stores)
+ * - calendar "AD": the native date input; "BS": year / month / day selects
+ * - The same date in the other calendar is shown underneath
+ * - A BS day past the end of a shorter month is moved to that month's last day
+ */
+
+const selectClass =
+  "px-2 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500";
+
+const emptyParts = { year: "", month: "", day: "" };
+
+export default function CalendarDateInput({ id, name, value, onChange, calendar, className = "", inputClassName, hint = true, ...rest }) {
+  const { t, digits } = useTranslation();
+  // BS selects can be part-filled before they make a whole date
+  const [parts, setParts] = useState(() => adToBs(value) ?? emptyParts);
+
+  useEffect(() => {
+    setParts(adToBs(value) ?? emptyParts);
+  }, [value]);
+
+  const other = calendar === "BS" ? "AD" : "BS";
+  const otherLabel = value && hint ? formatCalendarDate(value, other) : "";
+  const showHint = otherLabel && (other === "AD" || adToBs(value));
+
+  const handlePart = (key, raw) => {
+    const next = { ...parts, [key]: raw === "" ? "" : Number(raw) };
+    if (next.year && next.month && next.day) {
+      next.day = Math.min(next.day, daysInBsMonth(next.year, next.month));
+      const ad = bsToAd(next);
+      if (ad) {
+        setParts(next);
+        onChange(ad);
+        return;
+      }
+    }
+    setParts(next);
+  };
+
+  const dayCount = parts.year && parts.month ? daysInBsMonth(parts.year, parts.month) : 32;
+
+  return (
+    <div className={className}>
+      {calendar === "BS" ? (
+        <div className="flex gap-2" id={id} role="group" aria-label={rest["aria-label"] ?? t("calendar.dateBs")}>
+          <select value={parts.year} onChange={(e) => handlePart("year", e.target.value)} className={selectClass} aria-label={t("calendar.yearBs")}>
+            <option value="">{t("purchase.year")}</option>
+            {BS_YEARS.map((y) => (
+              <option key={y} value={y}>
+                {digits(y)}
+              </option>
+            ))}
+          </select>
+          <select value={parts.month} onChange={(e) => handlePart("month", e.target.value)} className={`flex-1 ${selectClass}`} aria-label={t("calendar.monthBs")}>
+            <option value="">{t("purchase.month")}</option>
+            {BS_MONTHS.map((m, i) => (
+              <option key={m} value={i + 1}>
+                {t(`calendar.bsMonth${i + 1}`)}
+              </option>
+            ))}
+          </select>
+          <select value={parts.day} onChange={(e) => handlePart("day", e.target.value)} className={selectClass} aria-label={t("calendar.dayBs")}>
+            <option value="">{t("calendar.day")}</option>
+            {Array.from({ length: dayCount }, (_, i) => i + 1).map((d) => (
+              <option key={d} value={d}>
+                {digits(d)}
+              </option>
+            ))}
+          </select>
+        </div>
+      ) : (
+        <input id={id} name={name} type="date" value={value} onChange={(e) => onChange(e.target.value)} className={inputClassName ?? selectClass} {...rest} />
+      )}
+      {showHint && (
+        <div className="mt-1 text-xs text-gray-500">
+          {otherLabel} {t(`calendar.${other}`)}
+        </div>
+      )}
+    </div>
+  );
+}
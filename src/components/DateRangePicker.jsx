@@ -0,0 +1,69 @@
+import { RANGE_PRESETS } from "../utils/dateRange";
+import { formatCalendarDate } from "../utils/bikramSambat";
+import useCalendar from "../hooks/useCalendar";
+import CalendarDateInput from "./CalendarDateInput";
+import { useTranslation } from "../context/LanguageContext";
+
+/**
+ * Preset / custom date range picker.
+ * - `value` is a resolved range { preset, from, to } (see utils/dateRange)
+ * - Switching to "Custom" starts from the dates currently shown
+ * - Dates are entered and shown in the user's primary calendar (AD or BS)
+ * - Pair with hooks/useDateRange to keep the choice in the URL
+ */
+
+const inputClass =
+  "px-2 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm focus:outline-none focus:ring-2 focus:ring-green-500";
+
+export default function DateRangePicker({ value, onChange, id = "dateRange", className = "" }) {
+  const { preset, from, to } = value;
+  const [calendar] = useCalendar();
+  const { t } = useTranslation();
+
+  const handlePreset = (e) => {
+    const next = e.target.value;
+    onChange(next === "custom" ? { preset: next, from, to } : { preset: next });
+  };
+
+  return (
+    <div className={`flex flex-wrap items-center gap-2 text-sm ${className}`}>
+      <label htmlFor={id} className="text-gray-500">
+        {t("range.label")}
+      </label>
+      <select id={id} value={preset} onChange={handlePreset} className={inputClass}>
+        {Object.keys(RANGE_PRESETS).map((key) => (
+          <option key={key} value={key}>
+            {t(`range.${key}`)}
+          </option>
+        ))}
+      </select>
+      {preset === "custom" ? (
+        <>
+          <CalendarDateInput
+            value={from}
+            max={to}
+            onChange={(next) => next && onChange({ preset, from: next, to })}
+            calendar={calendar}
+            hint={false}
+            inputClassName={inputClass}
+            aria-label={t("range.fromDate")}
+          />
+          <span className="text-gray-400">–</span>
+          <CalendarDateInput
+            value={to}
+            min={from}
+            onChange={(next) => next && onChange({ preset, from, to: next })}
+            calendar={calendar}
+            hint={false}
+            inputClassName={inputClass}
+            aria-label={t("range.toDate")}
+          />
+        </>
+      ) : (
+        <span className="text-xs text-gray-500">
+          {formatCalendarDate(from, calendar, "iso")} – {formatCalendarDate(to, calendar, "iso")}
+        </span>
+      )}
+    </div>
+  );
+}
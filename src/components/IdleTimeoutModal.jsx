@@ -0,0 +1,152 @@
+import { useCallback, useContext, useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { AuthContext } from "../context/AuthContext";
+import { useTranslation } from "../context/LanguageContext";
+
+/**
+ * Signs the user out after a period without activity.
+ * - Idle period and warning length come from REACT_APP_IDLE_TIMEOUT_MINUTES (default 15)
+ *   and REACT_APP_IDLE_WARNING_SECONDS (default 60)
+ * - Shows a countdown with "Stay signed in" / "Log out" before signing out
+ * - Activity is shared through localStorage, so working in one tab keeps the others alive
+ * - Works alongside AuthContext's token expiry / renewal, which still applies
+ *
+ * Rendered once, inside AuthProvider (see App.jsx).
+ */
+
+const readNumber = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const IDLE_MS = readNumber(process.env.REACT_APP_IDLE_TIMEOUT_MINUTES, 15) * 60 * 1000;
+const WARNING_MS = readNumber(process.env.REACT_APP_IDLE_WARNING_SECONDS, 60) * 1000;
+const ACTIVITY_KEY = "lastActivityAt";
+const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart", "scroll"];
+const WRITE_THROTTLE_MS = 5 * 1000; // don't hit localStorage on every mouse move
+
+const readSharedActivity = () => Number(localStorage.getItem(ACTIVITY_KEY)) || 0;
+
+export default function IdleTimeoutModal() {
+  const { user, logout } = useContext(AuthContext);
+  const { t, digits } = useTranslation();
+  const [secondsLeft, setSecondsLeft] = useState(null); // null = no warning shown
+  const lastActivityRef = useRef(Date.now());
+  const lastWriteRef = useRef(0);
+  const warningRef = useRef(false);
+  const stayButtonRef = useRef(null);
+  const logoutRef = useRef(logout); // AuthContext recreates logout on every render
+  logoutRef.current = logout;
+
+  const recordActivity = useCallback((force = false) => {
+    const now = Date.now();
+    lastActivityRef.current = now;
+    if (force || now - lastWriteRef.current > WRITE_THROTTLE_MS) {
+      lastWriteRef.current = now;
+      localStorage.setItem(ACTIVITY_KEY, String(now));
+    }
+  }, []);
+
+  const signedIn = Boolean(user);
+
+  // Track local activity; ignored while the warning is up so a stray mouse move doesn't dismiss it
+  useEffect(() => {
+    if (!signedIn) return undefined;
+    recordActivity(true);
+    const handleActivity = () => {
+      if (!warningRef.current) recordActivity();
+    };
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, handleActivity, { passive: true }));
+    return () => ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, handleActivity));
+  }, [signedIn, recordActivity]);
+
+  // Once a second: compare the latest activity (this tab or any other) with the limits
+  useEffect(() => {
+    if (!signedIn) {
+      warningRef.current = false;
+      setSecondsLeft(null);
+      return undefined;
+    }
+    const tick = () => {
+      const last = Math.max(lastActivityRef.current, readSharedActivity());
+      const idleFor = Date.now() - last;
+      if (idleFor >= IDLE_MS + WARNING_MS) {
+        warningRef.current = false;
+        setSecondsLeft(null);
+        toast(t("idle.signedOut"), { id: "idle-logout", icon: "🔒" });
+        logoutRef.current();
+      } else if (idleFor >= IDLE_MS) {
+        warningRef.current = true;
+        setSecondsLeft(Math.ceil((IDLE_MS + WARNING_MS - idleFor) / 1000));
+      } else if (warningRef.current) {
+        // activity in another tab
+        warningRef.current = false;
+        setSecondsLeft(null);
+      }
+    };
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [signedIn, t]);
+
+  const warningOpen = secondsLeft != null;
+  useEffect(() => {
+    if (warningOpen) stayButtonRef.current?.focus();
+  }, [warningOpen]);
+
+  const handleStay = () => {
+    warningRef.current = false;
+    setSecondsLeft(null);
+    recordActivity(true);
+  };
+
+  const handleLogout = () => {
+    warningRef.current = false;
+    setSecondsLeft(null);
+    logout();
+  };
+
+  if (!signedIn || !warningOpen) return null;
+
+  const minutes = Math.floor(secondsLeft / 60);
+  const seconds = String(secondsLeft % 60).padStart(2, "0");
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="idle-timeout-title"
+        aria-describedby="idle-timeout-desc"
+        className="w-full max-w-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-6 shadow-lg space-y-4"
+      >
+        <h2 id="idle-timeout-title" className="text-lg font-semibold">
+          {t("idle.title")}
+        </h2>
+        <p id="idle-timeout-desc" className="text-sm text-gray-600 dark:text-gray-300">
+          {t("idle.countdownBefore")}{" "}
+          <span className="font-semibold tabular-nums" aria-live="polite">
+            {digits(`${minutes}:${seconds}`)}
+          </span>{" "}
+          {t("idle.countdownAfter")}
+        </p>
+        <div className="flex items-center justify-end gap-2">
+          <button
+            type="button"
+            onClick={handleLogout}
+            className="px-4 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50"
+          >
+            {t("password.logout")}
+          </button>
+          <button
+            ref={stayButtonRef}
+            type="button"
+            onClick={handleStay}
+            className="px-4 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium"
+          >
+            {t("idle.stay")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import { useTranslation } from "../context/LanguageContext";
+import { LANGUAGES } from "../i18n";
+
+/**
+ * Language picker; the choice is saved for the signed-in user
+ * (or for this browser on the sign-in pages).
+ */
+export default function LanguageSwitcher({ className = "" }) {
+  const { language, setLanguage, t } = useTranslation();
+
+  return (
+    <label className={`text-xs text-gray-500 ${className}`}>
+      <span className="sr-only">{t("common.language")}</span>
+      <select
+        value={language}
+        onChange={(e) => setLanguage(e.target.value)}
+        aria-label={t("common.language")}
+        className="px-2 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm"
+      >
+        {Object.entries(LANGUAGES).map(([code, { label }]) => (
+          <option key={code} value={code} lang={code}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,53 @@
+import { useContext, useEffect, useRef } from "react";
+import toast from "react-hot-toast";
+import { AuthContext } from "../context/AuthContext";
+import { useTranslation } from "../context/LanguageContext";
+import useOfflineQueue from "../hooks/useOfflineQueue";
+
+/**
+ * Sends purchases recorded offline once the connection is back.
+ * - Syncs on sign-in, when the browser comes back online, and every minute while items wait
+ * - Toasts what was synced and what needs attention (conflicts are listed in PurchaseList)
+ * - Shows a small banner while offline
+ *
+ * Rendered once, inside AuthProvider (see App.jsx).
+ */
+
+const RETRY_MS = 60 * 1000;
+
+export default function OfflineSync() {
+  const { user } = useContext(AuthContext);
+  const { entries, online, sync } = useOfflineQueue();
+  const pending = entries.filter((e) => e.state === "pending").length;
+  const { t } = useTranslation();
+  const syncRef = useRef(sync);
+  syncRef.current = sync;
+  const tRef = useRef(t); // a language switch shouldn't start another sync run
+  tRef.current = t;
+
+  const signedIn = Boolean(user);
+
+  useEffect(() => {
+    if (!signedIn || !online || !pending) return undefined;
+    const run = async () => {
+      try {
+        const { synced, conflicts } = await syncRef.current();
+        if (synced) toast.success(tRef.current("offline.syncedCount", { count: synced }), { id: "offline-sync" });
+        if (conflicts) toast.error(tRef.current("offline.conflictCount", { count: conflicts }), { id: "offline-sync-conflict" });
+      } catch (err) {
+        console.error(err);
+      }
+    };
+    run();
+    const timer = setInterval(run, RETRY_MS);
+    return () => clearInterval(timer);
+  }, [signedIn, online, pending]);
+
+  if (!signedIn || online) return null;
+
+  return (
+    <div role="status" className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 px-4 py-2 rounded-md bg-gray-900 text-white text-sm shadow-lg">
+      {pending ? t("offline.bannerWaiting", { count: pending }) : t("offline.banner")}
+    </div>
+  );
+}
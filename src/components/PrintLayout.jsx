@@ -0,0 +1,92 @@
+import { useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { useTranslation } from "../context/LanguageContext";
+
+// Letterhead on printed documents; all optional
+const ORG_NAME = process.env.REACT_APP_ORG_NAME ?? "";
+const ORG_ADDRESS = process.env.REACT_APP_ORG_ADDRESS ?? "";
+const ORG_PAN = process.env.REACT_APP_ORG_PAN ?? "";
+
+/**
+ * Page frame for printable documents (purchase register, purchase / purchase order).
+ * - Toolbar with "Print / Save as PDF" and Close, hidden on paper
+ * - Letterhead from REACT_APP_ORG_NAME / _ADDRESS / _PAN
+ * - `title` becomes the window title while open, which browsers use as the PDF file name
+ * PDFs come from the browser's print dialog, so Nepali text and "रु" print with the system fonts.
+ */
+export default function PrintLayout({ title, subtitle, toolbar, children }) {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+
+  // Print pages open in their own tab from PurchaseList; opened directly, go back to the app instead
+  const handleClose = () => {
+    if (window.opener) window.close();
+    else navigate("/dashboard");
+  };
+
+  useEffect(() => {
+    const previous = document.title;
+    document.title = title;
+    return () => {
+      document.title = previous;
+    };
+  }, [title]);
+
+  const buttonClass = "px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-800";
+
+  return (
+    <div className="min-h-screen bg-gray-100 dark:bg-gray-900 print:bg-white">
+      <div className="print:hidden sticky top-0 z-10 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-4xl mx-auto px-4 py-2 flex flex-wrap items-center justify-between gap-2">
+          <div className="flex flex-wrap items-center gap-2">{toolbar}</div>
+          <div className="flex items-center gap-2">
+            <button type="button" onClick={handleClose} className={buttonClass}>
+              {t("common.close")}
+            </button>
+            <button
+              type="button"
+              onClick={() => window.print()}
+              className="px-4 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium"
+            >
+              🖨 {t("print.print")}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-4xl mx-auto my-4 print:my-0 bg-white text-gray-900 p-8 print:p-0 shadow print:shadow-none text-sm">
+        <header className="flex items-start justify-between gap-4 border-b border-gray-300 pb-3 mb-4">
+          <div>
+            {ORG_NAME && <div className="text-lg font-bold">{ORG_NAME}</div>}
+            {ORG_ADDRESS && <div className="text-xs text-gray-600">{ORG_ADDRESS}</div>}
+            {ORG_PAN && <div className="text-xs text-gray-600">{t("print.orgPan", { pan: ORG_PAN })}</div>}
+          </div>
+          <div className="text-right">
+            <h1 className="text-xl font-bold uppercase tracking-wide">{title}</h1>
+            {subtitle && <div className="text-xs text-gray-600">{subtitle}</div>}
+          </div>
+        </header>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Signature lines at the foot of a printed document.
+ * - labels: e.g. ["Prepared by", "Checked by", "Approved by"]
+ */
+export function SignatureBlocks({ labels }) {
+  const { t } = useTranslation();
+  return (
+    <div className="mt-16 grid gap-8 break-inside-avoid" style={{ gridTemplateColumns: `repeat(${labels.length}, minmax(0, 1fr))` }}>
+      {labels.map((label) => (
+        <div key={label} className="text-xs">
+          <div className="border-t border-gray-500 pt-1 font-medium">{label}</div>
+          <div className="mt-3 text-gray-600">{t("print.name")}</div>
+          <div className="mt-3 text-gray-600">{t("print.date")}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import { PURCHASE_STATUSES, purchaseStatus, statusLabel } from "../utils/purchaseStatus";
+
+/**
+ * Small pill showing a purchase's approval status.
+ * The reviewer's comment, if any, is available as a tooltip.
+ */
+export default function StatusBadge({ purchase, className = "" }) {
+  const status = purchaseStatus(purchase);
+  const { badgeClass } = PURCHASE_STATUSES[status];
+  const label = statusLabel(status);
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${badgeClass} ${className}`}
+      title={purchase?.reviewComment ? `${label}: ${purchase.reviewComment}` : label}
+    >
+      {label}
+    </span>
+  );
+}
@@ -1,28 +1,53 @@
 import { createContext, useState, useEffect, useRef } from "react";
-import { computeExpiry, fetchCurrentUser } from "../services/userService";
+import toast from "react-hot-toast";
+import { computeExpiry, fetchCurrentUser, refreshSession } from "../services/userService";
+import { refreshAccessToken, setAuthHandlers } from "../services/apiClient";
+import { tokenExpiry } from "../utils/jwt";
+
+// Renew the access token this long before it expires
+const RENEW_BEFORE_MS = 60 * 1000;
+// setTimeout fires immediately for delays above ~24.8 days; longer waits re-arm
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Prefer the token's own `exp` claim; guess only for opaque tokens
+const expiryFor = (token, fallback) => tokenExpiry(token) ?? fallback ?? computeExpiry();
+
+// A refresh token that is itself a JWT can be checked locally; opaque ones are assumed valid
+const canRenew = (u) => Boolean(u?.refreshToken) && (tokenExpiry(u.refreshToken) ?? Infinity) > Date.now();
+
+// The session is shared by every open tab through localStorage.user
+const STORAGE_KEY = "user";
+
+const readStoredUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const accountKey = (u) => String(u?.id ?? u?.username ?? "");
 
 export const AuthContext = createContext();
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [ready, setReady] = useState(false);
-  const logoutTimerRef = useRef(null);
+  const logoutTimerRef = useRef(null); // auto-logout, or silent renewal when there is a refresh token
+  const userRef = useRef(null); // read by the API client's token getter
+  userRef.current = user;
 
   useEffect(() => {
-    const savedUser = localStorage.getItem("user");
+    const savedUser = localStorage.getItem(STORAGE_KEY);
     if (savedUser) {
-      try {
-        const parsed = JSON.parse(savedUser);
-        // If expired, clear immediately
-        const expiresAt = parsed?.expiresAt;
-        if (expiresAt && Date.now() >= Number(expiresAt)) {
-          localStorage.removeItem("user");
-        } else {
-          setUser(parsed);
-        }
-      } catch {
-        // corrupted storage, clear it
-        localStorage.removeItem("user");
+      const parsed = readStoredUser();
+      // If expired and not renewable, clear immediately (a renewable session is refreshed by the timer below).
+      // Corrupted storage is cleared as well.
+      const expiresAt = parsed?.expiresAt;
+      if (!parsed || (expiresAt && Date.now() >= Number(expiresAt) && !canRenew(parsed))) {
+        localStorage.removeItem(STORAGE_KEY);
+      } else {
+        setUser(parsed);
       }
     }
     setReady(true);
@@ -46,14 +71,35 @@ export const AuthProvider = ({ children }) => {
       return;
     }
     logoutTimerRef.current = setTimeout(() => {
+      if (msLeft > MAX_TIMER_MS) {
+        scheduleAutoLogout(expiresAt);
+        return;
+      }
+      toast("Your session has expired. Please sign in again.", { id: "session-expired", icon: "🔒" });
       logout();
-    }, msLeft);
+    }, Math.min(msLeft, MAX_TIMER_MS));
+  };
+
+  // Renew silently shortly before expiresAt; a failed renewal logs out (see refreshAccessToken)
+  const scheduleRenewal = (expiresAt) => {
+    clearLogoutTimer();
+    const msLeft = Math.max(0, Number(expiresAt) - RENEW_BEFORE_MS - Date.now());
+    logoutTimerRef.current = setTimeout(() => {
+      if (msLeft > MAX_TIMER_MS) scheduleRenewal(expiresAt);
+      else refreshAccessToken().catch((err) => console.error(err));
+    }, Math.min(msLeft, MAX_TIMER_MS));
+  };
+
+  const saveUser = (next) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    userRef.current = next; // visible to the API client before the re-render
+    setUser(next);
   };
 
   const login = async (userData) => {
-    // Ensure there is an expiry timestamp
-    const expiresAt = userData?.expiresAt || computeExpiry(); // 1 hour from now
-    const toStore = { ...userData, expiresAt };
+    // Ensure there is an expiry timestamp: the JWT exp claim, else 1 hour from now
+    const expiresAt = expiryFor(userData?.token, userData?.expiresAt);
+    const toStore = { ...userData, refreshToken: userData?.refreshToken ?? null, expiresAt };
 
     // Optionally hydrate role if missing and we have a token
     if (!toStore.role && toStore.token) {
@@ -66,20 +112,94 @@ export const AuthProvider = ({ children }) => {
       }
     }
 
-    localStorage.setItem("user", JSON.stringify(toStore));
-    setUser(toStore);
-    scheduleAutoLogout(expiresAt);
+    saveUser(toStore);
+  };
+
+  // Merge changes into the signed-in session, e.g. new tokens or a cleared mustChangePassword flag
+  const updateSession = (patch) => {
+    const current = userRef.current;
+    if (!current) return;
+    const next = { ...current, ...patch };
+    if (patch.token) next.expiresAt = expiryFor(patch.token);
+    saveUser(next);
+  };
+
+  // Exchange the refresh token for a new access token (called by the API client, one at a time).
+  // A Web Lock keeps tabs from renewing together: with refresh-token rotation the
+  // loser would present a token the server has already replaced.
+  const renewSession = async () => {
+    const renew = async () => {
+      const current = userRef.current;
+      if (!canRenew(current)) throw new Error("Session cannot be renewed");
+
+      // Another tab may have renewed while this one waited for the lock
+      const stored = readStoredUser();
+      if (stored?.token && stored.token !== current.token && accountKey(stored) === accountKey(current) && Number(stored.expiresAt) - Date.now() > RENEW_BEFORE_MS) {
+        userRef.current = stored;
+        setUser(stored);
+        return stored.token;
+      }
+
+      const { token, refreshToken } = await refreshSession(current.refreshToken);
+      // Logged out (or switched user) while the request was in flight
+      if (userRef.current?.refreshToken !== current.refreshToken) throw new Error("Session changed during renewal");
+      saveUser({ ...current, token, refreshToken, expiresAt: expiryFor(token) });
+      return token;
+    };
+    return navigator.locks?.request ? navigator.locks.request("auth-session-renewal", renew) : renew();
   };
 
   const logout = () => {
-    localStorage.removeItem("user");
+    localStorage.removeItem(STORAGE_KEY);
     setUser(null);
     clearLogoutTimer();
   };
 
-  // When user changes (including initial load), schedule auto logout
+  // Let the shared API client read the token and end the session on a 401.
+  // ProtectedRoute sends the user to /login, remembering the page they were on.
+  useEffect(() => {
+    setAuthHandlers({
+      getToken: () => userRef.current?.token,
+      refresh: renewSession,
+      onUnauthorized: () => {
+        if (!userRef.current) return;
+        toast.error("Your session has expired. Please sign in again.", { id: "session-expired" });
+        logout();
+      },
+    });
+    return () => setAuthHandlers();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Follow login, logout, renewal and role changes made in other tabs. The storage
+  // event only fires in the tabs that didn't write, so there is no echo.
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.storageArea !== localStorage || (e.key !== STORAGE_KEY && e.key !== null)) return;
+      const next = readStoredUser();
+      const prev = userRef.current;
+      if (!next) {
+        if (!prev) return;
+        userRef.current = null;
+        setUser(null); // ProtectedRoute redirects to /login like a local logout
+        toast("You were signed out in another tab.", { id: "session-sync" });
+        return;
+      }
+      if (prev && accountKey(prev) !== accountKey(next)) {
+        toast(`Signed in as ${next.username} in another tab.`, { id: "session-sync" });
+      }
+      userRef.current = next;
+      setUser(next);
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  // When user changes (including initial load), schedule renewal or auto logout
   useEffect(() => {
-    if (user?.expiresAt) {
+    if (user?.expiresAt && canRenew(user)) {
+      scheduleRenewal(user.expiresAt);
+    } else if (user?.expiresAt) {
       scheduleAutoLogout(user.expiresAt);
     } else {
       clearLogoutTimer();
@@ -87,10 +207,10 @@ export const AuthProvider = ({ children }) => {
     // cleanup on unmount
     return clearLogoutTimer;
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [user?.expiresAt]);
+  }, [user?.expiresAt, user?.refreshToken]);
 
   return (
-    <AuthContext.Provider value={{ user, login, logout, ready }}>
+    <AuthContext.Provider value={{ user, login, logout, updateSession, ready }}>
       {children}
     </AuthContext.Provider>
   );
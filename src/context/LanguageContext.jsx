@@ -0,0 +1,28 @@
+import { createContext, useCallback, useContext, useEffect, useMemo } from "react";
+import useUserPreference from "../hooks/useUserPreference";
+import { DEFAULT_LANGUAGE, getLanguage, isLanguage, localizeDigits, setLanguage as setActiveLanguage, translate } from "../i18n";
+
+// UI language, saved per user like the primary calendar (see hooks/useUserPreference).
+// Components call useTranslation(): const { t, language, setLanguage, digits } = useTranslation();
+
+export const LanguageContext = createContext();
+
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguage] = useUserPreference("language", isLanguage, DEFAULT_LANGUAGE);
+
+  // Set before children render so utilities called while rendering already use it
+  if (getLanguage() !== language) setActiveLanguage(language);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const t = useCallback((key, params) => translate(language, key, params), [language]);
+  const digits = useCallback((text) => localizeDigits(text, language), [language]);
+
+  const value = useMemo(() => ({ language, setLanguage, t, digits }), [language, setLanguage, t, digits]);
+
+  return <LanguageContext.Provider value={value}>{children}</LanguageContext.Provider>;
+};
+
+export const useTranslation = () => useContext(LanguageContext);
@@ -0,0 +1,37 @@
+import { useCallback, useContext, useEffect, useRef, useState } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { getBudgets } from "../services/budgetService";
+import { monthKey } from "../utils/budgets";
+
+/**
+ * Loads the budgets of `month` ("YYYY-MM", default this month) with their spent amounts.
+ * Returns { budgets, loading, reload }.
+ * Errors are logged only: without budgets the Dashboard and forms just skip the checks.
+ */
+export default function useBudgets(month = monthKey()) {
+  const { user } = useContext(AuthContext);
+  const [budgets, setBudgets] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const latestMonth = useRef(month); // a slower answer for a previous month must not win
+  latestMonth.current = month;
+
+  const reload = useCallback(async () => {
+    if (!user?.token) return;
+    setLoading(true);
+    try {
+      const result = await getBudgets(month);
+      if (month === latestMonth.current) setBudgets(result);
+    } catch (err) {
+      console.error(err);
+      if (month === latestMonth.current) setBudgets([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.token, month]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { budgets, loading, reload };
+}
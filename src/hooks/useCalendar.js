@@ -0,0 +1,10 @@
+import { DEFAULT_CALENDAR, isCalendar } from "../utils/bikramSambat";
+import useUserPreference from "./useUserPreference";
+
+/**
+ * The signed-in user's primary calendar, "AD" or "BS" (see hooks/useUserPreference).
+ * const [calendar, setCalendar] = useCalendar();
+ */
+export default function useCalendar() {
+  return useUserPreference("calendar", isCalendar, DEFAULT_CALENDAR);
+}
@@ -0,0 +1,36 @@
+import { useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { buildCategoryTree, getCategories } from "../services/categoryService";
+
+/**
+ * Loads the category list once per mount.
+ * Returns { categories, tree, byId, loading, reload }.
+ * Errors are logged only: category pickers degrade to "no categories".
+ */
+export default function useCategories() {
+  const { user } = useContext(AuthContext);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const reload = useCallback(async () => {
+    if (!user?.token) return;
+    setLoading(true);
+    try {
+      setCategories(await getCategories());
+    } catch (err) {
+      console.error(err);
+      setCategories([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.token]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const tree = useMemo(() => buildCategoryTree(categories), [categories]);
+  const byId = useMemo(() => Object.fromEntries(categories.map((c) => [String(c.id), c])), [categories]);
+
+  return { categories, tree, byId, loading, reload };
+}
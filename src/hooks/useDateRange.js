@@ -0,0 +1,19 @@
+import { useCallback, useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+import { rangeFromSearchParams, rangeToSearchParams } from "../utils/dateRange";
+
+/**
+ * Reporting date range kept in the URL (?range=this-month, or custom rangeFrom/rangeTo).
+ * Returns [range, setRange] where range is { preset, from, to } with dates filled in.
+ */
+export default function useDateRange() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const range = useMemo(() => rangeFromSearchParams(searchParams), [searchParams]);
+
+  const setRange = useCallback(
+    (next) => setSearchParams((prev) => rangeToSearchParams(next, prev)),
+    [setSearchParams]
+  );
+
+  return [range, setRange];
+}
@@ -0,0 +1,34 @@
+import { useCallback, useContext, useEffect, useState } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { getExchangeRates } from "../services/exchangeRateService";
+
+/**
+ * Loads the exchange-rate table once per mount.
+ * Returns { rates, loading, reload }.
+ * Errors are logged only: without rates, foreign-currency purchases can't be saved
+ * and reports stay in NPR.
+ */
+export default function useExchangeRates() {
+  const { user } = useContext(AuthContext);
+  const [rates, setRates] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const reload = useCallback(async () => {
+    if (!user?.token) return;
+    setLoading(true);
+    try {
+      setRates(await getExchangeRates());
+    } catch (err) {
+      console.error(err);
+      setRates([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.token]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { rates, loading, reload };
+}
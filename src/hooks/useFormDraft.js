@@ -0,0 +1,42 @@
+import { useEffect, useState } from "react";
+
+const readDraft = (key, initialValue) => {
+  if (!key) return { value: initialValue, restored: false };
+  try {
+    const saved = JSON.parse(localStorage.getItem(key));
+    if (saved && typeof saved === "object") return { value: { ...initialValue, ...saved }, restored: true };
+  } catch {
+    // ignore corrupted drafts
+  }
+  return { value: initialValue, restored: false };
+};
+
+/**
+ * useState that mirrors its value into localStorage under `key`, so an
+ * unfinished form survives a logout (idle timeout, expired session) or reload
+ * and comes back when the same user signs in again.
+ * Returns [value, setValue, restored] where `restored` is true if a draft was loaded.
+ * Blank values (per `isBlank`) remove the stored draft. Pass a null key to disable.
+ * A new `key` (another user signing in) loads that key's draft in place of the current value.
+ */
+export default function useFormDraft(key, initialValue, isBlank) {
+  const [loaded, setLoaded] = useState(() => ({ key, ...readDraft(key, initialValue) }));
+  const [value, setValue] = useState(loaded.value);
+
+  // Swap drafts during render so the effect below never writes one key's value under another
+  if (loaded.key !== key) {
+    const next = { key, ...readDraft(key, initialValue) };
+    setLoaded(next);
+    setValue(next.value);
+  }
+
+  useEffect(() => {
+    if (!key) return;
+    if (isBlank(value)) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(value));
+    // isBlank is expected to be a stable module-level function
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [key, value]);
+
+  return [value, setValue, loaded.restored];
+}
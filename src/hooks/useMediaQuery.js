@@ -0,0 +1,22 @@
+import { useEffect, useState } from "react";
+
+const matches = (query) => typeof window !== "undefined" && typeof window.matchMedia === "function" && window.matchMedia(query).matches;
+
+/**
+ * Whether a CSS media query currently matches, updated as the window changes.
+ * const wide = useMediaQuery("(min-width: 768px)");
+ */
+export default function useMediaQuery(query) {
+  const [value, setValue] = useState(() => matches(query));
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== "function") return undefined;
+    const list = window.matchMedia(query);
+    const handleChange = () => setValue(list.matches);
+    handleChange();
+    list.addEventListener("change", handleChange);
+    return () => list.removeEventListener("change", handleChange);
+  }, [query]);
+
+  return value;
+}
@@ -0,0 +1,54 @@
+import { useCallback, useContext, useEffect, useState } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { QUEUE_CHANGED_EVENT, isQueueSupported, listQueued, ownerKey, removeQueued } from "../utils/offlineQueue";
+import { retryQueued, syncQueuedPurchases } from "../services/offlineSync";
+
+/**
+ * The signed-in user's purchases waiting on this device, plus connection state.
+ * Returns { entries, online, syncedVersion, sync, retry, discard }.
+ * `syncedVersion` goes up whenever queued purchases reach the server (in any tab),
+ * so lists can refetch.
+ */
+export default function useOfflineQueue() {
+  const { user } = useContext(AuthContext);
+  const owner = ownerKey(user);
+  const [entries, setEntries] = useState([]);
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [syncedVersion, setSyncedVersion] = useState(0);
+
+  const reload = useCallback(async () => {
+    if (!owner || !isQueueSupported()) {
+      setEntries([]);
+      return;
+    }
+    try {
+      setEntries(await listQueued(owner));
+    } catch (err) {
+      console.error(err);
+    }
+  }, [owner]);
+
+  useEffect(() => {
+    reload();
+    const handleChanged = (e) => {
+      reload();
+      if (e.detail?.synced) setSyncedVersion((v) => v + 1);
+    };
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener(QUEUE_CHANGED_EVENT, handleChanged);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener(QUEUE_CHANGED_EVENT, handleChanged);
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [reload]);
+
+  const sync = useCallback(() => syncQueuedPurchases(owner), [owner]);
+  const retry = useCallback((localId) => retryQueued(owner, localId), [owner]);
+  const discard = useCallback((localId) => removeQueued(localId), []);
+
+  return { entries, online, syncedVersion, sync, retry, discard };
+}
@@ -0,0 +1,13 @@
+import { useCallback, useContext } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { can as userCan, normalizeRole } from "../utils/permissions";
+
+/**
+ * Permission checks for the signed-in user.
+ * const { can, role } = usePermissions();  can("purchase:create")
+ */
+export default function usePermissions() {
+  const { user } = useContext(AuthContext);
+  const can = useCallback((permission) => userCan(user, permission), [user]);
+  return { can, role: user ? normalizeRole(user.role) : null };
+}
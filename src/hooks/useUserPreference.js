@@ -0,0 +1,58 @@
+import { useCallback, useContext, useEffect, useState } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { ownerKey } from "../utils/offlineQueue";
+
+/**
+ * A display preference saved per user in this browser.
+ * const [value, setValue] = useUserPreference("calendar", isCalendar, "AD");
+ * - Lookup order: this user's saved choice, a `name` field on the user object,
+ *   the last choice made in this browser (so sign-in pages follow it), then `fallback`
+ * - Every component using the same preference (in every tab) follows a change
+ */
+
+const CHANGED_EVENT = "user-preference-changed";
+
+const userKey = (name, user) => `${name}:${ownerKey(user)}`;
+const deviceKey = (name) => `${name}:`;
+
+export function readUserPreference(name, user, isValid, fallback) {
+  const saved = localStorage.getItem(userKey(name, user));
+  if (isValid(saved)) return saved;
+  if (isValid(user?.[name])) return user[name];
+  const device = localStorage.getItem(deviceKey(name));
+  return isValid(device) ? device : fallback;
+}
+
+export default function useUserPreference(name, isValid, fallback) {
+  const { user } = useContext(AuthContext);
+  const [value, setValueState] = useState(() => readUserPreference(name, user, isValid, fallback));
+
+  useEffect(() => {
+    const refresh = () => setValueState(readUserPreference(name, user, isValid, fallback));
+    refresh();
+    const onChanged = (e) => {
+      if (e.detail === name) refresh();
+    };
+    const onStorage = (e) => {
+      if (e.key === userKey(name, user) || e.key === deviceKey(name)) refresh();
+    };
+    window.addEventListener(CHANGED_EVENT, onChanged);
+    window.addEventListener("storage", onStorage);
+    return () => {
+      window.removeEventListener(CHANGED_EVENT, onChanged);
+      window.removeEventListener("storage", onStorage);
+    };
+  }, [name, user, isValid, fallback]);
+
+  const setValue = useCallback(
+    (next) => {
+      if (!isValid(next)) return;
+      localStorage.setItem(userKey(name, user), next);
+      localStorage.setItem(deviceKey(name), next);
+      window.dispatchEvent(new CustomEvent(CHANGED_EVENT, { detail: name }));
+    },
+    [name, user, isValid]
+  );
+
+  return [value, setValue];
+}
@@ -0,0 +1,567 @@
+// English messages: the complete catalog every other language falls back to.
+// Keys are "area.name"; a "_one" variant is used when the `count` param is 1.
+const en = {
+  // Shared
+  "common.actions": "Actions",
+  "common.addOption": "Add \"{name}\"",
+  "common.all": "All",
+  "common.anyOption": "— any —",
+  "common.backToDashboard": "Back to dashboard",
+  "common.cancel": "Cancel",
+  "common.close": "Close",
+  "common.delete": "Delete",
+  "common.deleting": "Deleting…",
+  "common.edit": "Edit",
+  "common.email": "Email",
+  "common.hide": "Hide",
+  "common.hidePassword": "Hide password",
+  "common.language": "Language",
+  "common.loading": "Loading…",
+  "common.noData": "No data",
+  "common.noneOption": "— none —",
+  "common.password": "Password",
+  "common.reset": "Reset",
+  "common.save": "Save",
+  "common.saving": "Saving…",
+  "common.show": "Show",
+  "common.showPassword": "Show password",
+  "common.username": "Username",
+
+  // Sign in / register
+  "login.title": "Sign in",
+  "login.usernamePlaceholder": "Your username",
+  "login.missingFields": "Please enter both username and password.",
+  "login.success": "Signed in successfully!",
+  "login.failed": "Login failed",
+  "login.submit": "Sign in",
+  "login.submitting": "Signing in...",
+  "login.noAccount": "Don't have an account?",
+  "login.register": "Register",
+  "register.title": "Create an account",
+  "register.usernameRequired": "Username is required",
+  "register.emailRequired": "Email is required",
+  "register.emailInvalid": "Please enter a valid email address",
+  "register.passwordRequired": "Password is required",
+  "register.passwordTooShort": "Password must be at least {min} characters",
+  "register.passwordPlaceholder": "Create a password",
+  "register.success": "Registration successful — signing you in…",
+  "register.failed": "Registration failed",
+  "register.submit": "Create account",
+  "register.submitting": "Creating account…",
+  "register.haveAccount": "Already have an account?",
+
+  // Purchase fields
+  "purchase.buyingDate": "Buying date",
+  "purchase.category": "Category",
+  "purchase.currency": "Currency",
+  "purchase.date": "Date",
+  "purchase.grandTotal": "Grand total ({count} lines)",
+  "purchase.grandTotalShort": "Grand total",
+  "purchase.item": "Item",
+  "purchase.itemName": "Item name",
+  "purchase.itemSummary": "{name} + {count} more",
+  "purchase.items": "Items",
+  "purchase.lineTotal": "Line total",
+  "purchase.month": "Month",
+  "purchase.qty": "Qty",
+  "purchase.quantity": "Quantity",
+  "purchase.rate": "Rate",
+  "purchase.referenceNo": "Bill / reference no.",
+  "purchase.referenceNoPlaceholder": "e.g., INV-1024",
+  "purchase.status": "Status",
+  "purchase.subcategory": "Subcategory",
+  "purchase.supplier": "Supplier",
+  "purchase.total": "Total",
+  "purchase.year": "Year",
+
+  "status.draft": "Draft",
+  "status.submitted": "Pending approval",
+  "status.approved": "Approved",
+  "status.rejected": "Rejected",
+
+  "currency.NPR": "Nepalese rupee",
+  "currency.INR": "Indian rupee",
+  "currency.USD": "US dollar",
+
+  // Validation (utils/purchaseForm)
+  "validation.buyingDateRequired": "Buying date is required",
+  "validation.itemNameRequired": "Item name is required",
+  "validation.quantityPositive": "Quantity must be a number greater than 0",
+  "validation.ratePositive": "Rate must be a number greater than 0",
+  "validation.noExchangeRate": "No {currency} exchange rate on or before {date}. Ask finance to add one.",
+  "validation.noLines": "Add at least one item",
+  "validation.lineError": "Line {line}: {error}",
+  "validation.discountNegative": "Discount cannot be negative",
+  "validation.discountPercentMax": "Discount cannot be more than 100%",
+  "validation.vatRateInvalid": "VAT rate must be a number, 0 or more",
+  "validation.chargeNegative": "Other charges cannot be negative",
+  "validation.chargeLabelRequired": "Describe each other charge (e.g., Transport)",
+
+  // Supplier and item fields
+  "supplier.namePlaceholder": "Supplier name",
+  "supplier.addNew": "Add \"{name}\" as a new supplier",
+  "supplier.added": "Supplier \"{name}\" added",
+  "supplier.createFailed": "Failed to create supplier",
+  "supplier.pan": "PAN {pan}",
+  "supplier.linked": "Linked to supplier directory",
+  "supplier.notLinked": "Not linked — pick a suggestion to link",
+  "item.namePlaceholder": "e.g., Office Chair",
+
+  // Line items
+  "lines.add": "Add line",
+  "lines.itemNameLabel": "Item name (line {line})",
+  "lines.quantityLabel": "Quantity (line {line})",
+  "lines.rateLabel": "Rate (line {line})",
+  "lines.qty": "Qty",
+  "lines.qtyUnit": "Qty ({unit})",
+  "lines.remove": "Remove line",
+  "lines.removeLabel": "Remove line {line}",
+
+  // New purchase form
+  "create.draftRestored": "Restored your unsaved purchase",
+  "create.nothingToSave": "Nothing to save yet",
+  "create.overBudgetLine": "{budget}: over by {amount}",
+  "create.overBudgetConfirm": "This purchase would exceed the monthly budget:\n{list}\n\nSubmit anyway?",
+  "create.savedOffline": "Saved on this device — it will sync when you're back online",
+  "create.draftSaved": "Draft saved",
+  "create.submitted": "Purchase submitted for approval",
+  "create.failed": "Failed to create purchase",
+  "create.convertedAt": "≈ {amount} at 1 {currency} = {rate}",
+  "create.noRateYet": "No {currency} exchange rate for this date yet",
+  "create.budgetWouldBeOver": "{budget} budget would be over by {amount}",
+  "create.saveDraft": "Save draft",
+  "create.submit": "Submit for approval",
+  "create.submitting": "Submitting…",
+
+  // Discount, VAT and other charges
+  "bill.discount": "Discount",
+  "bill.discountType": "Discount type",
+  "bill.discount-percent": "%",
+  "bill.discount-flat": "Amount",
+  "bill.vatApplicable": "VAT applicable",
+  "bill.vatRate": "VAT rate (%)",
+  "bill.charges": "Other charges",
+  "bill.chargeLabelFor": "Other charge {line}",
+  "bill.chargeAmountFor": "Other charge {line} amount",
+  "bill.chargeAmount": "Amount",
+  "bill.chargePlaceholder": "e.g., Transport",
+  "bill.chargeTaxable": "Taxable",
+  "bill.chargeTaxableHint": "Include this charge in the amount VAT is charged on",
+  "bill.addCharge": "Add charge",
+  "bill.removeCharge": "Remove charge {line}",
+  "bill.subtotal": "Subtotal",
+  "bill.taxableAmount": "Taxable amount",
+  "bill.vatAt": "VAT ({rate}%)",
+
+  // Bill / receipt attachments
+  "attachments.label": "Bill / receipt",
+  "attachments.choose": "Attach photo or PDF",
+  "attachments.takePhoto": "Take photo",
+  "attachments.hint": "Photos are compressed; up to {size} per file",
+  "attachments.compressing": "Compressing…",
+  "attachments.remove": "Remove {name}",
+  "attachments.keep": "Keep {name}",
+  "attachments.undo": "Undo",
+  "attachments.unsupported": "{name}: only photos and PDFs can be attached",
+  "attachments.tooLarge": "{name} is larger than {size}",
+  "attachments.tooMany": "Up to {max} attachments per purchase",
+  "attachments.uploadFailed": "Purchase saved, but its attachments could not be uploaded. Add them again from the purchase list.",
+  "attachments.updateFailed": "Some attachment changes could not be saved",
+  "attachments.view": "View {count} attachments",
+  "attachments.view_one": "View attachment",
+  "attachments.ofCount": "{index} of {count}",
+  "attachments.prev": "Previous attachment",
+  "attachments.next": "Next attachment",
+  "attachments.download": "Download",
+  "attachments.loadFailed": "Could not load this attachment",
+  "attachments.noPreview": "No preview for this file type",
+
+  // Printable register and purchase documents
+  "print.print": "Print / Save as PDF",
+  "print.orgPan": "PAN: {pan}",
+  "print.name": "Name",
+  "print.date": "Date",
+  "print.preparedBy": "Prepared by",
+  "print.checkedBy": "Checked by",
+  "print.approvedBy": "Approved by",
+  "print.supplierAcceptance": "Supplier's acceptance",
+  "print.registerTitle": "Purchase register",
+  "print.allDates": "All dates",
+  "print.noFilters": "No filters",
+  "print.generatedOn": "Generated on {date}",
+  "print.refNo": "Ref no.",
+  "print.foreignAmount": "Foreign amount",
+  "print.vatBase": "VAT ({currency})",
+  "print.totalBase": "Total ({currency})",
+  "print.undated": "No date",
+  "print.monthSubtotal": "Subtotal ({count} purchases)",
+  "print.monthSubtotal_one": "Subtotal ({count} purchase)",
+  "print.grandTotal": "Grand total ({count} purchases)",
+  "print.grandTotal_one": "Grand total ({count} purchase)",
+  "print.convertedNote": "Foreign-currency purchases are converted to {currency} at the rate stored with each purchase.",
+  "print.noRate": "No rate",
+  "print.unconvertedNote": "{count} foreign-currency purchases have no exchange rate yet and are left out of the {currency} totals.",
+  "print.unconvertedNote_one": "{count} foreign-currency purchase has no exchange rate yet and is left out of the {currency} totals.",
+  "print.purchaseTitle": "Purchase",
+  "print.orderTitle": "Purchase order",
+  "print.documentType": "Document",
+  "print.orderTo": "To",
+  "print.supplierPan": "PAN: {pan}",
+  "print.reviewComment": "Review comment",
+  "print.loadFailed": "Failed to load purchase",
+
+  // Purchase list
+  "list.title": "Purchases",
+  "list.subtitle": "Filtered purchases with a daily overview of this page (रु)",
+  "list.totalPerDay": "Total per day (रु)",
+  "list.loadFailed": "Failed to load purchases",
+  "list.updated": "Purchase updated",
+  "list.updateFailed": "Failed to update purchase",
+  "list.noRate": "No {currency} rate for this date",
+  "list.deleteConfirm": "Delete purchase \"{name}\"? This action cannot be undone.",
+  "list.itemFallback": "item",
+  "list.deleted": "Purchase deleted",
+  "list.deleteFailed": "Failed to delete purchase",
+  "list.submit": "Submit",
+  "list.submitted": "Submitted for approval",
+  "list.submitFailed": "Failed to submit purchase",
+  "list.nothingToExport": "Nothing to export for these filters",
+  "list.exported": "Exported {count} rows",
+  "list.exported_one": "Exported {count} row",
+  "list.exportFailed": "Failed to export purchases",
+  "list.exportFiltered": "Export filtered:",
+  "list.exporting": "Exporting…",
+  "list.print": "Print",
+  "list.printRegister": "Print register",
+  "list.hideLines": "Hide lines",
+  "list.showLines": "Show lines",
+  "list.lineCount": "{count} lines",
+  "list.ref": "Ref {ref}",
+  "list.vat": "VAT {amount}",
+  "list.rejectedComment": "Rejected: {comment}",
+  "list.sortBy": "Sort by",
+  "list.noMatches": "No purchases match these filters.",
+  "list.empty": "No purchases yet.",
+  "list.showing": "Showing {from}–{to} of {total}",
+  "list.noResults": "0 results",
+  "list.rows": "Rows",
+  "list.prev": "Prev",
+  "list.next": "Next",
+  "list.page": "Page {page} of {pages}",
+
+  "filters.label": "Filter purchases",
+  "filters.from": "From",
+  "filters.to": "To",
+  "filters.minTotal": "Min total",
+  "filters.maxTotal": "Max total",
+  "filters.apply": "Apply",
+  "filters.clear": "Clear",
+
+  // Purchases saved offline (Recent Purchases and the offline banner)
+  "offline.title": "Saved on this device ({count})",
+  "offline.pending": "Not yet synced",
+  "offline.conflict": "Sync conflict",
+  "offline.recorded": "recorded {when}",
+  "offline.retry": "Retry",
+  "offline.discard": "Discard",
+  "offline.purchaseFallback": "purchase",
+  "offline.synced": "Purchase synced",
+  "offline.retryFailed": "Failed to retry sync",
+  "offline.discardConfirm": "Discard \"{name}\"? It was never saved on the server and will be lost.",
+  "offline.discardAttachmentsConfirm": "Discard the attachments of \"{name}\"? The purchase is already saved; only the files waiting on this device are lost.",
+  "offline.discarded": "Offline purchase discarded",
+  "offline.discardFailed": "Failed to discard purchase",
+  "offline.syncedCount": "Synced {count} purchases recorded offline",
+  "offline.syncedCount_one": "Synced {count} purchase recorded offline",
+  "offline.conflictCount": "{count} offline purchases could not be synced — see Recent Purchases",
+  "offline.conflictCount_one": "{count} offline purchase could not be synced — see Recent Purchases",
+  "offline.banner": "You're offline. New purchases are saved on this device and synced when the connection returns.",
+  "offline.bannerWaiting": "You're offline. New purchases are saved on this device ({count} waiting) and synced when the connection returns.",
+  "offline.rejected": "The server rejected this purchase",
+  "offline.attachmentsRejected": "The purchase was saved, but its attachments were rejected: {error}",
+  "offline.uploadFailed": "upload failed",
+  "offline.noSavedId": "The purchase was sent, but the server did not return its id, so its attachments were not uploaded",
+
+  // Spreadsheet import
+  "import.title": "Import Purchases",
+  "import.subtitle": "Upload a CSV or Excel file, check the rows, then import them in one go",
+  "import.reading": "Reading…",
+  "import.chooseFile": "Choose file",
+  "import.fileRows": "{name} — {count} rows",
+  "import.fileRows_one": "{name} — {count} row",
+  "import.fileHint": "CSV (UTF-8) or XLSX, first row must be column headers",
+  "import.noRows": "The file has no data rows",
+  "import.readFailed": "Could not read the file",
+  "import.startOver": "Start over",
+  "import.mapColumns": "Map columns",
+  "import.selectColumn": "— select column —",
+  "import.notInFile": "— not in file —",
+  "import.column": "Column {index}",
+  "import.mapMissing": "Map a column for: {fields}",
+  "import.monthYearHint": "Month and year are filled from the buying date when not mapped.",
+  "import.previewRows": "Preview rows",
+  "import.preview": "Preview",
+  "import.readyCount": "{count} ready to import",
+  "import.needFixing": "{count} need fixing",
+  "import.changeMapping": "Change mapping",
+  "import.dropInvalid": "Drop invalid rows",
+  "import.importing": "Importing {done}/{total}…",
+  "import.importRows": "Import {count} rows",
+  "import.importRows_one": "Import {count} row",
+  "import.row": "Row",
+  "import.ok": "OK",
+  "import.drop": "Drop",
+  "import.dropRow": "Drop row {line}",
+  "import.allDropped": "All rows were dropped.",
+  "import.noValidRows": "There are no valid rows to import",
+  "import.created": "Created",
+  "import.createFailed": "Failed to create purchase",
+  "import.skipped": "Skipped: {error}",
+  "import.imported": "Imported {count} purchases for approval",
+  "import.imported_one": "Imported {count} purchase for approval",
+  "import.importedPartly": "Imported {created} of {total} rows",
+  "import.report": "Import report",
+  "import.reportSummary": "{created} created · {failed} failed or skipped",
+  "import.fixFailed": "Fix failed rows",
+  "import.another": "Import another file",
+  "import.result": "Result",
+
+  // Dashboard
+  "dashboard.welcome": "Welcome, {name}",
+  "dashboard.subtitle": "Overview of your activity and recent purchases",
+  "dashboard.myTotal": "My Total ({range})",
+  "dashboard.overallTotal": "Overall Total ({range})",
+  "dashboard.count": "Count",
+  "dashboard.approvedOnly": "Approved only",
+  "dashboard.calendar": "Calendar",
+  "dashboard.noReportRate": "No {currency} rate yet; showing {base}",
+  "dashboard.approvals": "Approvals",
+  "dashboard.exchangeRates": "Exchange rates",
+  "dashboard.auditLog": "Audit log",
+  "dashboard.adminUsers": "Admin Users",
+  "dashboard.adminLogin": "Admin Login",
+  "dashboard.budgetVsActual": "Budget vs actual",
+  "dashboard.manageBudgets": "Manage budgets",
+  "dashboard.noBudgets": "No budgets set yet.",
+  "dashboard.overallBudget": "Overall budget (this month)",
+  "dashboard.myBudget": "My budget (this month)",
+  "dashboard.addPurchase": "Add Purchase",
+  "dashboard.import": "Import CSV/Excel",
+  "dashboard.suppliers": "Suppliers",
+  "dashboard.scope": "Scope:",
+  "dashboard.mine": "Mine",
+  "dashboard.purchaseAdded": "Purchase added — refreshing dashboard",
+  "dashboard.viewOnly": "Your role ({role}) can view purchases but not record them.",
+  "dashboard.recentPurchases": "Recent Purchases",
+  "dashboard.dayPoints": "{count} day points",
+  "dashboard.dayPoints_one": "{count} day point",
+  "dashboard.activity": "Activity ({range})",
+  "dashboard.noActivity": "No activity data available for the selected scope.",
+  "dashboard.compare": "Compare (You vs All)",
+  "dashboard.byCategoryTitle": "Spending by Category",
+  "dashboard.byCategory": "By category",
+  "dashboard.manage": "Manage",
+  "dashboard.clickSlice": "Click a slice to filter purchases",
+  "dashboard.noCategoryData": "No category breakdown available",
+  "dashboard.adminUsersTitle": "Admin: Users",
+  "dashboard.uncategorized": "Uncategorized",
+  "dashboard.refreshFailed": "Failed to refresh dashboard",
+  "dashboard.loadFailed": "Failed to load dashboard data",
+  "dashboard.noPerUserDaily": "Per-user daily breakdown not available — showing overall totals instead.",
+  "dashboard.lineLabel": "Total ({range}) - {who}",
+  "dashboard.you": "You",
+  "dashboard.allUsers": "All users",
+  "dashboard.amount": "Amount",
+
+  "budgets.overall": "Overall",
+  "budgets.userLabel": "User: {name}",
+  "budgets.categoryLabel": "Category: {name}",
+  "budgets.percent": "{percent}%",
+  "budgets.used": "{label} budget used",
+  "budgets.spentOf": "{spent} of {amount}",
+  "budgets.overBy": "over by {amount}",
+  "budgets.left": "{amount} left",
+
+  "range.label": "Range",
+  "range.fromDate": "From date",
+  "range.toDate": "To date",
+  "range.last-30-days": "Last 30 days",
+  "range.this-month": "This month",
+  "range.last-month": "Last month",
+  "range.this-quarter": "This quarter",
+  "range.fiscal-ytd": "Fiscal year to date",
+  "range.custom": "Custom",
+
+  "role.viewer": "Viewer",
+  "role.purchaser": "Purchaser",
+  "role.approver": "Approver",
+  "role.finance": "Finance",
+  "role.admin": "Admin",
+
+  "roleDescription.viewer": "Read-only access to purchases and dashboards",
+  "roleDescription.purchaser": "Records and maintains purchases",
+  "roleDescription.approver": "Reviews and approves submitted purchases",
+  "roleDescription.finance": "Reporting, supplier records and exchange rates",
+  "roleDescription.admin": "Full access, including users and roles",
+
+  "permission.purchase:read": "View purchases and dashboards",
+  "permission.purchase:create": "Record new purchases",
+  "permission.purchase:edit": "Edit purchases",
+  "permission.purchase:delete": "Delete purchases",
+  "permission.purchase:import": "Import purchases from CSV/Excel",
+  "permission.purchase:approve": "Approve or reject purchases",
+  "permission.report:export": "Export purchases and reports",
+  "permission.supplier:manage": "Add, edit and merge suppliers",
+  "permission.item:manage": "Add and edit catalog items",
+  "permission.category:manage": "Manage purchase categories",
+  "permission.budget:manage": "Set spending budgets",
+  "permission.rate:manage": "Maintain exchange rates",
+  "permission.user:manage": "Manage users and roles",
+  "permission.audit:read": "View the audit log",
+
+  // Role picker
+  "roleUpdate.roleFor": "Role for {name}",
+  "roleUpdate.updated": "User {name} is now {role}",
+  "roleUpdate.failed": "Failed to update role",
+  "roleUpdate.apply": "Apply",
+  "roleUpdate.saving": "Saving…",
+  "roleUpdate.grants": "What this role can do",
+
+  // Admin users list
+  "users.title": "Users & Purchases ({range})",
+  "users.role": "Role",
+  "users.refresh": "Refresh",
+  "users.refreshing": "Refreshing…",
+  "users.empty": "No users found.",
+  "users.loadFailed": "Failed to load users",
+  "users.exportFailed": "Failed to export users",
+  "users.cannotDeleteSelf": "You cannot delete your own account",
+  "users.deleteConfirm": "Permanently delete user \"{name}\"? This cannot be undone. To keep their purchase history, deactivate the account instead.",
+  "users.deleting": "Deleting user...",
+  "users.deleted": "User deleted",
+  "users.deleteFailed": "Failed to delete user",
+  "users.add": "Add user",
+  "users.addTitle": "Add user",
+  "users.editTitle": "Edit {name}",
+  "users.created": "User {name} added",
+  "users.createFailed": "Failed to add user",
+  "users.updated": "User {name} updated",
+  "users.updateFailed": "Failed to update user",
+  "users.temporaryPassword": "Temporary password",
+  "users.temporaryPasswordHint": "Share it with the user; they choose their own password at first sign-in.",
+  "users.generate": "Generate",
+  "users.resetPassword": "Reset password",
+  "users.resetTitle": "Reset password for {name}",
+  "users.resetNote": "The user is signed out everywhere and must replace this temporary password at their next sign-in.",
+  "users.resetSubmit": "Reset password",
+  "users.resetDone": "Password reset. Share this temporary password with {name}:",
+  "users.resetFailed": "Failed to reset password",
+  "users.copy": "Copy",
+  "users.copied": "Copied",
+  "users.copyFailed": "Could not copy; select the password and copy it instead",
+  "users.done": "Done",
+  "users.inactive": "Deactivated",
+  "users.deactivate": "Deactivate",
+  "users.reactivate": "Reactivate",
+  "users.deactivateConfirm": "Deactivate \"{name}\"? They won't be able to sign in; their purchases are kept.",
+  "users.deactivated": "{name} deactivated",
+  "users.reactivated": "{name} reactivated",
+  "users.statusFailed": "Failed to change the account status",
+  "users.cannotDeactivateSelf": "You cannot deactivate your own account",
+  "users.cannotDemoteSelf": "You cannot remove your own user-management access",
+  "users.select": "Select {name}",
+  "users.selectAll": "Select all users",
+  "users.selected": "{count} selected",
+  "users.clearSelection": "Clear selection",
+  "users.bulkRole": "Change role to…",
+  "users.applyRole": "Apply role",
+  "users.bulkDeactivateConfirm": "Deactivate {count} users? They won't be able to sign in; their purchases are kept.",
+  "users.bulkDeactivateConfirm_one": "Deactivate {count} user? They won't be able to sign in; their purchases are kept.",
+  "users.bulkReactivateConfirm": "Reactivate {count} users?",
+  "users.bulkReactivateConfirm_one": "Reactivate {count} user?",
+  "users.bulkRoleConfirm": "Make {count} users {role}?",
+  "users.bulkRoleConfirm_one": "Make {count} user {role}?",
+  "users.bulkUpdated": "Updated {count} users",
+  "users.bulkUpdated_one": "Updated {count} user",
+  "users.bulkFailed": "Failed to update the selected users",
+
+  // Idle sign-out
+  "idle.title": "Are you still there?",
+  "idle.countdownBefore": "You'll be signed out in",
+  "idle.countdownAfter": "because of inactivity. Unsaved purchase entries are kept and restored when you sign back in.",
+  "idle.stay": "Stay signed in",
+  "idle.signedOut": "You were signed out after a period of inactivity.",
+
+  // Audit log
+  "audit.title": "Audit log",
+  "audit.subtitle": "Who managed users, recorded, edited or deleted purchases, and signed in",
+  "audit.actor": "Actor",
+  "audit.action": "Action",
+  "audit.allActions": "All actions",
+  "audit.when": "When",
+  "audit.target": "Target",
+  "audit.changes": "Changes",
+  "audit.field": "Field",
+  "audit.before": "Before",
+  "audit.after": "After",
+  "audit.fieldCount": "{count} fields",
+  "audit.fieldCount_one": "{count} field",
+  "audit.entryCount": "{count} entries",
+  "audit.entryCount_one": "{count} entry",
+  "audit.noMatches": "No audit entries match these filters.",
+  "audit.loadFailed": "Failed to load the audit log",
+  "audit.nothingToExport": "Nothing to export for these filters",
+  "audit.exported": "Exported {count} entries",
+  "audit.exported_one": "Exported {count} entry",
+  "audit.exportFailed": "Failed to export the audit log",
+  "auditAction.auth.login": "Signed in",
+  "auditAction.auth.passwordChange": "Password changed",
+  "auditAction.user.create": "User added",
+  "auditAction.user.update": "User edited",
+  "auditAction.user.role": "Role changed",
+  "auditAction.user.deactivate": "User deactivated",
+  "auditAction.user.reactivate": "User reactivated",
+  "auditAction.user.passwordReset": "Password reset",
+  "auditAction.user.delete": "User deleted",
+  "auditAction.purchase.create": "Purchase created",
+  "auditAction.purchase.update": "Purchase edited",
+  "auditAction.purchase.delete": "Purchase deleted",
+
+  // Change password
+  "password.title": "Change password",
+  "password.forcedNote": "An administrator reset the password for {name}. Choose a new password to continue.",
+  "password.current": "Current password",
+  "password.temporary": "Temporary password",
+  "password.new": "New password",
+  "password.confirm": "Confirm new password",
+  "password.currentRequired": "Enter your current password",
+  "password.mismatch": "The new passwords don't match",
+  "password.unchanged": "Choose a password different from the current one",
+  "password.submit": "Change password",
+  "password.changed": "Password changed",
+  "password.changeFailed": "Failed to change password",
+  "password.logout": "Log out",
+
+  // Calendars
+  "calendar.AD": "AD",
+  "calendar.BS": "BS",
+  "calendar.dateBs": "Date (BS)",
+  "calendar.yearBs": "Year (BS)",
+  "calendar.monthBs": "Month (BS)",
+  "calendar.dayBs": "Day (BS)",
+  "calendar.day": "Day",
+  "calendar.bsMonth1": "Baisakh",
+  "calendar.bsMonth2": "Jestha",
+  "calendar.bsMonth3": "Asar",
+  "calendar.bsMonth4": "Shrawan",
+  "calendar.bsMonth5": "Bhadra",
+  "calendar.bsMonth6": "Asoj",
+  "calendar.bsMonth7": "Kartik",
+  "calendar.bsMonth8": "Mangsir",
+  "calendar.bsMonth9": "Poush",
+  "calendar.bsMonth10": "Magh",
+  "calendar.bsMonth11": "Falgun",
+  "calendar.bsMonth12": "Chaitra",
+};
+
+export default en;
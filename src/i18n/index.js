@@ -0,0 +1,71 @@
+// Translation layer
+// -----------------
+// Messages live in flat catalogs keyed by "area.name" (en.js, ne.js). English is
+// complete; any key missing from another language falls back to English, and a
+// key missing everywhere is shown as-is so gaps are easy to spot.
+//
+// Placeholders: t("list.lineCount", { count: 3 }) fills "{count}". Numbers are
+// written with the language's digits (Devanagari for Nepali), as are amounts
+// from utils/money and dates from utils/bikramSambat.
+//
+// The active language is module state so plain utilities (validation messages,
+// money and date formatting) follow it; components read it through
+// context/LanguageContext, which also keeps it in sync with the user's choice.
+import en from "./en";
+import ne from "./ne";
+
+export const LANGUAGES = {
+  en: { label: "English", locale: undefined, catalog: en }, // the browser's own English date style
+  ne: { label: "नेपाली", locale: "ne-NP", catalog: ne },
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const isLanguage = (value) => Object.prototype.hasOwnProperty.call(LANGUAGES, value ?? "");
+
+let activeLanguage = DEFAULT_LANGUAGE;
+
+export const getLanguage = () => activeLanguage;
+
+export function setLanguage(language) {
+  activeLanguage = isLanguage(language) ? language : DEFAULT_LANGUAGE;
+}
+
+// BCP 47 locale for Intl / toLocale* calls in the active (or given) language; undefined = browser default
+export const localeOf = (language = activeLanguage) => LANGUAGES[language]?.locale;
+
+const DEVANAGARI_DIGITS = "०१२३४५६७८९";
+
+/**
+ * Write the digits in `text` the way `language` does: Devanagari for Nepali,
+ * ASCII otherwise (Intl's ne-NP output is converted back for English).
+ */
+export function localizeDigits(text, language = activeLanguage) {
+  const s = String(text ?? "");
+  if (language === "ne") return s.replace(/[0-9]/g, (d) => DEVANAGARI_DIGITS[d]);
+  return s.replace(/[०-९]/g, (d) => String(DEVANAGARI_DIGITS.indexOf(d)));
+}
+
+// Plain number with grouping in the active language, e.g. formatNumber(1200) -> "1,200" / "१,२००"
+export function formatNumber(value, language = activeLanguage) {
+  const n = Number(value ?? 0);
+  return localizeDigits(Number.isFinite(n) ? n.toLocaleString("en-IN", { maximumFractionDigits: 2 }) : String(value), language);
+}
+
+/**
+ * Message for `key` in `language`, falling back to English, with {placeholders} filled from `params`.
+ * A "_one" variant of the key is used when params.count is 1.
+ */
+export function translate(language, key, params = {}) {
+  // A language's own message beats the English "_one" variant (Nepali has no separate singular)
+  const pick = (catalog) => (catalog && ((params.count === 1 && catalog[`${key}_one`]) || catalog[key])) || null;
+  const message = pick(LANGUAGES[language]?.catalog) ?? pick(en) ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === "number" ? formatNumber(value, language) : String(value ?? "");
+  });
+}
+
+// translate() in the active language, for code outside components
+export const t = (key, params) => translate(activeLanguage, key, params);
@@ -0,0 +1,46 @@
+import en from "./en";
+import ne from "./ne";
+import { localizeDigits, setLanguage, t, translate } from ".";
+
+afterEach(() => setLanguage("en"));
+
+test("falls back to English, then to the key itself", () => {
+  expect(translate("ne", "status.approved")).toBe("स्वीकृत");
+  expect(translate("ne", "budgets.percent", { percent: 40 })).toBe("४०%");
+  expect(translate("fr", "status.approved")).toBe("Approved");
+  expect(translate("ne", "no.such.key")).toBe("no.such.key");
+});
+
+test("fills placeholders with the language's digits", () => {
+  expect(translate("en", "list.page", { page: 2, pages: 10 })).toBe("Page 2 of 10");
+  expect(translate("ne", "list.page", { page: 2, pages: 10 })).toBe("पृष्ठ २ / १०");
+  expect(translate("en", "list.ref", { ref: "INV-7" })).toBe("Ref INV-7");
+  expect(translate("en", "validation.lineError", { line: 1 })).toBe("Line 1: {error}");
+});
+
+test("uses the _one variant only where the language has no own message", () => {
+  expect(translate("en", "list.exported", { count: 1 })).toBe("Exported 1 row");
+  expect(translate("en", "list.exported", { count: 3 })).toBe("Exported 3 rows");
+  expect(translate("ne", "list.exported", { count: 1 })).toBe("१ पङ्क्ति निर्यात भयो");
+});
+
+test("t() follows the active language", () => {
+  setLanguage("ne");
+  expect(t("calendar.bsMonth4")).toBe("साउन");
+  setLanguage("xx");
+  expect(t("calendar.bsMonth4")).toBe("Shrawan");
+});
+
+test("converts digits both ways", () => {
+  expect(localizeDigits("रु 1,234.50", "ne")).toBe("रु १,२३४.५०");
+  expect(localizeDigits("१,२३४.५०", "en")).toBe("1,234.50");
+  expect(localizeDigits(null, "ne")).toBe("");
+});
+
+test("Nepali keys and placeholders exist in English", () => {
+  const placeholders = (s) => (s.match(/\{\w+\}/g) ?? []).sort();
+  for (const [key, message] of Object.entries(ne)) {
+    expect(en).toHaveProperty([key]);
+    expect(placeholders(message)).toEqual(placeholders(en[key]));
+  }
+});
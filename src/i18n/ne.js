@@ -0,0 +1,548 @@
+// Nepali messages. Keys missing here fall back to English (see ./index.js),
+// so new strings can ship in en.js first and be translated later.
+const ne = {
+  // Shared
+  "common.actions": "कार्यहरू",
+  "common.addOption": "\"{name}\" थप्नुहोस्",
+  "common.all": "सबै",
+  "common.anyOption": "— कुनै पनि —",
+  "common.backToDashboard": "ड्यासबोर्डमा फर्कनुहोस्",
+  "common.cancel": "रद्द गर्नुहोस्",
+  "common.close": "बन्द गर्नुहोस्",
+  "common.delete": "मेटाउनुहोस्",
+  "common.deleting": "मेटाउँदै…",
+  "common.edit": "सम्पादन",
+  "common.email": "इमेल",
+  "common.hide": "लुकाउनुहोस्",
+  "common.hidePassword": "पासवर्ड लुकाउनुहोस्",
+  "common.language": "भाषा",
+  "common.loading": "लोड हुँदैछ…",
+  "common.noData": "डाटा छैन",
+  "common.noneOption": "— कुनै छैन —",
+  "common.password": "पासवर्ड",
+  "common.reset": "रिसेट",
+  "common.save": "सुरक्षित गर्नुहोस्",
+  "common.saving": "सुरक्षित गर्दै…",
+  "common.show": "देखाउनुहोस्",
+  "common.showPassword": "पासवर्ड देखाउनुहोस्",
+  "common.username": "प्रयोगकर्ता नाम",
+
+  // Sign in / register
+  "login.title": "साइन इन",
+  "login.usernamePlaceholder": "तपाईंको प्रयोगकर्ता नाम",
+  "login.missingFields": "कृपया प्रयोगकर्ता नाम र पासवर्ड दुवै लेख्नुहोस्।",
+  "login.success": "सफलतापूर्वक साइन इन भयो!",
+  "login.failed": "साइन इन असफल भयो",
+  "login.submit": "साइन इन",
+  "login.submitting": "साइन इन हुँदैछ...",
+  "login.noAccount": "खाता छैन?",
+  "login.register": "दर्ता गर्नुहोस्",
+  "register.title": "खाता बनाउनुहोस्",
+  "register.usernameRequired": "प्रयोगकर्ता नाम आवश्यक छ",
+  "register.emailRequired": "इमेल आवश्यक छ",
+  "register.emailInvalid": "कृपया मान्य इमेल ठेगाना लेख्नुहोस्",
+  "register.passwordRequired": "पासवर्ड आवश्यक छ",
+  "register.passwordTooShort": "पासवर्ड कम्तीमा {min} अक्षरको हुनुपर्छ",
+  "register.passwordPlaceholder": "पासवर्ड बनाउनुहोस्",
+  "register.success": "दर्ता सफल भयो — साइन इन गर्दै…",
+  "register.failed": "दर्ता असफल भयो",
+  "register.submit": "खाता बनाउनुहोस्",
+  "register.submitting": "खाता बनाउँदै…",
+  "register.haveAccount": "पहिले नै खाता छ?",
+
+  // Purchase fields
+  "purchase.buyingDate": "खरिद मिति",
+  "purchase.category": "वर्ग",
+  "purchase.currency": "मुद्रा",
+  "purchase.date": "मिति",
+  "purchase.grandTotal": "कुल जम्मा ({count} लाइन)",
+  "purchase.grandTotalShort": "कुल जम्मा",
+  "purchase.item": "सामान",
+  "purchase.itemName": "सामानको नाम",
+  "purchase.itemSummary": "{name} + थप {count}",
+  "purchase.items": "सामानहरू",
+  "purchase.lineTotal": "लाइन जम्मा",
+  "purchase.month": "महिना",
+  "purchase.qty": "परिमाण",
+  "purchase.quantity": "परिमाण",
+  "purchase.rate": "दर",
+  "purchase.referenceNo": "बिल / सन्दर्भ नं.",
+  "purchase.referenceNoPlaceholder": "जस्तै, INV-1024",
+  "purchase.status": "स्थिति",
+  "purchase.subcategory": "उपवर्ग",
+  "purchase.supplier": "आपूर्तिकर्ता",
+  "purchase.total": "जम्मा",
+  "purchase.year": "वर्ष",
+
+  "status.draft": "मस्यौदा",
+  "status.submitted": "स्वीकृति बाँकी",
+  "status.approved": "स्वीकृत",
+  "status.rejected": "अस्वीकृत",
+
+  "currency.NPR": "नेपाली रुपैयाँ",
+  "currency.INR": "भारतीय रुपैयाँ",
+  "currency.USD": "अमेरिकी डलर",
+
+  // Validation (utils/purchaseForm)
+  "validation.buyingDateRequired": "खरिद मिति आवश्यक छ",
+  "validation.itemNameRequired": "सामानको नाम आवश्यक छ",
+  "validation.quantityPositive": "परिमाण ० भन्दा ठूलो संख्या हुनुपर्छ",
+  "validation.ratePositive": "दर ० भन्दा ठूलो संख्या हुनुपर्छ",
+  "validation.noExchangeRate": "{date} वा सोभन्दा अघिको {currency} विनिमय दर छैन। अर्थ शाखालाई थप्न अनुरोध गर्नुहोस्।",
+  "validation.noLines": "कम्तीमा एउटा सामान थप्नुहोस्",
+  "validation.lineError": "लाइन {line}: {error}",
+  "validation.discountNegative": "छुट ऋणात्मक हुन सक्दैन",
+  "validation.discountPercentMax": "छुट १००% भन्दा बढी हुन सक्दैन",
+  "validation.vatRateInvalid": "भ्याट दर ० वा सोभन्दा बढी संख्या हुनुपर्छ",
+  "validation.chargeNegative": "अन्य शुल्क ऋणात्मक हुन सक्दैन",
+  "validation.chargeLabelRequired": "प्रत्येक अन्य शुल्कको विवरण लेख्नुहोस् (जस्तै, ढुवानी)",
+
+  // Supplier and item fields
+  "supplier.namePlaceholder": "आपूर्तिकर्ताको नाम",
+  "supplier.addNew": "\"{name}\" लाई नयाँ आपूर्तिकर्ताको रूपमा थप्नुहोस्",
+  "supplier.added": "आपूर्तिकर्ता \"{name}\" थपियो",
+  "supplier.createFailed": "आपूर्तिकर्ता बनाउन सकिएन",
+  "supplier.pan": "प्यान {pan}",
+  "supplier.linked": "आपूर्तिकर्ता सूचीसँग जोडिएको",
+  "supplier.notLinked": "जोडिएको छैन — जोड्न सुझाव छान्नुहोस्",
+  "item.namePlaceholder": "जस्तै, अफिस कुर्सी",
+
+  // Line items
+  "lines.add": "लाइन थप्नुहोस्",
+  "lines.itemNameLabel": "सामानको नाम (लाइन {line})",
+  "lines.quantityLabel": "परिमाण (लाइन {line})",
+  "lines.rateLabel": "दर (लाइन {line})",
+  "lines.qty": "परिमाण",
+  "lines.qtyUnit": "परिमाण ({unit})",
+  "lines.remove": "लाइन हटाउनुहोस्",
+  "lines.removeLabel": "लाइन {line} हटाउनुहोस्",
+
+  // New purchase form
+  "create.draftRestored": "तपाईंको सुरक्षित नगरिएको खरिद फर्काइयो",
+  "create.nothingToSave": "सुरक्षित गर्न केही छैन",
+  "create.overBudgetLine": "{budget}: {amount} ले बढी",
+  "create.overBudgetConfirm": "यो खरिदले मासिक बजेट नाघ्नेछ:\n{list}\n\nजे भए पनि पेश गर्ने?",
+  "create.savedOffline": "यही उपकरणमा सुरक्षित भयो — अनलाइन हुँदा सिंक हुनेछ",
+  "create.draftSaved": "मस्यौदा सुरक्षित भयो",
+  "create.submitted": "खरिद स्वीकृतिका लागि पेश भयो",
+  "create.failed": "खरिद बनाउन सकिएन",
+  "create.convertedAt": "≈ {amount} (१ {currency} = {rate})",
+  "create.noRateYet": "यो मितिको {currency} विनिमय दर अझै छैन",
+  "create.budgetWouldBeOver": "{budget} बजेट {amount} ले नाघ्नेछ",
+  "create.saveDraft": "मस्यौदा सुरक्षित गर्नुहोस्",
+  "create.submit": "स्वीकृतिका लागि पेश गर्नुहोस्",
+  "create.submitting": "पेश गर्दै…",
+
+  // Discount, VAT and other charges
+  "bill.discount": "छुट",
+  "bill.discountType": "छुटको किसिम",
+  "bill.discount-percent": "%",
+  "bill.discount-flat": "रकम",
+  "bill.vatApplicable": "भ्याट लाग्ने",
+  "bill.vatRate": "भ्याट दर (%)",
+  "bill.charges": "अन्य शुल्क",
+  "bill.chargeLabelFor": "अन्य शुल्क {line}",
+  "bill.chargeAmountFor": "अन्य शुल्क {line} को रकम",
+  "bill.chargeAmount": "रकम",
+  "bill.chargePlaceholder": "जस्तै, ढुवानी",
+  "bill.chargeTaxable": "करयोग्य",
+  "bill.chargeTaxableHint": "यो शुल्कलाई भ्याट लाग्ने रकममा समावेश गर्नुहोस्",
+  "bill.addCharge": "शुल्क थप्नुहोस्",
+  "bill.removeCharge": "शुल्क {line} हटाउनुहोस्",
+  "bill.subtotal": "उप-जम्मा",
+  "bill.taxableAmount": "करयोग्य रकम",
+  "bill.vatAt": "भ्याट ({rate}%)",
+
+  // Bill / receipt attachments
+  "attachments.label": "बिल / रसिद",
+  "attachments.choose": "फोटो वा PDF जोड्नुहोस्",
+  "attachments.takePhoto": "फोटो खिच्नुहोस्",
+  "attachments.hint": "फोटोहरू सानो बनाइन्छ; प्रति फाइल {size} सम्म",
+  "attachments.compressing": "सानो बनाउँदै…",
+  "attachments.remove": "{name} हटाउनुहोस्",
+  "attachments.keep": "{name} राख्नुहोस्",
+  "attachments.undo": "फिर्ता",
+  "attachments.unsupported": "{name}: फोटो र PDF मात्र जोड्न सकिन्छ",
+  "attachments.tooLarge": "{name} {size} भन्दा ठूलो छ",
+  "attachments.tooMany": "प्रति खरिद बढीमा {max} वटा फाइल",
+  "attachments.uploadFailed": "खरिद सुरक्षित भयो, तर फाइलहरू अपलोड हुन सकेनन्। खरिद सूचीबाट फेरि जोड्नुहोस्।",
+  "attachments.updateFailed": "केही फाइल परिवर्तन सुरक्षित हुन सकेनन्",
+  "attachments.view": "{count} वटा फाइल हेर्नुहोस्",
+  "attachments.ofCount": "{count} मध्ये {index}",
+  "attachments.prev": "अघिल्लो फाइल",
+  "attachments.next": "अर्को फाइल",
+  "attachments.download": "डाउनलोड",
+  "attachments.loadFailed": "यो फाइल लोड गर्न सकिएन",
+  "attachments.noPreview": "यो किसिमको फाइलको पूर्वावलोकन छैन",
+
+  // Printable register and purchase documents
+  "print.print": "प्रिन्ट / PDF सेभ",
+  "print.orgPan": "प्यान: {pan}",
+  "print.name": "नाम",
+  "print.date": "मिति",
+  "print.preparedBy": "तयार गर्ने",
+  "print.checkedBy": "जाँच गर्ने",
+  "print.approvedBy": "स्वीकृत गर्ने",
+  "print.supplierAcceptance": "आपूर्तिकर्ताको स्वीकृति",
+  "print.registerTitle": "खरिद खाता",
+  "print.allDates": "सबै मिति",
+  "print.noFilters": "फिल्टर छैन",
+  "print.generatedOn": "{date} मा तयार गरिएको",
+  "print.refNo": "सन्दर्भ नं.",
+  "print.foreignAmount": "विदेशी रकम",
+  "print.vatBase": "भ्याट ({currency})",
+  "print.totalBase": "जम्मा ({currency})",
+  "print.undated": "मिति छैन",
+  "print.monthSubtotal": "उप-जम्मा ({count} खरिद)",
+  "print.grandTotal": "कुल जम्मा ({count} खरिद)",
+  "print.convertedNote": "विदेशी मुद्राका खरिदहरू प्रत्येक खरिदसँग राखिएको दरमा {currency} मा रूपान्तरण गरिएका छन्।",
+  "print.noRate": "दर छैन",
+  "print.unconvertedNote": "विदेशी मुद्राका {count} खरिदको विनिमय दर अझै छैन, त्यसैले {currency} जम्मामा समावेश गरिएको छैन।",
+  "print.purchaseTitle": "खरिद",
+  "print.orderTitle": "खरिद आदेश",
+  "print.documentType": "कागजात",
+  "print.orderTo": "प्रति",
+  "print.supplierPan": "प्यान: {pan}",
+  "print.reviewComment": "समीक्षा टिप्पणी",
+  "print.loadFailed": "खरिद लोड गर्न सकिएन",
+
+  // Purchase list
+  "list.title": "खरिदहरू",
+  "list.subtitle": "फिल्टर गरिएका खरिदहरू र यस पृष्ठको दैनिक सारांश (रु)",
+  "list.totalPerDay": "दैनिक जम्मा (रु)",
+  "list.loadFailed": "खरिदहरू लोड गर्न सकिएन",
+  "list.updated": "खरिद अद्यावधिक भयो",
+  "list.updateFailed": "खरिद अद्यावधिक गर्न सकिएन",
+  "list.noRate": "यो मितिको {currency} दर छैन",
+  "list.deleteConfirm": "खरिद \"{name}\" मेटाउने? यो कार्य फिर्ता गर्न सकिँदैन।",
+  "list.itemFallback": "सामान",
+  "list.deleted": "खरिद मेटाइयो",
+  "list.deleteFailed": "खरिद मेटाउन सकिएन",
+  "list.submit": "पेश गर्नुहोस्",
+  "list.submitted": "स्वीकृतिका लागि पेश भयो",
+  "list.submitFailed": "खरिद पेश गर्न सकिएन",
+  "list.nothingToExport": "यी फिल्टरमा निर्यात गर्न केही छैन",
+  "list.exported": "{count} पङ्क्ति निर्यात भयो",
+  "list.exportFailed": "खरिदहरू निर्यात गर्न सकिएन",
+  "list.exportFiltered": "फिल्टर गरिएको निर्यात:",
+  "list.exporting": "निर्यात गर्दै…",
+  "list.print": "प्रिन्ट",
+  "list.printRegister": "खरिद खाता प्रिन्ट",
+  "list.hideLines": "लाइनहरू लुकाउनुहोस्",
+  "list.showLines": "लाइनहरू देखाउनुहोस्",
+  "list.lineCount": "{count} लाइन",
+  "list.ref": "सन्दर्भ {ref}",
+  "list.vat": "भ्याट {amount}",
+  "list.rejectedComment": "अस्वीकृत: {comment}",
+  "list.sortBy": "क्रमबद्ध",
+  "list.noMatches": "यी फिल्टरसँग मिल्ने खरिद छैन।",
+  "list.empty": "अहिलेसम्म कुनै खरिद छैन।",
+  "list.showing": "{total} मध्ये {from}–{to}",
+  "list.noResults": "० नतिजा",
+  "list.rows": "पङ्क्ति",
+  "list.prev": "अघिल्लो",
+  "list.next": "अर्को",
+  "list.page": "पृष्ठ {page} / {pages}",
+
+  "filters.label": "खरिद फिल्टर",
+  "filters.from": "देखि",
+  "filters.to": "सम्म",
+  "filters.minTotal": "न्यूनतम जम्मा",
+  "filters.maxTotal": "अधिकतम जम्मा",
+  "filters.apply": "लागू गर्नुहोस्",
+  "filters.clear": "हटाउनुहोस्",
+
+  // Purchases saved offline (Recent Purchases and the offline banner)
+  "offline.title": "यो उपकरणमा सुरक्षित ({count})",
+  "offline.pending": "सिंक हुन बाँकी",
+  "offline.conflict": "सिंक द्वन्द्व",
+  "offline.recorded": "{when} मा राखिएको",
+  "offline.retry": "फेरि प्रयास",
+  "offline.discard": "हटाउनुहोस्",
+  "offline.purchaseFallback": "खरिद",
+  "offline.synced": "खरिद सिंक भयो",
+  "offline.retryFailed": "फेरि सिंक गर्न सकिएन",
+  "offline.discardConfirm": "\"{name}\" हटाउने? यो सर्भरमा कहिल्यै सुरक्षित भएन र हराउनेछ।",
+  "offline.discardAttachmentsConfirm": "\"{name}\" का संलग्नकहरू हटाउने? खरिद पहिले नै सुरक्षित छ; यो उपकरणमा पर्खिरहेका फाइल मात्र हराउनेछन्।",
+  "offline.discarded": "अफलाइन खरिद हटाइयो",
+  "offline.discardFailed": "खरिद हटाउन सकिएन",
+  "offline.syncedCount": "अफलाइनमा राखिएका {count} खरिद सिंक भए",
+  "offline.conflictCount": "{count} अफलाइन खरिद सिंक हुन सकेनन् — हालका खरिदहरू हेर्नुहोस्",
+  "offline.banner": "तपाईं अफलाइन हुनुहुन्छ। नयाँ खरिदहरू यो उपकरणमा सुरक्षित हुन्छन् र जडान फर्केपछि सिंक हुन्छन्।",
+  "offline.bannerWaiting": "तपाईं अफलाइन हुनुहुन्छ। नयाँ खरिदहरू यो उपकरणमा सुरक्षित हुन्छन् ({count} पर्खिरहेका) र जडान फर्केपछि सिंक हुन्छन्।",
+  "offline.rejected": "सर्भरले यो खरिद अस्वीकार गर्‍यो",
+  "offline.attachmentsRejected": "खरिद सुरक्षित भयो, तर यसका संलग्नकहरू अस्वीकार भए: {error}",
+  "offline.uploadFailed": "अपलोड असफल भयो",
+  "offline.noSavedId": "खरिद पठाइयो, तर सर्भरले यसको आईडी फर्काएन, त्यसैले संलग्नकहरू अपलोड भएनन्",
+
+  // Spreadsheet import
+  "import.title": "खरिद आयात",
+  "import.subtitle": "CSV वा Excel फाइल अपलोड गर्नुहोस्, पङ्क्तिहरू जाँच्नुहोस्, अनि एकैपटक आयात गर्नुहोस्",
+  "import.reading": "पढ्दै…",
+  "import.chooseFile": "फाइल छान्नुहोस्",
+  "import.fileRows": "{name} — {count} पङ्क्ति",
+  "import.fileHint": "CSV (UTF-8) वा XLSX, पहिलो पङ्क्तिमा स्तम्भका शीर्षक हुनुपर्छ",
+  "import.noRows": "फाइलमा डाटा पङ्क्ति छैन",
+  "import.readFailed": "फाइल पढ्न सकिएन",
+  "import.startOver": "फेरि सुरु गर्नुहोस्",
+  "import.mapColumns": "स्तम्भ मिलाउनुहोस्",
+  "import.selectColumn": "— स्तम्भ छान्नुहोस् —",
+  "import.notInFile": "— फाइलमा छैन —",
+  "import.column": "स्तम्भ {index}",
+  "import.mapMissing": "यिनका लागि स्तम्भ मिलाउनुहोस्: {fields}",
+  "import.monthYearHint": "महिना र वर्ष नमिलाएमा खरिद मितिबाट भरिन्छ।",
+  "import.previewRows": "पङ्क्तिहरू हेर्नुहोस्",
+  "import.preview": "पूर्वावलोकन",
+  "import.readyCount": "{count} आयात गर्न तयार",
+  "import.needFixing": "{count} सच्याउनुपर्ने",
+  "import.changeMapping": "स्तम्भ मिलान बदल्नुहोस्",
+  "import.dropInvalid": "अमान्य पङ्क्ति हटाउनुहोस्",
+  "import.importing": "आयात गर्दै {done}/{total}…",
+  "import.importRows": "{count} पङ्क्ति आयात गर्नुहोस्",
+  "import.row": "पङ्क्ति",
+  "import.ok": "ठीक",
+  "import.drop": "हटाउनुहोस्",
+  "import.dropRow": "पङ्क्ति {line} हटाउनुहोस्",
+  "import.allDropped": "सबै पङ्क्ति हटाइए।",
+  "import.noValidRows": "आयात गर्न कुनै मान्य पङ्क्ति छैन",
+  "import.created": "बनाइयो",
+  "import.createFailed": "खरिद बनाउन सकिएन",
+  "import.skipped": "छोडियो: {error}",
+  "import.imported": "स्वीकृतिका लागि {count} खरिद आयात भयो",
+  "import.importedPartly": "{total} मध्ये {created} पङ्क्ति आयात भयो",
+  "import.report": "आयात प्रतिवेदन",
+  "import.reportSummary": "{created} बनाइयो · {failed} असफल वा छोडियो",
+  "import.fixFailed": "असफल पङ्क्ति सच्याउनुहोस्",
+  "import.another": "अर्को फाइल आयात गर्नुहोस्",
+  "import.result": "नतिजा",
+
+  // Dashboard
+  "dashboard.welcome": "स्वागत छ, {name}",
+  "dashboard.subtitle": "तपाईंको गतिविधि र हालका खरिदहरूको सारांश",
+  "dashboard.myTotal": "मेरो जम्मा ({range})",
+  "dashboard.overallTotal": "कुल जम्मा ({range})",
+  "dashboard.count": "संख्या",
+  "dashboard.approvedOnly": "स्वीकृत मात्र",
+  "dashboard.calendar": "पात्रो",
+  "dashboard.noReportRate": "{currency} दर अझै छैन; {base} मा देखाइँदै",
+  "dashboard.approvals": "स्वीकृतिहरू",
+  "dashboard.exchangeRates": "विनिमय दरहरू",
+  "dashboard.auditLog": "अडिट लग",
+  "dashboard.adminUsers": "प्रयोगकर्ता व्यवस्थापन",
+  "dashboard.adminLogin": "एडमिन लगइन",
+  "dashboard.budgetVsActual": "बजेट र वास्तविक खर्च",
+  "dashboard.manageBudgets": "बजेट व्यवस्थापन",
+  "dashboard.noBudgets": "अहिलेसम्म बजेट तोकिएको छैन।",
+  "dashboard.overallBudget": "कुल बजेट (यो महिना)",
+  "dashboard.myBudget": "मेरो बजेट (यो महिना)",
+  "dashboard.addPurchase": "खरिद थप्नुहोस्",
+  "dashboard.import": "CSV/Excel आयात",
+  "dashboard.suppliers": "आपूर्तिकर्ताहरू",
+  "dashboard.scope": "दायरा:",
+  "dashboard.mine": "मेरो",
+  "dashboard.purchaseAdded": "खरिद थपियो — ड्यासबोर्ड ताजा गर्दै",
+  "dashboard.viewOnly": "तपाईंको भूमिका ({role}) ले खरिद हेर्न सक्छ तर दर्ता गर्न सक्दैन।",
+  "dashboard.recentPurchases": "हालका खरिदहरू",
+  "dashboard.dayPoints": "{count} दिनको डाटा",
+  "dashboard.activity": "गतिविधि ({range})",
+  "dashboard.noActivity": "छानिएको दायराका लागि गतिविधि डाटा छैन।",
+  "dashboard.compare": "तुलना (तपाईं र सबै)",
+  "dashboard.byCategoryTitle": "वर्ग अनुसार खर्च",
+  "dashboard.byCategory": "वर्ग अनुसार",
+  "dashboard.manage": "व्यवस्थापन",
+  "dashboard.clickSlice": "खरिद फिल्टर गर्न टुक्रामा क्लिक गर्नुहोस्",
+  "dashboard.noCategoryData": "वर्ग अनुसारको विवरण उपलब्ध छैन",
+  "dashboard.adminUsersTitle": "एडमिन: प्रयोगकर्ताहरू",
+  "dashboard.uncategorized": "वर्गविहीन",
+  "dashboard.refreshFailed": "ड्यासबोर्ड ताजा गर्न सकिएन",
+  "dashboard.loadFailed": "ड्यासबोर्ड डाटा लोड गर्न सकिएन",
+  "dashboard.noPerUserDaily": "प्रयोगकर्ता अनुसारको दैनिक विवरण उपलब्ध छैन — कुल जम्मा देखाइँदै।",
+  "dashboard.lineLabel": "जम्मा ({range}) - {who}",
+  "dashboard.you": "तपाईं",
+  "dashboard.allUsers": "सबै प्रयोगकर्ता",
+  "dashboard.amount": "रकम",
+
+  "budgets.overall": "कुल",
+  "budgets.userLabel": "प्रयोगकर्ता: {name}",
+  "budgets.categoryLabel": "वर्ग: {name}",
+  "budgets.used": "{label} बजेट प्रयोग",
+  "budgets.spentOf": "{amount} मध्ये {spent}",
+  "budgets.overBy": "{amount} ले बढी",
+  "budgets.left": "{amount} बाँकी",
+
+  "range.label": "अवधि",
+  "range.fromDate": "सुरु मिति",
+  "range.toDate": "अन्तिम मिति",
+  "range.last-30-days": "पछिल्लो ३० दिन",
+  "range.this-month": "यो महिना",
+  "range.last-month": "गत महिना",
+  "range.this-quarter": "यो त्रैमासिक",
+  "range.fiscal-ytd": "आर्थिक वर्ष हालसम्म",
+  "range.custom": "आफैं छान्नुहोस्",
+
+  "role.viewer": "दर्शक",
+  "role.purchaser": "खरिदकर्ता",
+  "role.approver": "स्वीकृतकर्ता",
+  "role.finance": "अर्थ",
+  "role.admin": "एडमिन",
+
+  "roleDescription.viewer": "खरिद र ड्यासबोर्ड हेर्न मात्र पाउने",
+  "roleDescription.purchaser": "खरिद रेकर्ड गर्ने र मिलाउने",
+  "roleDescription.approver": "पेश गरिएका खरिद जाँच्ने र स्वीकृत गर्ने",
+  "roleDescription.finance": "रिपोर्ट, आपूर्तिकर्ता रेकर्ड र विनिमय दर",
+  "roleDescription.admin": "प्रयोगकर्ता र भूमिकासहित पूर्ण पहुँच",
+
+  "permission.purchase:read": "खरिद र ड्यासबोर्ड हेर्ने",
+  "permission.purchase:create": "नयाँ खरिद रेकर्ड गर्ने",
+  "permission.purchase:edit": "खरिद सम्पादन गर्ने",
+  "permission.purchase:delete": "खरिद मेटाउने",
+  "permission.purchase:import": "CSV/Excel बाट खरिद आयात गर्ने",
+  "permission.purchase:approve": "खरिद स्वीकृत वा अस्वीकृत गर्ने",
+  "permission.report:export": "खरिद र रिपोर्ट निर्यात गर्ने",
+  "permission.supplier:manage": "आपूर्तिकर्ता थप्ने, सम्पादन गर्ने र गाभ्ने",
+  "permission.item:manage": "सूचीका सामान थप्ने र सम्पादन गर्ने",
+  "permission.category:manage": "खरिद वर्गहरू व्यवस्थापन गर्ने",
+  "permission.budget:manage": "खर्च बजेट तोक्ने",
+  "permission.rate:manage": "विनिमय दर मिलाउने",
+  "permission.user:manage": "प्रयोगकर्ता र भूमिका व्यवस्थापन गर्ने",
+  "permission.audit:read": "अडिट लग हेर्ने",
+
+  // Role picker
+  "roleUpdate.roleFor": "{name} को भूमिका",
+  "roleUpdate.updated": "प्रयोगकर्ता {name} अब {role} हुनुभयो",
+  "roleUpdate.failed": "भूमिका अद्यावधिक गर्न सकिएन",
+  "roleUpdate.apply": "लागू गर्नुहोस्",
+  "roleUpdate.saving": "सुरक्षित गर्दै…",
+  "roleUpdate.grants": "यो भूमिकाले के गर्न सक्छ",
+
+  // Admin users list
+  "users.title": "प्रयोगकर्ता र खरिद ({range})",
+  "users.role": "भूमिका",
+  "users.refresh": "ताजा गर्नुहोस्",
+  "users.refreshing": "ताजा गर्दै…",
+  "users.empty": "कुनै प्रयोगकर्ता भेटिएन।",
+  "users.loadFailed": "प्रयोगकर्ताहरू लोड गर्न सकिएन",
+  "users.exportFailed": "प्रयोगकर्ताहरू निर्यात गर्न सकिएन",
+  "users.cannotDeleteSelf": "तपाईं आफ्नै खाता मेटाउन सक्नुहुन्न",
+  "users.deleteConfirm": "प्रयोगकर्ता \"{name}\" स्थायी रूपमा मेटाउने? यो फिर्ता गर्न सकिँदैन। खरिद इतिहास राख्न खाता निष्क्रिय गर्नुहोस्।",
+  "users.deleting": "प्रयोगकर्ता मेटाउँदै...",
+  "users.deleted": "प्रयोगकर्ता मेटाइयो",
+  "users.deleteFailed": "प्रयोगकर्ता मेटाउन सकिएन",
+  "users.add": "प्रयोगकर्ता थप्नुहोस्",
+  "users.addTitle": "प्रयोगकर्ता थप्नुहोस्",
+  "users.editTitle": "{name} सम्पादन",
+  "users.created": "प्रयोगकर्ता {name} थपियो",
+  "users.createFailed": "प्रयोगकर्ता थप्न सकिएन",
+  "users.updated": "प्रयोगकर्ता {name} अद्यावधिक गरियो",
+  "users.updateFailed": "प्रयोगकर्ता अद्यावधिक गर्न सकिएन",
+  "users.temporaryPassword": "अस्थायी पासवर्ड",
+  "users.temporaryPasswordHint": "यो प्रयोगकर्तालाई दिनुहोस्; पहिलो पटक साइन इन गर्दा उनले आफ्नै पासवर्ड राख्नेछन्।",
+  "users.generate": "बनाउनुहोस्",
+  "users.resetPassword": "पासवर्ड रिसेट",
+  "users.resetTitle": "{name} को पासवर्ड रिसेट",
+  "users.resetNote": "प्रयोगकर्ता सबैतिरबाट साइन आउट हुनेछन् र अर्को साइन इनमा यो अस्थायी पासवर्ड बदल्नुपर्नेछ।",
+  "users.resetSubmit": "पासवर्ड रिसेट गर्नुहोस्",
+  "users.resetDone": "पासवर्ड रिसेट भयो। यो अस्थायी पासवर्ड {name} लाई दिनुहोस्:",
+  "users.resetFailed": "पासवर्ड रिसेट गर्न सकिएन",
+  "users.copy": "कपी",
+  "users.copied": "कपी भयो",
+  "users.copyFailed": "कपी गर्न सकिएन; पासवर्ड छानेर कपी गर्नुहोस्",
+  "users.done": "भयो",
+  "users.inactive": "निष्क्रिय",
+  "users.deactivate": "निष्क्रिय गर्नुहोस्",
+  "users.reactivate": "पुनः सक्रिय गर्नुहोस्",
+  "users.deactivateConfirm": "\"{name}\" लाई निष्क्रिय गर्ने? उनी साइन इन गर्न सक्ने छैनन्; खरिदहरू रहिरहनेछन्।",
+  "users.deactivated": "{name} निष्क्रिय गरियो",
+  "users.reactivated": "{name} पुनः सक्रिय गरियो",
+  "users.statusFailed": "खाताको अवस्था बदल्न सकिएन",
+  "users.cannotDeactivateSelf": "तपाईं आफ्नै खाता निष्क्रिय गर्न सक्नुहुन्न",
+  "users.cannotDemoteSelf": "तपाईं आफ्नै प्रयोगकर्ता व्यवस्थापन अधिकार हटाउन सक्नुहुन्न",
+  "users.select": "{name} छान्नुहोस्",
+  "users.selectAll": "सबै प्रयोगकर्ता छान्नुहोस्",
+  "users.selected": "{count} छानिएको",
+  "users.clearSelection": "छनोट हटाउनुहोस्",
+  "users.bulkRole": "भूमिका बदल्नुहोस्…",
+  "users.applyRole": "भूमिका लागू गर्नुहोस्",
+  "users.bulkDeactivateConfirm": "{count} प्रयोगकर्ता निष्क्रिय गर्ने? उनीहरू साइन इन गर्न सक्ने छैनन्; खरिदहरू रहिरहनेछन्।",
+  "users.bulkReactivateConfirm": "{count} प्रयोगकर्ता पुनः सक्रिय गर्ने?",
+  "users.bulkRoleConfirm": "{count} प्रयोगकर्तालाई {role} बनाउने?",
+  "users.bulkUpdated": "{count} प्रयोगकर्ता अद्यावधिक गरियो",
+  "users.bulkFailed": "छानिएका प्रयोगकर्ता अद्यावधिक गर्न सकिएन",
+
+  // Idle sign-out
+  "idle.title": "तपाईं अझै हुनुहुन्छ?",
+  "idle.countdownBefore": "निष्क्रियताका कारण तपाईं",
+  "idle.countdownAfter": "मा साइन आउट हुनुहुनेछ। सुरक्षित नगरिएका खरिद प्रविष्टिहरू राखिन्छन् र फेरि साइन इन गर्दा फर्किन्छन्।",
+  "idle.stay": "साइन इन रहनुहोस्",
+  "idle.signedOut": "लामो समय निष्क्रिय रहेकाले तपाईं साइन आउट हुनुभयो।",
+
+  // Audit log
+  "audit.title": "अडिट लग",
+  "audit.subtitle": "कसले प्रयोगकर्ता व्यवस्थापन गरे, खरिद राखे, सम्पादन वा मेटाए, र साइन इन गरे",
+  "audit.actor": "कर्ता",
+  "audit.action": "कार्य",
+  "audit.allActions": "सबै कार्य",
+  "audit.when": "कहिले",
+  "audit.target": "लक्ष्य",
+  "audit.changes": "परिवर्तन",
+  "audit.field": "फिल्ड",
+  "audit.before": "पहिले",
+  "audit.after": "पछि",
+  "audit.fieldCount": "{count} फिल्ड",
+  "audit.entryCount": "{count} प्रविष्टि",
+  "audit.noMatches": "यी फिल्टरसँग मिल्ने कुनै अडिट प्रविष्टि छैन।",
+  "audit.loadFailed": "अडिट लग लोड गर्न सकिएन",
+  "audit.nothingToExport": "यी फिल्टरमा निर्यात गर्न केही छैन",
+  "audit.exported": "{count} प्रविष्टि निर्यात गरियो",
+  "audit.exportFailed": "अडिट लग निर्यात गर्न सकिएन",
+  "auditAction.auth.login": "साइन इन गरे",
+  "auditAction.auth.passwordChange": "पासवर्ड बदले",
+  "auditAction.user.create": "प्रयोगकर्ता थपियो",
+  "auditAction.user.update": "प्रयोगकर्ता सम्पादन गरियो",
+  "auditAction.user.role": "भूमिका बदलियो",
+  "auditAction.user.deactivate": "प्रयोगकर्ता निष्क्रिय गरियो",
+  "auditAction.user.reactivate": "प्रयोगकर्ता पुनः सक्रिय गरियो",
+  "auditAction.user.passwordReset": "पासवर्ड रिसेट गरियो",
+  "auditAction.user.delete": "प्रयोगकर्ता मेटाइयो",
+  "auditAction.purchase.create": "खरिद बनाइयो",
+  "auditAction.purchase.update": "खरिद सम्पादन गरियो",
+  "auditAction.purchase.delete": "खरिद मेटाइयो",
+
+  // Change password
+  "password.title": "पासवर्ड बदल्नुहोस्",
+  "password.forcedNote": "प्रशासकले {name} को पासवर्ड रिसेट गर्नुभयो। जारी राख्न नयाँ पासवर्ड राख्नुहोस्।",
+  "password.current": "हालको पासवर्ड",
+  "password.temporary": "अस्थायी पासवर्ड",
+  "password.new": "नयाँ पासवर्ड",
+  "password.confirm": "नयाँ पासवर्ड पुष्टि",
+  "password.currentRequired": "हालको पासवर्ड लेख्नुहोस्",
+  "password.mismatch": "नयाँ पासवर्डहरू मिलेनन्",
+  "password.unchanged": "हालको भन्दा फरक पासवर्ड राख्नुहोस्",
+  "password.submit": "पासवर्ड बदल्नुहोस्",
+  "password.changed": "पासवर्ड बदलियो",
+  "password.changeFailed": "पासवर्ड बदल्न सकिएन",
+  "password.logout": "लग आउट",
+
+  // Calendars
+  "calendar.AD": "ई.सं.",
+  "calendar.BS": "वि.सं.",
+  "calendar.dateBs": "मिति (वि.सं.)",
+  "calendar.yearBs": "वर्ष (वि.सं.)",
+  "calendar.monthBs": "महिना (वि.सं.)",
+  "calendar.dayBs": "गते (वि.सं.)",
+  "calendar.day": "गते",
+  "calendar.bsMonth1": "बैशाख",
+  "calendar.bsMonth2": "जेठ",
+  "calendar.bsMonth3": "असार",
+  "calendar.bsMonth4": "साउन",
+  "calendar.bsMonth5": "भदौ",
+  "calendar.bsMonth6": "असोज",
+  "calendar.bsMonth7": "कात्तिक",
+  "calendar.bsMonth8": "मंसिर",
+  "calendar.bsMonth9": "पुस",
+  "calendar.bsMonth10": "माघ",
+  "calendar.bsMonth11": "फागुन",
+  "calendar.bsMonth12": "चैत",
+};
+
+export default ne;
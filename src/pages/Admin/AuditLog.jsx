@@ -0,0 +1,298 @@
+import { Fragment, useCallback, useEffect, useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import toast, { Toaster } from "react-hot-toast";
+import { getAllAuditEntries, getAuditLog } from "../../services/auditService";
+import { getErrorMessage } from "../../services/apiClient";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_PAGE_SIZE,
+  auditActionLabel,
+  auditChanges,
+  auditQueryToApiParams,
+  describeChanges,
+  formatAuditValue,
+} from "../../utils/audit";
+import { downloadCsv, downloadXlsx, fileDateStamp } from "../../utils/exportFile";
+import { rangeToSearchParams } from "../../utils/dateRange";
+import { formatCalendarDate } from "../../utils/bikramSambat";
+import { localeOf, localizeDigits } from "../../i18n";
+import { useTranslation } from "../../context/LanguageContext";
+import useCalendar from "../../hooks/useCalendar";
+import useDateRange from "../../hooks/useDateRange";
+import DateRangePicker from "../../components/DateRangePicker";
+
+const EXPORT_COLUMNS = [
+  { key: "at", header: "Timestamp" },
+  { key: "actorName", header: "Actor" },
+  { key: "action", header: "Action", value: (e) => AUDIT_ACTIONS[e.action] ?? e.action },
+  { key: "targetType", header: "Target type" },
+  { key: "targetLabel", header: "Target", value: (e) => e.targetLabel || e.targetId || "" },
+  { key: "changes", header: "Changes", value: (e) => describeChanges(e) },
+  { key: "before", header: "Before", value: (e) => (e.before == null ? "" : JSON.stringify(e.before)) },
+  { key: "after", header: "After", value: (e) => (e.after == null ? "" : JSON.stringify(e.after)) },
+];
+
+const inputClass =
+  "px-2 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm focus:outline-none focus:ring-2 focus:ring-green-500";
+const buttonClass =
+  "px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60";
+
+/**
+ * Admin: audit trail of user management, purchase creates / edits / deletes and sign-ins.
+ * - Filter by actor (username), action and date range; filters and page are kept in the URL
+ * - Each row expands to the before → after value of every changed field
+ * - CSV / Excel export of every entry matching the filters
+ * Entries are written by the server; this page only reads them.
+ */
+export default function AuditLog() {
+  const { t } = useTranslation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [range] = useDateRange();
+  const [calendar] = useCalendar();
+  const actor = searchParams.get("actor") ?? "";
+  const action = AUDIT_ACTIONS[searchParams.get("action")] ? searchParams.get("action") : "";
+  const page = Math.max(1, parseInt(searchParams.get("page"), 10) || 1);
+
+  const [actorInput, setActorInput] = useState(actor);
+  const [log, setLog] = useState({ entries: [], total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(null); // "csv" | "xlsx" | null
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => setActorInput(actor), [actor]);
+
+  const filters = useMemo(() => ({ actor, action, from: range.from, to: range.to }), [actor, action, range.from, range.to]);
+
+  const fetchLog = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { entries, total } = await getAuditLog(auditQueryToApiParams({ ...filters, page, pageSize: AUDIT_PAGE_SIZE }));
+      setLog({ entries, total });
+    } catch (err) {
+      toast.error(getErrorMessage(err, t("audit.loadFailed")));
+      console.error(err);
+      setLog({ entries: [], total: 0 });
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page, t]);
+
+  useEffect(() => {
+    fetchLog();
+  }, [fetchLog]);
+
+  // Merge a patch into the URL; changing a filter goes back to page 1
+  const updateParams = (patch) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries({ page: "", ...patch }).forEach(([key, value]) => {
+        if (value === "" || value == null || (key === "page" && Number(value) === 1)) next.delete(key);
+        else next.set(key, String(value));
+      });
+      return next;
+    });
+    setExpandedId(null);
+  };
+
+  // Same as useDateRange's setter, but a new range also goes back to page 1
+  const handleRange = (next) => {
+    setSearchParams((prev) => {
+      const params = rangeToSearchParams(next, prev);
+      params.delete("page");
+      return params;
+    });
+    setExpandedId(null);
+  };
+
+  const handleActorSubmit = (e) => {
+    e.preventDefault();
+    updateParams({ actor: actorInput.trim() });
+  };
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const entries = await getAllAuditEntries(auditQueryToApiParams(filters));
+      if (!entries.length) {
+        toast.error(t("audit.nothingToExport"));
+        return;
+      }
+      const filename = `audit-log-${range.from}-to-${range.to}-${fileDateStamp()}.${format}`;
+      if (format === "xlsx") {
+        await downloadXlsx(filename, "Audit log", EXPORT_COLUMNS, entries);
+      } else {
+        downloadCsv(filename, EXPORT_COLUMNS, entries);
+      }
+      toast.success(t("audit.exported", { count: entries.length }));
+    } catch (err) {
+      toast.error(getErrorMessage(err, t("audit.exportFailed")));
+      console.error(err);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const formatWhen = (at) => {
+    const date = at ? new Date(at) : null;
+    if (!date || isNaN(date)) return "—";
+    const time = date.toLocaleTimeString(localeOf(), { hour: "2-digit", minute: "2-digit" });
+    return `${formatCalendarDate(date, calendar, "long")} ${localizeDigits(time)}`;
+  };
+
+  const pages = Math.max(1, Math.ceil(log.total / AUDIT_PAGE_SIZE));
+
+  return (
+    <>
+      <Toaster position="top-right" />
+      <div className="p-6 space-y-6">
+        <header className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">{t("audit.title")}</h1>
+            <p className="text-sm text-gray-600">{t("audit.subtitle")}</p>
+          </div>
+          <Link
+            to="/dashboard"
+            className="inline-flex items-center gap-2 px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50"
+          >
+            {t("common.backToDashboard")}
+          </Link>
+        </header>
+
+        <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm space-y-4">
+          <div className="flex flex-wrap items-end justify-between gap-3">
+            <div className="flex flex-wrap items-center gap-3">
+              <form onSubmit={handleActorSubmit} className="flex items-center gap-2 text-sm">
+                <label htmlFor="auditActor" className="text-gray-500">
+                  {t("audit.actor")}
+                </label>
+                <input
+                  id="auditActor"
+                  type="search"
+                  value={actorInput}
+                  onChange={(e) => setActorInput(e.target.value)}
+                  onBlur={() => actorInput.trim() !== actor && updateParams({ actor: actorInput.trim() })}
+                  placeholder={t("common.username")}
+                  className={inputClass}
+                />
+              </form>
+              <label className="flex items-center gap-2 text-sm">
+                <span className="text-gray-500">{t("audit.action")}</span>
+                <select value={action} onChange={(e) => updateParams({ action: e.target.value })} className={inputClass}>
+                  <option value="">{t("audit.allActions")}</option>
+                  {Object.keys(AUDIT_ACTIONS).map((key) => (
+                    <option key={key} value={key}>
+                      {auditActionLabel(key)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <DateRangePicker
+                id="auditRange"
+                value={range}
+                onChange={handleRange}
+              />
+            </div>
+            <div className="flex items-center gap-2">
+              <button onClick={() => handleExport("csv")} disabled={Boolean(exporting) || loading || log.total === 0} className={buttonClass}>
+                {exporting === "csv" ? t("list.exporting") : "CSV"}
+              </button>
+              <button onClick={() => handleExport("xlsx")} disabled={Boolean(exporting) || loading || log.total === 0} className={buttonClass}>
+                {exporting === "xlsx" ? t("list.exporting") : "Excel"}
+              </button>
+            </div>
+          </div>
+
+          {loading && !log.entries.length ? (
+            <div className="text-sm text-gray-500">{t("common.loading")}</div>
+          ) : log.entries.length === 0 ? (
+            <div className="text-sm text-gray-500">{t("audit.noMatches")}</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full table-auto">
+                <thead className="bg-gray-50 dark:bg-gray-900">
+                  <tr>
+                    <th className="text-left px-4 py-2 text-sm font-medium text-gray-600">{t("audit.when")}</th>
+                    <th className="text-left px-4 py-2 text-sm font-medium text-gray-600">{t("audit.actor")}</th>
+                    <th className="text-left px-4 py-2 text-sm font-medium text-gray-600">{t("audit.action")}</th>
+                    <th className="text-left px-4 py-2 text-sm font-medium text-gray-600">{t("audit.target")}</th>
+                    <th className="text-left px-4 py-2 text-sm font-medium text-gray-600">{t("audit.changes")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {log.entries.map((entry) => {
+                    const changes = auditChanges(entry);
+                    const expanded = expandedId === entry.id;
+                    return (
+                      <Fragment key={entry.id}>
+                        <tr className="border-t align-top">
+                          <td className="px-4 py-2 text-sm whitespace-nowrap">{formatWhen(entry.at)}</td>
+                          <td className="px-4 py-2 text-sm">{entry.actorName || "—"}</td>
+                          <td className="px-4 py-2 text-sm">{auditActionLabel(entry.action)}</td>
+                          <td className="px-4 py-2 text-sm">
+                            {entry.targetLabel || entry.targetId || "—"}
+                            {entry.targetType && <span className="ml-1 text-xs text-gray-500">({entry.targetType})</span>}
+                          </td>
+                          <td className="px-4 py-2 text-sm">
+                            {changes.length === 0 ? (
+                              <span className="text-gray-400">—</span>
+                            ) : (
+                              <button
+                                onClick={() => setExpandedId(expanded ? null : entry.id)}
+                                aria-expanded={expanded}
+                                className="text-green-600 dark:text-green-400 hover:underline"
+                              >
+                                {expanded ? t("common.hide") : t("audit.fieldCount", { count: changes.length })}
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                        {expanded && (
+                          <tr className="bg-gray-50 dark:bg-gray-900">
+                            <td colSpan="5" className="px-4 py-2">
+                              <table className="text-xs">
+                                <thead>
+                                  <tr className="text-gray-500">
+                                    <th className="text-left pr-4 py-1 font-medium">{t("audit.field")}</th>
+                                    <th className="text-left pr-4 py-1 font-medium">{t("audit.before")}</th>
+                                    <th className="text-left py-1 font-medium">{t("audit.after")}</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {changes.map((c) => (
+                                    <tr key={c.field} className="align-top">
+                                      <td className="pr-4 py-1 font-medium">{c.field}</td>
+                                      <td className="pr-4 py-1 text-red-700 dark:text-red-300 break-all">{formatAuditValue(c.before)}</td>
+                                      <td className="py-1 text-green-700 dark:text-green-300 break-all">{formatAuditValue(c.after)}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {log.total > AUDIT_PAGE_SIZE && (
+            <div className="flex items-center justify-end gap-2 text-sm">
+              <span className="text-gray-500">
+                {t("list.page", { page, pages })} · {t("audit.entryCount", { count: log.total })}
+              </span>
+              <button onClick={() => updateParams({ page: page - 1 })} disabled={loading || page <= 1} className={buttonClass}>
+                {t("list.prev")}
+              </button>
+              <button onClick={() => updateParams({ page: page + 1 })} disabled={loading || page >= pages} className={buttonClass}>
+                {t("list.next")}
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
+    </>
+  );
+}
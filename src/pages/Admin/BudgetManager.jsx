@@ -0,0 +1,201 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import toast, { Toaster } from "react-hot-toast";
+import useBudgets from "../../hooks/useBudgets";
+import useCategories from "../../hooks/useCategories";
+import { deleteBudget, saveBudget } from "../../services/budgetService";
+import { getUserTotals } from "../../services/userService";
+import { getErrorMessage } from "../../services/apiClient";
+import { budgetProgress, findBudget } from "../../utils/budgets";
+import { formatMoney } from "../../utils/money";
+
+/**
+ * Admin: monthly spending budgets.
+ * - One overall limit, plus optional limits per top-level category and per user
+ * - Each row shows this month's spending against the current limit
+ * - A limit applies to every month until it is changed or removed
+ */
+
+const inputClass =
+  "w-32 px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm text-right focus:outline-none focus:ring-2 focus:ring-green-500";
+
+const LEVEL_CLASS = { ok: "text-gray-600 dark:text-gray-300", warn: "text-yellow-700", over: "text-red-600 font-medium" };
+
+const rowKey = (scope, targetId) => `${scope}:${targetId ?? ""}`;
+
+export default function BudgetManager() {
+  const { budgets, loading, reload } = useBudgets();
+  const { tree } = useCategories();
+  const [users, setUsers] = useState([]);
+  const [edits, setEdits] = useState({}); // { rowKey: amount typed but not saved }
+  const [busy, setBusy] = useState(false);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setUsers(await getUserTotals());
+    } catch (error) {
+      const message = getErrorMessage(error, "Failed to load users");
+      toast.error(message);
+      console.error(error);
+      setUsers([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const run = async (action, successMessage, fallbackError) => {
+    setBusy(true);
+    try {
+      await action();
+      toast.success(successMessage);
+      await reload();
+      return true;
+    } catch (err) {
+      const message = getErrorMessage(err, fallbackError);
+      toast.error(message);
+      console.error(err);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const clearEdit = (key) =>
+    setEdits((prev) => {
+      const { [key]: _, ...rest } = prev;
+      return rest;
+    });
+
+  const handleSave = async (scope, targetId, name) => {
+    const key = rowKey(scope, targetId);
+    const amount = Number(edits[key]);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      toast.error("Enter a monthly limit greater than zero");
+      return;
+    }
+    if (await run(() => saveBudget({ scope, targetId, amount }), `Budget for ${name} saved`, "Failed to save budget")) {
+      clearEdit(key);
+    }
+  };
+
+  const handleRemove = async (budget, name) => {
+    const ok = window.confirm(`Remove the monthly budget for ${name}?`);
+    if (!ok) return;
+    if (await run(() => deleteBudget(budget.id), `Budget for ${name} removed`, "Failed to remove budget")) {
+      clearEdit(rowKey(budget.scope, budget.targetId));
+    }
+  };
+
+  const renderRow = (scope, targetId, name) => {
+    const key = rowKey(scope, targetId);
+    const budget = findBudget(budgets, scope, targetId);
+    const progress = budget ? budgetProgress(budget) : null;
+    const value = edits[key] ?? (budget ? String(budget.amount) : "");
+    const dirty = edits[key] != null && edits[key] !== String(budget?.amount ?? "");
+
+    return (
+      <tr key={key} className="border-t">
+        <td className="px-4 py-2 text-sm">{name}</td>
+        <td className={`px-4 py-2 text-sm text-right ${progress ? LEVEL_CLASS[progress.level] : "text-gray-400"}`}>
+          {progress ? `${formatMoney(progress.spent)} (${Math.round(progress.ratio * 100)}%)` : "—"}
+        </td>
+        <td className="px-4 py-2 text-sm text-right">
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={value}
+            onChange={(e) => setEdits((prev) => ({ ...prev, [key]: e.target.value }))}
+            placeholder="No limit"
+            className={inputClass}
+            aria-label={`Monthly budget for ${name}`}
+          />
+        </td>
+        <td className="px-4 py-2 text-sm text-center">
+          <div className="inline-flex items-center gap-2">
+            <button
+              onClick={() => handleSave(scope, targetId, name)}
+              disabled={busy || !dirty}
+              className="px-2 py-1 text-xs rounded bg-green-600 hover:bg-green-700 text-white disabled:opacity-60"
+            >
+              Save
+            </button>
+            {budget && (
+              <button
+                onClick={() => handleRemove(budget, name)}
+                disabled={busy}
+                className="px-2 py-1 text-xs rounded bg-red-500 hover:bg-red-600 text-white disabled:opacity-60"
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        </td>
+      </tr>
+    );
+  };
+
+  const renderTable = (title, rows, empty) => (
+    <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm overflow-x-auto">
+      <h2 className="px-4 pt-4 text-lg font-semibold">{title}</h2>
+      <table className="mt-2 min-w-full table-auto">
+        <thead className="bg-gray-50 dark:bg-gray-900">
+          <tr>
+            <th className="text-left px-4 py-2 text-sm font-medium text-gray-600">Name</th>
+            <th className="text-right px-4 py-2 text-sm font-medium text-gray-600">Spent this month</th>
+            <th className="text-right px-4 py-2 text-sm font-medium text-gray-600">Monthly limit (रु)</th>
+            <th className="text-center px-4 py-2 text-sm font-medium text-gray-600">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.length ? (
+            rows
+          ) : (
+            <tr>
+              <td colSpan="4" className="px-4 py-4 text-center text-sm text-gray-500">
+                {empty}
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </section>
+  );
+
+  return (
+    <>
+      <Toaster position="top-right" />
+      <div className="p-6 space-y-6">
+        <header className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">Budgets</h1>
+            <p className="text-sm text-gray-600">
+              Monthly spending limits shown on the Dashboard and checked when purchases are submitted
+              {loading ? " · Loading…" : ""}
+            </p>
+          </div>
+          <Link
+            to="/dashboard"
+            className="inline-flex items-center gap-2 px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50"
+          >
+            Back to dashboard
+          </Link>
+        </header>
+
+        {renderTable("Overall", [renderRow("overall", null, "All purchases")], null)}
+        {renderTable(
+          "Per category",
+          tree.map((c) => renderRow("category", c.id, c.name)),
+          "No categories yet."
+        )}
+        {renderTable(
+          "Per user",
+          users.map((u) => renderRow("user", u.userId, u.username)),
+          "No users found."
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,183 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import toast, { Toaster } from "react-hot-toast";
+import useCategories from "../../hooks/useCategories";
+import { createCategory, deleteCategory, updateCategory } from "../../services/categoryService";
+import { getErrorMessage } from "../../services/apiClient";
+
+/**
+ * Admin: manage purchase categories and their optional subcategories.
+ * - Add top-level categories and subcategories
+ * - Rename inline, delete with confirm (subcategories go with their parent)
+ */
+
+const inputClass =
+  "px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm focus:outline-none focus:ring-2 focus:ring-green-500";
+
+export default function CategoryManager() {
+  const { tree, loading, reload } = useCategories();
+  const [newName, setNewName] = useState("");
+  const [newSub, setNewSub] = useState({}); // { parentId: name }
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action, successMessage, fallbackError) => {
+    setBusy(true);
+    try {
+      await action();
+      toast.success(successMessage);
+      await reload();
+      return true;
+    } catch (err) {
+      const message = getErrorMessage(err, fallbackError);
+      toast.error(message);
+      console.error(err);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) {
+      toast.error("Category name is required");
+      return;
+    }
+    if (await run(() => createCategory({ name }), `Category "${name}" added`, "Failed to add category")) {
+      setNewName("");
+    }
+  };
+
+  const handleAddSub = async (parent) => {
+    const name = String(newSub[parent.id] ?? "").trim();
+    if (!name) {
+      toast.error("Subcategory name is required");
+      return;
+    }
+    const ok = await run(
+      () => createCategory({ name, parentId: parent.id }),
+      `Subcategory "${name}" added to ${parent.name}`,
+      "Failed to add subcategory"
+    );
+    if (ok) setNewSub((prev) => ({ ...prev, [parent.id]: "" }));
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    const name = renaming.name.trim();
+    if (!name) {
+      toast.error("Category name is required");
+      return;
+    }
+    if (await run(() => updateCategory(renaming.id, { name }), "Category renamed", "Failed to rename category")) {
+      setRenaming(null);
+    }
+  };
+
+  const handleDelete = async (category, isParent) => {
+    const extra = isParent && category.subcategories?.length ? ` and its ${category.subcategories.length} subcategories` : "";
+    const ok = window.confirm(`Delete "${category.name}"${extra}? Existing purchases keep their amounts but lose this category.`);
+    if (!ok) return;
+    await run(() => deleteCategory(category.id), `Deleted "${category.name}"`, "Failed to delete category");
+  };
+
+  const renderName = (c) =>
+    renaming?.id === c.id ? (
+      <form onSubmit={handleRename} className="inline-flex items-center gap-2">
+        <input value={renaming.name} onChange={(e) => setRenaming({ ...renaming, name: e.target.value })} className={inputClass} aria-label="Category name" autoFocus />
+        <button type="submit" disabled={busy} className="px-2 py-1 text-xs rounded bg-green-600 hover:bg-green-700 text-white disabled:opacity-60">
+          Save
+        </button>
+        <button type="button" onClick={() => setRenaming(null)} className="px-2 py-1 text-xs rounded border border-gray-300 dark:border-gray-700">
+          Cancel
+        </button>
+      </form>
+    ) : (
+      <span>{c.name}</span>
+    );
+
+  const renderActions = (c, isParent) =>
+    renaming?.id === c.id ? null : (
+      <div className="inline-flex items-center gap-2">
+        <button onClick={() => setRenaming({ id: c.id, name: c.name })} disabled={busy} className="px-2 py-1 text-xs rounded bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-60">
+          Rename
+        </button>
+        <button onClick={() => handleDelete(c, isParent)} disabled={busy} className="px-2 py-1 text-xs rounded bg-red-500 hover:bg-red-600 text-white disabled:opacity-60">
+          Delete
+        </button>
+      </div>
+    );
+
+  return (
+    <>
+      <Toaster position="top-right" />
+      <div className="p-6 space-y-6">
+        <header className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">Categories</h1>
+            <p className="text-sm text-gray-600">Purchase categories shown in forms, filters and the Dashboard</p>
+          </div>
+          <Link
+            to="/dashboard"
+            className="inline-flex items-center gap-2 px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50"
+          >
+            Back to dashboard
+          </Link>
+        </header>
+
+        <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm space-y-4">
+          <form onSubmit={handleAdd} className="flex items-center gap-2">
+            <input value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="New category, e.g., Stationery" className={`flex-1 ${inputClass}`} aria-label="New category name" />
+            <button type="submit" disabled={busy} className="px-4 py-1 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium disabled:opacity-60">
+              Add category
+            </button>
+          </form>
+
+          {loading && !tree.length ? (
+            <div className="text-sm text-gray-500">Loading…</div>
+          ) : tree.length === 0 ? (
+            <div className="text-sm text-gray-500">No categories yet.</div>
+          ) : (
+            <ul className="divide-y border border-gray-200 dark:border-gray-700 rounded-md">
+              {tree.map((c) => (
+                <li key={c.id} className="p-3 space-y-2">
+                  <div className="flex items-center justify-between gap-2 font-medium">
+                    {renderName(c)}
+                    {renderActions(c, true)}
+                  </div>
+
+                  {c.subcategories.length > 0 && (
+                    <ul className="ml-4 space-y-1">
+                      {c.subcategories.map((s) => (
+                        <li key={s.id} className="flex items-center justify-between gap-2 text-sm">
+                          <span className="text-gray-400 mr-1">↳</span>
+                          <div className="flex-1">{renderName(s)}</div>
+                          {renderActions(s, false)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  <div className="ml-4 flex items-center gap-2">
+                    <input
+                      value={newSub[c.id] ?? ""}
+                      onChange={(e) => setNewSub((prev) => ({ ...prev, [c.id]: e.target.value }))}
+                      placeholder="Add subcategory"
+                      className={`flex-1 ${inputClass}`}
+                      aria-label={`New subcategory of ${c.name}`}
+                    />
+                    <button onClick={() => handleAddSub(c)} disabled={busy} className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 text-sm hover:bg-gray-50 disabled:opacity-60">
+                      Add
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+    </>
+  );
+}
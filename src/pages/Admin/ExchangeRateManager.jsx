@@ -0,0 +1,155 @@
+import { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import toast, { Toaster } from "react-hot-toast";
+import useExchangeRates from "../../hooks/useExchangeRates";
+import { deleteExchangeRate, saveExchangeRate } from "../../services/exchangeRateService";
+import { getErrorMessage } from "../../services/apiClient";
+import { sortRates } from "../../utils/exchangeRates";
+import { BASE_CURRENCY, CURRENCIES, CURRENCY_CODES, formatMoney } from "../../utils/money";
+import { toISODate } from "../../utils/dateRange";
+
+/**
+ * Admin / finance: exchange rates to NPR by date.
+ * - Purchases use the latest rate dated on or before their buying date
+ * - Saving a currency + date that already exists replaces its rate
+ * - Delete with confirm; purchases already saved keep the rate they were stored with
+ */
+
+const inputClass =
+  "px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm focus:outline-none focus:ring-2 focus:ring-green-500";
+
+const FOREIGN_CURRENCIES = CURRENCY_CODES.filter((c) => c !== BASE_CURRENCY);
+
+export default function ExchangeRateManager() {
+  const { rates, loading, reload } = useExchangeRates();
+  const [form, setForm] = useState(() => ({ currency: FOREIGN_CURRENCIES[0], date: toISODate(new Date()), rate: "" }));
+  const [busy, setBusy] = useState(false);
+
+  const sorted = useMemo(() => sortRates(rates), [rates]);
+
+  const run = async (action, successMessage, fallbackError) => {
+    setBusy(true);
+    try {
+      await action();
+      toast.success(successMessage);
+      await reload();
+      return true;
+    } catch (err) {
+      const message = getErrorMessage(err, fallbackError);
+      toast.error(message);
+      console.error(err);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const rate = Number(form.rate);
+    if (!form.date) {
+      toast.error("Date is required");
+      return;
+    }
+    if (!Number.isFinite(rate) || rate <= 0) {
+      toast.error("Rate must be greater than zero");
+      return;
+    }
+    const ok = await run(
+      () => saveExchangeRate({ currency: form.currency, date: form.date, rate }),
+      `1 ${form.currency} = ${formatMoney(rate)} from ${form.date}`,
+      "Failed to save exchange rate"
+    );
+    if (ok) setForm((prev) => ({ ...prev, rate: "" }));
+  };
+
+  const handleDelete = async (r) => {
+    const ok = window.confirm(`Delete the ${r.currency} rate of ${r.date}? Purchases already saved keep their converted amounts.`);
+    if (!ok) return;
+    await run(() => deleteExchangeRate(r.id), "Exchange rate deleted", "Failed to delete exchange rate");
+  };
+
+  return (
+    <>
+      <Toaster position="top-right" />
+      <div className="p-6 space-y-6">
+        <header className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">Exchange rates</h1>
+            <p className="text-sm text-gray-600">Value of one unit of each currency in {BASE_CURRENCY}, by date</p>
+          </div>
+          <Link
+            to="/dashboard"
+            className="inline-flex items-center gap-2 px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50"
+          >
+            Back to dashboard
+          </Link>
+        </header>
+
+        <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm space-y-4">
+          <form onSubmit={handleSave} className="flex flex-wrap items-end gap-2">
+            <label className="text-xs text-gray-500">
+              <span className="block">Currency</span>
+              <select name="currency" value={form.currency} onChange={handleChange} className={inputClass}>
+                {FOREIGN_CURRENCIES.map((code) => (
+                  <option key={code} value={code}>
+                    {code} — {CURRENCIES[code].label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-gray-500">
+              <span className="block">Effective from</span>
+              <input name="date" type="date" value={form.date} onChange={handleChange} className={inputClass} />
+            </label>
+            <label className="text-xs text-gray-500">
+              <span className="block">Rate ({BASE_CURRENCY} per 1 {form.currency})</span>
+              <input name="rate" type="number" min="0" step="any" value={form.rate} onChange={handleChange} placeholder="e.g., 1.60" className={inputClass} />
+            </label>
+            <button type="submit" disabled={busy} className="px-4 py-1 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium disabled:opacity-60">
+              Save rate
+            </button>
+          </form>
+
+          {loading && !sorted.length ? (
+            <div className="text-sm text-gray-500">Loading…</div>
+          ) : sorted.length === 0 ? (
+            <div className="text-sm text-gray-500">No exchange rates yet. Purchases can only be recorded in {BASE_CURRENCY} until one is added.</div>
+          ) : (
+            <table className="min-w-full table-auto">
+              <thead className="bg-gray-50 dark:bg-gray-900">
+                <tr>
+                  <th className="text-left px-4 py-2 text-sm font-medium text-gray-600">Effective from</th>
+                  <th className="text-left px-4 py-2 text-sm font-medium text-gray-600">Currency</th>
+                  <th className="text-right px-4 py-2 text-sm font-medium text-gray-600">Rate</th>
+                  <th className="text-center px-4 py-2 text-sm font-medium text-gray-600">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sorted.map((r) => (
+                  <tr key={r.id ?? `${r.currency}-${r.date}`} className="border-t">
+                    <td className="px-4 py-2 text-sm">{r.date}</td>
+                    <td className="px-4 py-2 text-sm">{r.currency}</td>
+                    <td className="px-4 py-2 text-sm text-right">
+                      1 {r.currency} = {formatMoney(r.rate)}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-center">
+                      <button onClick={() => handleDelete(r)} disabled={busy} className="px-2 py-1 text-xs rounded bg-red-500 hover:bg-red-600 text-white disabled:opacity-60">
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,116 @@
+import { useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { resetUserPassword } from "../../services/userService";
+import { getErrorMessage } from "../../services/apiClient";
+import { generateTemporaryPassword, validatePassword } from "../../utils/userAccount";
+import { useTranslation } from "../../context/LanguageContext";
+
+/**
+ * Force a password reset for one user.
+ * - Sets a temporary password (generated, can be edited); the user must replace it
+ *   at their next sign-in, and their current sessions end
+ * - Afterwards shows the password once more, with Copy, so it can be passed on
+ *
+ * Props: user ({ userId, username }), onClose()
+ */
+export default function PasswordResetDialog({ user, onClose }) {
+  const { t } = useTranslation();
+  const [password, setPassword] = useState(() => generateTemporaryPassword());
+  const [saving, setSaving] = useState(false);
+  const [done, setDone] = useState(false);
+  const firstButton = useRef(null);
+
+  useEffect(() => {
+    firstButton.current?.focus();
+  }, [done]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const error = validatePassword(password);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    setSaving(true);
+    try {
+      await resetUserPassword(user.userId, password);
+      setDone(true);
+    } catch (err) {
+      toast.error(getErrorMessage(err, t("users.resetFailed")));
+      console.error(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(password);
+      toast.success(t("users.copied"));
+    } catch (err) {
+      console.error(err);
+      toast.error(t("users.copyFailed"));
+    }
+  };
+
+  const buttonClass =
+    "px-4 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-60";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <form
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="password-reset-title"
+        onSubmit={handleSubmit}
+        onKeyDown={(e) => e.key === "Escape" && !saving && onClose()}
+        className="w-full max-w-md bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-6 shadow-lg space-y-4"
+      >
+        <h2 id="password-reset-title" className="text-lg font-semibold">
+          {t("users.resetTitle", { name: user.username })}
+        </h2>
+
+        {done ? (
+          <>
+            <p className="text-sm text-gray-600 dark:text-gray-300">{t("users.resetDone", { name: user.username })}</p>
+            <div className="px-3 py-2 rounded-md bg-gray-100 dark:bg-gray-900 font-mono text-center select-all">{password}</div>
+            <div className="flex items-center justify-end gap-2">
+              <button ref={firstButton} type="button" onClick={handleCopy} className={buttonClass}>
+                {t("users.copy")}
+              </button>
+              <button type="button" onClick={onClose} className="px-4 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium">
+                {t("users.done")}
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600 dark:text-gray-300">{t("users.resetNote")}</p>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-200">{t("users.temporaryPassword")}</span>
+              <div className="flex items-center gap-2">
+                <input
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-green-500"
+                  autoComplete="off"
+                />
+                <button type="button" onClick={() => setPassword(generateTemporaryPassword())} className={`mt-1 ${buttonClass}`}>
+                  {t("users.generate")}
+                </button>
+              </div>
+            </label>
+            <div className="flex items-center justify-end gap-2">
+              <button ref={firstButton} type="button" onClick={onClose} disabled={saving} className={buttonClass}>
+                {t("common.cancel")}
+              </button>
+              <button type="submit" disabled={saving} className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white text-sm font-medium disabled:opacity-60">
+                {saving ? t("common.saving") : t("users.resetSubmit")}
+              </button>
+            </div>
+          </>
+        )}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { createUser, updateUser } from "../../services/userService";
+import { getErrorMessage } from "../../services/apiClient";
+import { ROLE_NAMES, normalizeRole } from "../../utils/permissions";
+import { generateTemporaryPassword, validateAccount } from "../../utils/userAccount";
+import { useTranslation } from "../../context/LanguageContext";
+
+const inputClass =
+  "mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm focus:outline-none focus:ring-2 focus:ring-green-500";
+
+/**
+ * Add a user, or edit an existing user's username and email.
+ * - New users get a role and a temporary password (pre-filled, can be regenerated);
+ *   they are asked to choose their own password at first sign-in
+ * - Roles of existing users are changed in the list (UserRoleUpdate)
+ *
+ * Props:
+ * - user: row from the users list ({ userId, username, email }), or null to add one
+ * - onClose(), onSaved() after a successful save
+ */
+export default function UserFormDialog({ user, onClose, onSaved }) {
+  const { t } = useTranslation();
+  const isNew = !user;
+  const [form, setForm] = useState(() => ({
+    username: user?.username ?? "",
+    email: user?.email ?? "",
+    password: isNew ? generateTemporaryPassword() : "",
+    role: isNew ? "purchaser" : normalizeRole(user.role),
+  }));
+  const [saving, setSaving] = useState(false);
+  const firstInput = useRef(null);
+
+  useEffect(() => {
+    firstInput.current?.focus();
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const error = validateAccount(form, { requirePassword: isNew });
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    const account = { username: form.username.trim(), email: form.email.trim() };
+
+    setSaving(true);
+    try {
+      if (isNew) {
+        await createUser({ ...account, password: form.password, role: form.role });
+        toast.success(t("users.created", { name: account.username }));
+      } else {
+        await updateUser(user.userId, account);
+        toast.success(t("users.updated", { name: account.username }));
+      }
+      onSaved();
+    } catch (err) {
+      toast.error(getErrorMessage(err, isNew ? t("users.createFailed") : t("users.updateFailed")));
+      console.error(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <form
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="user-form-title"
+        onSubmit={handleSubmit}
+        onKeyDown={(e) => e.key === "Escape" && !saving && onClose()}
+        className="w-full max-w-md bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-6 shadow-lg space-y-4"
+      >
+        <h2 id="user-form-title" className="text-lg font-semibold">
+          {isNew ? t("users.addTitle") : t("users.editTitle", { name: user.username })}
+        </h2>
+
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-200">{t("common.username")}</span>
+          <input ref={firstInput} name="username" value={form.username} onChange={handleChange} className={inputClass} autoComplete="off" />
+        </label>
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-200">{t("common.email")}</span>
+          <input type="email" name="email" value={form.email} onChange={handleChange} className={inputClass} autoComplete="off" />
+        </label>
+
+        {isNew && (
+          <>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-200">{t("users.role")}</span>
+              <select name="role" value={form.role} onChange={handleChange} className={inputClass}>
+                {ROLE_NAMES.map((name) => (
+                  <option key={name} value={name}>
+                    {t(`role.${name}`)}
+                  </option>
+                ))}
+              </select>
+              <span className="mt-1 block text-xs text-gray-500">{t(`roleDescription.${form.role}`)}</span>
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-200">{t("users.temporaryPassword")}</span>
+              <div className="flex items-center gap-2">
+                <input name="password" value={form.password} onChange={handleChange} className={`${inputClass} font-mono`} autoComplete="off" />
+                <button
+                  type="button"
+                  onClick={() => setForm((prev) => ({ ...prev, password: generateTemporaryPassword() }))}
+                  className="mt-1 px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm hover:bg-gray-50 dark:hover:bg-gray-700"
+                >
+                  {t("users.generate")}
+                </button>
+              </div>
+              <span className="mt-1 block text-xs text-gray-500">{t("users.temporaryPasswordHint")}</span>
+            </label>
+          </>
+        )}
+
+        <div className="flex items-center justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            className="px-4 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60"
+          >
+            {t("common.cancel")}
+          </button>
+          <button type="submit" disabled={saving} className="px-4 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium disabled:opacity-60">
+            {saving ? t("common.saving") : isNew ? t("users.add") : t("common.save")}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -1,146 +1,332 @@
-import { useContext, useEffect, useState, useCallback } from "react";
-import axios from "axios";
+import { useContext, useEffect, useMemo, useState, useCallback } from "react";
 import toast, { Toaster } from "react-hot-toast";
 import { AuthContext } from "../../context/AuthContext";
 import UserRoleUpdate from "./UserRoleUpdate";
+import UserFormDialog from "./UserFormDialog";
+import PasswordResetDialog from "./PasswordResetDialog";
+import { bulkUpdateUsers, deleteUser, getUserTotals, setUserActive } from "../../services/userService";
+import { getErrorMessage } from "../../services/apiClient";
+import { downloadCsv, downloadXlsx, fileDateStamp } from "../../utils/exportFile";
+import useDateRange from "../../hooks/useDateRange";
+import DateRangePicker from "../../components/DateRangePicker";
+import { rangeLabel } from "../../utils/dateRange";
+import { formatMoney } from "../../utils/money";
+import { ROLES, ROLE_NAMES } from "../../utils/permissions";
+import { isActiveUser } from "../../utils/userAccount";
+import { useTranslation } from "../../context/LanguageContext";
+
+const EXPORT_COLUMNS = [
+  { key: "username", header: "Username" },
+  { key: "email", header: "Email" },
+  { key: "role", header: "Role" },
+  { key: "active", header: "Status", value: (u) => (isActiveUser(u) ? "Active" : "Deactivated") },
+  { key: "totalAmount", header: "Total (रु)", value: (u) => Number(u.totalAmount ?? 0) },
+];
 
 /**
- * Admin Users list with totals (last 35 days).
+ * Admin Users list with purchase totals for a date range.
  * - Shows loading state
  * - Uses react-hot-toast for errors/success
- * - Delete user (with confirm) and role change support
+ * - Add users, edit username / email, force a password reset, deactivate / reactivate
+ *   (deactivated users can't sign in but keep their purchases) and delete (with confirm)
+ * - Role picker per user; select several users to deactivate, reactivate or change their role at once
+ * - Range picker (kept in the URL); hidden with showRangePicker={false} when the page has its own
+ * - CSV / Excel export of the totals
  * - Tailwind CSS for responsive layout
  */
 
-export default function UserList() {
+export default function UserList({ showRangePicker = true }) {
   const { user } = useContext(AuthContext);
+  const { t } = useTranslation();
+  const [range, setRange] = useDateRange();
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [bulkRole, setBulkRole] = useState("");
+  const [busy, setBusy] = useState(false); // status and bulk changes in flight
+  const [dialog, setDialog] = useState(null); // { type: "form" | "reset", user }
 
-  const formatCurrencyNPR = (value) => {
-    try {
-      const nf = new Intl.NumberFormat("ne-NP", { style: "currency", currency: "NPR", maximumFractionDigits: 2 });
-      return nf.format(Number(value || 0)).replace("रू", "रु");
-    } catch {
-      try {
-        const nf = new Intl.NumberFormat("en-IN", { maximumFractionDigits: 2 });
-        return `रु ${nf.format(Number(value || 0))}`;
-      } catch {
-        return `रु ${String(value ?? 0)}`;
-      }
-    }
-  };
+  const myIds = useMemo(() => [user?.id, user?._id, user?.userId, user?.username].filter(Boolean).map(String), [user]);
+  const isSelf = (u) => myIds.includes(String(u.userId)) || myIds.includes(String(u.username));
 
   const fetchUsers = useCallback(async () => {
     setLoading(true);
     try {
-      const res = await axios.get(`${process.env.REACT_APP_API_URL}/admin/users-total-last-35-days`, {
-        headers: { Authorization: `Bearer ${user.token}` },
-      });
-      // backend returns { totals }
-      setUsers(Array.isArray(res.data.totals) ? res.data.totals : []);
+      const list = await getUserTotals({ from: range.from, to: range.to });
+      setUsers(list);
+      // Keep only selections that are still listed
+      const listed = new Set(list.map((u) => String(u.userId)));
+      setSelectedIds((prev) => new Set([...prev].filter((id) => listed.has(id))));
     } catch (error) {
-      const message = error?.response?.data?.message || error?.message || "Failed to load users";
+      const message = getErrorMessage(error, t("users.loadFailed"));
       toast.error(message);
       console.error(message);
       setUsers([]);
     } finally {
       setLoading(false);
     }
-  }, [user.token]);
+  }, [range.from, range.to, t]);
 
   useEffect(() => {
     fetchUsers();
   }, [fetchUsers]);
 
+  const handleExport = async (format) => {
+    const filename = `user-totals-${range.from}-to-${range.to}-${fileDateStamp()}.${format}`;
+    try {
+      if (format === "xlsx") {
+        await downloadXlsx(filename, "User totals", EXPORT_COLUMNS, users);
+      } else {
+        downloadCsv(filename, EXPORT_COLUMNS, users);
+      }
+    } catch (err) {
+      toast.error(err?.message || t("users.exportFailed"));
+      console.error(err);
+    }
+  };
+
   const handleDelete = async (targetUser) => {
     // prevent deleting yourself
-    const myIds = [user?.id, user?._id, user?.userId, user?.username].filter(Boolean).map(String);
-    if (myIds.includes(String(targetUser.userId))) {
-      toast.error("You cannot delete your own account");
+    if (isSelf(targetUser)) {
+      toast.error(t("users.cannotDeleteSelf"));
       return;
     }
 
-    const ok = window.confirm(`Delete user "${targetUser.username}"? This action cannot be undone.`);
+    const ok = window.confirm(t("users.deleteConfirm", { name: targetUser.username }));
     if (!ok) return;
 
     try {
-      toast.promise(
-        axios.delete(`${process.env.REACT_APP_API_URL}/admin/user/${targetUser.userId}`, {
-          headers: { Authorization: `Bearer ${user.token}` },
-        }),
-        {
-          loading: "Deleting user...",
-          success: "User deleted",
-          error: (err) => err?.response?.data?.message || "Failed to delete user",
-        }
-      );
+      await toast.promise(deleteUser(targetUser.userId), {
+        loading: t("users.deleting"),
+        success: t("users.deleted"),
+        error: (err) => getErrorMessage(err, t("users.deleteFailed")),
+      });
       // refresh list after delete completes
       await fetchUsers();
     } catch (err) {
-      // axios error handled by toast.promise, still log
+      // error already shown by toast.promise, still log
+      console.error(err);
+    }
+  };
+
+  const handleToggleActive = async (targetUser) => {
+    const activate = !isActiveUser(targetUser);
+    if (!activate) {
+      if (isSelf(targetUser)) {
+        toast.error(t("users.cannotDeactivateSelf"));
+        return;
+      }
+      if (!window.confirm(t("users.deactivateConfirm", { name: targetUser.username }))) return;
+    }
+    setBusy(true);
+    try {
+      await setUserActive(targetUser.userId, activate);
+      toast.success(t(activate ? "users.reactivated" : "users.deactivated", { name: targetUser.username }));
+      await fetchUsers();
+    } catch (err) {
+      toast.error(getErrorMessage(err, t("users.statusFailed")));
       console.error(err);
+    } finally {
+      setBusy(false);
     }
   };
 
+  const selectedUsers = users.filter((u) => selectedIds.has(String(u.userId)));
+  const allSelected = users.length > 0 && selectedUsers.length === users.length;
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? new Set() : new Set(users.map((u) => String(u.userId))));
+  };
+
+  // changes: { active } or { role }
+  const handleBulk = async (changes) => {
+    const self = selectedUsers.find(isSelf);
+    if (self && changes.active === false) {
+      toast.error(t("users.cannotDeactivateSelf"));
+      return;
+    }
+    if (self && changes.role && !ROLES[changes.role].permissions.includes("user:manage")) {
+      toast.error(t("users.cannotDemoteSelf"));
+      return;
+    }
+    const count = selectedUsers.length;
+    const confirmKey = changes.role ? "users.bulkRoleConfirm" : changes.active ? "users.bulkReactivateConfirm" : "users.bulkDeactivateConfirm";
+    if (!window.confirm(t(confirmKey, { count, role: changes.role && t(`role.${changes.role}`) }))) return;
+
+    setBusy(true);
+    try {
+      await bulkUpdateUsers(selectedUsers.map((u) => u.userId), changes);
+      toast.success(t("users.bulkUpdated", { count }));
+      setSelectedIds(new Set());
+      setBulkRole("");
+      await fetchUsers();
+    } catch (err) {
+      toast.error(getErrorMessage(err, t("users.bulkFailed")));
+      console.error(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const closeDialog = () => setDialog(null);
+  const smallButton = "px-2 py-1 text-xs rounded border border-gray-300 dark:border-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-60";
+
   return (
     <>
       <Toaster position="top-right" />
+      {dialog?.type === "form" && (
+        <UserFormDialog
+          user={dialog.user}
+          onClose={closeDialog}
+          onSaved={() => {
+            closeDialog();
+            fetchUsers();
+          }}
+        />
+      )}
+      {dialog?.type === "reset" && <PasswordResetDialog user={dialog.user} onClose={closeDialog} />}
       <div>
-        <div className="flex items-center justify-between mb-4">
-          <h3 className="text-xl font-semibold">Users & Purchases (Last 35 days)</h3>
-          <div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h3 className="text-xl font-semibold">{t("users.title", { range: rangeLabel(range) })}</h3>
+          <div className="inline-flex items-center gap-2">
+            {showRangePicker && <DateRangePicker id="userTotalsRange" value={range} onChange={setRange} />}
+            <button
+              onClick={() => handleExport("csv")}
+              disabled={loading || users.length === 0}
+              className="px-3 py-1 rounded border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60"
+            >
+              CSV
+            </button>
+            <button
+              onClick={() => handleExport("xlsx")}
+              disabled={loading || users.length === 0}
+              className="px-3 py-1 rounded border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60"
+            >
+              Excel
+            </button>
+            <button
+              onClick={() => setDialog({ type: "form", user: null })}
+              className="px-3 py-1 rounded bg-green-600 hover:bg-green-700 text-white text-sm"
+            >
+              {t("users.add")}
+            </button>
             <button
               onClick={fetchUsers}
               className="inline-flex items-center gap-2 px-3 py-1 rounded bg-indigo-600 hover:bg-indigo-700 text-white text-sm"
               disabled={loading}
             >
-              {loading ? "Refreshing…" : "Refresh"}
+              {loading ? t("users.refreshing") : t("users.refresh")}
             </button>
           </div>
         </div>
 
+        {selectedUsers.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mb-2 px-3 py-2 rounded-md border border-indigo-200 dark:border-indigo-900 bg-indigo-50 dark:bg-indigo-950 text-sm">
+            <span className="font-medium">{t("users.selected", { count: selectedUsers.length })}</span>
+            <button onClick={() => handleBulk({ active: false })} disabled={busy} className={smallButton}>
+              {t("users.deactivate")}
+            </button>
+            <button onClick={() => handleBulk({ active: true })} disabled={busy} className={smallButton}>
+              {t("users.reactivate")}
+            </button>
+            <select
+              value={bulkRole}
+              onChange={(e) => setBulkRole(e.target.value)}
+              disabled={busy}
+              aria-label={t("users.bulkRole")}
+              className="px-2 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-xs"
+            >
+              <option value="">{t("users.bulkRole")}</option>
+              {ROLE_NAMES.map((name) => (
+                <option key={name} value={name}>
+                  {t(`role.${name}`)}
+                </option>
+              ))}
+            </select>
+            <button onClick={() => handleBulk({ role: bulkRole })} disabled={busy || !bulkRole} className={smallButton}>
+              {t("users.applyRole")}
+            </button>
+            <button onClick={() => setSelectedIds(new Set())} disabled={busy} className="ml-auto text-xs text-gray-600 dark:text-gray-300 hover:underline">
+              {t("users.clearSelection")}
+            </button>
+          </div>
+        )}
+
         <div className="overflow-x-auto bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md shadow-sm">
           <table className="min-w-full table-auto">
             <thead className="bg-gray-50 dark:bg-gray-900">
               <tr>
-                <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Username</th>
-                <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Email</th>
-                <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Role</th>
-                <th className="text-right px-4 py-3 text-sm font-medium text-gray-600">Total (35d)</th>
-                <th className="text-center px-4 py-3 text-sm font-medium text-gray-600">Actions</th>
+                <th className="px-4 py-3 w-8">
+                  <input type="checkbox" checked={allSelected} onChange={toggleAll} disabled={users.length === 0} aria-label={t("users.selectAll")} />
+                </th>
+                <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">{t("common.username")}</th>
+                <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">{t("common.email")}</th>
+                <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">{t("users.role")}</th>
+                <th className="text-right px-4 py-3 text-sm font-medium text-gray-600">{t("purchase.total")}</th>
+                <th className="text-center px-4 py-3 text-sm font-medium text-gray-600">{t("common.actions")}</th>
               </tr>
             </thead>
 
             <tbody>
               {users.length === 0 && !loading ? (
                 <tr>
-                  <td colSpan="5" className="px-4 py-6 text-center text-sm text-gray-500">
-                    No users found.
+                  <td colSpan="6" className="px-4 py-6 text-center text-sm text-gray-500">
+                    {t("users.empty")}
                   </td>
                 </tr>
               ) : (
-                users.map((u) => (
-                  <tr key={String(u.userId)} className="border-t">
-                    <td className="px-4 py-3 text-sm">{u.username || "—"}</td>
-                    <td className="px-4 py-3 text-sm">{u.email || "—"}</td>
-                    <td className="px-4 py-3 text-sm">{u.role || "—"}</td>
-                    <td className="px-4 py-3 text-sm text-right font-medium">
-                      {u.totalAmount != null ? formatCurrencyNPR(u.totalAmount) : "—"}
-                    </td>
-                    <td className="px-4 py-3 text-sm text-center">
-                      <div className="inline-flex items-center gap-2">
+                users.map((u) => {
+                  const active = isActiveUser(u);
+                  const id = String(u.userId);
+                  return (
+                    <tr key={id} className={`border-t ${active ? "" : "bg-gray-50 dark:bg-gray-900"}`}>
+                      <td className="px-4 py-3">
+                        <input type="checkbox" checked={selectedIds.has(id)} onChange={() => toggleSelected(id)} aria-label={t("users.select", { name: u.username })} />
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        <span className={active ? "" : "text-gray-500"}>{u.username || "—"}</span>
+                        {!active && (
+                          <span className="ml-2 px-1.5 py-0.5 rounded text-xs bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200">{t("users.inactive")}</span>
+                        )}
+                      </td>
+                      <td className={`px-4 py-3 text-sm ${active ? "" : "text-gray-500"}`}>{u.email || "—"}</td>
+                      <td className="px-4 py-3 text-sm">
                         <UserRoleUpdate user={u} fetchUsers={fetchUsers} />
-                        <button
-                          onClick={() => handleDelete(u)}
-                          className="px-2 py-1 text-sm rounded bg-red-500 hover:bg-red-600 text-white disabled:opacity-60"
-                        >
-                          Delete
-                        </button>
-                      </div>
-                    </td>
-                  </tr>
-                ))
+                      </td>
+                      <td className="px-4 py-3 text-sm text-right font-medium">
+                        {u.totalAmount != null ? formatMoney(u.totalAmount) : "—"}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-center">
+                        <div className="inline-flex flex-wrap justify-center gap-1">
+                          <button onClick={() => setDialog({ type: "form", user: u })} className={smallButton}>
+                            {t("common.edit")}
+                          </button>
+                          <button onClick={() => setDialog({ type: "reset", user: u })} className={smallButton}>
+                            {t("users.resetPassword")}
+                          </button>
+                          <button onClick={() => handleToggleActive(u)} disabled={busy} className={smallButton}>
+                            {active ? t("users.deactivate") : t("users.reactivate")}
+                          </button>
+                          <button
+                            onClick={() => handleDelete(u)}
+                            className="px-2 py-1 text-xs rounded bg-red-500 hover:bg-red-600 text-white disabled:opacity-60"
+                          >
+                            {t("common.delete")}
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
               )}
             </tbody>
           </table>
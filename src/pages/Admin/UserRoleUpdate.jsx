@@ -1,16 +1,36 @@
 import { useContext, useState, useMemo } from "react";
-import axios from "axios";
 import toast from "react-hot-toast";
 import { AuthContext } from "../../context/AuthContext";
+import { updateUserRole } from "../../services/userService";
+import { getErrorMessage } from "../../services/apiClient";
+import { useTranslation } from "../../context/LanguageContext";
+import { PERMISSIONS, ROLES, ROLE_NAMES, normalizeRole } from "../../utils/permissions";
 
 /**
- * Button to promote/demote user.
- * - Disables demote for self-admin
+ * Role picker for one user.
+ * - Choosing a role previews what it grants; the change is saved on "Apply"
+ * - You can't take away your own user-management access
  * - Shows react-hot-toast notifications for success/error
  */
 
+function RoleGrants({ role }) {
+  const { t } = useTranslation();
+  const granted = ROLES[role].permissions;
+  return (
+    <ul className="mt-1 space-y-0.5">
+      {Object.keys(PERMISSIONS).map((key) => (
+        <li key={key} className={granted.includes(key) ? "text-gray-700 dark:text-gray-200" : "text-gray-400 line-through"}>
+          {t(`permission.${key}`)}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
 export default function UserRoleUpdate({ user: u, fetchUsers }) {
   const { user } = useContext(AuthContext);
+  const { t } = useTranslation();
+  const [pending, setPending] = useState(null); // role picked but not yet saved
   const [loading, setLoading] = useState(false);
 
   const myIds = useMemo(
@@ -20,29 +40,29 @@ export default function UserRoleUpdate({ user: u, fetchUsers }) {
 
   const isSelf = useMemo(() => myIds.includes(String(u.userId)) || myIds.includes(String(u.username)), [u.userId, u.username, myIds]);
 
-  const toggleRole = async () => {
-    const newRole = u.role === "admin" ? "user" : "admin";
-    // Prevent attempting to demote self
-    if (isSelf && newRole !== "admin") {
-      toast.error("You cannot demote your own admin account");
+  const current = normalizeRole(u.role);
+  const selected = pending ?? current;
+
+  const applyRole = async () => {
+    const newRole = pending;
+    // Prevent locking yourself out of this page
+    if (isSelf && !ROLES[newRole].permissions.includes("user:manage")) {
+      toast.error(t("users.cannotDemoteSelf"));
       return;
     }
 
     setLoading(true);
     try {
-      await axios.put(
-        `${process.env.REACT_APP_API_URL}/admin/user/${u.userId}/role`,
-        { role: newRole },
-        { headers: { Authorization: `Bearer ${user.token}`, "Content-Type": "application/json" } }
-      );
+      await updateUserRole(u.userId, newRole);
 
-      toast.success(`User ${u.username} is now ${newRole}`);
+      toast.success(t("roleUpdate.updated", { name: u.username, role: t(`role.${newRole}`) }));
+      setPending(null);
       // refresh list
       if (typeof fetchUsers === "function") {
         await fetchUsers();
       }
     } catch (error) {
-      const message = error?.response?.data?.message || error?.message || "Failed to update role";
+      const message = getErrorMessage(error, t("roleUpdate.failed"));
       toast.error(message);
       console.error(message);
     } finally {
@@ -51,15 +71,51 @@ export default function UserRoleUpdate({ user: u, fetchUsers }) {
   };
 
   return (
-    <button
-      onClick={toggleRole}
-      disabled={loading || (isSelf && u.role === "admin")}
-      title={isSelf && u.role === "admin" ? "You cannot demote your own admin account" : "Change role"}
-      className={`px-3 py-1 rounded text-sm font-medium ${
-        u.role === "admin" ? "bg-red-500 hover:bg-red-600 text-white" : "bg-green-600 hover:bg-green-700 text-white"
-      } disabled:opacity-60 disabled:cursor-not-allowed`}
-    >
-      {loading ? "Working…" : u.role === "admin" ? "Demote" : "Promote"}
-    </button>
+    <div className="text-left text-xs">
+      <select
+        value={selected}
+        onChange={(e) => setPending(e.target.value === current ? null : e.target.value)}
+        disabled={loading}
+        aria-label={t("roleUpdate.roleFor", { name: u.username })}
+        title={t(`roleDescription.${selected}`)}
+        className="px-2 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+      >
+        {ROLE_NAMES.map((name) => (
+          <option key={name} value={name}>
+            {t(`role.${name}`)}
+          </option>
+        ))}
+      </select>
+
+      {pending ? (
+        <div className="mt-2 p-2 rounded-md border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900 space-y-2">
+          <div>
+            <span className="font-medium">{t(`role.${pending}`)}</span>: {t(`roleDescription.${pending}`)}
+          </div>
+          <RoleGrants role={pending} />
+          <div className="flex items-center gap-2">
+            <button
+              onClick={applyRole}
+              disabled={loading}
+              className="px-2 py-1 rounded bg-green-600 hover:bg-green-700 text-white font-medium disabled:opacity-60"
+            >
+              {loading ? t("roleUpdate.saving") : t("roleUpdate.apply")}
+            </button>
+            <button
+              onClick={() => setPending(null)}
+              disabled={loading}
+              className="px-2 py-1 rounded border border-gray-300 dark:border-gray-700 hover:bg-gray-50 disabled:opacity-60"
+            >
+              {t("common.cancel")}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <details className="mt-1">
+          <summary className="cursor-pointer text-gray-500">{t("roleUpdate.grants")}</summary>
+          <RoleGrants role={current} />
+        </details>
+      )}
+    </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,111 @@
+import { useContext, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import toast, { Toaster } from "react-hot-toast";
+import { changePassword } from "../services/userService";
+import { getErrorMessage } from "../services/apiClient";
+import { validatePassword } from "../utils/userAccount";
+import { returnPathFrom } from "../utils/returnUrl";
+import { AuthContext } from "../context/AuthContext";
+import { useTranslation } from "../context/LanguageContext";
+
+const inputClass =
+  "mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent";
+
+/**
+ * Set a new password.
+ * - Shown instead of every other page while the session has `mustChangePassword`
+ *   (after an admin reset the password), see ProtectedRoute
+ * - Asks for the current (temporary) password and the new one twice
+ * - Continues to the page that was asked for; "Log out" leaves without changing it
+ */
+export default function ChangePassword() {
+  const { user, updateSession, logout } = useContext(AuthContext);
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [form, setForm] = useState({ currentPassword: "", newPassword: "", confirmPassword: "" });
+  const [loading, setLoading] = useState(false);
+
+  const forced = Boolean(user?.mustChangePassword);
+
+  const handleChange = (e) => {
+    setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.currentPassword) {
+      toast.error(t("password.currentRequired"));
+      return;
+    }
+    const error = validatePassword(form.newPassword);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    if (form.newPassword !== form.confirmPassword) {
+      toast.error(t("password.mismatch"));
+      return;
+    }
+    if (form.newPassword === form.currentPassword) {
+      toast.error(t("password.unchanged"));
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const { token, refreshToken } = await changePassword({ currentPassword: form.currentPassword, newPassword: form.newPassword });
+      updateSession({ mustChangePassword: false, ...(token && { token }), ...(refreshToken && { refreshToken }) });
+      toast.success(t("password.changed"));
+      navigate(returnPathFrom(location), { replace: true });
+    } catch (err) {
+      toast.error(getErrorMessage(err, t("password.changeFailed")));
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <Toaster position="top-right" />
+      <div className="max-w-md mx-auto mt-12 p-6 bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-lg shadow">
+        <h1 className="text-2xl font-semibold text-center mb-2">{t("password.title")}</h1>
+        {forced && <p className="text-sm text-center text-gray-600 dark:text-gray-300 mb-4">{t("password.forcedNote", { name: user?.username ?? "" })}</p>}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-200">{forced ? t("password.temporary") : t("password.current")}</span>
+            <input type="password" name="currentPassword" value={form.currentPassword} onChange={handleChange} className={inputClass} autoComplete="current-password" />
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-200">{t("password.new")}</span>
+            <input type="password" name="newPassword" value={form.newPassword} onChange={handleChange} className={inputClass} autoComplete="new-password" />
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-200">{t("password.confirm")}</span>
+            <input type="password" name="confirmPassword" value={form.confirmPassword} onChange={handleChange} className={inputClass} autoComplete="new-password" />
+          </label>
+
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={forced ? logout : () => navigate(-1)}
+              disabled={loading}
+              className="px-4 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60"
+            >
+              {forced ? t("password.logout") : t("common.cancel")}
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 px-4 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white font-medium disabled:opacity-60"
+            >
+              {loading ? t("common.saving") : t("password.submit")}
+            </button>
+          </div>
+        </form>
+      </div>
+    </>
+  );
+}
@@ -1,11 +1,27 @@
-import { useContext, useEffect, useState } from "react";
-import { Link } from "react-router-dom";
+import { useCallback, useContext, useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
 import toast, { Toaster } from "react-hot-toast";
 import { AuthContext } from "../context/AuthContext";
 import PurchaseList from "./Purchases/PurchaseList";
 import PurchaseCreate from "./Purchases/PurchaseCreate";
 import UserList from "./Admin/UserList";
-import { getTotalLast30Days } from "../services/purchaseService";
+import { getPurchaseTotals } from "../services/purchaseService";
+import { getErrorMessage } from "../services/apiClient";
+import { queryFromSearchParams, queryToSearchParams } from "../utils/purchaseQuery";
+import usePermissions from "../hooks/usePermissions";
+import useDateRange from "../hooks/useDateRange";
+import DateRangePicker from "../components/DateRangePicker";
+import { rangeLabel } from "../utils/dateRange";
+import useExchangeRates from "../hooks/useExchangeRates";
+import { BASE_CURRENCY, CURRENCY_CODES, formatMoney, isCurrency } from "../utils/money";
+import { rateOn } from "../utils/exchangeRates";
+import useCalendar from "../hooks/useCalendar";
+import { CALENDARS, formatCalendarDate } from "../utils/bikramSambat";
+import { useTranslation } from "../context/LanguageContext";
+import LanguageSwitcher from "../components/LanguageSwitcher";
+import useBudgets from "../hooks/useBudgets";
+import BudgetProgress from "../components/BudgetProgress";
+import { budgetLabel, findBudget, userIdsOf } from "../utils/budgets";
 
 import {
   Chart as ChartJS,
@@ -34,36 +50,10 @@ ChartJS.register(
 );
 
 /**
- * Format date label
+ * Format date label in the user's primary calendar
  */
-function formatDateLabel(isoOrDate) {
-  try {
-    const d = new Date(isoOrDate);
-    if (!isNaN(d)) {
-      return d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
-    }
-  } catch {
-    // ignore invalid date
-  }
-  return String(isoOrDate);
-}
-
-/**
- * Format currency as Nepali Rupee, normalize symbol to "रु"
- */
-function formatCurrencyNPR(value) {
-  try {
-    const num = Number(value ?? 0);
-    const nf = new Intl.NumberFormat("ne-NP", { style: "currency", currency: "NPR", maximumFractionDigits: 2 });
-    return nf.format(num).replace("रू", "रु");
-  } catch {
-    try {
-      const nf = new Intl.NumberFormat("en-IN", { maximumFractionDigits: 2 });
-      return `रु ${nf.format(Number(value ?? 0))}`;
-    } catch {
-      return `रु ${String(value ?? 0)}`;
-    }
-  }
+function formatDateLabel(isoOrDate, calendar) {
+  return formatCalendarDate(isoOrDate, calendar, "short");
 }
 
 /**
@@ -128,21 +118,51 @@ function parseTotalsByDayResponse(data) {
   return { totalsByDayAll, totalsByUser };
 }
 
+// Reporting currency is a per-browser preference
+const REPORTING_CURRENCY_KEY = "reportingCurrency";
+
 export default function Dashboard() {
   const { user } = useContext(AuthContext);
-  const [myTotalLast30, setMyTotalLast30] = useState(null);
+  const { can, role } = usePermissions();
+  const { budgets, reload: reloadBudgets } = useBudgets();
+  const [myTotal, setMyTotal] = useState(null);
   const [totalsByDayAll, setTotalsByDayAll] = useState([]); // overall daily totals
   const [totalsByDayMine, setTotalsByDayMine] = useState([]); // per-user daily totals if available
-  const [categories, setCategories] = useState([]); // [{ category, total }]
+  const [categories, setCategories] = useState([]); // [{ id, category, total }]
   const [loading, setLoading] = useState(true);
   const [scope, setScope] = useState("mine"); // "mine" or "all" - defaults to mine per request
   const [hasPerUserDaily, setHasPerUserDaily] = useState(false);
+  const [countStatus, setCountStatus] = useState("all"); // "all" or "approved" - which purchases the totals count
+  const [reportingCurrency, setReportingCurrency] = useState(() => {
+    const saved = localStorage.getItem(REPORTING_CURRENCY_KEY);
+    return isCurrency(saved) ? saved : BASE_CURRENCY;
+  });
+  const { rates } = useExchangeRates();
+  const [calendar, setCalendar] = useCalendar();
+  const { t } = useTranslation();
+  const [purchasesVersion, setPurchasesVersion] = useState(0); // bump to refetch PurchaseList
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [range, setRange] = useDateRange();
+  const purchasesRef = useRef(null);
+
+  // Totals arrive in NPR; show them in the reporting currency at its rate on the last day of the range
+  const reportRate = rateOn(rates, reportingCurrency, range.to);
+  const shownCurrency = reportRate != null ? reportingCurrency : BASE_CURRENCY;
+  const formatReport = (value) => formatMoney(Number(value ?? 0) / (reportRate ?? 1), shownCurrency);
+
+  const handleReportingCurrency = (code) => {
+    setReportingCurrency(code);
+    localStorage.setItem(REPORTING_CURRENCY_KEY, code);
+  };
 
-  useEffect(() => {
-    const run = async () => {
-      setLoading(true);
+  // Load totals/categories; silent refreshes keep the charts visible while reloading
+  const loadTotals = useCallback(
+    async ({ silent = false } = {}) => {
+      if (!silent) setLoading(true);
       try {
-        const data = await getTotalLast30Days(user.token);
+        const params = { from: range.from, to: range.to };
+        if (countStatus === "approved") params.status = "approved";
+        const data = await getPurchaseTotals(params);
 
         // parse daily totals and per-user totals
         const { totalsByDayAll: parsedAll, totalsByUser } = parseTotalsByDayResponse(data);
@@ -161,11 +181,15 @@ export default function Dashboard() {
         // categories parsing (keep robust behavior)
         let parsedCats = [];
         if (Array.isArray(data?.categories) && data.categories.length) {
-          parsedCats = data.categories.map((c) => ({ category: c.category ?? c._id, total: c.total ?? c.amount ?? 0 }));
+          parsedCats = data.categories.map((c) => ({
+            id: c.categoryId ?? null,
+            category: c.category ?? c.name ?? c._id ?? t("dashboard.uncategorized"),
+            total: c.total ?? c.amount ?? 0,
+          }));
         } else if (data?.byCategory && typeof data.byCategory === "object") {
-          parsedCats = Object.entries(data.byCategory).map(([category, total]) => ({ category, total }));
+          parsedCats = Object.entries(data.byCategory).map(([category, total]) => ({ id: null, category, total }));
         } else if (Array.isArray(data?.total) && data.total.length) {
-          const catsFromTotal = data.total.filter((g) => g.category).map((g) => ({ category: g.category, total: g.total ?? g.totalAmount ?? 0 }));
+          const catsFromTotal = data.total.filter((g) => g.category).map((g) => ({ id: g.categoryId ?? null, category: g.category, total: g.total ?? g.totalAmount ?? 0 }));
           if (catsFromTotal.length) parsedCats = catsFromTotal;
         }
 
@@ -175,12 +199,16 @@ export default function Dashboard() {
         const mine = Array.isArray(data.total)
           ? data.total.find((g) => (g._id === user.id) || (g.userId === user.id) || (g._id === user.username))
           : null;
-        const myTotal = mine ? (mine.totalAmount ?? mine.total ?? 0) : 0;
-        setMyTotalLast30(myTotal);
+        setMyTotal(mine ? (mine.totalAmount ?? mine.total ?? 0) : 0);
       } catch (err) {
-        const message = err?.response?.data?.message || err?.message || "Failed to load dashboard data";
+        if (silent) {
+          toast.error(t("dashboard.refreshFailed"));
+          console.error(err);
+          return;
+        }
+        const message = getErrorMessage(err, t("dashboard.loadFailed"));
         toast.error(message);
-        setMyTotalLast30(null);
+        setMyTotal(null);
         setTotalsByDayAll([]);
         setTotalsByDayMine([]);
         setCategories([]);
@@ -189,10 +217,13 @@ export default function Dashboard() {
       } finally {
         setLoading(false);
       }
-    };
+    },
+    [user.id, user._id, user.userId, user.username, countStatus, range.from, range.to, t]
+  );
 
-    run();
-  }, [user.id, user._id, user.userId, user.username, user.token]);
+  useEffect(() => {
+    loadTotals();
+  }, [loadTotals]);
 
   // Choose data depending on scope
   const displayedTotalsByDay = scope === "mine" ? (totalsByDayMine.length ? totalsByDayMine : totalsByDayAll) : totalsByDayAll;
@@ -203,12 +234,12 @@ export default function Dashboard() {
   }
 
   // Line chart for displayed totals
-  const lineLabels = displayedTotalsByDay.length ? displayedTotalsByDay.map((d) => formatDateLabel(d.date)) : [];
+  const lineLabels = displayedTotalsByDay.length ? displayedTotalsByDay.map((d) => formatDateLabel(d.date, calendar)) : [];
   const lineData = {
     labels: lineLabels,
     datasets: [
       {
-        label: `Total (last 30 days) - ${scope === "mine" ? "You" : "All"}`,
+        label: t("dashboard.lineLabel", { range: rangeLabel(range), who: scope === "mine" ? t("dashboard.you") : t("common.all") }),
         data: displayedTotalsByDay.map((d) => Number(d.total || 0)),
         fill: true,
         backgroundColor: "rgba(34,197,94,0.12)",
@@ -224,14 +255,14 @@ export default function Dashboard() {
       legend: { display: false },
       tooltip: {
         callbacks: {
-          label: (ctx) => ` ${formatCurrencyNPR(ctx.parsed.y)}`,
+          label: (ctx) => ` ${formatReport(ctx.parsed.y)}`,
         },
       },
     },
     scales: {
       y: {
         ticks: {
-          callback: (val) => formatCurrencyNPR(val),
+          callback: (val) => formatReport(val),
         },
       },
     },
@@ -239,7 +270,7 @@ export default function Dashboard() {
 
   // Doughnut (category). If categories empty, show a small "No data" doughnut slice instead of text message.
   const hasCategoryData = categories.length > 0;
-  const doughnutLabels = hasCategoryData ? categories.map((c) => c.category) : ["No data"];
+  const doughnutLabels = hasCategoryData ? categories.map((c) => c.category) : [t("common.noData")];
   const doughnutValues = hasCategoryData ? categories.map((c) => Number(c.total || 0)) : [1];
   const doughnutBackground = hasCategoryData
     ? ["#059669", "#10B981", "#34D399", "#60A5FA", "#A78BFA", "#F59E0B", "#F97316", "#EF4444"]
@@ -248,21 +279,37 @@ export default function Dashboard() {
     labels: doughnutLabels,
     datasets: [
       {
-        label: "By category",
+        label: t("dashboard.byCategory"),
         data: doughnutValues,
         backgroundColor: doughnutBackground,
         borderWidth: 1,
       },
     ],
   };
+  // Clicking a slice filters PurchaseList (its state lives in the URL) by that category
+  const handleCategoryClick = (id) => {
+    if (!id) return; // legacy names / "Uncategorized" have no id to filter on
+    const query = queryFromSearchParams(searchParams);
+    setSearchParams(queryToSearchParams({ ...query, category: String(id), page: 1 }, searchParams));
+    purchasesRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+  };
+
   const doughnutOptions = {
     maintainAspectRatio: false,
+    onClick: (evt, elements) => {
+      if (!hasCategoryData || !elements.length) return;
+      handleCategoryClick(categories[elements[0].index]?.id);
+    },
+    onHover: (evt, elements) => {
+      const clickable = hasCategoryData && elements.length && categories[elements[0].index]?.id;
+      if (evt.native?.target) evt.native.target.style.cursor = clickable ? "pointer" : "default";
+    },
     plugins: {
       tooltip: {
         callbacks: {
           label: (ctx) => {
             if (!hasCategoryData) return `${ctx.label}`;
-            return `${ctx.label}: ${formatCurrencyNPR(ctx.parsed)}`;
+            return `${ctx.label}: ${formatReport(ctx.parsed)}`;
           },
         },
       },
@@ -272,12 +319,12 @@ export default function Dashboard() {
 
   // Bar compare chart (You vs All)
   const overallTotal = totalsByDayAll.reduce((s, d) => s + Number(d.total || 0), 0);
-  const myTotalForChart = myTotalLast30 !== null ? Number(myTotalLast30) : 0;
+  const myTotalForChart = myTotal !== null ? Number(myTotal) : 0;
   const barData = {
-    labels: ["You (30d)", "All users (30d)"],
+    labels: [t("dashboard.you"), t("dashboard.allUsers")],
     datasets: [
       {
-        label: "Amount",
+        label: t("dashboard.amount"),
         data: [myTotalForChart, overallTotal],
         backgroundColor: ["#059669", "#60A5FA"],
       },
@@ -290,26 +337,36 @@ export default function Dashboard() {
       legend: { display: false },
       tooltip: {
         callbacks: {
-          label: (ctx) => `${formatCurrencyNPR(ctx.parsed.x ?? ctx.parsed)}`,
+          label: (ctx) => `${formatReport(ctx.parsed.x ?? ctx.parsed)}`,
         },
       },
     },
     scales: {
       x: {
         ticks: {
-          callback: (val) => formatCurrencyNPR(val),
+          callback: (val) => formatReport(val),
         },
       },
     },
   };
 
-  const myTotalDisplay = myTotalLast30 !== null ? formatCurrencyNPR(myTotalLast30) : "—";
-  const overallTotalDisplay = loading ? "…" : formatCurrencyNPR(overallTotal);
+  // Budget bars: overall, the signed-in user's own, then every category budget
+  const myIds = userIdsOf(user);
+  const myBudget = budgets.find((b) => b.scope === "user" && myIds.includes(String(b.targetId)));
+  const overallBudget = findBudget(budgets, "overall");
+  const shownBudgets = [
+    overallBudget && { key: "overall", label: t("dashboard.overallBudget"), budget: overallBudget },
+    myBudget && { key: "mine", label: t("dashboard.myBudget"), budget: myBudget },
+    ...budgets.filter((b) => b.scope === "category").map((b) => ({ key: `category-${b.targetId}`, label: budgetLabel(b), budget: b })),
+  ].filter(Boolean);
+
+  const myTotalDisplay = myTotal !== null ? formatReport(myTotal) : "—";
+  const overallTotalDisplay = loading ? "…" : formatReport(overallTotal);
 
   // Handler when toggling scope
   const handleScopeChange = (newScope) => {
     if (newScope === "mine" && !hasPerUserDaily) {
-      toast("Per-user daily breakdown not available — showing overall totals instead.", { icon: "ℹ️" });
+      toast(t("dashboard.noPerUserDaily"), { icon: "ℹ️" });
     }
     setScope(newScope);
   };
@@ -320,58 +377,158 @@ export default function Dashboard() {
       <div className="p-6">
         <header className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
           <div>
-            <h1 className="text-3xl font-bold">Welcome, {user.username}</h1>
-            <p className="text-sm text-gray-600">Overview of your activity and recent purchases</p>
+            <h1 className="text-3xl font-bold">{t("dashboard.welcome", { name: user.username })}</h1>
+            <p className="text-sm text-gray-600">{t("dashboard.subtitle")}</p>
+            <DateRangePicker value={range} onChange={setRange} className="mt-2" />
           </div>
 
           <div className="flex items-center gap-4">
             <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md px-4 py-3 text-center shadow-sm">
-              <div className="text-xs text-gray-500">My Total (30d)</div>
+              <div className="text-xs text-gray-500">{t("dashboard.myTotal", { range: rangeLabel(range) })}</div>
               <div className="text-lg font-semibold">{myTotalDisplay}</div>
             </div>
             <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md px-4 py-3 text-center shadow-sm">
-              <div className="text-xs text-gray-500">Overall Total (30d)</div>
+              <div className="text-xs text-gray-500">{t("dashboard.overallTotal", { range: rangeLabel(range) })}</div>
               <div className="text-lg font-semibold">{overallTotalDisplay}</div>
             </div>
+            <div className="text-xs text-gray-500 text-center">
+              {t("dashboard.count")}
+              <div className="mt-1 inline-flex rounded-md border border-gray-200 dark:border-gray-700 overflow-hidden">
+                <button
+                  onClick={() => setCountStatus("all")}
+                  className={`px-2 py-1 ${countStatus === "all" ? "bg-green-600 text-white" : "bg-gray-100 text-gray-700"}`}
+                >
+                  {t("common.all")}
+                </button>
+                <button
+                  onClick={() => setCountStatus("approved")}
+                  className={`px-2 py-1 ${countStatus === "approved" ? "bg-green-600 text-white" : "bg-gray-100 text-gray-700"}`}
+                >
+                  {t("dashboard.approvedOnly")}
+                </button>
+              </div>
+            </div>
+
+            <div className="text-xs text-gray-500 text-center">
+              {t("dashboard.calendar")}
+              <div className="mt-1 inline-flex rounded-md border border-gray-200 dark:border-gray-700 overflow-hidden">
+                {CALENDARS.map((c) => (
+                  <button
+                    key={c}
+                    onClick={() => setCalendar(c)}
+                    className={`px-2 py-1 ${calendar === c ? "bg-green-600 text-white" : "bg-gray-100 text-gray-700"}`}
+                  >
+                    {t(`calendar.${c}`)}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <label className="text-xs text-gray-500 text-center">
+              {t("purchase.currency")}
+              <select
+                value={reportingCurrency}
+                onChange={(e) => handleReportingCurrency(e.target.value)}
+                title={reportRate == null ? t("dashboard.noReportRate", { currency: reportingCurrency, base: BASE_CURRENCY }) : undefined}
+                className="mt-1 block px-2 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm"
+              >
+                {CURRENCY_CODES.map((code) => (
+                  <option key={code} value={code}>
+                    {code}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <LanguageSwitcher />
 
-            {/* Admin button linking to /admin/users for admins, and Admin Login for non-admins */}
-            {user.role === "admin" ? (
+            {can("purchase:approve") && (
+              <Link
+                to="/approvals"
+                className="ml-2 inline-flex items-center gap-2 px-3 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium"
+              >
+                {t("dashboard.approvals")}
+              </Link>
+            )}
+
+            {can("rate:manage") && (
+              <Link
+                to="/admin/exchange-rates"
+                className="ml-2 inline-flex items-center gap-2 px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50"
+              >
+                {t("dashboard.exchangeRates")}
+              </Link>
+            )}
+
+            {can("audit:read") && (
+              <Link
+                to="/admin/audit"
+                className="ml-2 inline-flex items-center gap-2 px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50"
+              >
+                {t("dashboard.auditLog")}
+              </Link>
+            )}
+
+            {/* Admin button linking to /admin/users for user managers, and Admin Login for everyone else */}
+            {can("user:manage") ? (
               <Link
                 to="/admin/users"
                 className="ml-2 inline-flex items-center gap-2 px-3 py-2 rounded-md bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium"
-                aria-label="Admin users"
+                aria-label={t("dashboard.adminUsers")}
               >
-                Admin Users
+                {t("dashboard.adminUsers")}
               </Link>
             ) : (
               <Link
                 to="/admin/users"
                 className="ml-2 inline-flex items-center gap-2 px-3 py-2 rounded-md bg-yellow-500 hover:bg-yellow-600 text-white text-sm font-medium"
-                aria-label="Admin login"
+                aria-label={t("dashboard.adminLogin")}
               >
-                Admin Login
+                {t("dashboard.adminLogin")}
               </Link>
             )}
           </div>
         </header>
 
+        {(shownBudgets.length > 0 || can("budget:manage")) && (
+          <section className="mb-6">
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="text-sm font-medium text-gray-600 dark:text-gray-300">{t("dashboard.budgetVsActual")}</h2>
+              {can("budget:manage") && (
+                <Link to="/admin/budgets" className="text-sm text-green-600 dark:text-green-400 hover:underline font-medium">
+                  {t("dashboard.manageBudgets")}
+                </Link>
+              )}
+            </div>
+            {shownBudgets.length ? (
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                {shownBudgets.map(({ key, label, budget }) => (
+                  <BudgetProgress key={key} label={label} budget={budget} formatCurrency={formatReport} />
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">{t("dashboard.noBudgets")}</p>
+            )}
+          </section>
+        )}
+
         {/* Mobile-friendly admin shortcut button */}
         <div className="sm:hidden mb-4">
-          {user.role === "admin" ? (
+          {can("user:manage") ? (
             <Link
               to="/admin/users"
               className="w-full inline-flex items-center justify-center gap-2 px-4 py-2 rounded-md bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium shadow-sm"
-              aria-label="Go to Admin Users"
+              aria-label={t("dashboard.adminUsers")}
             >
-              Admin Users
+              {t("dashboard.adminUsers")}
             </Link>
           ) : (
             <Link
               to="/admin/login"
               className="w-full inline-flex items-center justify-center gap-2 px-4 py-2 rounded-md bg-yellow-500 hover:bg-yellow-600 text-white text-sm font-medium shadow-sm"
-              aria-label="Admin login"
+              aria-label={t("dashboard.adminLogin")}
             >
-              Admin Login
+              {t("dashboard.adminLogin")}
             </Link>
           )}
         </div>
@@ -381,82 +538,68 @@ export default function Dashboard() {
           <main className="lg:col-span-2 space-y-6">
             <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm">
               <div className="flex items-center justify-between mb-3">
-                <h2 className="text-xl font-semibold">Add Purchase</h2>
-                <div className="text-sm text-gray-500">Scope:
+                <div className="flex items-center gap-3">
+                  <h2 className="text-xl font-semibold">{can("purchase:create") ? t("dashboard.addPurchase") : t("list.title")}</h2>
+                  {can("purchase:import") && (
+                    <Link to="/purchases/import" className="text-sm text-green-600 dark:text-green-400 hover:underline font-medium">
+                      {t("dashboard.import")}
+                    </Link>
+                  )}
+                  <Link to="/suppliers" className="text-sm text-green-600 dark:text-green-400 hover:underline font-medium">
+                    {t("dashboard.suppliers")}
+                  </Link>
+                  <Link to="/items" className="text-sm text-green-600 dark:text-green-400 hover:underline font-medium">
+                    {t("purchase.items")}
+                  </Link>
+                </div>
+                <div className="text-sm text-gray-500">{t("dashboard.scope")}
                   <button
                     onClick={() => handleScopeChange("mine")}
                     className={`ml-2 px-2 py-1 rounded ${scope === "mine" ? "bg-green-600 text-white" : "bg-gray-100 text-gray-700"}`}
                   >
-                    Mine
+                    {t("dashboard.mine")}
                   </button>
                   <button
                     onClick={() => handleScopeChange("all")}
                     className={`ml-2 px-2 py-1 rounded ${scope === "all" ? "bg-green-600 text-white" : "bg-gray-100 text-gray-700"}`}
                   >
-                    All
+                    {t("common.all")}
                   </button>
                 </div>
               </div>
-              <PurchaseCreate
-                onCreated={() => {
-                  // When a purchase is created, refresh dashboard data by re-running effect:
-                  // simple approach: toggle loading to trigger useEffect (depends on user.token etc.)
-                  // but more robust would be to expose a refresh function; for now show toast and reload page data
-                  toast.success("Purchase added — refreshing dashboard");
-                  setLoading(true);
-                  // re-run effect by calling getTotalLast30Days again
-                  getTotalLast30Days(user.token)
-                    .then((data) => {
-                      const { totalsByDayAll: parsedAll, totalsByUser } = parseTotalsByDayResponse(data);
-                      setTotalsByDayAll(parsedAll);
-                      const mineUserId = user.id ?? user._id ?? user.userId ?? user.username;
-                      if (totalsByUser && totalsByUser[String(mineUserId)]) {
-                        setTotalsByDayMine(totalsByUser[String(mineUserId)]);
-                        setHasPerUserDaily(true);
-                      } else {
-                        setTotalsByDayMine([]);
-                        setHasPerUserDaily(false);
-                      }
-                      // categories parse
-                      let parsedCats = [];
-                      if (Array.isArray(data?.categories) && data.categories.length) {
-                        parsedCats = data.categories.map((c) => ({ category: c.category ?? c._id, total: c.total ?? c.amount ?? 0 }));
-                      } else if (data?.byCategory && typeof data.byCategory === "object") {
-                        parsedCats = Object.entries(data.byCategory).map(([category, total]) => ({ category, total }));
-                      } else if (Array.isArray(data?.total) && data.total.length) {
-                        const catsFromTotal = data.total.filter((g) => g.category).map((g) => ({ category: g.category, total: g.total ?? g.totalAmount ?? 0 }));
-                        if (catsFromTotal.length) parsedCats = catsFromTotal;
-                      }
-                      setCategories(parsedCats);
-
-                      const mine = Array.isArray(data.total)
-                        ? data.total.find((g) => (g._id === user.id) || (g.userId === user.id) || (g._id === user.username))
-                        : null;
-                      const myTotal = mine ? (mine.totalAmount ?? mine.total ?? 0) : 0;
-                      setMyTotalLast30(myTotal);
-                    })
-                    .catch((err) => {
-                      toast.error("Failed to refresh dashboard");
-                      console.error(err);
-                    })
-                    .finally(() => setLoading(false));
-                }}
-              />
+              {can("purchase:create") ? (
+                <PurchaseCreate
+                  onCreated={() => {
+                    toast.success(t("dashboard.purchaseAdded"));
+                    setPurchasesVersion((v) => v + 1);
+                    loadTotals();
+                    reloadBudgets();
+                  }}
+                />
+              ) : (
+                <p className="text-sm text-gray-500">{t("dashboard.viewOnly", { role: t(`role.${role}`) })}</p>
+              )}
             </section>
 
-            <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm">
+            <section ref={purchasesRef} className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm scroll-mt-4">
               <div className="flex items-center justify-between mb-3">
-                <h2 className="text-xl font-semibold">Recent Purchases</h2>
-                <div className="text-sm text-gray-500">{loading ? "Loading…" : `${displayedTotalsByDay.length || 0} day points`}</div>
+                <h2 className="text-xl font-semibold">{t("dashboard.recentPurchases")}</h2>
+                <div className="text-sm text-gray-500">{loading ? t("common.loading") : t("dashboard.dayPoints", { count: displayedTotalsByDay.length || 0 })}</div>
               </div>
-              <PurchaseList />
+              <PurchaseList
+                refreshKey={purchasesVersion}
+                onChanged={() => {
+                  loadTotals({ silent: true });
+                  reloadBudgets();
+                }}
+              />
             </section>
           </main>
 
           {/* Sidebar with charts and admin */}
           <aside className="space-y-6">
             <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm">
-              <h3 className="text-lg font-semibold mb-2">Activity (30 days)</h3>
+              <h3 className="text-lg font-semibold mb-2">{t("dashboard.activity", { range: rangeLabel(range) })}</h3>
               {loading ? (
                 <div className="flex items-center justify-center py-8">
                   <svg className="animate-spin h-6 w-6 text-green-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -469,38 +612,49 @@ export default function Dashboard() {
                   <Line data={lineData} options={lineOptions} />
                 </div>
               ) : (
-                <div className="text-sm text-gray-500 py-6">No activity data available for the selected scope.</div>
+                <div className="text-sm text-gray-500 py-6">{t("dashboard.noActivity")}</div>
               )}
             </section>
 
             <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm">
-              <h3 className="text-lg font-semibold mb-2">Compare (You vs All)</h3>
+              <h3 className="text-lg font-semibold mb-2">{t("dashboard.compare")}</h3>
               <div className="h-36">
                 <Bar data={barData} options={barOptions} />
               </div>
             </section>
 
             <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm relative">
-              <h3 className="text-lg font-semibold mb-2">Spending by Category</h3>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-lg font-semibold">{t("dashboard.byCategoryTitle")}</h3>
+                {can("category:manage") && (
+                  <Link to="/admin/categories" className="text-sm text-green-600 dark:text-green-400 hover:underline font-medium">
+                    {t("dashboard.manage")}
+                  </Link>
+                )}
+              </div>
 
               <div className="h-48">
                 <Doughnut data={doughnutData} options={doughnutOptions} />
               </div>
 
+              {hasCategoryData && categories.some((c) => c.id) && (
+                <p className="mt-2 text-xs text-gray-500">{t("dashboard.clickSlice")}</p>
+              )}
+
               {/* When there's no category data, overlay a subtle message on the chart area instead of the previous plain text */}
               {!hasCategoryData && (
                 <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
                   <div className="text-sm text-gray-400 bg-white/70 dark:bg-gray-800/70 px-3 py-1 rounded">
-                    No category breakdown available
+                    {t("dashboard.noCategoryData")}
                   </div>
                 </div>
               )}
             </section>
 
-            {user.role === "admin" && (
+            {can("user:manage") && (
               <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm">
-                <h3 className="text-lg font-semibold mb-3">Admin: Users</h3>
-                <UserList />
+                <h3 className="text-lg font-semibold mb-3">{t("dashboard.adminUsersTitle")}</h3>
+                <UserList showRangePicker={false} />
               </section>
             )}
           </aside>
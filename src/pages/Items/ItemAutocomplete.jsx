@@ -0,0 +1,34 @@
+import Autocomplete from "../../components/Autocomplete";
+import { getItems } from "../../services/itemService";
+import { useTranslation } from "../../context/LanguageContext";
+
+/**
+ * Item name field backed by the item catalog. Free text is still allowed
+ * (onChange with itemId null); picking a suggestion calls onPick(item).
+ */
+
+export default function ItemAutocomplete({ id, itemName, onChange, onPick, className, disabled, placeholder, ...rest }) {
+  const { t } = useTranslation();
+  return (
+    <Autocomplete
+      id={id}
+      value={itemName}
+      onInputChange={(text) => onChange(text)}
+      onSelect={onPick}
+      fetchOptions={(q) => getItems({ q, limit: 8 })}
+      getOptionLabel={(item) => item.name}
+      renderOption={(item) => (
+        <div className="flex items-center justify-between gap-2">
+          <span>{item.name}</span>
+          <span className="text-xs text-gray-500">
+            {[item.sku, item.unit].filter(Boolean).join(" · ")}
+          </span>
+        </div>
+      )}
+      placeholder={placeholder ?? t("item.namePlaceholder")}
+      className={className}
+      disabled={disabled}
+      {...rest}
+    />
+  );
+}
@@ -0,0 +1,102 @@
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { COMMON_UNITS } from "../../services/itemService";
+
+/**
+ * Create/edit form for a catalog item (name, SKU, default unit, category).
+ * onSubmit(values) resolves to true on success; the form resets after a create.
+ */
+
+const EMPTY_ITEM = { name: "", sku: "", unit: "pcs", category: "" };
+
+const inputClass =
+  "mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500";
+
+export default function ItemForm({ item, onSubmit, onCancel }) {
+  const [form, setForm] = useState(EMPTY_ITEM);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setForm(item ? { ...EMPTY_ITEM, ...item } : EMPTY_ITEM);
+  }, [item]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error("Item name is required");
+      return;
+    }
+    if (!form.unit.trim()) {
+      toast.error("Default unit is required");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const ok = await onSubmit({
+        name: form.name.trim(),
+        sku: form.sku.trim(),
+        unit: form.unit.trim(),
+        category: form.category.trim(),
+      });
+      if (ok && !item) setForm(EMPTY_ITEM);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+      <div className="sm:col-span-2">
+        <label htmlFor="item-name" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
+          Name
+        </label>
+        <input id="item-name" name="name" type="text" value={form.name} onChange={handleChange} className={inputClass} aria-required="true" />
+      </div>
+      <div>
+        <label htmlFor="item-sku" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
+          SKU
+        </label>
+        <input id="item-sku" name="sku" type="text" value={form.sku} onChange={handleChange} placeholder="Optional" className={inputClass} />
+      </div>
+      <div>
+        <label htmlFor="item-unit" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
+          Default unit
+        </label>
+        <input id="item-unit" name="unit" type="text" list="item-unit-options" value={form.unit} onChange={handleChange} className={inputClass} aria-required="true" />
+        <datalist id="item-unit-options">
+          {COMMON_UNITS.map((u) => (
+            <option key={u} value={u} />
+          ))}
+        </datalist>
+      </div>
+      <div className="sm:col-span-2">
+        <label htmlFor="item-category" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
+          Category
+        </label>
+        <input id="item-category" name="category" type="text" value={form.category} onChange={handleChange} placeholder="e.g., Stationery" className={inputClass} />
+      </div>
+
+      <div className="sm:col-span-2 flex items-end justify-end gap-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={saving}
+            className="px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60"
+          >
+            Cancel
+          </button>
+        )}
+        <button type="submit" disabled={saving} className="px-4 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium disabled:opacity-60">
+          {saving ? "Saving…" : item ? "Save changes" : "Add item"}
+        </button>
+      </div>
+    </form>
+  );
+}
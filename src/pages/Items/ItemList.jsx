@@ -0,0 +1,165 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import toast, { Toaster } from "react-hot-toast";
+import { createItem, getItems, updateItem } from "../../services/itemService";
+import ItemForm from "./ItemForm";
+import { getErrorMessage } from "../../services/apiClient";
+import usePermissions from "../../hooks/usePermissions";
+
+/**
+ * Item catalog management: search, create and edit items
+ * (name, SKU, default unit, category). Purchase lines autocomplete from here.
+ */
+
+export default function ItemList() {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState("");
+  const { can } = usePermissions();
+  const canManage = can("item:manage");
+  const [editing, setEditing] = useState(null);
+
+  const fetchItems = useCallback(async () => {
+    setLoading(true);
+    try {
+      const list = await getItems();
+      setItems(list.sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (error) {
+      const message = getErrorMessage(error, "Failed to load items");
+      toast.error(message);
+      console.error(message);
+      setItems([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  const handleCreate = async (values) => {
+    try {
+      await createItem(values);
+      toast.success(`Item "${values.name}" added`);
+      await fetchItems();
+      return true;
+    } catch (err) {
+      const message = getErrorMessage(err, "Failed to create item");
+      toast.error(message);
+      console.error(err);
+      return false;
+    }
+  };
+
+  const handleUpdate = async (values) => {
+    try {
+      await updateItem(editing.id, values);
+      toast.success("Item updated");
+      setEditing(null);
+      await fetchItems();
+      return true;
+    } catch (err) {
+      const message = getErrorMessage(err, "Failed to update item");
+      toast.error(message);
+      console.error(err);
+      return false;
+    }
+  };
+
+  const term = search.trim().toLowerCase();
+  const visible = term
+    ? items.filter((i) => [i.name, i.sku, i.category].some((v) => String(v ?? "").toLowerCase().includes(term)))
+    : items;
+
+  return (
+    <>
+      <Toaster position="top-right" />
+      <div className="p-6 space-y-6">
+        <header className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">Item Catalog</h1>
+            <p className="text-sm text-gray-600">What we buy, with SKU, unit and category</p>
+          </div>
+          <Link
+            to="/dashboard"
+            className="inline-flex items-center gap-2 px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50"
+          >
+            Back to dashboard
+          </Link>
+        </header>
+
+        {canManage && (
+          <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm">
+            <h2 className="text-xl font-semibold mb-3">{editing ? `Edit "${editing.name}"` : "Add Item"}</h2>
+            <ItemForm item={editing} onSubmit={editing ? handleUpdate : handleCreate} onCancel={editing ? () => setEditing(null) : undefined} />
+          </section>
+        )}
+
+        <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm space-y-3">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <h2 className="text-xl font-semibold">Catalog</h2>
+            <div className="flex items-center gap-2">
+              <input
+                type="search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search name, SKU, category…"
+                className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm"
+                aria-label="Search items"
+              />
+              <button
+                onClick={fetchItems}
+                className="inline-flex items-center gap-2 px-3 py-1 rounded bg-indigo-600 hover:bg-indigo-700 text-white text-sm"
+                disabled={loading}
+              >
+                {loading ? "Refreshing…" : "Refresh"}
+              </button>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-md">
+            <table className="min-w-full table-auto">
+              <thead className="bg-gray-50 dark:bg-gray-900">
+                <tr>
+                  <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Name</th>
+                  <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">SKU</th>
+                  <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Unit</th>
+                  <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Category</th>
+                  <th className="text-center px-4 py-3 text-sm font-medium text-gray-600">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.length === 0 && !loading ? (
+                  <tr>
+                    <td colSpan="5" className="px-4 py-6 text-center text-sm text-gray-500">
+                      {term ? "No items match your search." : "No items in the catalog yet."}
+                    </td>
+                  </tr>
+                ) : (
+                  visible.map((i) => (
+                    <tr key={i.id} className="border-t">
+                      <td className="px-4 py-3 text-sm font-medium">{i.name || "—"}</td>
+                      <td className="px-4 py-3 text-sm">{i.sku || "—"}</td>
+                      <td className="px-4 py-3 text-sm">{i.unit || "—"}</td>
+                      <td className="px-4 py-3 text-sm">{i.category || "—"}</td>
+                      <td className="px-4 py-3 text-sm text-center">
+                        {canManage ? (
+                          <button onClick={() => setEditing(i)} className="px-2 py-1 text-xs rounded bg-indigo-600 hover:bg-indigo-700 text-white">
+                            Edit
+                          </button>
+                        ) : (
+                          "—"
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      </div>
+    </>
+  );
+}
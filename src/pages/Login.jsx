@@ -1,8 +1,12 @@
 import React, { useState, useContext } from "react";
-import { Link, useNavigate } from "react-router-dom";
+import { Link, useLocation, useNavigate } from "react-router-dom";
 import toast, { Toaster } from "react-hot-toast";
 import { loginUser } from "../services/userService";
+import { getErrorMessage } from "../services/apiClient";
+import { returnPathFrom } from "../utils/returnUrl";
 import { AuthContext } from "../context/AuthContext";
+import { useTranslation } from "../context/LanguageContext";
+import LanguageSwitcher from "../components/LanguageSwitcher";
 
 /**
  * Improved Login component:
@@ -12,6 +16,8 @@ import { AuthContext } from "../context/AuthContext";
  * - Show/hide password toggle
  * - Uses react-hot-toast for success/error notifications
  * - Adds link to /register
+ * - Returns to the page that required sign-in (e.g. after the session expired)
+ * - Language switcher; the choice carries over to the signed-in app
  *
  * Make sure you have react-hot-toast installed:
  *   npm install react-hot-toast
@@ -25,7 +31,9 @@ export default function Login() {
   const [showPassword, setShowPassword] = useState(false);
 
   const { login } = useContext(AuthContext);
+  const { t } = useTranslation();
   const navigate = useNavigate();
+  const location = useLocation();
 
   const handleChange = (e) => {
     setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
@@ -36,18 +44,18 @@ export default function Login() {
 
     // Simple client-side validation
     if (!form.username.trim() || !form.password) {
-      toast.error("Please enter both username and password.");
+      toast.error(t("login.missingFields"));
       return;
     }
 
     setLoading(true);
     try {
-      const res = await loginUser(form); // expected to return { user, token }
-      login({ ...res.user, token: res.token });
-      toast.success("Signed in successfully!");
-      navigate("/dashboard");
+      const res = await loginUser(form); // expected to return { user, token, refreshToken }
+      await login({ ...res.user, token: res.token, refreshToken: res.refreshToken });
+      toast.success(t("login.success"));
+      navigate(returnPathFrom(location), { replace: true });
     } catch (error) {
-      const message = error?.response?.data?.message || error?.message || "Login failed";
+      const message = getErrorMessage(error, t("login.failed"));
       toast.error(message);
       console.error(error);
     } finally {
@@ -59,17 +67,20 @@ export default function Login() {
     <>
       <Toaster position="top-right" />
       <div className="max-w-md mx-auto mt-12 p-6 bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-lg shadow">
-        <h1 className="text-2xl sm:text-3xl font-semibold text-center mb-6">Sign in</h1>
+        <div className="flex justify-end -mt-2 mb-2">
+          <LanguageSwitcher />
+        </div>
+        <h1 className="text-2xl sm:text-3xl font-semibold text-center mb-6">{t("login.title")}</h1>
 
         <form onSubmit={handleSubmit} className="space-y-4">
           <label className="block">
-            <span className="text-sm font-medium text-gray-700 dark:text-gray-200">Username</span>
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-200">{t("common.username")}</span>
             <input
               type="text"
               name="username"
               value={form.username}
               onChange={handleChange}
-              placeholder="Your username"
+              placeholder={t("login.usernamePlaceholder")}
               className="mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
               autoComplete="username"
               aria-label="username"
@@ -77,7 +88,7 @@ export default function Login() {
           </label>
 
           <label className="block relative">
-            <span className="text-sm font-medium text-gray-700 dark:text-gray-200">Password</span>
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-200">{t("common.password")}</span>
             <input
               type={showPassword ? "text" : "password"}
               name="password"
@@ -93,9 +104,9 @@ export default function Login() {
               onClick={() => setShowPassword((s) => !s)}
               className="absolute right-2 top-9 text-sm text-gray-500 hover:text-gray-700 dark:text-gray-300 dark:hover:text-gray-100 px-2 py-1"
               aria-pressed={showPassword}
-              aria-label={showPassword ? "Hide password" : "Show password"}
+              aria-label={showPassword ? t("common.hidePassword") : t("common.showPassword")}
             >
-              {showPassword ? "Hide" : "Show"}
+              {showPassword ? t("common.hide") : t("common.show")}
             </button>
           </label>
 
@@ -116,14 +127,14 @@ export default function Login() {
                 <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"></path>
               </svg>
             )}
-            <span>{loading ? "Signing in..." : "Sign in"}</span>
+            <span>{loading ? t("login.submitting") : t("login.submit")}</span>
           </button>
         </form>
 
         <div className="mt-4 text-center text-sm text-gray-600 dark:text-gray-300">
-          Don't have an account?{" "}
+          {t("login.noAccount")}{" "}
           <Link to="/register" className="text-green-600 dark:text-green-400 hover:underline font-medium">
-            Register
+            {t("login.register")}
           </Link>
         </div>
       </div>
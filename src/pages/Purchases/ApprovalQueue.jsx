@@ -0,0 +1,229 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import toast, { Toaster } from "react-hot-toast";
+import { getPurchases, normalizePurchasePage, reviewPurchases } from "../../services/purchaseService";
+import { getErrorMessage } from "../../services/apiClient";
+import { baseTotalOf, purchaseItemSummary, purchaseLines } from "../../utils/purchaseForm";
+import { BASE_CURRENCY, currencyOf, formatMoney } from "../../utils/money";
+
+/**
+ * Approvals queue: purchases waiting for review (status "submitted"), oldest first.
+ * - Select rows (or all) and approve / reject them together
+ * - One comment applies to the whole batch; it is required when rejecting
+ * - Per-row approve / reject for quick single decisions
+ */
+
+const QUEUE_SIZE = 100; // the server caps a page; the rest shows after this batch is cleared
+
+const submittedBy = (p) => p.user?.username ?? p.createdBy?.username ?? p.username ?? "—";
+
+export default function ApprovalQueue() {
+  const [pending, setPending] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [comment, setComment] = useState("");
+  const [reviewing, setReviewing] = useState(null); // "approved" | "rejected" | null
+
+  const fetchPending = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await getPurchases({ status: "submitted", sortBy: "buyingDate", sortDir: "asc", page: 1, pageSize: QUEUE_SIZE });
+      const page = normalizePurchasePage(data, { page: 1, pageSize: QUEUE_SIZE });
+      setPending(page.items);
+      setTotal(page.total);
+      // drop selections that are no longer pending
+      setSelectedIds((prev) => new Set(page.items.map((p) => p._id).filter((id) => prev.has(id))));
+    } catch (error) {
+      const message = getErrorMessage(error, "Failed to load approvals");
+      toast.error(message);
+      console.error(error);
+      setPending([]);
+      setTotal(0);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPending();
+  }, [fetchPending]);
+
+  const allSelected = pending.length > 0 && selectedIds.size === pending.length;
+  const selectedTotal = useMemo(
+    () => pending.filter((p) => selectedIds.has(p._id)).reduce((sum, p) => sum + (baseTotalOf(p) ?? 0), 0),
+    [pending, selectedIds]
+  );
+
+  const toggle = (id) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? new Set() : new Set(pending.map((p) => p._id)));
+  };
+
+  const review = async (ids, decision) => {
+    if (!ids.length) {
+      toast.error("Select at least one purchase");
+      return;
+    }
+    const note = comment.trim();
+    if (decision === "rejected" && !note) {
+      toast.error("Add a comment explaining the rejection");
+      return;
+    }
+    setReviewing(decision);
+    try {
+      await reviewPurchases({ ids, decision, comment: note });
+      const verb = decision === "approved" ? "Approved" : "Rejected";
+      toast.success(`${verb} ${ids.length} purchase${ids.length === 1 ? "" : "s"}`);
+      setComment("");
+      await fetchPending();
+    } catch (err) {
+      const message = getErrorMessage(err, "Failed to save review");
+      toast.error(message);
+      console.error(err);
+    } finally {
+      setReviewing(null);
+    }
+  };
+
+  const busy = Boolean(reviewing);
+
+  return (
+    <>
+      <Toaster position="top-right" />
+      <div className="p-6 space-y-6">
+        <header className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">Approvals</h1>
+            <p className="text-sm text-gray-600">
+              {loading ? "Loading…" : `${total} purchase${total === 1 ? "" : "s"} waiting for review`}
+            </p>
+          </div>
+          <Link
+            to="/dashboard"
+            className="inline-flex items-center gap-2 px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50"
+          >
+            Back to dashboard
+          </Link>
+        </header>
+
+        <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm space-y-3">
+          <label htmlFor="reviewComment" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
+            Comment <span className="text-gray-400 font-normal">(required to reject; sent with every selected purchase)</span>
+          </label>
+          <textarea
+            id="reviewComment"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows={2}
+            className="block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+            placeholder="e.g., Rate is higher than the agreed quote"
+          />
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="text-sm text-gray-600 dark:text-gray-300">
+              {selectedIds.size} selected · {formatMoney(selectedTotal)}
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => review([...selectedIds], "rejected")}
+                disabled={busy || selectedIds.size === 0}
+                className="px-3 py-2 rounded-md bg-red-500 hover:bg-red-600 text-white text-sm font-medium disabled:opacity-60"
+              >
+                {reviewing === "rejected" ? "Rejecting…" : "Reject selected"}
+              </button>
+              <button
+                onClick={() => review([...selectedIds], "approved")}
+                disabled={busy || selectedIds.size === 0}
+                className="px-3 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium disabled:opacity-60"
+              >
+                {reviewing === "approved" ? "Approving…" : "Approve selected"}
+              </button>
+            </div>
+          </div>
+        </section>
+
+        <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm overflow-x-auto">
+          <table className="min-w-full table-auto">
+            <thead className="bg-gray-50 dark:bg-gray-900">
+              <tr>
+                <th className="px-4 py-3 w-8">
+                  <input type="checkbox" checked={allSelected} onChange={toggleAll} disabled={!pending.length} aria-label="Select all" />
+                </th>
+                <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Purchase</th>
+                <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Date</th>
+                <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Supplier</th>
+                <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Submitted by</th>
+                <th className="text-right px-4 py-3 text-sm font-medium text-gray-600">Total</th>
+                <th className="text-center px-4 py-3 text-sm font-medium text-gray-600">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {!loading && pending.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-4 py-6 text-center text-sm text-gray-500">
+                    Nothing waiting for approval.
+                  </td>
+                </tr>
+              ) : (
+                pending.map((p) => (
+                  <tr key={p._id} className={`border-t align-top ${selectedIds.has(p._id) ? "bg-green-50 dark:bg-gray-900" : ""}`}>
+                    <td className="px-4 py-3">
+                      <input type="checkbox" checked={selectedIds.has(p._id)} onChange={() => toggle(p._id)} aria-label={`Select ${purchaseItemSummary(p)}`} />
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <div className="font-medium">{purchaseItemSummary(p) || "—"}</div>
+                      {purchaseLines(p).length > 1 && (
+                        <ul className="mt-1 text-xs text-gray-500">
+                          {purchaseLines(p).map((line, i) => (
+                            <li key={i}>
+                              {line.itemName} — {line.quantity} {line.unit} × {formatMoney(line.rate, currencyOf(p))}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      {p.referenceNo && <div className="text-xs text-gray-500">Ref {p.referenceNo}</div>}
+                    </td>
+                    <td className="px-4 py-3 text-sm">{p.buyingDate ? String(p.buyingDate).slice(0, 10) : "—"}</td>
+                    <td className="px-4 py-3 text-sm">{p.supplierName || "—"}</td>
+                    <td className="px-4 py-3 text-sm">{submittedBy(p)}</td>
+                    <td className="px-4 py-3 text-sm text-right font-medium">
+                      {formatMoney(p.totalAmount, currencyOf(p))}
+                      {currencyOf(p) !== BASE_CURRENCY && baseTotalOf(p) != null && <div className="text-xs font-normal text-gray-500">≈ {formatMoney(baseTotalOf(p))}</div>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-center">
+                      <div className="inline-flex items-center gap-2">
+                        <button
+                          onClick={() => review([p._id], "approved")}
+                          disabled={busy}
+                          className="px-2 py-1 text-xs rounded bg-green-600 hover:bg-green-700 text-white disabled:opacity-60"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => review([p._id], "rejected")}
+                          disabled={busy}
+                          title="Uses the comment above"
+                          className="px-2 py-1 text-xs rounded bg-red-500 hover:bg-red-600 text-white disabled:opacity-60"
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </section>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,61 @@
+import { useTranslation } from "../../context/LanguageContext";
+
+/**
+ * Category + optional subcategory pickers for purchase forms.
+ * `tree` comes from useCategories(); changing the category clears the subcategory.
+ *
+ * Usage:
+ * <CategorySelect tree={tree} categoryId={form.categoryId} subcategoryId={form.subcategoryId}
+ *   onChange={({ categoryId, subcategoryId }) => setForm((p) => ({ ...p, categoryId, subcategoryId }))} />
+ */
+
+export default function CategorySelect({ id = "category", tree, categoryId, subcategoryId, onChange, className, disabled, labelClassName }) {
+  const { t } = useTranslation();
+  const selected = tree.find((c) => String(c.id) === String(categoryId ?? ""));
+  const subcategories = selected?.subcategories ?? [];
+
+  return (
+    <div className="flex gap-2">
+      <div className="flex-1">
+        <label htmlFor={id} className={labelClassName}>
+          {t("purchase.category")}
+        </label>
+        <select
+          id={id}
+          value={categoryId ?? ""}
+          onChange={(e) => onChange({ categoryId: e.target.value || null, subcategoryId: null })}
+          className={className}
+          disabled={disabled}
+        >
+          <option value="">{t("common.noneOption")}</option>
+          {tree.map((c) => (
+            <option key={c.id} value={c.id}>
+              {c.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      {subcategories.length > 0 && (
+        <div className="flex-1">
+          <label htmlFor={`${id}-sub`} className={labelClassName}>
+            {t("purchase.subcategory")}
+          </label>
+          <select
+            id={`${id}-sub`}
+            value={subcategoryId ?? ""}
+            onChange={(e) => onChange({ categoryId, subcategoryId: e.target.value || null })}
+            className={className}
+            disabled={disabled}
+          >
+            <option value="">{t("common.anyOption")}</option>
+            {subcategories.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { currencyOf, formatMoney } from "../../utils/money";
+import { purchaseItemSummary } from "../../utils/purchaseForm";
+import { formatCalendarDate } from "../../utils/bikramSambat";
+import { localeOf } from "../../i18n";
+import useCalendar from "../../hooks/useCalendar";
+import { useTranslation } from "../../context/LanguageContext";
+
+/**
+ * Purchases recorded on this device that the server hasn't accepted yet.
+ * - "Not yet synced" entries go out automatically (see components/OfflineSync)
+ * - "Sync conflict" entries were rejected by the server: the reason is shown,
+ *   and they can be retried or discarded
+ *
+ * Props: entries / onRetry / onDiscard from hooks/useOfflineQueue.
+ */
+export default function OfflineQueueList({ entries, onRetry, onDiscard }) {
+  const [busyId, setBusyId] = useState(null);
+  const [calendar] = useCalendar();
+  const { t, digits } = useTranslation();
+
+  if (!entries.length) return null;
+
+  // When the entry was recorded, in the primary calendar and the UI language
+  const recordedAt = (iso) => {
+    const date = new Date(iso);
+    if (isNaN(date)) return "";
+    const time = date.toLocaleTimeString(localeOf(), { hour: "2-digit", minute: "2-digit" });
+    return `${formatCalendarDate(date, calendar, "short")} ${digits(time)}`;
+  };
+
+  const handleRetry = async (entry) => {
+    setBusyId(entry.localId);
+    try {
+      const { synced } = await onRetry(entry.localId);
+      if (synced) toast.success(t("offline.synced"));
+    } catch (err) {
+      toast.error(t("offline.retryFailed"));
+      console.error(err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDiscard = async (entry) => {
+    const name = purchaseItemSummary(entry.payload) || t("offline.purchaseFallback");
+    const ok = window.confirm(t(entry.savedId ? "offline.discardAttachmentsConfirm" : "offline.discardConfirm", { name }));
+    if (!ok) return;
+    setBusyId(entry.localId);
+    try {
+      await onDiscard(entry.localId);
+      toast.success(t("offline.discarded"));
+    } catch (err) {
+      toast.error(t("offline.discardFailed"));
+      console.error(err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="border border-yellow-200 dark:border-yellow-900 bg-yellow-50 dark:bg-gray-900 rounded-md p-3 space-y-2">
+      <div className="text-sm font-medium">{t("offline.title", { count: entries.length })}</div>
+      <ul className="divide-y divide-yellow-200 dark:divide-gray-700">
+        {entries.map((entry) => {
+          const p = entry.payload;
+          const conflict = entry.state === "conflict";
+          return (
+            <li key={entry.localId} className="py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 text-sm">
+              <div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <span>{purchaseItemSummary(p) || "—"}</span>
+                  <span
+                    className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${
+                      conflict ? "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200" : "bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200"
+                    }`}
+                  >
+                    {conflict ? t("offline.conflict") : t("offline.pending")}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-500">
+                  {[
+                    p.buyingDate && formatCalendarDate(p.buyingDate, calendar),
+                    p.supplierName,
+                    formatMoney(p.totalAmount, currencyOf(p)),
+                    entry.createdAt && t("offline.recorded", { when: recordedAt(entry.createdAt) }),
+                  ]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </div>
+                {conflict && entry.error && <div className="text-xs text-red-600 dark:text-red-400">{entry.error}</div>}
+              </div>
+              {conflict && (
+                <div className="inline-flex items-center gap-2">
+                  <button
+                    onClick={() => handleRetry(entry)}
+                    disabled={busyId === entry.localId}
+                    className="px-2 py-1 text-xs rounded bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-60"
+                  >
+                    {t("offline.retry")}
+                  </button>
+                  <button
+                    onClick={() => handleDiscard(entry)}
+                    disabled={busyId === entry.localId}
+                    className="px-2 py-1 text-xs rounded bg-red-500 hover:bg-red-600 text-white disabled:opacity-60"
+                  >
+                    {t("offline.discard")}
+                  </button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
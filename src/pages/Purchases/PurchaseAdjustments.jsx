@@ -0,0 +1,166 @@
+import { DISCOUNT_TYPES, EMPTY_CHARGE } from "../../utils/purchaseForm";
+import { useTranslation } from "../../context/LanguageContext";
+
+/**
+ * Bill-level adjustments of a purchase document: trade discount (percent or flat),
+ * VAT toggle and rate, and other charges such as transport.
+ * Used by PurchaseCreate and the inline editor in PurchaseList.
+ *
+ * Props:
+ * - doc: the document state ({ discountType, discountValue, vatApplicable, vatRate, charges })
+ * - onChange(patch): fields to merge into the document
+ * - compact: smaller inputs for inline editing
+ */
+
+export default function PurchaseAdjustments({ doc, onChange, disabled = false, compact = false, idPrefix = "bill" }) {
+  const { t } = useTranslation();
+  const charges = doc.charges || [];
+
+  const inputClass = compact
+    ? "block w-full px-2 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+    : "block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500";
+  const labelClass = compact ? "block text-xs text-gray-500" : "block text-sm font-medium text-gray-700 dark:text-gray-200";
+
+  const updateCharge = (index, name, value) => {
+    onChange({ charges: charges.map((c, i) => (i === index ? { ...c, [name]: value } : c)) });
+  };
+
+  const addCharge = () => onChange({ charges: [...charges, { ...EMPTY_CHARGE }] });
+
+  const removeCharge = (index) => onChange({ charges: charges.filter((_, i) => i !== index) });
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 items-end">
+        <div className="col-span-2">
+          <label htmlFor={`${idPrefix}-discount`} className={labelClass}>
+            {t("bill.discount")}
+          </label>
+          <div className="mt-1 flex gap-2">
+            <input
+              id={`${idPrefix}-discount`}
+              type="number"
+              min="0"
+              max={doc.discountType === "flat" ? undefined : "100"}
+              step="0.01"
+              value={doc.discountValue}
+              onChange={(e) => onChange({ discountValue: e.target.value })}
+              placeholder="0"
+              className={`${inputClass} text-right`}
+              disabled={disabled}
+            />
+            <select
+              value={doc.discountType}
+              onChange={(e) => onChange({ discountType: e.target.value })}
+              className={`${inputClass} w-auto`}
+              disabled={disabled}
+              aria-label={t("bill.discountType")}
+            >
+              {DISCOUNT_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {t(`bill.discount-${type}`)}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <label className={`flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200 ${compact ? "" : "py-2"}`}>
+          <input
+            type="checkbox"
+            checked={Boolean(doc.vatApplicable)}
+            onChange={(e) => onChange({ vatApplicable: e.target.checked })}
+            disabled={disabled}
+          />
+          {t("bill.vatApplicable")}
+        </label>
+
+        <div>
+          <label htmlFor={`${idPrefix}-vatRate`} className={labelClass}>
+            {t("bill.vatRate")}
+          </label>
+          <input
+            id={`${idPrefix}-vatRate`}
+            type="number"
+            min="0"
+            step="0.01"
+            value={doc.vatRate}
+            onChange={(e) => onChange({ vatRate: e.target.value })}
+            className={`mt-1 ${inputClass} text-right`}
+            disabled={disabled || !doc.vatApplicable}
+          />
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {charges.length > 0 && <div className={labelClass}>{t("bill.charges")}</div>}
+        {charges.map((charge, index) => {
+          const id = `${idPrefix}-charge-${index}`;
+          return (
+            <div key={index} className="grid grid-cols-12 gap-2 items-center">
+              <div className="col-span-12 sm:col-span-6">
+                <label htmlFor={`${id}-label`} className="sr-only">
+                  {t("bill.chargeLabelFor", { line: index + 1 })}
+                </label>
+                <input
+                  id={`${id}-label`}
+                  type="text"
+                  value={charge.label}
+                  onChange={(e) => updateCharge(index, "label", e.target.value)}
+                  placeholder={t("bill.chargePlaceholder")}
+                  className={inputClass}
+                  disabled={disabled}
+                />
+              </div>
+              <div className="col-span-5 sm:col-span-3">
+                <label htmlFor={`${id}-amount`} className="sr-only">
+                  {t("bill.chargeAmountFor", { line: index + 1 })}
+                </label>
+                <input
+                  id={`${id}-amount`}
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={charge.amount}
+                  onChange={(e) => updateCharge(index, "amount", e.target.value)}
+                  placeholder={t("bill.chargeAmount")}
+                  className={`${inputClass} text-right`}
+                  disabled={disabled}
+                />
+              </div>
+              <label className="col-span-5 sm:col-span-2 flex items-center gap-1 text-xs text-gray-600 dark:text-gray-300" title={t("bill.chargeTaxableHint")}>
+                <input
+                  type="checkbox"
+                  checked={Boolean(charge.taxable)}
+                  onChange={(e) => updateCharge(index, "taxable", e.target.checked)}
+                  disabled={disabled}
+                />
+                {t("bill.chargeTaxable")}
+              </label>
+              <div className="col-span-2 sm:col-span-1 text-right">
+                <button
+                  type="button"
+                  onClick={() => removeCharge(index)}
+                  disabled={disabled}
+                  className="px-2 py-1 text-sm text-red-600 hover:bg-red-50 rounded disabled:opacity-30"
+                  aria-label={t("bill.removeCharge", { line: index + 1 })}
+                  title={t("bill.removeCharge", { line: index + 1 })}
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+          );
+        })}
+        <button
+          type="button"
+          onClick={addCharge}
+          disabled={disabled}
+          className="text-sm text-green-600 dark:text-green-400 hover:underline font-medium disabled:opacity-60"
+        >
+          + {t("bill.addCharge")}
+        </button>
+      </div>
+    </div>
+  );
+}
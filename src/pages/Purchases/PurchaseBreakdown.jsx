@@ -0,0 +1,38 @@
+import { formatMoney } from "../../utils/money";
+import { useTranslation } from "../../context/LanguageContext";
+
+/**
+ * Bill summary: subtotal, discount, other charges, taxable amount and VAT,
+ * optionally followed by the grand total. Rows that don't apply are left out.
+ *
+ * Props:
+ * - breakdown: from computeBreakdown (form state) or breakdownOf (saved record)
+ * - currency: the purchase's currency
+ * - vatApplicable, vatRate: as stored on the purchase
+ * - showTotal: add the grand total row
+ */
+
+export default function PurchaseBreakdown({ breakdown, currency, vatApplicable, vatRate, showTotal = false, className = "" }) {
+  const { t } = useTranslation();
+  const money = (value) => formatMoney(value, currency);
+
+  const rows = [
+    { key: "subtotal", label: t("bill.subtotal"), value: money(breakdown.subtotal) },
+    breakdown.discountAmount > 0 && { key: "discount", label: t("bill.discount"), value: `− ${money(breakdown.discountAmount)}` },
+    breakdown.chargesAmount > 0 && { key: "charges", label: t("bill.charges"), value: `+ ${money(breakdown.chargesAmount)}` },
+    vatApplicable && { key: "taxable", label: t("bill.taxableAmount"), value: money(breakdown.taxableAmount) },
+    vatApplicable && { key: "vat", label: t("bill.vatAt", { rate: Number(vatRate ?? 0) }), value: `+ ${money(breakdown.vatAmount)}` },
+    showTotal && { key: "total", label: t("purchase.grandTotalShort"), value: money(breakdown.totalAmount), strong: true },
+  ].filter(Boolean);
+
+  return (
+    <dl className={`text-xs ${className}`}>
+      {rows.map((row) => (
+        <div key={row.key} className={`flex justify-between gap-4 ${row.strong ? "font-semibold border-t border-gray-200 dark:border-gray-700 mt-1 pt-1" : "text-gray-500"}`}>
+          <dt>{row.label}</dt>
+          <dd className="text-right whitespace-nowrap">{row.value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
@@ -1,15 +1,56 @@
-import React, { useState, useContext, useEffect } from "react";
+import React, { useContext, useEffect, useState } from "react";
 import toast, { Toaster } from "react-hot-toast";
-import { createPurchase } from "../../services/purchaseService";
 import { AuthContext } from "../../context/AuthContext";
+import { createPurchase } from "../../services/purchaseService";
+import {
+  EMPTY_PURCHASE_DOCUMENT,
+  computeBreakdown,
+  isBlankPurchaseDocument,
+  monthYearFromDate,
+  toPurchaseDocumentPayload,
+  validatePurchaseDocument,
+} from "../../utils/purchaseForm";
+import PurchaseLines from "./PurchaseLines";
+import PurchaseAdjustments from "./PurchaseAdjustments";
+import PurchaseBreakdown from "./PurchaseBreakdown";
+import SupplierAutocomplete from "../Suppliers/SupplierAutocomplete";
+import CategorySelect from "./CategorySelect";
+import useCategories from "../../hooks/useCategories";
+import useFormDraft from "../../hooks/useFormDraft";
+import useBudgets from "../../hooks/useBudgets";
+import { budgetLabel, monthKey, overspentBudgets } from "../../utils/budgets";
+import { BASE_CURRENCY, CURRENCY_CODES, formatMoney, roundMoney } from "../../utils/money";
+import { rateOn } from "../../utils/exchangeRates";
+import useExchangeRates from "../../hooks/useExchangeRates";
+import useCalendar from "../../hooks/useCalendar";
+import CalendarDateInput from "../../components/CalendarDateInput";
+import AttachmentInput from "../../components/AttachmentInput";
+import { uploadAttachments } from "../../services/attachmentService";
+import { useTranslation } from "../../context/LanguageContext";
+import { getErrorMessage, isNetworkError } from "../../services/apiClient";
+import { enqueuePurchase, isQueueSupported, ownerKey } from "../../utils/offlineQueue";
 
 /**
  * Improved PurchaseCreate:
  * - Responsive Tailwind UI
- * - Live total calculation & formatted currency preview
+ * - Purchase document: header (date, supplier, bill/reference no.) + any number of line items
+ * - Live per-line and grand total with formatted currency preview
+ * - Trade discount (percent or flat), VAT with an editable rate and other charges,
+ *   with a subtotal / discount / taxable amount / VAT breakdown stored on the purchase
+ * - Purchase currency (NPR, INR, USD); foreign amounts are converted to NPR with the
+ *   exchange rate in effect on the buying date
  * - Client-side validation with react-hot-toast feedback
  * - Loading state with spinner, accessible labels
- * - Auto-fills month/year from selected date
+ * - Buying date is entered in the user's primary calendar (AD or BS); month/year are auto-filled in AD
+ * - Supplier autocomplete linking the purchase to the supplier directory
+ * - Item autocomplete from the catalog, prefilling last paid rate and usual supplier
+ * - Optional category / subcategory from the admin-managed list
+ * - Bill / receipt photos or PDFs (camera capture on phones), uploaded after the purchase
+ *   is saved; photos are compressed first. They are not part of the saved draft
+ * - Unsaved entries are kept as a per-user draft and restored after signing back in
+ * - "Submit for approval" sends it to the approvals queue; "Save draft" keeps it for later
+ * - Warns (and asks to confirm) when submitting would push a monthly budget over its limit
+ * - Without a connection the purchase is queued on this device and synced later (see OfflineSync)
  * - Optional onCreated callback prop so parent (Dashboard) can refresh lists/charts
  *
  * Usage:
@@ -18,35 +59,28 @@ import { AuthContext } from "../../context/AuthContext";
 
 export default function PurchaseCreate({ onCreated } = {}) {
   const { user } = useContext(AuthContext);
+  const draftKey = `purchaseDraft:${user?.id ?? user?.username ?? "anonymous"}`;
+  const [form, setForm, draftRestored] = useFormDraft(draftKey, EMPTY_PURCHASE_DOCUMENT, isBlankPurchaseDocument);
+  const { tree: categoryTree } = useCategories();
+  // Budgets of the month the purchase is for, which need not be this month
+  const { budgets, reload: reloadBudgets } = useBudgets(monthKey(form.buyingDate));
+  const { rates } = useExchangeRates();
+  const [calendar] = useCalendar();
+  const { t } = useTranslation();
 
-  const [form, setForm] = useState({
-    month: "",
-    year: "",
-    buyingDate: "",
-    itemName: "",
-    quantity: "",
-    rate: "",
-    supplierName: "",
-  });
+  useEffect(() => {
+    if (draftRestored) toast(t("create.draftRestored"), { id: "purchase-draft", icon: "📝" });
+  }, [draftRestored, t]);
 
-  const [loading, setLoading] = useState(false);
+  const [loading, setLoading] = useState(false); // false | "draft" | "submitted"
+  const [attachments, setAttachments] = useState([]);
+  const busy = Boolean(loading);
 
-  // Auto-fill month/year when buyingDate changes
+  // Auto-fill month/year (AD, as stored) when buyingDate changes
   useEffect(() => {
-    if (!form.buyingDate) return;
-    try {
-      const d = new Date(form.buyingDate);
-      if (!isNaN(d)) {
-        setForm((prev) => ({
-          ...prev,
-          month: d.toLocaleString(undefined, { month: "long" }),
-          year: String(d.getFullYear()),
-        }));
-      }
-    } catch {
-      // ignore
-    }
-  }, [form.buyingDate]);
+    const derived = monthYearFromDate(form.buyingDate);
+    if (derived) setForm((prev) => ({ ...prev, ...derived }));
+  }, [form.buyingDate, setForm]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -54,76 +88,60 @@ export default function PurchaseCreate({ onCreated } = {}) {
     setForm((prev) => ({ ...prev, [name]: value }));
   };
 
-  const parseNumber = (v) => {
-    const n = Number(String(v).replace(/,/g, ""));
-    return Number.isFinite(n) ? n : 0;
+  const handleLinesChange = (lines) => {
+    setForm((prev) => ({ ...prev, lines }));
   };
 
-  const totalAmount = parseNumber(form.quantity) * parseNumber(form.rate);
-
-  const formatCurrency = (value) => {
-    // Format as Nepali Rupee with Nepali digits if available; normalize symbol to 'रु'
-    try {
-      const nf = new Intl.NumberFormat("ne-NP", { style: "currency", currency: "NPR", maximumFractionDigits: 2 });
-      return nf.format(Number(value || 0)).replace("रू", "रु");
-    } catch {
-      try {
-        const nf = new Intl.NumberFormat("en-IN", { maximumFractionDigits: 2 });
-        return `रु ${nf.format(Number(value || 0))}`;
-      } catch {
-        return `रु ${String(value ?? 0)}`;
-      }
-    }
+  // Usual supplier of a picked catalog item; never overwrite one the user chose
+  const handleSupplierSuggested = ({ supplierId, supplierName }) => {
+    setForm((prev) => (prev.supplierName.trim() ? prev : { ...prev, supplierId, supplierName }));
   };
 
+  const breakdown = computeBreakdown(form);
+  const { totalAmount } = breakdown;
+  const adjusted = form.vatApplicable || breakdown.discountAmount > 0 || breakdown.chargesAmount > 0;
+  const foreign = form.currency !== BASE_CURRENCY;
+  const exchangeRate = rateOn(rates, form.currency, form.buyingDate || undefined);
+  const baseTotal = exchangeRate != null ? roundMoney(totalAmount * exchangeRate) : null;
+  // Budgets are in NPR
+  const overspent = baseTotal > 0 ? overspentBudgets(budgets, { user, categoryId: form.categoryId, amount: baseTotal }) : [];
+
+  const formatCurrency = (value) => formatMoney(value, form.currency);
+
   const validate = () => {
-    if (!form.itemName.trim()) {
-      toast.error("Item name is required");
-      return false;
-    }
-    if (!form.buyingDate) {
-      toast.error("Buying date is required");
-      return false;
-    }
-    if (!form.quantity || parseNumber(form.quantity) <= 0) {
-      toast.error("Quantity must be a number greater than 0");
-      return false;
-    }
-    if (!form.rate || parseNumber(form.rate) <= 0) {
-      toast.error("Rate must be a number greater than 0");
+    const error = validatePurchaseDocument(form, { exchangeRate });
+    if (error) {
+      toast.error(error);
       return false;
     }
     return true;
   };
 
   const resetForm = () => {
-    setForm({
-      month: "",
-      year: "",
-      buyingDate: "",
-      itemName: "",
-      quantity: "",
-      rate: "",
-      supplierName: "",
-    });
+    setForm(EMPTY_PURCHASE_DOCUMENT);
+    setAttachments([]);
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!validate()) return;
+  // "submitted" goes to the approvals queue; a "draft" may be incomplete and is submitted later from the list
+  const save = async (status) => {
+    if (status === "draft") {
+      if (isBlankPurchaseDocument(form)) {
+        toast.error(t("create.nothingToSave"));
+        return;
+      }
+    } else if (!validate()) {
+      return;
+    } else if (overspent.length) {
+      const list = overspent
+        .map(({ budget, progress }) => t("create.overBudgetLine", { budget: budgetLabel(budget), amount: formatMoney(-progress.remaining) }))
+        .join("\n");
+      const ok = window.confirm(t("create.overBudgetConfirm", { list }));
+      if (!ok) return;
+    }
 
-    const payload = {
-      ...form,
-      quantity: parseNumber(form.quantity),
-      rate: parseNumber(form.rate),
-      totalAmount,
-    };
+    const payload = { ...toPurchaseDocumentPayload(form, { exchangeRate }), status };
 
-    setLoading(true);
-    try {
-      await createPurchase(payload, user.token);
-      toast.success("Purchase created");
-      resetForm();
+    const notifyCreated = () => {
       if (typeof onCreated === "function") {
         try {
           onCreated();
@@ -131,8 +149,47 @@ export default function PurchaseCreate({ onCreated } = {}) {
           // ignore callback errors
         }
       }
+    };
+
+    // Keep it on this device; OfflineSync sends it when the connection returns
+    const saveOffline = async () => {
+      await enqueuePurchase(ownerKey(user), payload, attachments);
+      toast(t("create.savedOffline"), { id: "purchase-offline", icon: "📴" });
+      resetForm();
+      notifyCreated();
+    };
+
+    setLoading(status);
+    try {
+      if (!navigator.onLine && isQueueSupported()) {
+        await saveOffline();
+        return;
+      }
+      const res = await createPurchase(payload);
+      const saved = res?.purchase ?? res;
+      if (attachments.length && saved?._id) {
+        try {
+          await uploadAttachments(saved._id, attachments);
+        } catch (uploadErr) {
+          // The purchase itself is saved; the files can be added again from the purchase list
+          console.error(uploadErr);
+          toast.error(t("attachments.uploadFailed"), { id: "purchase-attachments" });
+        }
+      }
+      toast.success(status === "draft" ? t("create.draftSaved") : t("create.submitted"));
+      resetForm();
+      if (status === "submitted") reloadBudgets();
+      notifyCreated();
     } catch (err) {
-      const message = err?.response?.data?.message || err?.message || "Failed to create purchase";
+      if (isNetworkError(err) && isQueueSupported()) {
+        try {
+          await saveOffline();
+          return;
+        } catch (queueErr) {
+          console.error(queueErr);
+        }
+      }
+      const message = getErrorMessage(err, t("create.failed"));
       toast.error(message);
       console.error(err);
     } finally {
@@ -140,6 +197,18 @@ export default function PurchaseCreate({ onCreated } = {}) {
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    save("submitted");
+  };
+
+  const spinner = (
+    <svg className="animate-spin h-4 w-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" aria-hidden>
+      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"></path>
+    </svg>
+  );
+
   return (
     <>
       <Toaster position="top-right" />
@@ -147,15 +216,16 @@ export default function PurchaseCreate({ onCreated } = {}) {
         <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
           <div>
             <label htmlFor="buyingDate" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
-              Buying date
+              {t("purchase.buyingDate")}
             </label>
-            <input
+            <CalendarDateInput
               id="buyingDate"
               name="buyingDate"
-              type="date"
               value={form.buyingDate}
-              onChange={handleChange}
-              className="mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500"
+              onChange={(buyingDate) => setForm((prev) => ({ ...prev, buyingDate }))}
+              calendar={calendar}
+              className="mt-1"
+              inputClassName="block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500"
               aria-required="true"
             />
           </div>
@@ -163,7 +233,7 @@ export default function PurchaseCreate({ onCreated } = {}) {
           <div className="flex gap-2">
             <div className="flex-1">
               <label htmlFor="month" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
-                Month
+                {t("purchase.month")}
               </label>
               <input
                 id="month"
@@ -171,14 +241,14 @@ export default function PurchaseCreate({ onCreated } = {}) {
                 type="text"
                 value={form.month}
                 onChange={handleChange}
-                placeholder="Month"
+                placeholder={t("purchase.month")}
                 className="mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500"
               />
             </div>
 
             <div className="w-24">
               <label htmlFor="year" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
-                Year
+                {t("purchase.year")}
               </label>
               <input
                 id="year"
@@ -186,108 +256,156 @@ export default function PurchaseCreate({ onCreated } = {}) {
                 type="text"
                 value={form.year}
                 onChange={handleChange}
-                placeholder="Year"
+                placeholder={t("purchase.year")}
                 className="mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500"
               />
             </div>
           </div>
 
-          <div className="sm:col-span-2">
-            <label htmlFor="itemName" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
-              Item name
+          <div>
+            <label htmlFor="supplierName" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
+              {t("purchase.supplier")}
             </label>
-            <input
-              id="itemName"
-              name="itemName"
-              type="text"
-              value={form.itemName}
-              onChange={handleChange}
-              placeholder="e.g., Office Chair"
+            <SupplierAutocomplete
+              id="supplierName"
+              supplierName={form.supplierName}
+              supplierId={form.supplierId}
+              onChange={({ supplierId, supplierName }) => setForm((prev) => ({ ...prev, supplierId, supplierName }))}
+              disabled={busy}
               className="mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500"
-              aria-required="true"
             />
           </div>
 
           <div>
-            <label htmlFor="quantity" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
-              Quantity
+            <label htmlFor="referenceNo" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
+              {t("purchase.referenceNo")}
             </label>
             <input
-              id="quantity"
-              name="quantity"
-              type="number"
-              min="0"
-              step="1"
-              value={form.quantity}
+              id="referenceNo"
+              name="referenceNo"
+              type="text"
+              value={form.referenceNo}
               onChange={handleChange}
-              placeholder="0"
-              className="mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500 text-right"
-              aria-required="true"
+              placeholder={t("purchase.referenceNoPlaceholder")}
+              className="mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500"
             />
           </div>
 
           <div>
-            <label htmlFor="rate" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
-              Rate
+            <label htmlFor="currency" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
+              {t("purchase.currency")}
             </label>
-            <input
-              id="rate"
-              name="rate"
-              type="number"
-              min="0"
-              step="0.01"
-              value={form.rate}
+            <select
+              id="currency"
+              name="currency"
+              value={form.currency}
               onChange={handleChange}
-              placeholder="0.00"
-              className="mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500 text-right"
-              aria-required="true"
-            />
+              disabled={busy}
+              className="mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500"
+            >
+              {CURRENCY_CODES.map((code) => (
+                <option key={code} value={code}>
+                  {code} — {t(`currency.${code}`)}
+                </option>
+              ))}
+            </select>
           </div>
 
           <div className="sm:col-span-2">
-            <label htmlFor="supplierName" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
-              Supplier
-            </label>
-            <input
-              id="supplierName"
-              name="supplierName"
-              type="text"
-              value={form.supplierName}
-              onChange={handleChange}
-              placeholder="Supplier name"
+            <CategorySelect
+              id="categoryId"
+              tree={categoryTree}
+              categoryId={form.categoryId}
+              subcategoryId={form.subcategoryId}
+              onChange={({ categoryId, subcategoryId }) => setForm((prev) => ({ ...prev, categoryId, subcategoryId }))}
+              disabled={busy}
+              labelClassName="block text-sm font-medium text-gray-700 dark:text-gray-200"
               className="mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500"
             />
           </div>
+
+          <div className="sm:col-span-2">
+            <div className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">{t("purchase.items")}</div>
+            <PurchaseLines
+              lines={form.lines}
+              onChange={handleLinesChange}
+              onSupplierSuggested={handleSupplierSuggested}
+              formatCurrency={formatCurrency}
+              disabled={busy}
+              idPrefix="create-line"
+            />
+          </div>
+
+          <div className="sm:col-span-2">
+            <PurchaseAdjustments doc={form} onChange={(patch) => setForm((prev) => ({ ...prev, ...patch }))} disabled={busy} idPrefix="create-bill" />
+          </div>
+
+          <div className="sm:col-span-2">
+            <div className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">{t("attachments.label")}</div>
+            <AttachmentInput files={attachments} onChange={setAttachments} disabled={busy} idPrefix="create-attachments" />
+          </div>
         </div>
 
         <div className="mt-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
           <div className="text-sm text-gray-700 dark:text-gray-200">
-            <div className="text-xs text-gray-500">Total</div>
+            {adjusted && (
+              <PurchaseBreakdown
+                breakdown={breakdown}
+                currency={form.currency}
+                vatApplicable={form.vatApplicable}
+                vatRate={form.vatRate}
+                className="mb-1 max-w-xs"
+              />
+            )}
+            <div className="text-xs text-gray-500">
+              {form.lines.length > 1 ? t("purchase.grandTotal", { count: form.lines.length }) : t("purchase.total")}
+            </div>
             <div className="text-lg font-semibold">{formatCurrency(totalAmount)}</div>
+            {foreign && (
+              <div className="text-xs text-gray-500">
+                {exchangeRate != null
+                  ? t("create.convertedAt", { amount: formatMoney(baseTotal), currency: form.currency, rate: formatMoney(exchangeRate) })
+                  : t("create.noRateYet", { currency: form.currency })}
+              </div>
+            )}
+            {overspent.length > 0 && (
+              <ul className="mt-1 text-xs text-red-600" role="alert">
+                {overspent.map(({ budget, progress }) => (
+                  <li key={budget.id ?? `${budget.scope}-${budget.targetId}`}>
+                    ⚠ {t("create.budgetWouldBeOver", { budget: budgetLabel(budget), amount: formatMoney(-progress.remaining) })}
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
 
           <div className="flex items-center gap-2">
             <button
               type="button"
               onClick={resetForm}
-              disabled={loading}
+              disabled={busy}
               className="px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60"
             >
-              Reset
+              {t("common.reset")}
+            </button>
+
+            <button
+              type="button"
+              onClick={() => save("draft")}
+              disabled={busy}
+              className="inline-flex items-center gap-2 px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60"
+            >
+              {loading === "draft" && spinner}
+              <span>{loading === "draft" ? t("common.saving") : t("create.saveDraft")}</span>
             </button>
 
             <button
               type="submit"
-              disabled={loading}
+              disabled={busy}
               className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium disabled:opacity-60"
             >
-              {loading && (
-                <svg className="animate-spin h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" aria-hidden>
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"></path>
-                </svg>
-              )}
-              <span>{loading ? "Adding…" : "Add Purchase"}</span>
+              {loading === "submitted" && <span className="text-white">{spinner}</span>}
+              <span>{loading === "submitted" ? t("create.submitting") : t("create.submit")}</span>
             </button>
           </div>
         </div>
@@ -0,0 +1,178 @@
+import { useEffect, useState } from "react";
+import { useParams, useSearchParams } from "react-router-dom";
+import { getPurchase } from "../../services/purchaseService";
+import { getSupplier, normalizeSupplier } from "../../services/supplierService";
+import { getErrorMessage } from "../../services/apiClient";
+import { baseTotalOf, breakdownOf, purchaseLines } from "../../utils/purchaseForm";
+import { purchaseStatus, statusLabel } from "../../utils/purchaseStatus";
+import { BASE_CURRENCY, currencyOf, formatMoney } from "../../utils/money";
+import { formatCalendarDate } from "../../utils/bikramSambat";
+import useCalendar from "../../hooks/useCalendar";
+import PrintLayout, { SignatureBlocks } from "../../components/PrintLayout";
+import PurchaseBreakdown from "./PurchaseBreakdown";
+import { useTranslation } from "../../context/LanguageContext";
+
+export const PRINT_DOCUMENT_TYPES = ["purchase", "order"];
+
+/**
+ * Printable purchase (`?type=purchase`, the default) or purchase order (`?type=order`).
+ * - Supplier details from the supplier directory when the purchase is linked to one
+ * - Line items with the discount / charges / VAT breakdown and grand total
+ * - Dates in the primary calendar and amounts in the purchase's currency, as in PurchaseList
+ * - Signature lines: prepared / checked / approved, or the supplier's acceptance on an order
+ */
+export default function PurchaseDocumentPrint() {
+  const { t, digits } = useTranslation();
+  const { id } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [calendar] = useCalendar();
+  const [state, setState] = useState({ purchase: null, supplier: null, loading: true, error: null });
+
+  const type = PRINT_DOCUMENT_TYPES.includes(searchParams.get("type")) ? searchParams.get("type") : "purchase";
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const purchase = await getPurchase(id);
+        // Populated supplierId carries the details; otherwise look the supplier up (best effort)
+        let supplier = purchase.supplierId && typeof purchase.supplierId === "object" ? normalizeSupplier(purchase.supplierId) : null;
+        if (!supplier && purchase.supplierId) {
+          supplier = await getSupplier(purchase.supplierId).catch((err) => {
+            console.error(err);
+            return null;
+          });
+        }
+        if (!cancelled) setState({ purchase, supplier, loading: false, error: null });
+      } catch (err) {
+        console.error(err);
+        if (!cancelled) setState({ purchase: null, supplier: null, loading: false, error: getErrorMessage(err, t("print.loadFailed")) });
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [id, t]);
+
+  const { purchase, supplier } = state;
+  const title = type === "order" ? t("print.orderTitle") : t("print.purchaseTitle");
+  const currency = currencyOf(purchase);
+  const money = (value) => formatMoney(value, currency);
+
+  const toolbar = (
+    <label className="text-sm text-gray-600 dark:text-gray-300">
+      {t("print.documentType")}{" "}
+      <select
+        value={type}
+        onChange={(e) => setSearchParams({ type: e.target.value })}
+        className="ml-1 px-2 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900"
+      >
+        {PRINT_DOCUMENT_TYPES.map((value) => (
+          <option key={value} value={value}>
+            {value === "order" ? t("print.orderTitle") : t("print.purchaseTitle")}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const signatures =
+    type === "order"
+      ? [t("print.preparedBy"), t("print.approvedBy"), t("print.supplierAcceptance")]
+      : [t("print.preparedBy"), t("print.checkedBy"), t("print.approvedBy")];
+
+  const fieldLabel = "text-xs text-gray-500";
+
+  return (
+    <PrintLayout title={purchase?.referenceNo ? `${title} ${purchase.referenceNo}` : title} toolbar={toolbar}>
+      {state.loading ? (
+        <p className="text-gray-500">{t("common.loading")}</p>
+      ) : state.error ? (
+        <p className="text-red-600">{state.error}</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-6 mb-6">
+            <section>
+              <div className={fieldLabel}>{type === "order" ? t("print.orderTo") : t("purchase.supplier")}</div>
+              <div className="font-semibold">{supplier?.name || purchase.supplierName || "—"}</div>
+              {supplier?.address && <div>{supplier.address}</div>}
+              {supplier?.panNumber && <div>{t("print.supplierPan", { pan: supplier.panNumber })}</div>}
+              {supplier?.contact && <div>{supplier.contact}</div>}
+            </section>
+            <dl className="grid grid-cols-2 gap-x-4 gap-y-1 self-start">
+              <dt className={fieldLabel}>{t("print.refNo")}</dt>
+              <dd>{purchase.referenceNo || "—"}</dd>
+              <dt className={fieldLabel}>{t("purchase.date")}</dt>
+              <dd>
+                {purchase.buyingDate ? formatCalendarDate(purchase.buyingDate, calendar, "long") : "—"}
+                {purchase.buyingDate && (
+                  <div className="text-xs text-gray-500">
+                    {formatCalendarDate(purchase.buyingDate, calendar === "BS" ? "AD" : "BS", "long")} {t(`calendar.${calendar === "BS" ? "AD" : "BS"}`)}
+                  </div>
+                )}
+              </dd>
+              <dt className={fieldLabel}>{t("purchase.status")}</dt>
+              <dd>{statusLabel(purchaseStatus(purchase))}</dd>
+              <dt className={fieldLabel}>{t("purchase.currency")}</dt>
+              <dd>{currency}</dd>
+            </dl>
+          </div>
+
+          <table className="w-full text-xs border-collapse">
+            <thead className="table-header-group">
+              <tr className="border-b-2 border-gray-400 text-left">
+                <th className="px-2 py-1 font-semibold w-8">#</th>
+                <th className="px-2 py-1 font-semibold">{t("purchase.item")}</th>
+                <th className="px-2 py-1 font-semibold text-right">{t("purchase.quantity")}</th>
+                <th className="px-2 py-1 font-semibold text-right">{t("purchase.rate")}</th>
+                <th className="px-2 py-1 font-semibold text-right">{t("purchase.lineTotal")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {purchaseLines(purchase).map((line, i) => (
+                <tr key={i} className="border-b border-gray-200 break-inside-avoid">
+                  <td className="px-2 py-1 text-gray-500">{digits(i + 1)}</td>
+                  <td className="px-2 py-1">{line.itemName || "—"}</td>
+                  <td className="px-2 py-1 text-right whitespace-nowrap">
+                    {line.quantity != null ? digits(line.quantity) : "—"} {line.unit}
+                  </td>
+                  <td className="px-2 py-1 text-right whitespace-nowrap">{line.rate != null ? money(line.rate) : "—"}</td>
+                  <td className="px-2 py-1 text-right whitespace-nowrap">
+                    {money(line.totalAmount ?? Number(line.quantity || 0) * Number(line.rate || 0))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex justify-end mt-3">
+            <div className="w-72">
+              <PurchaseBreakdown
+                breakdown={breakdownOf(purchase)}
+                currency={currency}
+                vatApplicable={purchase.vatApplicable}
+                vatRate={purchase.vatRate}
+                showTotal
+                className="text-sm"
+              />
+              {currency !== BASE_CURRENCY && purchase.exchangeRate != null && (
+                <div className="mt-1 text-xs text-gray-500 text-right">
+                  {t("create.convertedAt", { amount: formatMoney(baseTotalOf(purchase)), currency, rate: formatMoney(purchase.exchangeRate) })}
+                </div>
+              )}
+            </div>
+          </div>
+
+          {purchase.reviewComment && (
+            <p className="mt-4 text-xs">
+              <span className="text-gray-500">{t("print.reviewComment")}:</span> {purchase.reviewComment}
+            </p>
+          )}
+
+          <SignatureBlocks labels={signatures} />
+        </>
+      )}
+    </PrintLayout>
+  );
+}
@@ -0,0 +1,123 @@
+import { useEffect, useState } from "react";
+import { DEFAULT_PURCHASE_QUERY, FILTER_KEYS, hasActiveFilters } from "../../utils/purchaseQuery";
+import { STATUS_NAMES, statusLabel } from "../../utils/purchaseStatus";
+import { useTranslation } from "../../context/LanguageContext";
+
+/**
+ * Filter bar for PurchaseList.
+ * Keeps a local draft so typing doesn't refetch on every keystroke;
+ * changes are pushed to the parent on "Apply" (or Enter) and "Clear".
+ *
+ * Usage:
+ * <PurchaseFilters query={query} categoryTree={tree} onApply={(filters) => updateQuery(filters)} />
+ */
+
+const pickFilters = (query) => FILTER_KEYS.reduce((acc, key) => ({ ...acc, [key]: query[key] ?? "" }), {});
+
+const inputClass =
+  "mt-1 block w-full px-2 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm focus:outline-none focus:ring-2 focus:ring-green-500";
+
+export default function PurchaseFilters({ query, onApply, categoryTree = [] }) {
+  const { t } = useTranslation();
+  const [draft, setDraft] = useState(() => pickFilters(query));
+
+  // Keep the draft in sync when the URL changes (back/forward, shared link)
+  useEffect(() => {
+    setDraft(pickFilters(query));
+  }, [query]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (draft.from && draft.to && draft.from > draft.to) {
+      // swap silently rather than sending an empty range
+      onApply({ ...draft, from: draft.to, to: draft.from });
+      return;
+    }
+    onApply(draft);
+  };
+
+  const handleClear = () => {
+    const cleared = pickFilters(DEFAULT_PURCHASE_QUERY);
+    setDraft(cleared);
+    onApply(cleared);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-9 gap-2 items-end" aria-label={t("filters.label")}>
+      <label className="text-xs text-gray-500">
+        {t("filters.from")}
+        <input name="from" type="date" value={draft.from} onChange={handleChange} className={inputClass} />
+      </label>
+      <label className="text-xs text-gray-500">
+        {t("filters.to")}
+        <input name="to" type="date" value={draft.to} onChange={handleChange} className={inputClass} />
+      </label>
+      <label className="text-xs text-gray-500">
+        {t("purchase.item")}
+        <input name="q" type="search" value={draft.q} onChange={handleChange} placeholder={t("purchase.itemName")} className={inputClass} />
+      </label>
+      <label className="text-xs text-gray-500">
+        {t("purchase.supplier")}
+        <input name="supplier" type="search" value={draft.supplier} onChange={handleChange} placeholder={t("purchase.supplier")} className={inputClass} />
+      </label>
+      <label className="text-xs text-gray-500">
+        {t("purchase.category")}
+        <select name="category" value={draft.category} onChange={handleChange} className={inputClass}>
+          <option value="">{t("common.all")}</option>
+          {categoryTree.map((c) => [
+            <option key={c.id} value={c.id}>
+              {c.name}
+            </option>,
+            ...c.subcategories.map((s) => (
+              <option key={s.id} value={s.id}>
+                {`\u00A0\u00A0${c.name} › ${s.name}`}
+              </option>
+            )),
+          ])}
+          {/* keep an id from a shared link selectable even if it's not in the list */}
+          {draft.category && !categoryTree.some((c) => String(c.id) === draft.category || c.subcategories.some((s) => String(s.id) === draft.category)) && (
+            <option value={draft.category}>{draft.category}</option>
+          )}
+        </select>
+      </label>
+      <label className="text-xs text-gray-500">
+        {t("purchase.status")}
+        <select name="status" value={draft.status} onChange={handleChange} className={inputClass}>
+          <option value="">{t("common.all")}</option>
+          {STATUS_NAMES.map((name) => (
+            <option key={name} value={name}>
+              {statusLabel(name)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="text-xs text-gray-500">
+        {t("filters.minTotal")}
+        <input name="minTotal" type="number" min="0" step="0.01" value={draft.minTotal} onChange={handleChange} className={`${inputClass} text-right`} />
+      </label>
+      <label className="text-xs text-gray-500">
+        {t("filters.maxTotal")}
+        <input name="maxTotal" type="number" min="0" step="0.01" value={draft.maxTotal} onChange={handleChange} className={`${inputClass} text-right`} />
+      </label>
+
+      <div className="col-span-2 md:col-span-4 lg:col-span-1 flex items-center gap-2">
+        <button type="submit" className="flex-1 px-3 py-1 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium">
+          {t("filters.apply")}
+        </button>
+        <button
+          type="button"
+          onClick={handleClear}
+          disabled={!hasActiveFilters(query) && !hasActiveFilters(draft)}
+          className="flex-1 px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60"
+        >
+          {t("filters.clear")}
+        </button>
+      </div>
+    </form>
+  );
+}
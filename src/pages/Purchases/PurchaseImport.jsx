@@ -0,0 +1,348 @@
+import { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import toast, { Toaster } from "react-hot-toast";
+import { createPurchase } from "../../services/purchaseService";
+import { computeTotal, monthYearFromDate, toPurchasePayload, validatePurchaseForm } from "../../utils/purchaseForm";
+import { IMPORT_FIELDS, guessColumnMapping, readSpreadsheet, rowToPurchaseForm } from "../../utils/importFile";
+import { getErrorMessage } from "../../services/apiClient";
+import { formatMoney } from "../../utils/money";
+import { useTranslation } from "../../context/LanguageContext";
+
+/**
+ * Bulk purchase import from CSV/XLSX:
+ * 1. Pick a file and map its columns to the PurchaseCreate fields
+ * 2. Preview every row; rows failing validation are flagged and can be fixed or dropped
+ * 3. Valid rows are submitted one by one through createPurchase
+ * 4. A per-row success/failure report is shown at the end
+ */
+
+const inputClass =
+  "block w-full px-2 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm focus:outline-none focus:ring-2 focus:ring-green-500";
+
+export default function PurchaseImport() {
+  const { t, digits } = useTranslation();
+  const [fileName, setFileName] = useState("");
+  const [sheet, setSheet] = useState(null); // { headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [rows, setRows] = useState(null); // [{ id, line, form }] once mapping is confirmed
+  const [report, setReport] = useState(null); // [{ id, line, itemName, ok, message }]
+  const [reading, setReading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [progress, setProgress] = useState(0);
+
+  const rowsWithErrors = useMemo(
+    () => (rows || []).map((r) => ({ ...r, error: validatePurchaseForm(r.form) })),
+    [rows]
+  );
+  const validCount = rowsWithErrors.filter((r) => !r.error).length;
+  const invalidCount = rowsWithErrors.length - validCount;
+
+  const reset = () => {
+    setFileName("");
+    setSheet(null);
+    setMapping({});
+    setRows(null);
+    setReport(null);
+    setProgress(0);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    setReading(true);
+    try {
+      const parsed = await readSpreadsheet(file);
+      if (!parsed.rows.length) {
+        toast.error(t("import.noRows"));
+        return;
+      }
+      setFileName(file.name);
+      setSheet(parsed);
+      setMapping(guessColumnMapping(parsed.headers));
+      setRows(null);
+      setReport(null);
+    } catch (err) {
+      toast.error(err?.message || t("import.readFailed"));
+      console.error(err);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const confirmMapping = () => {
+    const missing = IMPORT_FIELDS.filter((f) => f.required && mapping[f.field] === "");
+    if (missing.length) {
+      toast.error(t("import.mapMissing", { fields: missing.map((f) => t(f.label)).join(", ") }));
+      return;
+    }
+    // line = spreadsheet row number (header is row 1) for the report
+    setRows(sheet.rows.map((row, i) => ({ id: i, line: i + 2, form: rowToPurchaseForm(row, mapping) })));
+  };
+
+  const updateRow = (id, name, value) => {
+    setRows((prev) =>
+      prev.map((r) => {
+        if (r.id !== id) return r;
+        const form = { ...r.form, [name]: value };
+        if (name === "buyingDate") Object.assign(form, monthYearFromDate(value));
+        return { ...r, form };
+      })
+    );
+  };
+
+  const dropRow = (id) => setRows((prev) => prev.filter((r) => r.id !== id));
+  const dropInvalid = () => {
+    const validIds = new Set(rowsWithErrors.filter((r) => !r.error).map((r) => r.id));
+    setRows((prev) => prev.filter((r) => validIds.has(r.id)));
+  };
+
+  const handleSubmit = async () => {
+    const toSubmit = rowsWithErrors.filter((r) => !r.error);
+    if (!toSubmit.length) {
+      toast.error(t("import.noValidRows"));
+      return;
+    }
+
+    setSubmitting(true);
+    setProgress(0);
+    const results = [];
+    // Sequential on purpose: keeps server load predictable and the report in file order
+    for (const r of toSubmit) {
+      try {
+        await createPurchase({ ...toPurchasePayload(r.form), status: "submitted" });
+        results.push({ id: r.id, line: r.line, itemName: r.form.itemName, ok: true, message: t("import.created") });
+      } catch (err) {
+        const message = getErrorMessage(err, t("import.createFailed"));
+        results.push({ id: r.id, line: r.line, itemName: r.form.itemName, ok: false, message });
+      }
+      setProgress(results.length);
+    }
+    // Rows skipped because they were still invalid are reported too
+    rowsWithErrors
+      .filter((r) => r.error)
+      .forEach((r) => results.push({ id: r.id, line: r.line, itemName: r.form.itemName, ok: false, message: t("import.skipped", { error: r.error }) }));
+    results.sort((a, b) => a.line - b.line);
+
+    setSubmitting(false);
+    setReport(results);
+    const created = results.filter((r) => r.ok).length;
+    if (created === results.length) toast.success(t("import.imported", { count: created }));
+    else toast.error(t("import.importedPartly", { created, total: results.length }));
+  };
+
+  // Keep failed rows for another attempt, drop the ones that went through
+  const retryFailed = () => {
+    const failedIds = new Set(report.filter((r) => !r.ok).map((r) => r.id));
+    setRows((prev) => prev.filter((r) => failedIds.has(r.id)));
+    setReport(null);
+  };
+
+  return (
+    <>
+      <Toaster position="top-right" />
+      <div className="p-6 space-y-6">
+        <header className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">{t("import.title")}</h1>
+            <p className="text-sm text-gray-600">{t("import.subtitle")}</p>
+          </div>
+          <Link
+            to="/dashboard"
+            className="inline-flex items-center gap-2 px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50"
+          >
+            {t("common.backToDashboard")}
+          </Link>
+        </header>
+
+        {/* Step 1: file + column mapping */}
+        <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm space-y-4">
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+            <label className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium cursor-pointer">
+              <input
+                type="file"
+                accept=".csv,.xlsx,.xls,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel"
+                onChange={handleFile}
+                disabled={reading || submitting}
+                className="sr-only"
+              />
+              {reading ? t("import.reading") : t("import.chooseFile")}
+            </label>
+            <div className="text-sm text-gray-600 dark:text-gray-300">
+              {fileName ? t("import.fileRows", { name: fileName, count: sheet?.rows.length ?? 0 }) : t("import.fileHint")}
+            </div>
+            {fileName && (
+              <button onClick={reset} disabled={submitting} className="sm:ml-auto text-sm text-gray-500 hover:text-gray-700 disabled:opacity-60">
+                {t("import.startOver")}
+              </button>
+            )}
+          </div>
+
+          {sheet && !rows && (
+            <div className="space-y-3">
+              <h2 className="text-lg font-semibold">{t("import.mapColumns")}</h2>
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                {IMPORT_FIELDS.map(({ field, label, required }) => (
+                  <label key={field} className="text-sm text-gray-700 dark:text-gray-200">
+                    {t(label)}
+                    {required && <span className="text-red-500"> *</span>}
+                    <select
+                      value={mapping[field]}
+                      onChange={(e) => setMapping((prev) => ({ ...prev, [field]: e.target.value === "" ? "" : Number(e.target.value) }))}
+                      className={`mt-1 ${inputClass}`}
+                    >
+                      <option value="">{required ? t("import.selectColumn") : t("import.notInFile")}</option>
+                      {sheet.headers.map((h, idx) => (
+                        <option key={idx} value={idx}>
+                          {h || t("import.column", { index: idx + 1 })}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">{t("import.monthYearHint")}</p>
+              <button onClick={confirmMapping} className="px-4 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium">
+                {t("import.previewRows")}
+              </button>
+            </div>
+          )}
+        </section>
+
+        {/* Step 2: preview & fix */}
+        {rows && !report && (
+          <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm space-y-3">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <div>
+                <h2 className="text-lg font-semibold">{t("import.preview")}</h2>
+                <p className="text-sm text-gray-600 dark:text-gray-300">
+                  {t("import.readyCount", { count: validCount })}
+                  {invalidCount > 0 && <span className="text-red-600"> · {t("import.needFixing", { count: invalidCount })}</span>}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <button onClick={() => setRows(null)} disabled={submitting} className="px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm hover:bg-gray-50 disabled:opacity-60">
+                  {t("import.changeMapping")}
+                </button>
+                <button
+                  onClick={dropInvalid}
+                  disabled={submitting || invalidCount === 0}
+                  className="px-3 py-2 rounded-md border border-red-300 text-sm text-red-600 hover:bg-red-50 disabled:opacity-60"
+                >
+                  {t("import.dropInvalid")}
+                </button>
+                <button
+                  onClick={handleSubmit}
+                  disabled={submitting || validCount === 0}
+                  className="px-4 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium disabled:opacity-60"
+                >
+                  {submitting ? t("import.importing", { done: progress, total: validCount }) : t("import.importRows", { count: validCount })}
+                </button>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-md">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 dark:bg-gray-900">
+                  <tr>
+                    <th className="text-left px-2 py-2 font-medium text-gray-600">{t("import.row")}</th>
+                    <th className="text-left px-2 py-2 font-medium text-gray-600">{t("purchase.date")}</th>
+                    <th className="text-left px-2 py-2 font-medium text-gray-600">{t("purchase.item")}</th>
+                    <th className="text-right px-2 py-2 font-medium text-gray-600">{t("purchase.qty")}</th>
+                    <th className="text-right px-2 py-2 font-medium text-gray-600">{t("purchase.rate")}</th>
+                    <th className="text-right px-2 py-2 font-medium text-gray-600">{t("purchase.total")}</th>
+                    <th className="text-left px-2 py-2 font-medium text-gray-600">{t("purchase.supplier")}</th>
+                    <th className="text-left px-2 py-2 font-medium text-gray-600">{t("purchase.status")}</th>
+                    <th className="px-2 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rowsWithErrors.map((r) => (
+                    <tr key={r.id} className={`border-t ${r.error ? "bg-red-50 dark:bg-red-900/20" : ""}`}>
+                      <td className="px-2 py-1 text-gray-500">{digits(r.line)}</td>
+                      <td className="px-2 py-1 min-w-[9rem]">
+                        <input type="date" value={r.form.buyingDate} onChange={(e) => updateRow(r.id, "buyingDate", e.target.value)} className={inputClass} disabled={submitting} />
+                      </td>
+                      <td className="px-2 py-1 min-w-[10rem]">
+                        <input type="text" value={r.form.itemName} onChange={(e) => updateRow(r.id, "itemName", e.target.value)} className={inputClass} disabled={submitting} />
+                      </td>
+                      <td className="px-2 py-1 w-24">
+                        <input type="number" min="0" step="1" value={r.form.quantity} onChange={(e) => updateRow(r.id, "quantity", e.target.value)} className={`${inputClass} text-right`} disabled={submitting} />
+                      </td>
+                      <td className="px-2 py-1 w-28">
+                        <input type="number" min="0" step="0.01" value={r.form.rate} onChange={(e) => updateRow(r.id, "rate", e.target.value)} className={`${inputClass} text-right`} disabled={submitting} />
+                      </td>
+                      <td className="px-2 py-1 text-right whitespace-nowrap">{formatMoney(computeTotal(r.form))}</td>
+                      <td className="px-2 py-1 min-w-[8rem]">
+                        <input type="text" value={r.form.supplierName} onChange={(e) => updateRow(r.id, "supplierName", e.target.value)} className={inputClass} disabled={submitting} />
+                      </td>
+                      <td className={`px-2 py-1 text-xs ${r.error ? "text-red-600" : "text-green-700"}`}>{r.error || t("import.ok")}</td>
+                      <td className="px-2 py-1 text-right">
+                        <button onClick={() => dropRow(r.id)} disabled={submitting} className="text-xs text-red-600 hover:underline disabled:opacity-60" aria-label={t("import.dropRow", { line: r.line })}>
+                          {t("import.drop")}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                  {rowsWithErrors.length === 0 && (
+                    <tr>
+                      <td colSpan="9" className="px-4 py-6 text-center text-gray-500">
+                        {t("import.allDropped")}
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+
+        {/* Step 3: report */}
+        {report && (
+          <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm space-y-3">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <div>
+                <h2 className="text-lg font-semibold">{t("import.report")}</h2>
+                <p className="text-sm text-gray-600 dark:text-gray-300">
+                  {t("import.reportSummary", { created: report.filter((r) => r.ok).length, failed: report.filter((r) => !r.ok).length })}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                {report.some((r) => !r.ok) && (
+                  <button onClick={retryFailed} className="px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm hover:bg-gray-50">
+                    {t("import.fixFailed")}
+                  </button>
+                )}
+                <button onClick={reset} className="px-4 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium">
+                  {t("import.another")}
+                </button>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-md">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 dark:bg-gray-900">
+                  <tr>
+                    <th className="text-left px-3 py-2 font-medium text-gray-600">{t("import.row")}</th>
+                    <th className="text-left px-3 py-2 font-medium text-gray-600">{t("purchase.item")}</th>
+                    <th className="text-left px-3 py-2 font-medium text-gray-600">{t("import.result")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.map((r) => (
+                    <tr key={r.id} className="border-t">
+                      <td className="px-3 py-2 text-gray-500">{digits(r.line)}</td>
+                      <td className="px-3 py-2">{r.itemName || "—"}</td>
+                      <td className={`px-3 py-2 ${r.ok ? "text-green-700" : "text-red-600"}`}>{r.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+      </div>
+    </>
+  );
+}
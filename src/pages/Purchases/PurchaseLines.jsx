@@ -0,0 +1,162 @@
+import { useRef } from "react";
+import { getItemHints } from "../../services/itemService";
+import { EMPTY_LINE, computeLineTotal } from "../../utils/purchaseForm";
+import ItemAutocomplete from "../Items/ItemAutocomplete";
+import { useTranslation } from "../../context/LanguageContext";
+
+/**
+ * Editable line items of a purchase document (item, quantity, rate, line total).
+ * Used by PurchaseCreate and the inline editor in PurchaseList.
+ * Item names autocomplete from the item catalog; picking an item prefills the
+ * last paid rate (when the rate is empty) and suggests the usual supplier.
+ *
+ * Props:
+ * - lines: [{ itemId, itemName, unit, quantity, rate }]
+ * - onChange(nextLines)
+ * - onSupplierSuggested({ supplierId, supplierName }): usual supplier of a picked item
+ * - formatCurrency: formatter for the per-line total preview
+ * - compact: smaller inputs for inline editing
+ */
+
+export default function PurchaseLines({
+  lines,
+  onChange,
+  formatCurrency,
+  onSupplierSuggested,
+  disabled = false,
+  compact = false,
+  idPrefix = "line",
+}) {
+  const { t } = useTranslation();
+  // Latest lines for async updates (hints arrive after the user may have typed more)
+  const linesRef = useRef(lines);
+  linesRef.current = lines;
+
+  const inputClass = compact
+    ? "block w-full px-2 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+    : "block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500";
+
+  const updateLine = (index, name, value) => {
+    onChange(lines.map((line, i) => (i === index ? { ...line, [name]: value } : line)));
+  };
+
+  // Free text unlinks the catalog item
+  const handleItemText = (index, text) => {
+    onChange(lines.map((line, i) => (i === index ? { ...line, itemName: text, itemId: null, unit: "" } : line)));
+  };
+
+  const handleItemPick = async (index, item) => {
+    onChange(lines.map((line, i) => (i === index ? { ...line, itemId: item.id, itemName: item.name, unit: item.unit } : line)));
+    try {
+      const hints = await getItemHints(item.id);
+      const current = linesRef.current;
+      // Ignore if the line was changed to another item meanwhile
+      if (current[index]?.itemId !== item.id) return;
+      if (hints.lastRate && !current[index].rate) {
+        onChange(current.map((line, i) => (i === index ? { ...line, rate: String(hints.lastRate) } : line)));
+      }
+      if (hints.usualSupplierName && typeof onSupplierSuggested === "function") {
+        onSupplierSuggested({ supplierId: hints.usualSupplierId, supplierName: hints.usualSupplierName });
+      }
+    } catch (err) {
+      // hints are a convenience; the line is usable without them
+      console.error(err);
+    }
+  };
+
+  const addLine = () => onChange([...lines, { ...EMPTY_LINE }]);
+
+  const removeLine = (index) => onChange(lines.filter((_, i) => i !== index));
+
+  return (
+    <div className="space-y-2">
+      {/* Column captions for sm+ (each input also has its own sr-only label) */}
+      <div className="hidden sm:grid grid-cols-12 gap-2 text-xs font-medium text-gray-500">
+        <div className="col-span-5">{t("purchase.itemName")}</div>
+        <div className="col-span-2 text-right">{t("purchase.quantity")}</div>
+        <div className="col-span-2 text-right">{t("purchase.rate")}</div>
+        <div className="col-span-2 text-right">{t("purchase.lineTotal")}</div>
+      </div>
+
+      {lines.map((line, index) => {
+        const id = `${idPrefix}-${index}`;
+        return (
+          <div key={index} className="grid grid-cols-12 gap-2 items-center">
+            <div className="col-span-12 sm:col-span-5">
+              <label htmlFor={`${id}-itemName`} className="sr-only">
+                {t("lines.itemNameLabel", { line: index + 1 })}
+              </label>
+              <ItemAutocomplete
+                id={`${id}-itemName`}
+                itemName={line.itemName}
+                onChange={(text) => handleItemText(index, text)}
+                onPick={(item) => handleItemPick(index, item)}
+                className={inputClass}
+                disabled={disabled}
+                aria-required="true"
+              />
+            </div>
+            <div className="col-span-4 sm:col-span-2">
+              <label htmlFor={`${id}-quantity`} className="sr-only">
+                {t("lines.quantityLabel", { line: index + 1 })}
+              </label>
+              <input
+                id={`${id}-quantity`}
+                type="number"
+                min="0"
+                step="1"
+                value={line.quantity}
+                onChange={(e) => updateLine(index, "quantity", e.target.value)}
+                placeholder={line.unit ? t("lines.qtyUnit", { unit: line.unit }) : t("lines.qty")}
+                className={`${inputClass} text-right`}
+                disabled={disabled}
+                aria-required="true"
+              />
+            </div>
+            <div className="col-span-4 sm:col-span-2">
+              <label htmlFor={`${id}-rate`} className="sr-only">
+                {t("lines.rateLabel", { line: index + 1 })}
+              </label>
+              <input
+                id={`${id}-rate`}
+                type="number"
+                min="0"
+                step="0.01"
+                value={line.rate}
+                onChange={(e) => updateLine(index, "rate", e.target.value)}
+                placeholder={t("purchase.rate")}
+                className={`${inputClass} text-right`}
+                disabled={disabled}
+                aria-required="true"
+              />
+            </div>
+            <div className="col-span-3 sm:col-span-2 text-right text-sm font-medium whitespace-nowrap">
+              {formatCurrency(computeLineTotal(line))}
+            </div>
+            <div className="col-span-1 text-right">
+              <button
+                type="button"
+                onClick={() => removeLine(index)}
+                disabled={disabled || lines.length === 1}
+                className="px-2 py-1 text-sm text-red-600 hover:bg-red-50 rounded disabled:opacity-30"
+                aria-label={t("lines.removeLabel", { line: index + 1 })}
+                title={t("lines.remove")}
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+        );
+      })}
+
+      <button
+        type="button"
+        onClick={addLine}
+        disabled={disabled}
+        className="text-sm text-green-600 dark:text-green-400 hover:underline font-medium disabled:opacity-60"
+      >
+        + {t("lines.add")}
+      </button>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
-import { useState, useEffect, useContext } from "react";
+import { Fragment, useState, useEffect, useCallback, useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
 import toast, { Toaster } from "react-hot-toast";
 import {
   Chart as ChartJS,
@@ -10,70 +11,672 @@ import {
   Legend,
 } from "chart.js";
 import { Line } from "react-chartjs-2";
-import { getPurchases } from "../../services/purchaseService";
-import { AuthContext } from "../../context/AuthContext";
+import {
+  getPurchases,
+  getAllPurchases,
+  updatePurchase,
+  deletePurchase,
+  normalizePurchasePage,
+  submitPurchase,
+} from "../../services/purchaseService";
+import {
+  baseTotalOf,
+  breakdownOf,
+  computeBreakdown,
+  hasAdjustments,
+  monthYearFromDate,
+  purchaseItemSummary,
+  purchaseLines,
+  purchaseToDocument,
+  toPurchaseDocumentPayload,
+  validatePurchaseDocument,
+} from "../../utils/purchaseForm";
+import {
+  PAGE_SIZES,
+  SORTABLE_FIELDS,
+  hasActiveFilters,
+  queryFromSearchParams,
+  queryToApiParams,
+  queryToSearchParams,
+} from "../../utils/purchaseQuery";
+import { PURCHASE_STATUSES, canEdit, canSubmit, purchaseStatus } from "../../utils/purchaseStatus";
+import { BASE_CURRENCY, CURRENCY_CODES, currencyOf, formatMoney } from "../../utils/money";
+import { rateOn } from "../../utils/exchangeRates";
+import { downloadCsv, downloadXlsx, fileDateStamp } from "../../utils/exportFile";
+import StatusBadge from "../../components/StatusBadge";
+import PurchaseFilters from "./PurchaseFilters";
+import PurchaseLines from "./PurchaseLines";
+import PurchaseAdjustments from "./PurchaseAdjustments";
+import PurchaseBreakdown from "./PurchaseBreakdown";
+import SupplierAutocomplete from "../Suppliers/SupplierAutocomplete";
+import CategorySelect from "./CategorySelect";
+import useCategories from "../../hooks/useCategories";
+import usePermissions from "../../hooks/usePermissions";
+import useOfflineQueue from "../../hooks/useOfflineQueue";
+import useExchangeRates from "../../hooks/useExchangeRates";
+import useCalendar from "../../hooks/useCalendar";
+import useMediaQuery from "../../hooks/useMediaQuery";
+import CalendarDateInput from "../../components/CalendarDateInput";
+import AttachmentInput from "../../components/AttachmentInput";
+import AttachmentViewer from "../../components/AttachmentViewer";
+import { deleteAttachment, uploadAttachments } from "../../services/attachmentService";
+import { attachmentsOf } from "../../utils/attachments";
+import { adToBs, bsToString, formatCalendarDate } from "../../utils/bikramSambat";
+import OfflineQueueList from "./OfflineQueueList";
+import { getErrorMessage } from "../../services/apiClient";
+import { useTranslation } from "../../context/LanguageContext";
 
 ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
 
-function formatDateShort(iso) {
-  try {
-    const d = new Date(iso);
-    return d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
-  } catch {
-    return iso;
-  }
-}
+const inputClass =
+  "mt-1 block w-full px-2 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm focus:outline-none focus:ring-2 focus:ring-green-500";
 
 /**
- * Format number as Nepali Rupee string.
- * Uses Intl.NumberFormat with 'ne-NP' + currency 'NPR' where available,
- * and normalizes the symbol to "रु" for consistent display.
+ * Inline editor for a single purchase (desktop row and mobile card).
+ * Applies the same validation and live totals as PurchaseCreate, including line items,
+ * discount, VAT and other charges.
+ * The stored exchange rate is kept unless the currency or date changes.
+ * Attachment changes (new files, removals) are sent after the purchase itself is saved.
  */
-function formatCurrencyNPR(value) {
-  try {
-    // Use ne-NP if available; fallback to en-IN style number with "रु" prefix
-    const nf = new Intl.NumberFormat("ne-NP", { style: "currency", currency: "NPR", maximumFractionDigits: 2 });
-    const formatted = nf.format(Number(value || 0));
-    // Some environments render the symbol as 'रू' — normalize to 'रु'
-    return formatted.replace("रू", "रु");
-  } catch {
-    // Fallback: insert prefix and use locale separators
+function PurchaseEditForm({ purchase, categoryTree, rates, calendar, onSaved, onCancel }) {
+  const { t } = useTranslation();
+  const [form, setForm] = useState(() => purchaseToDocument(purchase));
+  const [saving, setSaving] = useState(false);
+  const [newFiles, setNewFiles] = useState([]);
+  const [removedIds, setRemovedIds] = useState([]);
+
+  const toggleRemoved = (id) => setRemovedIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+
+  // Returns the purchase's attachment list after the changes (the old one if nothing changed)
+  const saveAttachments = async () => {
+    let list = attachmentsOf(purchase);
+    try {
+      for (const id of removedIds) list = (await deleteAttachment(purchase._id, id)) ?? list.filter((a) => a._id !== id);
+      if (newFiles.length) list = (await uploadAttachments(purchase._id, newFiles)) ?? list;
+    } catch (err) {
+      console.error(err);
+      toast.error(getErrorMessage(err, t("attachments.updateFailed")));
+    }
+    return list;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => {
+      const next = { ...prev, [name]: value };
+      if (name === "buyingDate") Object.assign(next, monthYearFromDate(value));
+      return next;
+    });
+  };
+
+  const original = purchaseToDocument(purchase);
+  const keepRate = purchase.exchangeRate > 0 && form.currency === original.currency && form.buyingDate === original.buyingDate;
+  const exchangeRate = keepRate ? Number(purchase.exchangeRate) : rateOn(rates, form.currency, form.buyingDate || undefined);
+  const formatCurrency = (value) => formatMoney(value, form.currency);
+  const breakdown = computeBreakdown(form);
+  const adjusted = form.vatApplicable || breakdown.discountAmount > 0 || breakdown.chargesAmount > 0;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const error = validatePurchaseDocument(form, { exchangeRate });
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    const payload = toPurchaseDocumentPayload(form, { exchangeRate });
+    setSaving(true);
     try {
-      const nf = new Intl.NumberFormat("en-IN", { maximumFractionDigits: 2 });
-      return `रु ${nf.format(Number(value || 0))}`;
-    } catch {
-      return `रु ${String(value)}`;
+      const res = await updatePurchase(purchase._id, payload);
+      const attachments = await saveAttachments();
+      toast.success(t("list.updated"));
+      // Some backends return { purchase }, others the document itself
+      const saved = res?.purchase ?? (res?._id ? res : null);
+      onSaved({ ...purchase, ...payload, ...(saved || {}), attachments });
+    } catch (err) {
+      const message = getErrorMessage(err, t("list.updateFailed"));
+      toast.error(message);
+      console.error(err);
+    } finally {
+      setSaving(false);
     }
-  }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-6 gap-2 items-end">
+      <label className="text-xs text-gray-500">
+        {t("purchase.date")}
+        <CalendarDateInput
+          name="buyingDate"
+          value={form.buyingDate}
+          onChange={(value) => handleChange({ target: { name: "buyingDate", value } })}
+          calendar={calendar}
+          className="mt-1"
+          inputClassName={inputClass}
+          aria-required="true"
+        />
+      </label>
+      <div className="md:col-span-3 text-xs text-gray-500">
+        <label htmlFor={`edit-${purchase._id}-supplier`}>{t("purchase.supplier")}</label>
+        <SupplierAutocomplete
+          id={`edit-${purchase._id}-supplier`}
+          supplierName={form.supplierName}
+          supplierId={form.supplierId}
+          onChange={({ supplierId, supplierName }) => setForm((prev) => ({ ...prev, supplierId, supplierName }))}
+          disabled={saving}
+          className={inputClass}
+        />
+      </div>
+      <label className="text-xs text-gray-500">
+        {t("purchase.referenceNo")}
+        <input name="referenceNo" type="text" value={form.referenceNo} onChange={handleChange} className={inputClass} />
+      </label>
+      <label className="text-xs text-gray-500">
+        {t("purchase.currency")}
+        <select name="currency" value={form.currency} onChange={handleChange} className={inputClass}>
+          {CURRENCY_CODES.map((code) => (
+            <option key={code} value={code}>
+              {code}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="col-span-2 md:col-span-6 text-xs text-gray-500">
+        <CategorySelect
+          id={`edit-${purchase._id}-category`}
+          tree={categoryTree}
+          categoryId={form.categoryId}
+          subcategoryId={form.subcategoryId}
+          onChange={({ categoryId, subcategoryId }) => setForm((prev) => ({ ...prev, categoryId, subcategoryId }))}
+          disabled={saving}
+          className={inputClass}
+        />
+      </div>
+
+      <div className="col-span-2 md:col-span-6">
+        <PurchaseLines
+          lines={form.lines}
+          onChange={(lines) => setForm((prev) => ({ ...prev, lines }))}
+          onSupplierSuggested={({ supplierId, supplierName }) =>
+            setForm((prev) => (prev.supplierName.trim() ? prev : { ...prev, supplierId, supplierName }))
+          }
+          formatCurrency={formatCurrency}
+          disabled={saving}
+          compact
+          idPrefix={`edit-${purchase._id}`}
+        />
+      </div>
+
+      <div className="col-span-2 md:col-span-6">
+        <PurchaseAdjustments
+          doc={form}
+          onChange={(patch) => setForm((prev) => ({ ...prev, ...patch }))}
+          disabled={saving}
+          compact
+          idPrefix={`edit-${purchase._id}-bill`}
+        />
+      </div>
+
+      <div className="col-span-2 md:col-span-6 text-xs text-gray-500">
+        <div className="mb-1">{t("attachments.label")}</div>
+        <AttachmentInput
+          files={newFiles}
+          onChange={setNewFiles}
+          existing={attachmentsOf(purchase)}
+          removedIds={removedIds}
+          onToggleRemove={toggleRemoved}
+          disabled={saving}
+          compact
+          idPrefix={`edit-${purchase._id}-attachments`}
+        />
+      </div>
+
+      <div className="col-span-2 md:col-span-6 flex items-end justify-between gap-2">
+        <div className="text-sm">
+          {adjusted && (
+            <PurchaseBreakdown breakdown={breakdown} currency={form.currency} vatApplicable={form.vatApplicable} vatRate={form.vatRate} className="mb-1 w-56" />
+          )}
+          <span className="text-xs text-gray-500 mr-2">{form.lines.length > 1 ? t("purchase.grandTotalShort") : t("purchase.total")}</span>
+          <span className="font-semibold">{formatCurrency(breakdown.totalAmount)}</span>
+          {form.currency !== BASE_CURRENCY && exchangeRate == null && (
+            <span className="ml-2 text-xs text-red-600">{t("list.noRate", { currency: form.currency })}</span>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={saving}
+            className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60"
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-3 py-1 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium disabled:opacity-60"
+          >
+            {saving ? t("common.saving") : t("common.save")}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
+// Bill-level amounts go on a document's first row only, so summing a column
+// (e.g. VAT for the VAT return) counts each purchase once
+const billValue = (get) => (row) => (row.lineNo > 1 ? "" : get(row.bill, row));
+
+// Columns for CSV/XLSX export (raw numbers so spreadsheets can total them).
+// Multi-line documents are exported one row per line (see toExportRows).
+const EXPORT_COLUMNS = [
+  { key: "itemName", header: "Item Name" },
+  { key: "buyingDate", header: "Buying Date", value: (p) => (p.buyingDate ? String(p.buyingDate).slice(0, 10) : "") },
+  { key: "buyingDateBs", header: "Buying Date (BS)", value: (p) => (p.buyingDate ? bsToString(adToBs(p.buyingDate)) : "") },
+  { key: "month", header: "Month" },
+  { key: "year", header: "Year" },
+  { key: "quantity", header: "Quantity", value: (p) => Number(p.quantity ?? 0) },
+  { key: "rate", header: "Rate", value: (p) => Number(p.rate ?? 0) },
+  { key: "totalAmount", header: "Total Amount", value: (p) => Number(p.totalAmount ?? 0) },
+  { key: "currency", header: "Currency", value: (p) => currencyOf(p) },
+  // Blank for a foreign purchase saved without a rate, like its Total (NPR)
+  { key: "exchangeRate", header: "Exchange Rate", value: (p) => (p.exchangeRate != null ? Number(p.exchangeRate) : currencyOf(p) === BASE_CURRENCY ? 1 : "") },
+  { key: "subtotal", header: "Subtotal", value: billValue((b) => b.subtotal) },
+  { key: "discountAmount", header: "Discount", value: billValue((b) => b.discountAmount) },
+  { key: "chargesAmount", header: "Other Charges", value: billValue((b) => b.chargesAmount) },
+  { key: "taxableAmount", header: "Taxable Amount", value: billValue((b) => b.taxableAmount) },
+  { key: "vatRate", header: "VAT %", value: billValue((b, p) => (p.vatApplicable ? Number(p.vatRate ?? 0) : "")) },
+  { key: "vatAmount", header: "VAT Amount", value: billValue((b) => b.vatAmount) },
+  { key: "grandTotal", header: "Grand Total", value: billValue((b) => b.totalAmount) },
+  { key: "baseTotalAmount", header: "Total (NPR)", value: (p) => baseTotalOf(p) ?? "" },
+  { key: "supplierName", header: "Supplier Name" },
+  { key: "referenceNo", header: "Reference No" },
+  { key: "categoryLabel", header: "Category" },
+  { key: "status", header: "Status", value: (p) => PURCHASE_STATUSES[purchaseStatus(p)].label },
+  { key: "reviewComment", header: "Review Comment" },
+];
+
+// Display name for a purchase's category ("Office › Stationery"), from the populated
+// record when the server sends it, else from the loaded category list
+const categoryLabel = (p, byId) => {
+  const name = (ref, fallbackId) => (ref && typeof ref === "object" ? ref.name : byId[String(fallbackId)]?.name);
+  const main = p.categoryName ?? name(p.categoryId, p.categoryId);
+  const sub = p.subcategoryName ?? name(p.subcategoryId, p.subcategoryId);
+  return [main, sub].filter(Boolean).join(" › ");
+};
+
+const toExportRows = (purchases, byId) =>
+  purchases.flatMap((p) =>
+    purchaseLines(p).map((line, i) => ({ ...p, ...line, lineNo: i + 1, bill: breakdownOf(p), categoryLabel: categoryLabel(p, byId) }))
+  );
+
+/**
+ * Line items of a purchase document, shown when its row is expanded,
+ * followed by the discount / charges / VAT breakdown when it has one.
+ */
+function PurchaseLinesTable({ purchase }) {
+  const { t, digits } = useTranslation();
+  return (
+    <>
+      <table className="min-w-full text-xs">
+        <thead>
+          <tr className="text-gray-500">
+            <th className="text-left px-2 py-1 font-medium">#</th>
+            <th className="text-left px-2 py-1 font-medium">{t("purchase.item")}</th>
+            <th className="text-right px-2 py-1 font-medium">{t("purchase.qty")}</th>
+            <th className="text-right px-2 py-1 font-medium">{t("purchase.rate")}</th>
+            <th className="text-right px-2 py-1 font-medium">{t("purchase.lineTotal")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {purchaseLines(purchase).map((line, i) => (
+            <tr key={i} className="border-t border-gray-100 dark:border-gray-800">
+              <td className="px-2 py-1 text-gray-500">{digits(i + 1)}</td>
+              <td className="px-2 py-1">{line.itemName || "—"}</td>
+              <td className="px-2 py-1 text-right">{line.quantity != null ? digits(line.quantity) : "—"}</td>
+              <td className="px-2 py-1 text-right">{line.rate != null ? formatMoney(line.rate, currencyOf(purchase)) : "—"}</td>
+              <td className="px-2 py-1 text-right font-medium">
+                {formatMoney(line.totalAmount ?? Number(line.quantity || 0) * Number(line.rate || 0), currencyOf(purchase))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {hasAdjustments(purchase) && (
+        <PurchaseBreakdown
+          breakdown={breakdownOf(purchase)}
+          currency={currencyOf(purchase)}
+          vatApplicable={purchase.vatApplicable}
+          vatRate={purchase.vatRate}
+          showTotal
+          className="ml-auto mt-2 mb-1 w-64 px-2"
+        />
+      )}
+    </>
+  );
 }
 
-export default function PurchaseList() {
-  const { user } = useContext(AuthContext);
+// Message keys for the sortable columns
+const SORT_LABELS = {
+  itemName: "purchase.item",
+  buyingDate: "purchase.date",
+  quantity: "purchase.qty",
+  rate: "purchase.rate",
+  totalAmount: "purchase.total",
+  supplierName: "purchase.supplier",
+};
+
+/**
+ * Clickable column header; clicking the active column flips the direction.
+ */
+function SortHeader({ field, query, onSort, align = "left", children }) {
+  const active = query.sortBy === field;
+  const arrow = active ? (query.sortDir === "asc" ? "▲" : "▼") : "";
+  return (
+    <th
+      className={`text-${align} px-4 py-3 text-sm font-medium text-gray-600`}
+      aria-sort={active ? (query.sortDir === "asc" ? "ascending" : "descending") : "none"}
+    >
+      <button
+        type="button"
+        onClick={() => onSort(field)}
+        className={`inline-flex items-center gap-1 hover:text-gray-900 dark:hover:text-gray-100 ${active ? "text-gray-900 dark:text-gray-100" : ""}`}
+      >
+        {children}
+        <span className="text-xs" aria-hidden>{arrow}</span>
+      </button>
+    </th>
+  );
+}
+
+/**
+ * Purchases table (desktop) / card list (mobile) with inline edit and delete.
+ * Paging, sorting and filtering happen on the server; the current view is
+ * mirrored in the URL query string so it can be bookmarked and shared.
+ * Purchases recorded offline and not yet synced are listed above the table.
+ *
+ * Props:
+ * - onChanged: called after a purchase is edited or deleted so the parent can refresh totals
+ * - refreshKey: change it to refetch the list (e.g. after a purchase is created)
+ */
+export default function PurchaseList({ onChanged, refreshKey } = {}) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { tree: categoryTree, byId: categoriesById } = useCategories();
+  const { can } = usePermissions();
+  const { entries: queued, syncedVersion, retry, discard } = useOfflineQueue();
+  const { rates } = useExchangeRates();
+  const [calendar] = useCalendar();
+  // Tailwind's md breakpoint: the table is shown from here, the cards below it. Only the
+  // visible layout mounts the inline editor, so its element ids stay unique.
+  const wide = useMediaQuery("(min-width: 768px)");
+  const { t, digits } = useTranslation();
+  const formatDateShort = (iso) => formatCalendarDate(iso, calendar, "short");
+  const query = useMemo(() => queryFromSearchParams(searchParams), [searchParams]);
   const [purchases, setPurchases] = useState([]);
+  const [total, setTotal] = useState(0);
   const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [deletingId, setDeletingId] = useState(null);
+  const [submittingId, setSubmittingId] = useState(null);
+  const [exporting, setExporting] = useState(null); // "csv" | "xlsx" | null
+  const [expandedIds, setExpandedIds] = useState(() => new Set());
+  const [viewing, setViewing] = useState(null); // purchase whose attachments are open
+
+  const totalPages = Math.max(1, Math.ceil(total / query.pageSize));
+
+  const fetchPurchases = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await getPurchases(queryToApiParams(query));
+      const page = normalizePurchasePage(data, query);
+      setPurchases(page.items);
+      setTotal(page.total);
+    } catch (error) {
+      const message = getErrorMessage(error, t("list.loadFailed"));
+      toast.error(message);
+      console.error(message);
+      setPurchases([]);
+      setTotal(0);
+    } finally {
+      setLoading(false);
+    }
+  }, [query, t]);
 
   useEffect(() => {
-    const fetchPurchases = async () => {
-      setLoading(true);
+    fetchPurchases();
+  }, [fetchPurchases, refreshKey, syncedVersion]);
+
+  // Merge a patch into the URL state; any change other than paging goes back to page 1
+  const updateQuery = (patch) => {
+    const next = { ...query, ...patch };
+    if (!("page" in patch)) next.page = 1;
+    setSearchParams(queryToSearchParams(next, searchParams));
+    setEditingId(null);
+  };
+
+  const handleSort = (field) => {
+    const sortDir = query.sortBy === field && query.sortDir === "asc" ? "desc" : "asc";
+    updateQuery({ sortBy: field, sortDir });
+  };
+
+  const notifyChanged = () => {
+    if (typeof onChanged === "function") {
       try {
-        const data = await getPurchases(user.token);
-        setPurchases(Array.isArray(data) ? data : []);
-      } catch (error) {
-        const message = error?.response?.data?.message || error?.message || "Failed to load purchases";
-        toast.error(message);
-        console.error(message);
-        setPurchases([]);
-      } finally {
-        setLoading(false);
+        onChanged();
+      } catch {
+        // ignore callback errors
       }
-    };
-    fetchPurchases();
-  }, [user.token]);
+    }
+  };
+
+  // Offline purchases reached the server: totals changed too
+  useEffect(() => {
+    if (syncedVersion) notifyChanged();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [syncedVersion]);
+
+  const handleSaved = (updated) => {
+    setPurchases((prev) => prev.map((p) => (p._id === updated._id ? updated : p)));
+    setEditingId(null);
+    notifyChanged();
+  };
+
+  const handleDelete = async (p) => {
+    const ok = window.confirm(t("list.deleteConfirm", { name: purchaseItemSummary(p) || t("list.itemFallback") }));
+    if (!ok) return;
+
+    setDeletingId(p._id);
+    try {
+      await deletePurchase(p._id);
+      toast.success(t("list.deleted"));
+      if (editingId === p._id) setEditingId(null);
+      // Step back a page if we just removed the last row on it
+      if (purchases.length === 1 && query.page > 1) {
+        updateQuery({ page: query.page - 1 });
+      } else {
+        await fetchPurchases();
+      }
+      notifyChanged();
+    } catch (err) {
+      const message = getErrorMessage(err, t("list.deleteFailed"));
+      toast.error(message);
+      console.error(err);
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  // Draft / rejected -> submitted, for an approver to review
+  const handleSubmitForApproval = async (p) => {
+    setSubmittingId(p._id);
+    try {
+      await submitPurchase(p._id);
+      toast.success(t("list.submitted"));
+      await fetchPurchases();
+      notifyChanged();
+    } catch (err) {
+      const message = getErrorMessage(err, t("list.submitFailed"));
+      toast.error(message);
+      console.error(err);
+    } finally {
+      setSubmittingId(null);
+    }
+  };
+
+  // Export every row matching the current filters/sort, not just this page
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const { page, pageSize, ...params } = queryToApiParams(query);
+      const rows = toExportRows(await getAllPurchases(params), categoriesById);
+      if (!rows.length) {
+        toast.error(t("list.nothingToExport"));
+        return;
+      }
+      const filename = `purchases-${fileDateStamp()}.${format}`;
+      if (format === "xlsx") {
+        await downloadXlsx(filename, "Purchases", EXPORT_COLUMNS, rows);
+      } else {
+        downloadCsv(filename, EXPORT_COLUMNS, rows);
+      }
+      toast.success(t("list.exported", { count: rows.length }));
+    } catch (err) {
+      const message = getErrorMessage(err, t("list.exportFailed"));
+      toast.error(message);
+      console.error(err);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const toggleExpanded = (id) => {
+    setExpandedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const isMultiLine = (p) => Array.isArray(p.lines) && p.lines.length > 1;
+  // Rows with more than a single total to show: several lines, or a discount / charges / VAT breakdown
+  const isExpandable = (p) => isMultiLine(p) || hasAdjustments(p);
+
+  // Item cell: expand toggle + line count for documents, reference number when set
+  const renderItem = (p) => (
+    <div className="flex items-start gap-1">
+      {isExpandable(p) && (
+        <button
+          type="button"
+          onClick={() => toggleExpanded(p._id)}
+          className="text-gray-500 hover:text-gray-800 dark:hover:text-gray-200 w-4"
+          aria-expanded={expandedIds.has(p._id)}
+          aria-label={expandedIds.has(p._id) ? t("list.hideLines") : t("list.showLines")}
+        >
+          {expandedIds.has(p._id) ? "▾" : "▸"}
+        </button>
+      )}
+      <div>
+        <div className="flex flex-wrap items-center gap-2">
+          <span>{purchaseItemSummary(p) || "—"}</span>
+          <StatusBadge purchase={p} />
+          {attachmentsOf(p).length > 0 && (
+            <button
+              type="button"
+              onClick={() => setViewing(p)}
+              className="text-xs text-gray-500 hover:text-gray-800 dark:hover:text-gray-200"
+              aria-label={t("attachments.view", { count: attachmentsOf(p).length })}
+              title={t("attachments.view", { count: attachmentsOf(p).length })}
+            >
+              📎{attachmentsOf(p).length > 1 ? digits(attachmentsOf(p).length) : ""}
+            </button>
+          )}
+        </div>
+        {(() => {
+          const details = [
+            isMultiLine(p) && t("list.lineCount", { count: p.lines.length }),
+            p.referenceNo && t("list.ref", { ref: p.referenceNo }),
+            p.vatApplicable && t("list.vat", { amount: formatMoney(breakdownOf(p).vatAmount, currencyOf(p)) }),
+            categoryLabel(p, categoriesById),
+          ].filter(Boolean);
+          return details.length > 0 && <div className="text-xs text-gray-500">{details.join(" · ")}</div>;
+        })()}
+        {purchaseStatus(p) === "rejected" && p.reviewComment && (
+          <div className="text-xs text-red-600 dark:text-red-400">{t("list.rejectedComment", { comment: p.reviewComment })}</div>
+        )}
+      </div>
+    </div>
+  );
+
+  // Total in the purchase's currency, with the NPR amount underneath for foreign currencies
+  const renderTotal = (p) => {
+    if (p.totalAmount == null) return "—";
+    const currency = currencyOf(p);
+    return (
+      <>
+        <div>{formatMoney(p.totalAmount, currency)}</div>
+        {currency !== BASE_CURRENCY &&
+          (p.baseTotalAmount != null ? (
+            <div className="text-xs font-normal text-gray-500">≈ {formatMoney(p.baseTotalAmount)}</div>
+          ) : (
+            <div className="text-xs font-normal text-red-600">{t("list.noRate", { currency })}</div>
+          ))}
+      </>
+    );
+  };
+
+  // Print pages open in their own tab so the list keeps its filters and scroll position
+  const openPrint = (path) => window.open(path, "_blank");
+
+  const renderActions = (p) => {
+    const showSubmit = can("purchase:create") && canSubmit(p);
+    return (
+      <div className="inline-flex items-center gap-2">
+        <button
+          onClick={() => openPrint(`/purchases/${p._id}/print`)}
+          className="px-2 py-1 text-xs rounded border border-gray-300 dark:border-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-800"
+          title={t("list.print")}
+          aria-label={t("list.print")}
+        >
+          🖨
+        </button>
+        {showSubmit && (
+          <button
+            onClick={() => handleSubmitForApproval(p)}
+            disabled={submittingId === p._id || deletingId === p._id}
+            className="px-2 py-1 text-xs rounded bg-green-600 hover:bg-green-700 text-white disabled:opacity-60"
+          >
+            {submittingId === p._id ? t("create.submitting") : t("list.submit")}
+          </button>
+        )}
+        {can("purchase:edit") && canEdit(p) && (
+          <button
+            onClick={() => setEditingId(p._id)}
+            disabled={deletingId === p._id}
+            className="px-2 py-1 text-xs rounded bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-60"
+          >
+            {t("common.edit")}
+          </button>
+        )}
+        {can("purchase:delete") && canEdit(p) && (
+          <button
+            onClick={() => handleDelete(p)}
+            disabled={deletingId === p._id}
+            className="px-2 py-1 text-xs rounded bg-red-500 hover:bg-red-600 text-white disabled:opacity-60"
+          >
+            {deletingId === p._id ? t("common.deleting") : t("common.delete")}
+          </button>
+        )}
+      </div>
+    );
+  };
 
   // Aggregate totals by day for the chart (use ISO date yyyy-mm-dd)
   const totalsByDayMap = purchases.reduce((acc, p) => {
     const day = p.buyingDate ? new Date(p.buyingDate).toISOString().slice(0, 10) : "unknown";
-    const computed = Number(p.totalAmount ?? (p.rate * p.quantity) ?? 0);
+    const computed = p.totalAmount != null ? baseTotalOf(p) : Number(p.rate * p.quantity);
     acc[day] = (acc[day] || 0) + (Number.isFinite(computed) ? computed : 0);
     return acc;
   }, {});
@@ -86,7 +689,7 @@ export default function PurchaseList() {
     labels: totalsByDay.map((d) => formatDateShort(d.date)),
     datasets: [
       {
-        label: "Total per day (रु)",
+        label: t("list.totalPerDay"),
         data: totalsByDay.map((d) => Number(d.total || 0)),
         fill: true,
         backgroundColor: "rgba(34,197,94,0.12)",
@@ -114,7 +717,7 @@ export default function PurchaseList() {
         callbacks: {
           label: (ctx) => {
             const val = ctx.parsed?.y ?? ctx.parsed;
-            return formatCurrencyNPR(val);
+            return formatMoney(val);
           },
         },
       },
@@ -124,7 +727,7 @@ export default function PurchaseList() {
         suggestedMin,
         suggestedMax,
         ticks: {
-          callback: (val) => formatCurrencyNPR(val),
+          callback: (val) => formatMoney(val),
           stepSize: roughStep,
         },
       },
@@ -146,12 +749,13 @@ export default function PurchaseList() {
   return (
     <>
       <Toaster position="top-right" />
+      {viewing && <AttachmentViewer purchaseId={viewing._id} attachments={attachmentsOf(viewing)} onClose={() => setViewing(null)} />}
       <div className="space-y-4">
         {/* Header + sparkline (responsive) */}
         <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
           <div>
-            <h3 className="text-lg font-semibold">Purchases</h3>
-            <p className="text-sm text-gray-500">Recent purchases and a 30-day overview (रु)</p>
+            <h3 className="text-lg font-semibold">{t("list.title")}</h3>
+            <p className="text-sm text-gray-500">{t("list.subtitle")}</p>
           </div>
 
           <div className="w-full sm:w-64 h-20 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md p-2 shadow-sm">
@@ -165,40 +769,109 @@ export default function PurchaseList() {
             ) : totalsByDay.length ? (
               <Line data={chartData} options={chartOptions} />
             ) : (
-              <div className="flex items-center justify-center h-full text-sm text-gray-500">No data</div>
+              <div className="flex items-center justify-center h-full text-sm text-gray-500">{t("common.noData")}</div>
             )}
           </div>
         </div>
 
+        <PurchaseFilters query={query} categoryTree={categoryTree} onApply={updateQuery} />
+
+        <OfflineQueueList entries={queued} onRetry={retry} onDiscard={discard} />
+
+        {can("report:export") && (
+          <div className="flex items-center justify-end gap-2">
+            <span className="text-xs text-gray-500">{t("list.exportFiltered")}</span>
+            <button
+              onClick={() => handleExport("csv")}
+              disabled={Boolean(exporting) || loading || total === 0}
+              className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60"
+            >
+              {exporting === "csv" ? t("list.exporting") : "CSV"}
+            </button>
+            <button
+              onClick={() => handleExport("xlsx")}
+              disabled={Boolean(exporting) || loading || total === 0}
+              className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60"
+            >
+              {exporting === "xlsx" ? t("list.exporting") : "Excel"}
+            </button>
+            <button
+              onClick={() => openPrint(`/purchases/register?${queryToSearchParams({ ...query, page: 1 })}`)}
+              disabled={loading || total === 0}
+              className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60"
+            >
+              🖨 {t("list.printRegister")}
+            </button>
+          </div>
+        )}
+
+        {/* Sort control for mobile (the table headers are hidden there) */}
+        <div className="md:hidden flex items-center gap-2 text-sm">
+          <label htmlFor="purchaseSort" className="text-gray-500">{t("list.sortBy")}</label>
+          <select
+            id="purchaseSort"
+            value={`${query.sortBy}:${query.sortDir}`}
+            onChange={(e) => {
+              const [sortBy, sortDir] = e.target.value.split(":");
+              updateQuery({ sortBy, sortDir });
+            }}
+            className="flex-1 px-2 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900"
+          >
+            {SORTABLE_FIELDS.flatMap((field) => [
+              <option key={`${field}:asc`} value={`${field}:asc`}>{t(SORT_LABELS[field])} ↑</option>,
+              <option key={`${field}:desc`} value={`${field}:desc`}>{t(SORT_LABELS[field])} ↓</option>,
+            ])}
+          </select>
+        </div>
+
         {/* Responsive list/table */}
         <div className="overflow-x-auto bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md shadow-sm">
           {/* Table for md+ */}
           <table className="min-w-full hidden md:table">
             <thead className="bg-gray-50 dark:bg-gray-900">
               <tr>
-                <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Item</th>
-                <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Date</th>
-                <th className="text-right px-4 py-3 text-sm font-medium text-gray-600">Qty</th>
-                <th className="text-right px-4 py-3 text-sm font-medium text-gray-600">Rate (रु)</th>
-                <th className="text-right px-4 py-3 text-sm font-medium text-gray-600">Total (रु)</th>
-                <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Supplier</th>
+                <SortHeader field="itemName" query={query} onSort={handleSort}>{t("purchase.item")}</SortHeader>
+                <SortHeader field="buyingDate" query={query} onSort={handleSort}>{t("purchase.date")}</SortHeader>
+                <SortHeader field="quantity" query={query} onSort={handleSort} align="right">{t("purchase.qty")}</SortHeader>
+                <SortHeader field="rate" query={query} onSort={handleSort} align="right">{t("purchase.rate")}</SortHeader>
+                <SortHeader field="totalAmount" query={query} onSort={handleSort} align="right">{t("purchase.total")}</SortHeader>
+                <SortHeader field="supplierName" query={query} onSort={handleSort}>{t("purchase.supplier")}</SortHeader>
+                <th className="text-center px-4 py-3 text-sm font-medium text-gray-600">{t("common.actions")}</th>
               </tr>
             </thead>
             <tbody>
-              {purchases.map((p) => (
-                <tr key={p._id} className="border-t">
-                  <td className="px-4 py-3 text-sm">{p.itemName || "—"}</td>
-                  <td className="px-4 py-3 text-sm">{p.buyingDate ? formatDateShort(p.buyingDate) : "—"}</td>
-                  <td className="px-4 py-3 text-sm text-right">{p.quantity ?? "—"}</td>
-                  <td className="px-4 py-3 text-sm text-right">{p.rate != null ? formatCurrencyNPR(p.rate) : "—"}</td>
-                  <td className="px-4 py-3 text-sm text-right font-medium">{p.totalAmount != null ? formatCurrencyNPR(p.totalAmount) : "—"}</td>
-                  <td className="px-4 py-3 text-sm">{p.supplierName || "—"}</td>
-                </tr>
-              ))}
+              {purchases.map((p) =>
+                editingId === p._id && wide ? (
+                  <tr key={p._id} className="border-t bg-gray-50 dark:bg-gray-900">
+                    <td colSpan="7" className="px-4 py-3">
+                      <PurchaseEditForm purchase={p} categoryTree={categoryTree} rates={rates} calendar={calendar} onSaved={handleSaved} onCancel={() => setEditingId(null)} />
+                    </td>
+                  </tr>
+                ) : (
+                  <Fragment key={p._id}>
+                    <tr className="border-t">
+                      <td className="px-4 py-3 text-sm">{renderItem(p)}</td>
+                      <td className="px-4 py-3 text-sm">{p.buyingDate ? formatDateShort(p.buyingDate) : "—"}</td>
+                      <td className="px-4 py-3 text-sm text-right">{p.quantity != null && !isMultiLine(p) ? digits(p.quantity) : "—"}</td>
+                      <td className="px-4 py-3 text-sm text-right">{p.rate != null ? formatMoney(p.rate, currencyOf(p)) : "—"}</td>
+                      <td className="px-4 py-3 text-sm text-right font-medium">{renderTotal(p)}</td>
+                      <td className="px-4 py-3 text-sm">{p.supplierName || "—"}</td>
+                      <td className="px-4 py-3 text-sm text-center">{renderActions(p)}</td>
+                    </tr>
+                    {isExpandable(p) && expandedIds.has(p._id) && (
+                      <tr className="bg-gray-50 dark:bg-gray-900">
+                        <td colSpan="7" className="px-10 py-2">
+                          <PurchaseLinesTable purchase={p} />
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                )
+              )}
               {purchases.length === 0 && !loading && (
                 <tr>
-                  <td colSpan="6" className="px-4 py-6 text-center text-sm text-gray-500">
-                    No purchases yet.
+                  <td colSpan="7" className="px-4 py-6 text-center text-sm text-gray-500">
+                    {hasActiveFilters(query) ? t("list.noMatches") : t("list.empty")}
                   </td>
                 </tr>
               )}
@@ -208,31 +881,88 @@ export default function PurchaseList() {
           {/* Card list for mobile */}
           <div className="md:hidden divide-y">
             {purchases.length === 0 && !loading ? (
-              <div className="p-4 text-sm text-gray-500">No purchases yet.</div>
+              <div className="p-4 text-sm text-gray-500">
+                {hasActiveFilters(query) ? t("list.noMatches") : t("list.empty")}
+              </div>
             ) : (
               purchases.map((p) => (
                 <div key={p._id} className="p-4">
-                  <div className="flex items-start justify-between">
-                    <div>
-                      <div className="text-sm font-medium">{p.itemName || "—"}</div>
-                      <div className="text-xs text-gray-500">{p.supplierName || "—"}</div>
-                    </div>
-                    <div className="text-right">
-                      <div className="text-sm font-medium">{p.totalAmount != null ? formatCurrencyNPR(p.totalAmount) : "—"}</div>
-                      <div className="text-xs text-gray-500">{p.buyingDate ? formatDateShort(p.buyingDate) : "—"}</div>
-                    </div>
-                  </div>
-
-                  <div className="mt-2 flex items-center justify-between text-xs text-gray-500">
-                    <div>Qty: {p.quantity ?? "—"}</div>
-                    <div>Rate: {p.rate != null ? formatCurrencyNPR(p.rate) : "—"}</div>
-                  </div>
+                  {editingId === p._id && !wide ? (
+                    <PurchaseEditForm purchase={p} categoryTree={categoryTree} rates={rates} calendar={calendar} onSaved={handleSaved} onCancel={() => setEditingId(null)} />
+                  ) : (
+                    <>
+                      <div className="flex items-start justify-between">
+                        <div>
+                          <div className="text-sm font-medium">{renderItem(p)}</div>
+                          <div className="text-xs text-gray-500">{p.supplierName || "—"}</div>
+                        </div>
+                        <div className="text-right">
+                          <div className="text-sm font-medium text-right">{renderTotal(p)}</div>
+                          <div className="text-xs text-gray-500">{p.buyingDate ? formatDateShort(p.buyingDate) : "—"}</div>
+                        </div>
+                      </div>
+
+                      <div className="mt-2 flex items-center justify-between text-xs text-gray-500">
+                        <div>
+                          {t("purchase.qty")}: {p.quantity != null && !isMultiLine(p) ? digits(p.quantity) : "—"}
+                        </div>
+                        <div>
+                          {t("purchase.rate")}: {p.rate != null ? formatMoney(p.rate, currencyOf(p)) : "—"}
+                        </div>
+                      </div>
+
+                      {isExpandable(p) && expandedIds.has(p._id) && (
+                        <div className="mt-2 overflow-x-auto bg-gray-50 dark:bg-gray-900 rounded">
+                          <PurchaseLinesTable purchase={p} />
+                        </div>
+                      )}
+
+                      <div className="mt-2 flex justify-end">{renderActions(p)}</div>
+                    </>
+                  )}
                 </div>
               ))
             )}
           </div>
         </div>
+
+        {/* Pager */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 text-sm text-gray-600 dark:text-gray-300">
+          <div>
+            {total > 0
+              ? t("list.showing", { from: (query.page - 1) * query.pageSize + 1, to: Math.min(query.page * query.pageSize, total), total })
+              : t("list.noResults")}
+          </div>
+          <div className="flex items-center gap-2">
+            <label htmlFor="purchasePageSize" className="text-gray-500">{t("list.rows")}</label>
+            <select
+              id="purchasePageSize"
+              value={query.pageSize}
+              onChange={(e) => updateQuery({ pageSize: Number(e.target.value) })}
+              className="px-2 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900"
+            >
+              {PAGE_SIZES.map((size) => (
+                <option key={size} value={size}>{digits(size)}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => updateQuery({ page: query.page - 1 })}
+              disabled={loading || query.page <= 1}
+              className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 hover:bg-gray-50 disabled:opacity-60"
+            >
+              {t("list.prev")}
+            </button>
+            <span>{t("list.page", { page: query.page, pages: totalPages })}</span>
+            <button
+              onClick={() => updateQuery({ page: query.page + 1 })}
+              disabled={loading || query.page >= totalPages}
+              className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 hover:bg-gray-50 disabled:opacity-60"
+            >
+              {t("list.next")}
+            </button>
+          </div>
+        </div>
       </div>
     </>
   );
-}
\ No newline at end of file
+}
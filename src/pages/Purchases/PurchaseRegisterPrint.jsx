@@ -0,0 +1,157 @@
+import { Fragment, useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { getAllPurchases } from "../../services/purchaseService";
+import { getErrorMessage } from "../../services/apiClient";
+import { queryFromSearchParams, queryToApiParams } from "../../utils/purchaseQuery";
+import { buildRegister, baseVatOf } from "../../utils/purchaseRegister";
+import { baseTotalOf, purchaseItemSummary } from "../../utils/purchaseForm";
+import { statusLabel, purchaseStatus } from "../../utils/purchaseStatus";
+import { BASE_CURRENCY, currencyOf, formatMoney } from "../../utils/money";
+import { formatCalendarDate, formatCalendarMonth } from "../../utils/bikramSambat";
+import { toISODate } from "../../utils/dateRange";
+import useCalendar from "../../hooks/useCalendar";
+import useCategories from "../../hooks/useCategories";
+import PrintLayout, { SignatureBlocks } from "../../components/PrintLayout";
+import { useTranslation } from "../../context/LanguageContext";
+
+/**
+ * Printable purchase register for the filters in the URL (the same keys as PurchaseList).
+ * - Every matching purchase, oldest first, grouped by month of the primary calendar
+ * - Month subtotals and a grand total in रु (foreign purchases at their stored rate)
+ * - Dates and amounts formatted as in PurchaseList; signature lines at the end
+ * Opened in its own tab from PurchaseList; "Print / Save as PDF" makes the PDF.
+ */
+export default function PurchaseRegisterPrint() {
+  const { t } = useTranslation();
+  const [searchParams] = useSearchParams();
+  const [calendar] = useCalendar();
+  const { byId: categoriesById } = useCategories();
+  const query = useMemo(() => queryFromSearchParams(searchParams), [searchParams]);
+  const [state, setState] = useState({ purchases: [], loading: true, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    const { page, pageSize, ...params } = queryToApiParams({ ...query, sortBy: "buyingDate", sortDir: "asc" });
+    setState((prev) => ({ ...prev, loading: true, error: null }));
+    getAllPurchases(params)
+      .then((purchases) => {
+        if (!cancelled) setState({ purchases, loading: false, error: null });
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setState({ purchases: [], loading: false, error: getErrorMessage(err, t("list.loadFailed")) });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [query, t]);
+
+  const register = useMemo(() => buildRegister(state.purchases, calendar), [state.purchases, calendar]);
+
+  const formatDate = (iso) => formatCalendarDate(iso, calendar, "long");
+  const period =
+    query.from || query.to
+      ? `${query.from ? formatDate(query.from) : "…"} – ${query.to ? formatDate(query.to) : "…"}`
+      : t("print.allDates");
+
+  const filters = [
+    query.supplier && `${t("purchase.supplier")}: ${query.supplier}`,
+    query.q && `${t("purchase.item")}: ${query.q}`,
+    query.category && `${t("purchase.category")}: ${categoriesById[query.category]?.name ?? query.category}`,
+    query.status && `${t("purchase.status")}: ${statusLabel(query.status)}`,
+    query.minTotal && `${t("filters.minTotal")}: ${formatMoney(query.minTotal)}`,
+    query.maxTotal && `${t("filters.maxTotal")}: ${formatMoney(query.maxTotal)}`,
+  ].filter(Boolean);
+
+  const cell = "px-2 py-1 border-b border-gray-200";
+  const totalCells = (row) => (
+    <>
+      <td className={`${cell} text-right whitespace-nowrap`}>{formatMoney(row.vat)}</td>
+      <td className={`${cell} text-right whitespace-nowrap`}>{formatMoney(row.total)}</td>
+    </>
+  );
+
+  return (
+    <PrintLayout title={t("print.registerTitle")} subtitle={period}>
+      <div className="flex flex-wrap justify-between gap-2 mb-3 text-xs text-gray-600">
+        <div>{filters.length ? filters.join(" · ") : t("print.noFilters")}</div>
+        <div>{t("print.generatedOn", { date: formatDate(toISODate(new Date())) })}</div>
+      </div>
+
+      {state.loading ? (
+        <p className="text-gray-500">{t("common.loading")}</p>
+      ) : state.error ? (
+        <p className="text-red-600">{state.error}</p>
+      ) : register.count === 0 ? (
+        <p className="text-gray-500">{t("list.noMatches")}</p>
+      ) : (
+        <table className="w-full text-xs border-collapse">
+          <thead className="table-header-group">
+            <tr className="border-b-2 border-gray-400 text-left">
+              <th className="px-2 py-1 font-semibold">{t("purchase.date")}</th>
+              <th className="px-2 py-1 font-semibold">{t("print.refNo")}</th>
+              <th className="px-2 py-1 font-semibold">{t("purchase.supplier")}</th>
+              <th className="px-2 py-1 font-semibold">{t("purchase.items")}</th>
+              <th className="px-2 py-1 font-semibold">{t("purchase.status")}</th>
+              <th className="px-2 py-1 font-semibold text-right">{t("print.foreignAmount")}</th>
+              <th className="px-2 py-1 font-semibold text-right">{t("print.vatBase", { currency: BASE_CURRENCY })}</th>
+              <th className="px-2 py-1 font-semibold text-right">{t("print.totalBase", { currency: BASE_CURRENCY })}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {register.months.map((month) => (
+              <Fragment key={month.key || "undated"}>
+                <tr className="break-after-avoid">
+                  <td colSpan="8" className="px-2 pt-3 pb-1 font-semibold">
+                    {month.key ? formatCalendarMonth(month.date, calendar) : t("print.undated")}
+                  </td>
+                </tr>
+                {month.purchases.map((p) => (
+                  <tr key={p._id} className="break-inside-avoid align-top">
+                    <td className={`${cell} whitespace-nowrap`}>{p.buyingDate ? formatCalendarDate(p.buyingDate, calendar, "short") : "—"}</td>
+                    <td className={cell}>{p.referenceNo || "—"}</td>
+                    <td className={cell}>{p.supplierName || "—"}</td>
+                    <td className={cell}>{purchaseItemSummary(p) || "—"}</td>
+                    <td className={cell}>{statusLabel(purchaseStatus(p))}</td>
+                    <td className={`${cell} text-right whitespace-nowrap`}>
+                      {currencyOf(p) !== BASE_CURRENCY ? formatMoney(p.totalAmount, currencyOf(p)) : ""}
+                    </td>
+                    <td className={`${cell} text-right whitespace-nowrap`}>{baseVatOf(p) ? formatMoney(baseVatOf(p)) : "—"}</td>
+                    <td className={`${cell} text-right whitespace-nowrap`}>{baseTotalOf(p) != null ? formatMoney(baseTotalOf(p)) : t("print.noRate")}</td>
+                  </tr>
+                ))}
+                <tr className="font-semibold bg-gray-50 break-inside-avoid">
+                  <td colSpan="6" className={`${cell} text-right`}>
+                    {t("print.monthSubtotal", { count: month.count })}
+                  </td>
+                  {totalCells(month)}
+                </tr>
+              </Fragment>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="font-bold border-t-2 border-gray-400">
+              <td colSpan="6" className="px-2 py-2 text-right">
+                {t("print.grandTotal", { count: register.count })}
+              </td>
+              <td className="px-2 py-2 text-right whitespace-nowrap">{formatMoney(register.vat)}</td>
+              <td className="px-2 py-2 text-right whitespace-nowrap">{formatMoney(register.total)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      )}
+
+      {!state.loading && !state.error && (
+        <>
+          {state.purchases.some((p) => currencyOf(p) !== BASE_CURRENCY) && (
+            <p className="mt-2 text-xs text-gray-500">{t("print.convertedNote", { currency: BASE_CURRENCY })}</p>
+          )}
+          {register.unconverted > 0 && (
+            <p className="mt-1 text-xs text-red-600">{t("print.unconvertedNote", { count: register.unconverted, currency: BASE_CURRENCY })}</p>
+          )}
+          <SignatureBlocks labels={[t("print.preparedBy"), t("print.checkedBy"), t("print.approvedBy")]} />
+        </>
+      )}
+    </PrintLayout>
+  );
+}
@@ -3,6 +3,10 @@ import { Link, useNavigate } from "react-router-dom";
 import toast, { Toaster } from "react-hot-toast";
 import { registerUser, loginUser } from "../services/userService";
 import { AuthContext } from "../context/AuthContext";
+import { getErrorMessage } from "../services/apiClient";
+import { validateAccount } from "../utils/userAccount";
+import { useTranslation } from "../context/LanguageContext";
+import LanguageSwitcher from "../components/LanguageSwitcher";
 
 export default function Register() {
   const [form, setForm] = useState({ username: "", email: "", password: "" });
@@ -10,6 +14,7 @@ export default function Register() {
   const [showPassword, setShowPassword] = useState(false);
 
   const { login } = useContext(AuthContext);
+  const { t } = useTranslation();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -18,29 +23,9 @@ export default function Register() {
   };
 
   const validate = () => {
-    if (!form.username.trim()) {
-      toast.error("Username is required");
-      return false;
-    }
-    if (!form.email.trim()) {
-      toast.error("Email is required");
-      return false;
-    }
-    // simple email check
-    const emailRe = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRe.test(form.email)) {
-      toast.error("Please enter a valid email address");
-      return false;
-    }
-    if (!form.password) {
-      toast.error("Password is required");
-      return false;
-    }
-    if (form.password.length < 6) {
-      toast.error("Password must be at least 6 characters");
-      return false;
-    }
-    return true;
+    const error = validateAccount(form);
+    if (error) toast.error(error);
+    return !error;
   };
 
   const handleSubmit = async (e) => {
@@ -50,7 +35,7 @@ export default function Register() {
     setLoading(true);
     try {
       await registerUser(form);
-      toast.success("Registration successful — signing you in…");
+      toast.success(t("register.success"));
 
       // Log in immediately to get token and set auth state
       const loginRes = await loginUser({
@@ -58,10 +43,10 @@ export default function Register() {
         password: form.password,
       });
 
-      login({ ...loginRes.user, token: loginRes.token });
+      login({ ...loginRes.user, token: loginRes.token, refreshToken: loginRes.refreshToken });
       navigate("/dashboard");
     } catch (error) {
-      const message = error?.response?.data?.message || error?.message || "Registration failed";
+      const message = getErrorMessage(error, t("register.failed"));
       toast.error(message);
       console.error(error);
     } finally {
@@ -74,17 +59,20 @@ export default function Register() {
       <Toaster position="top-center" />
       <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 px-4">
         <div className="w-full max-w-md bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg p-6">
-          <h1 className="text-center text-2xl font-semibold text-gray-800 dark:text-gray-100 mb-4">Create an account</h1>
+          <div className="flex justify-end -mt-2 mb-2">
+            <LanguageSwitcher />
+          </div>
+          <h1 className="text-center text-2xl font-semibold text-gray-800 dark:text-gray-100 mb-4">{t("register.title")}</h1>
 
           <form onSubmit={handleSubmit} className="space-y-4">
             <label className="block">
-              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Username</span>
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">{t("common.username")}</span>
               <input
                 type="text"
                 name="username"
                 value={form.username}
                 onChange={handleChange}
-                placeholder="Your username"
+                placeholder={t("login.usernamePlaceholder")}
                 className="mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-green-500"
                 autoComplete="username"
                 aria-label="username"
@@ -93,7 +81,7 @@ export default function Register() {
             </label>
 
             <label className="block">
-              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Email</span>
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">{t("common.email")}</span>
               <input
                 type="email"
                 name="email"
@@ -108,13 +96,13 @@ export default function Register() {
             </label>
 
             <label className="block relative">
-              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Password</span>
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">{t("common.password")}</span>
               <input
                 type={showPassword ? "text" : "password"}
                 name="password"
                 value={form.password}
                 onChange={handleChange}
-                placeholder="Create a password"
+                placeholder={t("register.passwordPlaceholder")}
                 className="mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-green-500 pr-20"
                 autoComplete="new-password"
                 aria-label="password"
@@ -125,9 +113,9 @@ export default function Register() {
                 onClick={() => setShowPassword((s) => !s)}
                 className="absolute right-2 top-9 text-sm text-gray-500 hover:text-gray-700 dark:text-gray-300"
                 aria-pressed={showPassword}
-                aria-label={showPassword ? "Hide password" : "Show password"}
+                aria-label={showPassword ? t("common.hidePassword") : t("common.showPassword")}
               >
-                {showPassword ? "Hide" : "Show"}
+                {showPassword ? t("common.hide") : t("common.show")}
               </button>
             </label>
 
@@ -148,14 +136,14 @@ export default function Register() {
                   <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"></path>
                 </svg>
               )}
-              <span>{loading ? "Creating account…" : "Create account"}</span>
+              <span>{loading ? t("register.submitting") : t("register.submit")}</span>
             </button>
           </form>
 
           <p className="mt-4 text-center text-sm text-gray-600 dark:text-gray-300">
-            Already have an account?{" "}
+            {t("register.haveAccount")}{" "}
             <Link to="/login" className="text-blue-600 dark:text-blue-400 hover:underline font-medium">
-              Sign in
+              {t("login.submit")}
             </Link>
           </p>
         </div>
@@ -0,0 +1,62 @@
+import toast from "react-hot-toast";
+import Autocomplete from "../../components/Autocomplete";
+import { createSupplier, getSuppliers } from "../../services/supplierService";
+import { getErrorMessage } from "../../services/apiClient";
+import usePermissions from "../../hooks/usePermissions";
+import { useTranslation } from "../../context/LanguageContext";
+
+/**
+ * Supplier field for purchase forms: suggests directory entries and links the
+ * purchase to a supplier ID. Typing free text clears the link; picking
+ * "Add …" creates the supplier on the fly.
+ *
+ * Usage:
+ * <SupplierAutocomplete id="supplierName" supplierName={form.supplierName} supplierId={form.supplierId}
+ *   onChange={({ supplierId, supplierName }) => setForm((p) => ({ ...p, supplierId, supplierName }))} />
+ */
+
+export default function SupplierAutocomplete({ id, supplierName, supplierId, onChange, className, disabled, placeholder }) {
+  const { can } = usePermissions();
+  const { t } = useTranslation();
+
+  const handleCreate = async (name) => {
+    try {
+      const created = await createSupplier({ name });
+      onChange({ supplierId: created.id, supplierName: created.name || name });
+      toast.success(t("supplier.added", { name: created.name || name }));
+    } catch (err) {
+      const message = getErrorMessage(err, t("supplier.createFailed"));
+      toast.error(message);
+      console.error(err);
+    }
+  };
+
+  return (
+    <div>
+      <Autocomplete
+        id={id}
+        value={supplierName}
+        onInputChange={(text) => onChange({ supplierId: null, supplierName: text })}
+        onSelect={(s) => onChange({ supplierId: s.id, supplierName: s.name })}
+        fetchOptions={(q) => getSuppliers({ q, limit: 8 })}
+        getOptionLabel={(s) => s.name}
+        renderOption={(s) => (
+          <div className="flex items-center justify-between gap-2">
+            <span>{s.name}</span>
+            {s.panNumber && <span className="text-xs text-gray-500">{t("supplier.pan", { pan: s.panNumber })}</span>}
+          </div>
+        )}
+        onCreate={can("supplier:manage") ? handleCreate : undefined}
+        createLabel={(text) => t("supplier.addNew", { name: text })}
+        placeholder={placeholder ?? t("supplier.namePlaceholder")}
+        className={className}
+        disabled={disabled}
+      />
+      {supplierName && (
+        <div className={`mt-1 text-xs ${supplierId ? "text-green-700 dark:text-green-400" : "text-gray-500"}`}>
+          {supplierId ? t("supplier.linked") : t("supplier.notLinked")}
+        </div>
+      )}
+    </div>
+  );
+}
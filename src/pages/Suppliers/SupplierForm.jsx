@@ -0,0 +1,98 @@
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+
+/**
+ * Create/edit form for a supplier (name, PAN/VAT number, contact, address).
+ * The parent owns the API call through onSubmit(values), which resolves to true
+ * on success, so the same form serves both create and edit.
+ */
+
+const EMPTY_SUPPLIER = { name: "", panNumber: "", contact: "", address: "" };
+
+const inputClass =
+  "mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500";
+
+export default function SupplierForm({ supplier, onSubmit, onCancel }) {
+  const [form, setForm] = useState(EMPTY_SUPPLIER);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setForm(supplier ? { ...EMPTY_SUPPLIER, ...supplier } : EMPTY_SUPPLIER);
+  }, [supplier]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error("Supplier name is required");
+      return;
+    }
+    // Nepali PAN/VAT numbers are 9 digits
+    if (form.panNumber && !/^\d{9}$/.test(form.panNumber.trim())) {
+      toast.error("PAN/VAT number must be 9 digits");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const ok = await onSubmit({
+        name: form.name.trim(),
+        panNumber: form.panNumber.trim(),
+        contact: form.contact.trim(),
+        address: form.address.trim(),
+      });
+      if (ok && !supplier) setForm(EMPTY_SUPPLIER);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+      <div>
+        <label htmlFor="supplier-name" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
+          Name
+        </label>
+        <input id="supplier-name" name="name" type="text" value={form.name} onChange={handleChange} className={inputClass} aria-required="true" />
+      </div>
+      <div>
+        <label htmlFor="supplier-pan" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
+          PAN / VAT number
+        </label>
+        <input id="supplier-pan" name="panNumber" type="text" inputMode="numeric" value={form.panNumber} onChange={handleChange} placeholder="9 digits" className={inputClass} />
+      </div>
+      <div>
+        <label htmlFor="supplier-contact" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
+          Contact
+        </label>
+        <input id="supplier-contact" name="contact" type="text" value={form.contact} onChange={handleChange} placeholder="Phone or email" className={inputClass} />
+      </div>
+      <div>
+        <label htmlFor="supplier-address" className="block text-sm font-medium text-gray-700 dark:text-gray-200">
+          Address
+        </label>
+        <input id="supplier-address" name="address" type="text" value={form.address} onChange={handleChange} className={inputClass} />
+      </div>
+
+      <div className="sm:col-span-2 flex items-center justify-end gap-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={saving}
+            className="px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 disabled:opacity-60"
+          >
+            Cancel
+          </button>
+        )}
+        <button type="submit" disabled={saving} className="px-4 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm font-medium disabled:opacity-60">
+          {saving ? "Saving…" : supplier ? "Save changes" : "Add supplier"}
+        </button>
+      </div>
+    </form>
+  );
+}
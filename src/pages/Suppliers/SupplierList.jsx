@@ -0,0 +1,183 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import toast, { Toaster } from "react-hot-toast";
+import { createSupplier, getSuppliers, updateSupplier } from "../../services/supplierService";
+import SupplierForm from "./SupplierForm";
+import SupplierMerge from "./SupplierMerge";
+import { getErrorMessage } from "../../services/apiClient";
+import usePermissions from "../../hooks/usePermissions";
+
+/**
+ * Supplier directory:
+ * - Search, create and edit suppliers (name, PAN/VAT, contact, address)
+ * - Merge tool to fold duplicate free-text names into one supplier
+ */
+
+export default function SupplierList() {
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState("");
+  const { can } = usePermissions();
+  const canManage = can("supplier:manage");
+  const [editing, setEditing] = useState(null); // supplier being edited
+  const [showMerge, setShowMerge] = useState(false);
+
+  const fetchSuppliers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const list = await getSuppliers();
+      setSuppliers(list.sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (error) {
+      const message = getErrorMessage(error, "Failed to load suppliers");
+      toast.error(message);
+      console.error(message);
+      setSuppliers([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSuppliers();
+  }, [fetchSuppliers]);
+
+  const handleCreate = async (values) => {
+    try {
+      await createSupplier(values);
+      toast.success(`Supplier "${values.name}" added`);
+      await fetchSuppliers();
+      return true;
+    } catch (err) {
+      const message = getErrorMessage(err, "Failed to create supplier");
+      toast.error(message);
+      console.error(err);
+      return false;
+    }
+  };
+
+  const handleUpdate = async (values) => {
+    try {
+      await updateSupplier(editing.id, values);
+      toast.success("Supplier updated");
+      setEditing(null);
+      await fetchSuppliers();
+      return true;
+    } catch (err) {
+      const message = getErrorMessage(err, "Failed to update supplier");
+      toast.error(message);
+      console.error(err);
+      return false;
+    }
+  };
+
+  const term = search.trim().toLowerCase();
+  const visible = term
+    ? suppliers.filter((s) => [s.name, s.panNumber, s.contact, s.address].some((v) => String(v ?? "").toLowerCase().includes(term)))
+    : suppliers;
+
+  return (
+    <>
+      <Toaster position="top-right" />
+      <div className="p-6 space-y-6">
+        <header className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">Suppliers</h1>
+            <p className="text-sm text-gray-600">One entry per supplier, linked from purchases</p>
+          </div>
+          <Link
+            to="/dashboard"
+            className="inline-flex items-center gap-2 px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50"
+          >
+            Back to dashboard
+          </Link>
+        </header>
+
+        {canManage && (
+          <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm">
+            <h2 className="text-xl font-semibold mb-3">{editing ? `Edit "${editing.name}"` : "Add Supplier"}</h2>
+            <SupplierForm supplier={editing} onSubmit={editing ? handleUpdate : handleCreate} onCancel={editing ? () => setEditing(null) : undefined} />
+          </section>
+        )}
+
+        <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm space-y-3">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <h2 className="text-xl font-semibold">Directory</h2>
+            <div className="flex items-center gap-2">
+              <input
+                type="search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search name, PAN, contact…"
+                className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm"
+                aria-label="Search suppliers"
+              />
+              <button
+                onClick={fetchSuppliers}
+                className="inline-flex items-center gap-2 px-3 py-1 rounded bg-indigo-600 hover:bg-indigo-700 text-white text-sm"
+                disabled={loading}
+              >
+                {loading ? "Refreshing…" : "Refresh"}
+              </button>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-md">
+            <table className="min-w-full table-auto">
+              <thead className="bg-gray-50 dark:bg-gray-900">
+                <tr>
+                  <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Name</th>
+                  <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">PAN / VAT</th>
+                  <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Contact</th>
+                  <th className="text-left px-4 py-3 text-sm font-medium text-gray-600">Address</th>
+                  <th className="text-center px-4 py-3 text-sm font-medium text-gray-600">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.length === 0 && !loading ? (
+                  <tr>
+                    <td colSpan="5" className="px-4 py-6 text-center text-sm text-gray-500">
+                      {term ? "No suppliers match your search." : "No suppliers yet."}
+                    </td>
+                  </tr>
+                ) : (
+                  visible.map((s) => (
+                    <tr key={s.id} className="border-t">
+                      <td className="px-4 py-3 text-sm font-medium">{s.name || "—"}</td>
+                      <td className="px-4 py-3 text-sm">{s.panNumber || "—"}</td>
+                      <td className="px-4 py-3 text-sm">{s.contact || "—"}</td>
+                      <td className="px-4 py-3 text-sm">{s.address || "—"}</td>
+                      <td className="px-4 py-3 text-sm text-center">
+                        {canManage ? (
+                          <button onClick={() => setEditing(s)} className="px-2 py-1 text-xs rounded bg-indigo-600 hover:bg-indigo-700 text-white">
+                            Edit
+                          </button>
+                        ) : (
+                          "—"
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </section>
+
+        {canManage && (
+          <section className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 shadow-sm space-y-3">
+            <div className="flex items-center justify-between">
+              <div>
+                <h2 className="text-xl font-semibold">Merge duplicates</h2>
+                <p className="text-sm text-gray-500">Fold variants like "Bhat-Bhateni" and "bhatbhateni store" into one supplier</p>
+              </div>
+              <button onClick={() => setShowMerge((v) => !v)} className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-700 text-sm hover:bg-gray-50">
+                {showMerge ? "Hide" : "Open merge tool"}
+              </button>
+            </div>
+            {showMerge && <SupplierMerge suppliers={suppliers} onMerged={fetchSuppliers} />}
+          </section>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,183 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { getSupplierNames, mergeSuppliers } from "../../services/supplierService";
+import { getErrorMessage } from "../../services/apiClient";
+
+/**
+ * Merge tool: folds duplicate free-text supplier names (and duplicate
+ * directory entries) into one supplier. Names that look like the target
+ * ("Bhat-Bhateni", "bhatbhateni store" for "Bhatbhateni") are pre-selected.
+ *
+ * Props:
+ * - suppliers: directory entries to pick the target / duplicates from
+ * - onMerged: called after a successful merge so the parent can reload
+ */
+
+// Words that don't distinguish one supplier from another
+const NOISE_WORDS = ["store", "stores", "shop", "traders", "trading", "suppliers", "supplier", "pvt", "ltd", "private", "limited", "co", "and"];
+
+// "Bhat-Bhateni Store Pvt. Ltd." -> "bhatbhateni"
+function supplierNameKey(name) {
+  return String(name ?? "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .split(/\s+/)
+    .filter((w) => w && !NOISE_WORDS.includes(w))
+    .join("");
+}
+
+export default function SupplierMerge({ suppliers, onMerged }) {
+  const [names, setNames] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [merging, setMerging] = useState(false);
+  const [targetId, setTargetId] = useState("");
+  const [selectedNames, setSelectedNames] = useState(() => new Set());
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+  const fetchNames = useCallback(async () => {
+    setLoading(true);
+    try {
+      setNames(await getSupplierNames());
+    } catch (error) {
+      const message = getErrorMessage(error, "Failed to load supplier names");
+      toast.error(message);
+      console.error(message);
+      setNames([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNames();
+  }, [fetchNames]);
+
+  const target = suppliers.find((s) => String(s.id) === String(targetId));
+
+  // Free-text names not already linked to the target
+  const candidateNames = useMemo(
+    () => names.filter((n) => !target || String(n.supplierId ?? "") !== String(target.id)),
+    [names, target]
+  );
+  const candidateSuppliers = suppliers.filter((s) => !target || String(s.id) !== String(target.id));
+
+  // Pre-select look-alikes whenever the target changes
+  useEffect(() => {
+    if (!target) {
+      setSelectedNames(new Set());
+      setSelectedIds(new Set());
+      return;
+    }
+    const key = supplierNameKey(target.name);
+    setSelectedNames(new Set(names.filter((n) => n.name !== target.name && supplierNameKey(n.name) === key).map((n) => n.name)));
+    setSelectedIds(new Set(suppliers.filter((s) => s.id !== target.id && supplierNameKey(s.name) === key).map((s) => s.id)));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [targetId, names]);
+
+  const toggle = (setter) => (value) =>
+    setter((prev) => {
+      const next = new Set(prev);
+      if (next.has(value)) next.delete(value);
+      else next.add(value);
+      return next;
+    });
+  const toggleName = toggle(setSelectedNames);
+  const toggleId = toggle(setSelectedIds);
+
+  const handleMerge = async () => {
+    if (!target) return;
+    const count = selectedNames.size + selectedIds.size;
+    const ok = window.confirm(
+      `Fold ${count} name${count === 1 ? "" : "s"}/supplier${count === 1 ? "" : "s"} into "${target.name}"? Their purchases will be re-linked and duplicate suppliers removed.`
+    );
+    if (!ok) return;
+
+    setMerging(true);
+    try {
+      await mergeSuppliers({ targetId: target.id, supplierIds: [...selectedIds], names: [...selectedNames] });
+      toast.success(`Merged into "${target.name}"`);
+      setTargetId("");
+      await fetchNames();
+      if (typeof onMerged === "function") onMerged();
+    } catch (err) {
+      const message = getErrorMessage(err, "Failed to merge suppliers");
+      toast.error(message);
+      console.error(err);
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+        <label className="flex-1 text-sm text-gray-700 dark:text-gray-200">
+          Keep this supplier
+          <select
+            value={targetId}
+            onChange={(e) => setTargetId(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900"
+          >
+            <option value="">— select the supplier to keep —</option>
+            {suppliers.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={handleMerge}
+          disabled={!target || merging || selectedNames.size + selectedIds.size === 0}
+          className="px-4 py-2 rounded-md bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium disabled:opacity-60"
+        >
+          {merging ? "Merging…" : `Merge ${selectedNames.size + selectedIds.size} selected`}
+        </button>
+      </div>
+
+      {target && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <h4 className="text-sm font-semibold mb-2">Free-text names on purchases</h4>
+            {loading ? (
+              <div className="text-sm text-gray-500">Loading…</div>
+            ) : candidateNames.length === 0 ? (
+              <div className="text-sm text-gray-500">No other names found.</div>
+            ) : (
+              <ul className="max-h-64 overflow-auto divide-y border border-gray-200 dark:border-gray-700 rounded-md">
+                {candidateNames.map((n) => (
+                  <li key={n.name} className="px-3 py-2 text-sm">
+                    <label className="flex items-center gap-2">
+                      <input type="checkbox" checked={selectedNames.has(n.name)} onChange={() => toggleName(n.name)} />
+                      <span className="flex-1">{n.name || "(blank)"}</span>
+                      <span className="text-xs text-gray-500">{n.count} purchase{n.count === 1 ? "" : "s"}</span>
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold mb-2">Duplicate directory entries</h4>
+            {candidateSuppliers.length === 0 ? (
+              <div className="text-sm text-gray-500">No other suppliers.</div>
+            ) : (
+              <ul className="max-h-64 overflow-auto divide-y border border-gray-200 dark:border-gray-700 rounded-md">
+                {candidateSuppliers.map((s) => (
+                  <li key={s.id} className="px-3 py-2 text-sm">
+                    <label className="flex items-center gap-2">
+                      <input type="checkbox" checked={selectedIds.has(s.id)} onChange={() => toggleId(s.id)} />
+                      <span className="flex-1">{s.name}</span>
+                      {s.panNumber && <span className="text-xs text-gray-500">PAN {s.panNumber}</span>}
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,22 +1,48 @@
-import { BrowserRouter as Router, Routes, Route, Navigate } from "react-router-dom";
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from "react-router-dom";
 import { useContext } from "react";
 import { AuthContext } from "../context/AuthContext";
+import { returnPathFrom } from "../utils/returnUrl";
+import { can } from "../utils/permissions";
 
 // Pages
 import Login from "../pages/Login";
 import Register from "../pages/Register";
+import ChangePassword from "../pages/ChangePassword";
 import Dashboard from "../pages/Dashboard";
 import UserList from "../pages/Admin/UserList"; // Admin page
+import PurchaseImport from "../pages/Purchases/PurchaseImport";
+import ApprovalQueue from "../pages/Purchases/ApprovalQueue";
+import PurchaseRegisterPrint from "../pages/Purchases/PurchaseRegisterPrint";
+import PurchaseDocumentPrint from "../pages/Purchases/PurchaseDocumentPrint";
+import SupplierList from "../pages/Suppliers/SupplierList";
+import ItemList from "../pages/Items/ItemList";
+import CategoryManager from "../pages/Admin/CategoryManager";
+import BudgetManager from "../pages/Admin/BudgetManager";
+import ExchangeRateManager from "../pages/Admin/ExchangeRateManager";
+import AuditLog from "../pages/Admin/AuditLog";
 
-// Protected Route wrapper
-const ProtectedRoute = ({ children, role }) => {
+// Protected Route wrapper; `permission` (string, or array meaning any of) comes from utils/permissions
+const ProtectedRoute = ({ children, permission }) => {
   const { user, ready } = useContext(AuthContext);
+  const location = useLocation();
 
   // Wait for auth hydration so we don't redirect before local data loads
   if (!ready) return null; // or a small loader
 
-  if (!user) return <Navigate to="/login" />; // not logged in
-  if (role && user.role !== role) return <Navigate to="/dashboard" />; // role mismatch
+  if (!user) return <Navigate to="/login" replace state={{ from: location }} />; // not logged in (or session expired)
+  // After an admin password reset, nothing else opens until a new password is set
+  if (user.mustChangePassword && location.pathname !== "/change-password") {
+    return <Navigate to="/change-password" replace state={{ from: location }} />;
+  }
+  if (permission && !can(user, permission)) return <Navigate to="/dashboard" />; // not allowed for this role
+  return children;
+};
+
+// Login/Register: signed-in users go back to where they came from
+const PublicOnlyRoute = ({ children }) => {
+  const { user } = useContext(AuthContext);
+  const location = useLocation();
+  if (user) return <Navigate to={returnPathFrom(location)} replace />;
   return children;
 };
 
@@ -25,15 +51,24 @@ export default function AppRouter() {
 
   return (
     <Router>
-      <Routes>
+      {/* Remount pages when the account changes (e.g. another tab signed in as someone else) so no stale data survives */}
+      <Routes key={String(user?.id ?? user?.username ?? "guest")}>
         {/* Public Routes */}
         <Route
           path="/login"
-          element={!user ? <Login /> : <Navigate to="/dashboard" />}
+          element={
+            <PublicOnlyRoute>
+              <Login />
+            </PublicOnlyRoute>
+          }
         />
         <Route
           path="/register"
-          element={!user ? <Register /> : <Navigate to="/dashboard" />}
+          element={
+            <PublicOnlyRoute>
+              <Register />
+            </PublicOnlyRoute>
+          }
         />
 
         {/* Protected Routes */}
@@ -46,16 +81,115 @@ export default function AppRouter() {
           }
         />
 
-        {/* Admin-Only Route */}
+        <Route
+          path="/change-password"
+          element={
+            <ProtectedRoute>
+              <ChangePassword />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/purchases/import"
+          element={
+            <ProtectedRoute permission="purchase:import">
+              <PurchaseImport />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/purchases/register"
+          element={
+            <ProtectedRoute permission="report:export">
+              <PurchaseRegisterPrint />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/purchases/:id/print"
+          element={
+            <ProtectedRoute>
+              <PurchaseDocumentPrint />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/approvals"
+          element={
+            <ProtectedRoute permission="purchase:approve">
+              <ApprovalQueue />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/suppliers"
+          element={
+            <ProtectedRoute>
+              <SupplierList />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/items"
+          element={
+            <ProtectedRoute>
+              <ItemList />
+            </ProtectedRoute>
+          }
+        />
+
+        {/* Admin Routes */}
         <Route
           path="/admin/users"
           element={
-            <ProtectedRoute role="admin">
+            <ProtectedRoute permission="user:manage">
               <UserList />
             </ProtectedRoute>
           }
         />
 
+        <Route
+          path="/admin/categories"
+          element={
+            <ProtectedRoute permission="category:manage">
+              <CategoryManager />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/budgets"
+          element={
+            <ProtectedRoute permission="budget:manage">
+              <BudgetManager />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/exchange-rates"
+          element={
+            <ProtectedRoute permission="rate:manage">
+              <ExchangeRateManager />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/audit"
+          element={
+            <ProtectedRoute permission="audit:read">
+              <AuditLog />
+            </ProtectedRoute>
+          }
+        />
+
         {/* Catch-all redirect */}
         <Route path="*" element={<Navigate to={user ? "/dashboard" : "/login"} />} />
       </Routes>
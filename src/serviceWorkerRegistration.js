@@ -0,0 +1,21 @@
+// Registers public/service-worker.js in production builds so the app shell loads offline
+// and the app can be installed. Development builds skip it: a cached shell would
+// hide code changes.
+
+export function register() {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  // A service worker can't control pages on another origin (e.g. PUBLIC_URL on a CDN)
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch((err) => {
+      console.error("Service worker registration failed:", err);
+    });
+  });
+}
+
+export function unregister() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready.then((registration) => registration.unregister()).catch((err) => console.error(err));
+}
@@ -0,0 +1,125 @@
+// Shared axios instance used by every service
+// -------------------------------------------
+// - Adds `Authorization: Bearer <token>` from the signed-in user (AuthContext
+//   registers a token getter via `setAuthHandlers`); an explicit Authorization
+//   header on a request wins, e.g. `fetchCurrentUser(token)` during login.
+// - Renews the access token when it is about to expire or a request gets a 401,
+//   using the registered `refresh` handler. Only one refresh runs at a time;
+//   requests made meanwhile wait for it and go out with the new token.
+// - When renewal isn't possible, calls the registered `onUnauthorized`
+//   handler (AuthContext logs out; ProtectedRoute then sends the user to /login
+//   with the page they were on as the return URL).
+// - `getErrorMessage(err, fallback)` turns any thrown error into toast text;
+//   `isNetworkError(err)` tells "no connection" apart from a server answer.
+
+import axios from "axios";
+import { tokenExpiry } from "../utils/jwt";
+
+const BASE_URL = process.env.REACT_APP_API_URL; // e.g. https://api.example.com
+if (!BASE_URL) {
+  throw new Error("REACT_APP_API_URL is not defined. Set it in your .env file.");
+}
+
+const api = axios.create({ baseURL: BASE_URL });
+
+// Renew this long before `exp` so slow requests don't arrive with a dead token
+const REFRESH_MARGIN_MS = 30 * 1000;
+
+let getToken = () => null;
+let refresh = null; // async () => new access token; null when the session can't be renewed
+let onUnauthorized = () => {};
+let refreshInFlight = null;
+
+export function setAuthHandlers(handlers = {}) {
+  getToken = handlers.getToken ?? (() => null);
+  refresh = handlers.refresh ?? null;
+  onUnauthorized = handlers.onUnauthorized ?? (() => {});
+}
+
+// Single-flight token renewal shared by the interceptors and AuthContext's timer.
+// Resolves to the new access token; rejects (after logging out) if renewal fails.
+export function refreshAccessToken() {
+  if (!refresh) return Promise.reject(new Error("Session cannot be renewed"));
+  if (!refreshInFlight) {
+    refreshInFlight = refresh()
+      .catch((err) => {
+        onUnauthorized(err);
+        throw err;
+      })
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+}
+
+const expiresSoon = (token) => {
+  const expiresAt = tokenExpiry(token);
+  return expiresAt != null && expiresAt - Date.now() < REFRESH_MARGIN_MS;
+};
+
+api.interceptors.request.use(async (config) => {
+  if (config.skipAuth || config.headers.Authorization) return config;
+  let token = getToken();
+  // Queue behind a running refresh, or start one if the token is about to lapse
+  if (refreshInFlight || (token && refresh && expiresSoon(token))) {
+    try {
+      token = await refreshAccessToken();
+    } catch {
+      token = null; // the request goes out unauthenticated and fails with 401
+    }
+  }
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+api.interceptors.response.use(
+  (res) => res,
+  async (error) => {
+    const config = error?.config;
+    const sentToken = Boolean(config?.headers?.Authorization);
+    // 401 on login/register means bad credentials, not an expired session
+    if (error?.response?.status !== 401 || !sentToken || config.skipAuthRedirect) {
+      return Promise.reject(error);
+    }
+    // Retry once with a renewed token (e.g. the server revoked it early or clocks differ)
+    if (refresh && !config.retriedAfterRefresh) {
+      try {
+        // Another request may already have renewed the token while this one was in flight
+        const current = getToken();
+        const token = current && config.headers.Authorization !== `Bearer ${current}` ? current : await refreshAccessToken();
+        config.retriedAfterRefresh = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return api.request(config);
+      } catch {
+        return Promise.reject(error); // refreshAccessToken already logged out
+      }
+    }
+    onUnauthorized(error);
+    return Promise.reject(error);
+  }
+);
+
+// Human-readable message for a failed request (or any thrown error)
+export function getErrorMessage(err, fallback = "Something went wrong") {
+  const data = err?.response?.data;
+  if (typeof data === "string" && data.trim() && !data.trim().startsWith("<")) return data.trim();
+  if (data?.message) return data.message;
+  if (data?.error && typeof data.error === "string") return data.error;
+  if (Array.isArray(data?.errors) && data.errors.length) {
+    return data.errors.map((e) => e?.msg ?? e?.message ?? String(e)).join(", ");
+  }
+  if (err?.response?.status === 401) return "Your session has expired. Please sign in again.";
+  if (err?.response) return fallback; // server error without a body: axios' "status code 500" text isn't useful
+  if (err?.request) return "Cannot reach the server. Check your connection and try again.";
+  return err?.message || fallback;
+}
+
+// The request never got an answer (offline, DNS, CORS, timeout), as opposed to an error response
+export function isNetworkError(err) {
+  return Boolean(err?.isAxiosError) && !err.response && err.code !== "ERR_CANCELED";
+}
+
+export default api;
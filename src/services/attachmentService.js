@@ -0,0 +1,32 @@
+import api from "./apiClient";
+
+// Bill / receipt files of a purchase (see utils/attachments.js):
+//   POST   /products/:id/attachments             multipart, one or more "files"  -> { attachments }
+//   DELETE /products/:id/attachments/:fileId                                     -> { attachments }
+//   GET    /products/:id/attachments/:fileId     the file itself
+// Both changes answer with the purchase's full attachment list.
+const urlFor = (purchaseId, fileId) => `/products/${purchaseId}/attachments${fileId ? `/${fileId}` : ""}`;
+
+// Some backends return { attachments }, others the updated purchase or the bare list
+const attachmentList = (data) => {
+  const list = data?.attachments ?? data?.purchase?.attachments ?? data;
+  return Array.isArray(list) ? list : null;
+};
+
+export const uploadAttachments = async (purchaseId, files) => {
+  const body = new FormData();
+  files.forEach((file) => body.append("files", file, file.name));
+  const res = await api.post(urlFor(purchaseId), body);
+  return attachmentList(res.data);
+};
+
+export const deleteAttachment = async (purchaseId, fileId) => {
+  const res = await api.delete(urlFor(purchaseId, fileId));
+  return attachmentList(res.data);
+};
+
+// Fetched with the session's token, so it can't be a plain <img src>; returns a Blob
+export const getAttachmentFile = async (purchaseId, fileId) => {
+  const res = await api.get(urlFor(purchaseId, fileId), { responseType: "blob" });
+  return res.data;
+};
@@ -0,0 +1,33 @@
+import api from "./apiClient";
+import { normalizeAuditEntry } from "../utils/audit";
+// Audit trail, written by the server and read by admins (see utils/audit).
+//   GET /admin/audit?actor&action&from&to&page&pageSize
+//       -> { entries: [entry], total, page, pageSize }   newest first
+// `actor` matches usernames, `from` / `to` are inclusive yyyy-mm-dd dates.
+const API_URL = "/admin/audit";
+
+function normalizeAuditPage(data, { page = 1, pageSize } = {}) {
+  const raw = Array.isArray(data) ? data : data?.entries ?? data?.items ?? [];
+  const list = Array.isArray(raw) ? raw : [];
+  return {
+    entries: list.map(normalizeAuditEntry),
+    total: Number(data?.total ?? data?.totalCount ?? list.length) || 0,
+    page: Number(data?.page) || page,
+    pageSize: Number(data?.pageSize ?? data?.limit) || pageSize || list.length,
+  };
+}
+
+export const getAuditLog = async (params = {}) => {
+  const res = await api.get(API_URL, { params });
+  return normalizeAuditPage(res.data, params);
+};
+
+// Every entry matching `params`, walking the pages; used for exports
+export const getAllAuditEntries = async (params = {}, { chunkSize = 500 } = {}) => {
+  const all = [];
+  for (let page = 1; ; page += 1) {
+    const { entries, total } = await getAuditLog({ ...params, page, pageSize: chunkSize });
+    all.push(...entries);
+    if (!entries.length || all.length >= total) return all;
+  }
+};
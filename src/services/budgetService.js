@@ -0,0 +1,38 @@
+import api from "./apiClient";
+// Monthly spending limits (admin-managed). A budget applies to every month; `spent`
+// is the requested month's total of submitted and approved purchases, computed by
+// the server. scope is "overall", "user" (targetId = userId) or "category"
+// (targetId = top-level category id).
+//   GET    /budgets?month=YYYY-MM -> [{ _id, scope, targetId, targetName, amount, spent }]
+//   PUT    /budgets               -> budget         (admin; upsert by scope + targetId)
+//   DELETE /budgets/:id           -> { message }    (admin)
+const API_URL = "/budgets";
+
+export function normalizeBudget(raw) {
+  if (!raw || typeof raw !== "object") return raw;
+  const { _id, id, targetId, ...rest } = raw;
+  return {
+    ...rest,
+    id: id || _id,
+    scope: rest.scope ?? "overall",
+    targetId: targetId?._id ?? targetId ?? null,
+    amount: Number(rest.amount ?? 0),
+    spent: Number(rest.spent ?? 0),
+  };
+}
+
+export const getBudgets = async (month) => {
+  const res = await api.get(API_URL, { params: { month } });
+  const list = Array.isArray(res.data) ? res.data : res.data?.budgets ?? [];
+  return list.map(normalizeBudget);
+};
+
+export const saveBudget = async ({ scope, targetId = null, amount }) => {
+  const res = await api.put(API_URL, { scope, targetId, amount });
+  return normalizeBudget(res.data?.budget ?? res.data);
+};
+
+export const deleteBudget = async (id) => {
+  const res = await api.delete(`${API_URL}/${id}`);
+  return res.data;
+};
@@ -0,0 +1,49 @@
+import api from "./apiClient";
+// Purchase categories (admin-managed). A subcategory is a category with a parentId.
+//   GET    /categories          -> [{ _id, name, parentId }]
+//   POST   /categories          -> category         (admin)
+//   PUT    /categories/:id      -> category         (admin)
+//   DELETE /categories/:id      -> { message }      (admin; also removes subcategories)
+const API_URL = "/categories";
+
+export function normalizeCategory(raw) {
+  if (!raw || typeof raw !== "object") return raw;
+  const { _id, id, parentId, parent, ...rest } = raw;
+  return {
+    ...rest,
+    id: id || _id,
+    name: rest.name ?? "",
+    parentId: parentId?._id ?? parentId ?? parent?._id ?? parent ?? null,
+  };
+}
+
+// Flat list -> [{ ...category, subcategories: [...] }] sorted by name
+export function buildCategoryTree(categories) {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const top = categories.filter((c) => !c.parentId).sort(byName);
+  return top.map((c) => ({
+    ...c,
+    subcategories: categories.filter((s) => String(s.parentId) === String(c.id)).sort(byName),
+  }));
+}
+
+export const getCategories = async () => {
+  const res = await api.get(API_URL);
+  const list = Array.isArray(res.data) ? res.data : res.data?.categories ?? [];
+  return list.map(normalizeCategory);
+};
+
+export const createCategory = async (data) => {
+  const res = await api.post(API_URL, data);
+  return normalizeCategory(res.data?.category ?? res.data);
+};
+
+export const updateCategory = async (id, data) => {
+  const res = await api.put(`${API_URL}/${id}`, data);
+  return normalizeCategory(res.data?.category ?? res.data);
+};
+
+export const deleteCategory = async (id) => {
+  const res = await api.delete(`${API_URL}/${id}`);
+  return res.data;
+};
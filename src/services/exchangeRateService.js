@@ -0,0 +1,34 @@
+import api from "./apiClient";
+// Exchange rates to NPR, maintained by finance/admin (see utils/exchangeRates).
+//   GET    /exchange-rates      -> [{ _id, currency, date: "yyyy-mm-dd", rate }]
+//   PUT    /exchange-rates      -> rate         (upsert by currency + date)
+//   DELETE /exchange-rates/:id  -> { message }
+const API_URL = "/exchange-rates";
+
+export function normalizeRate(raw) {
+  if (!raw || typeof raw !== "object") return raw;
+  const { _id, id, ...rest } = raw;
+  return {
+    ...rest,
+    id: id || _id,
+    currency: String(rest.currency ?? "").toUpperCase(),
+    date: rest.date ? String(rest.date).slice(0, 10) : "",
+    rate: Number(rest.rate ?? 0),
+  };
+}
+
+export const getExchangeRates = async () => {
+  const res = await api.get(API_URL);
+  const list = Array.isArray(res.data) ? res.data : res.data?.rates ?? [];
+  return list.map(normalizeRate);
+};
+
+export const saveExchangeRate = async ({ currency, date, rate }) => {
+  const res = await api.put(API_URL, { currency, date, rate });
+  return normalizeRate(res.data?.rate ?? res.data);
+};
+
+export const deleteExchangeRate = async (id) => {
+  const res = await api.delete(`${API_URL}/${id}`);
+  return res.data;
+};
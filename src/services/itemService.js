@@ -0,0 +1,57 @@
+import api from "./apiClient";
+// Item catalog endpoints:
+//   GET    /items?q=            -> [item] (q matches name or SKU)
+//   POST   /items               -> item
+//   PUT    /items/:id           -> item
+//   GET    /items/:id/hints     -> { lastRate, lastPurchasedAt, usualSupplierId, usualSupplierName }
+const API_URL = "/items";
+
+// Units offered in the catalog form; free text is still accepted
+export const COMMON_UNITS = ["pcs", "kg", "g", "litre", "ml", "m", "box", "pack", "dozen", "bag", "set"];
+
+export function normalizeItem(raw) {
+  if (!raw || typeof raw !== "object") return raw;
+  const { _id, id, unit, defaultUnit, ...rest } = raw;
+  return {
+    ...rest,
+    id: id || _id,
+    name: rest.name ?? "",
+    sku: rest.sku ?? "",
+    unit: defaultUnit ?? unit ?? "",
+    category: rest.category ?? "",
+  };
+}
+
+const toList = (data) => {
+  const list = Array.isArray(data) ? data : data?.items ?? [];
+  return Array.isArray(list) ? list.map(normalizeItem) : [];
+};
+
+const toOne = (data) => normalizeItem(data?.item ?? data);
+
+export const getItems = async (params) => {
+  const res = await api.get(API_URL, { params });
+  return toList(res.data);
+};
+
+export const createItem = async (data) => {
+  const res = await api.post(API_URL, data);
+  return toOne(res.data);
+};
+
+export const updateItem = async (id, data) => {
+  const res = await api.put(`${API_URL}/${id}`, data);
+  return toOne(res.data);
+};
+
+// Last paid rate and most frequent supplier for an item (used to prefill purchase lines)
+export const getItemHints = async (id) => {
+  const res = await api.get(`${API_URL}/${id}/hints`);
+  const d = res.data || {};
+  return {
+    lastRate: d.lastRate != null ? Number(d.lastRate) : null,
+    lastPurchasedAt: d.lastPurchasedAt ?? null,
+    usualSupplierId: d.usualSupplierId ?? null,
+    usualSupplierName: d.usualSupplierName ?? "",
+  };
+};
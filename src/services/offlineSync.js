@@ -0,0 +1,91 @@
+// Sends purchases queued offline (utils/offlineQueue) to the server
+// -----------------------------------------------------------------
+// Entries go oldest first. A network failure stops the run and leaves the rest
+// pending for the next attempt; so do 401 (the session is being renewed or ended)
+// and 5xx (the server is having trouble). Any other rejection - a duplicate the
+// server reports with 409, a validation error, a closed period - marks the entry
+// as a conflict: it stays on this device until the user retries or discards it.
+//
+// Attachments are uploaded right after their purchase is created. The created purchase's id
+// is stored on the entry first (savedId), so when the upload fails only the upload is tried
+// again later; a rejected upload is reported as such, not as a rejected purchase.
+//
+// One run at a time per tab, and a Web Lock keeps two tabs from sending the same entries.
+
+import { createPurchase } from "./purchaseService";
+import { uploadAttachments } from "./attachmentService";
+import { getErrorMessage, isNetworkError } from "./apiClient";
+import { listQueued, notifyQueueChanged, removeQueued, updateQueued } from "../utils/offlineQueue";
+import { t } from "../i18n";
+
+let syncInFlight = null;
+
+const isRetryLater = (err) => isNetworkError(err) || err?.response?.status === 401 || err?.response?.status >= 500;
+
+async function syncOwner(owner) {
+  const result = { synced: 0, conflicts: 0, stopped: false };
+  const entries = (await listQueued(owner)).filter((e) => e.state === "pending");
+  for (const entry of entries) {
+    let savedId = entry.savedId ?? null;
+    try {
+      if (!savedId) {
+        const res = await createPurchase(entry.payload);
+        savedId = (res?.purchase ?? res)?._id ?? null;
+        if (savedId && entry.attachments?.length) await updateQueued(entry.localId, { savedId });
+      }
+      if (!savedId && entry.attachments?.length) {
+        // No id to attach the files to: keep them and let the user retry (the resend is
+        // matched by clientId) rather than dropping them with the entry
+        await updateQueued(entry.localId, {
+          state: "conflict",
+          error: t("offline.noSavedId"),
+          attempts: entry.attempts + 1,
+        });
+        result.conflicts += 1;
+        continue;
+      }
+      if (savedId && entry.attachments?.length) await uploadAttachments(savedId, entry.attachments);
+      await removeQueued(entry.localId);
+      result.synced += 1;
+    } catch (err) {
+      if (isRetryLater(err)) {
+        await updateQueued(entry.localId, { attempts: entry.attempts + 1 });
+        result.stopped = true;
+        break;
+      }
+      await updateQueued(entry.localId, {
+        state: "conflict",
+        error: savedId
+          ? t("offline.attachmentsRejected", { error: getErrorMessage(err, t("offline.uploadFailed")) })
+          : getErrorMessage(err, t("offline.rejected")),
+        attempts: entry.attempts + 1,
+      });
+      result.conflicts += 1;
+    }
+  }
+  if (result.synced) notifyQueueChanged({ synced: result.synced });
+  return result;
+}
+
+// Resolves to { synced, conflicts, stopped }; a run already going in this or another tab is not repeated
+export function syncQueuedPurchases(owner) {
+  if (!owner) return Promise.resolve({ synced: 0, conflicts: 0, stopped: false });
+  if (!syncInFlight) {
+    const run = () => syncOwner(owner);
+    const locked = navigator.locks?.request
+      ? navigator.locks.request("offline-purchase-sync", { ifAvailable: true }, (lock) =>
+          lock ? run() : { synced: 0, conflicts: 0, stopped: false }
+        )
+      : run();
+    syncInFlight = locked.finally(() => {
+      syncInFlight = null;
+    });
+  }
+  return syncInFlight;
+}
+
+// Send a conflicted entry again (e.g. after the server-side problem was fixed)
+export async function retryQueued(owner, localId) {
+  await updateQueued(localId, { state: "pending", error: null });
+  return syncQueuedPurchases(owner);
+}
@@ -1,29 +1,93 @@
-import axios from "axios";
+import api from "./apiClient";
 // Server mounts purchase routes under "/products" (see server/src/routes/index.js)
-const BASE_URL = process.env.REACT_APP_API_URL;
-if (!BASE_URL) {
-  throw new Error("REACT_APP_API_URL is not defined. Set it in your .env file.");
+const API_URL = "/products";
+
+// Approval workflow (see utils/purchaseStatus.js):
+//   POST /products                 body.status "draft" | "submitted"
+//   POST /products/:id/submit      -> purchase         draft/rejected -> submitted
+//   POST /products/review          { ids, decision: "approved" | "rejected", comment } -> { updated }
+
+// List purchases. `params` carries paging/sorting/filters, e.g.
+//   { page, pageSize, sortBy, sortDir, from, to, supplier, q, minTotal, maxTotal, category, status }
+// (see utils/purchaseQuery.js). Without params the server returns every row.
+export const getPurchases = async (params) => {
+  const res = await api.get(API_URL, { params });
+  return res.data;
+};
+
+// Normalize a list response into { items, total, page, pageSize }.
+// Accepts a plain array (unpaginated server) or { items|purchases|data, total, page, pageSize }.
+export function normalizePurchasePage(data, { page = 1, pageSize } = {}) {
+  if (Array.isArray(data)) {
+    return { items: data, total: data.length, page, pageSize: pageSize ?? data.length };
+  }
+  const items = data?.items ?? data?.purchases ?? data?.data ?? [];
+  const list = Array.isArray(items) ? items : [];
+  return {
+    items: list,
+    total: Number(data?.total ?? data?.totalCount ?? data?.count ?? list.length) || 0,
+    page: Number(data?.page) || page,
+    pageSize: Number(data?.pageSize ?? data?.limit) || pageSize || list.length,
+  };
 }
-const API_URL = BASE_URL + "/products";
 
-export const getPurchases = async (token) => {
-  const res = await axios.get(API_URL, {
-    headers: { Authorization: `Bearer ${token}` },
-  });
+// One purchase by id; some backends wrap it as { purchase }
+export const getPurchase = async (id) => {
+  const res = await api.get(`${API_URL}/${id}`);
+  return res.data?.purchase ?? res.data;
+};
+
+export const createPurchase = async (data) => {
+  const res = await api.post(API_URL, data);
   return res.data;
 };
 
-export const createPurchase = async (data, token) => {
-  const res = await axios.post(API_URL, data, {
-    headers: { Authorization: `Bearer ${token}` },
-  });
+// Fetch every purchase matching `params` (filters/sort) by walking the pages.
+// Used for exports, which need the whole filtered set rather than one page.
+export const getAllPurchases = async (params = {}, { chunkSize = 500 } = {}) => {
+  const all = [];
+  for (let page = 1; ; page += 1) {
+    const data = await getPurchases({ ...params, page, pageSize: chunkSize });
+    // An unpaginated server returns the full array on the first call
+    if (Array.isArray(data)) return data;
+    const { items, total } = normalizePurchasePage(data, { page, pageSize: chunkSize });
+    all.push(...items);
+    if (!items.length || all.length >= total) return all;
+  }
+};
+
+// Purchase totals between two dates (inclusive, yyyy-mm-dd) for the Dashboard.
+// Response shape read by the Dashboard (all keys optional):
+//   {
+//     total:       [{ _id: userId, totalAmount }],             per-user totals
+//     totalsByDay: [{ date: "yyyy-mm-dd", total, userId? }],   daily series
+//     categories:  [{ categoryId, category, total,             spending by category
+//                     subcategories?: [{ categoryId, category, total }] }]
+//   }
+// Purchases without a category are reported with categoryId null and category "Uncategorized".
+// `params`: { from, to, status? }; status "approved" counts approved purchases only, omit it to count everything
+export const getPurchaseTotals = async (params) => {
+  const res = await api.get(`${API_URL}/totals`, { params });
   return res.data;
 };
 
-// Optional: fetch total purchases in the last 30 days for the current user/admin
-export const getTotalLast30Days = async (token) => {
-  const res = await axios.get(`${API_URL}/total-last-30-days`, {
-    headers: { Authorization: `Bearer ${token}` },
-  });
+export const updatePurchase = async (id, data) => {
+  const res = await api.put(`${API_URL}/${id}`, data);
   return res.data;
-};
\ No newline at end of file
+};
+
+export const deletePurchase = async (id) => {
+  const res = await api.delete(`${API_URL}/${id}`);
+  return res.data;
+};
+
+export const submitPurchase = async (id) => {
+  const res = await api.post(`${API_URL}/${id}/submit`);
+  return res.data;
+};
+
+// Approve or reject several submitted purchases at once; a comment is required to reject
+export const reviewPurchases = async ({ ids, decision, comment = "" }) => {
+  const res = await api.post(`${API_URL}/review`, { ids, decision, comment });
+  return res.data;
+};
@@ -0,0 +1,65 @@
+import api from "./apiClient";
+// Supplier directory endpoints:
+//   GET    /suppliers?q=        -> [supplier] (q filters by name, case-insensitive)
+//   GET    /suppliers/:id       -> supplier
+//   POST   /suppliers           -> supplier
+//   PUT    /suppliers/:id       -> supplier
+//   GET    /suppliers/names     -> [{ name, count, supplierId }] distinct supplierName values on purchases
+//   POST   /suppliers/merge     -> { targetId, supplierIds, names } re-links purchases to targetId
+const API_URL = "/suppliers";
+
+// Normalize ids and optional fields so pages don't have to care about backend naming
+export function normalizeSupplier(raw) {
+  if (!raw || typeof raw !== "object") return raw;
+  const { _id, id, panNumber, pan, vatNumber, ...rest } = raw;
+  return {
+    ...rest,
+    id: id || _id,
+    name: rest.name ?? "",
+    panNumber: panNumber ?? pan ?? vatNumber ?? "",
+    contact: rest.contact ?? "",
+    address: rest.address ?? "",
+  };
+}
+
+const toList = (data) => {
+  const list = Array.isArray(data) ? data : data?.suppliers ?? data?.items ?? [];
+  return Array.isArray(list) ? list.map(normalizeSupplier) : [];
+};
+
+const toOne = (data) => normalizeSupplier(data?.supplier ?? data);
+
+export const getSuppliers = async (params) => {
+  const res = await api.get(API_URL, { params });
+  return toList(res.data);
+};
+
+export const getSupplier = async (id) => {
+  const res = await api.get(`${API_URL}/${id}`);
+  return toOne(res.data);
+};
+
+export const createSupplier = async (data) => {
+  const res = await api.post(API_URL, data);
+  return toOne(res.data);
+};
+
+export const updateSupplier = async (id, data) => {
+  const res = await api.put(`${API_URL}/${id}`, data);
+  return toOne(res.data);
+};
+
+export const getSupplierNames = async () => {
+  const res = await api.get(`${API_URL}/names`);
+  const list = Array.isArray(res.data) ? res.data : res.data?.names ?? [];
+  return list.map((n) => ({ name: n.name ?? n._id ?? "", count: Number(n.count ?? 0), supplierId: n.supplierId ?? null }));
+};
+
+// Fold duplicate suppliers and/or free-text names into `targetId`
+export const mergeSuppliers = async ({ targetId, supplierIds = [], names = [] }) => {
+  const res = await api.post(
+    `${API_URL}/merge`,
+    { targetId, supplierIds, names }
+  );
+  return res.data;
+};
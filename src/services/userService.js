@@ -1,28 +1,37 @@
 // Authentication & user related service helpers
 // -------------------------------------------------
 // Assumed backend endpoints (adjust if your server differs):
-//   POST   /auth/login       -> { user: {...}, token: "jwt" }
+//   POST   /auth/login       -> { user: {...}, token: "jwt", refreshToken?: "..." }
+//   POST   /auth/refresh     -> { token: "jwt", refreshToken?: "..." }   body: { refreshToken }
 //   POST   /auth/register    -> { message, (optional) user/token }
 //   GET    /auth/me          -> { user: {...} }
+//   POST   /auth/change-password -> { token?, refreshToken? }   body: { currentPassword, newPassword }
+//   GET    /admin/users-total?from&to  -> { totals: [{ userId, username, email, role, active, totalAmount }] }
+//   POST   /admin/users                    -> { user }   body: { username, email, password, role }
+//   PUT    /admin/user/:id                 -> { user }   body: { username, email }
+//   PUT    /admin/user/:id/role            -> { role }
+//   PUT    /admin/user/:id/status          -> { user }   body: { active }
+//   PUT    /admin/user/:id/password        body: { password } sets a temporary password
+//   POST   /admin/users/bulk               -> { updated }   body: { ids, active } or { ids, role }
+//   DELETE /admin/user/:id
+// Deactivated users (active: false) can't sign in or renew a session; their purchases stay.
+// After a password reset the user signs in with `mustChangePassword: true` and has to
+// pick a new password (POST /auth/change-password) before using the app.
 // If your backend uses different paths, change AUTH_API_* constants below.
 
-import axios from "axios";
+import api from "./apiClient";
 
-const BASE_URL = process.env.REACT_APP_API_URL; // e.g. https://api.example.com
-if (!BASE_URL) {
-  // Provide a clear error at startup if env is missing
-  // You can remove this throw and default to a localhost URL if desired
-  // e.g., const BASE_URL = process.env.REACT_APP_API_URL || "http://localhost:4000";
-  throw new Error("REACT_APP_API_URL is not defined. Set it in your .env file.");
-}
-const AUTH_API_LOGIN = `${BASE_URL}/auth/login`;
-const AUTH_API_REGISTER = `${BASE_URL}/auth/register`;
-const AUTH_API_ME = `${BASE_URL}/auth/me`;
+const AUTH_API_LOGIN = "/auth/login";
+const AUTH_API_REGISTER = "/auth/register";
+const AUTH_API_ME = "/auth/me";
+const AUTH_API_REFRESH = "/auth/refresh";
+const AUTH_API_CHANGE_PASSWORD = "/auth/change-password";
+const ADMIN_API = "/admin";
 
 // Helpful in development to see where requests go
 if (process.env.NODE_ENV !== "production") {
   // eslint-disable-next-line no-console
-  console.debug("[userService] API base:", BASE_URL);
+  console.debug("[userService] API base:", api.defaults.baseURL);
 }
 
 // Helper to normalize a user object coming from various backends.
@@ -52,27 +61,42 @@ function normalizeUser(raw) {
 
 // Login user with username/password
 export async function loginUser({ username, password }) {
-  const res = await axios.post(
+  const res = await api.post(
     AUTH_API_LOGIN,
     { username, password },
-    { headers: { "Content-Type": "application/json" } }
+    { headers: { "Content-Type": "application/json" }, skipAuthRedirect: true }
   );
 
-  // Expect res.data to contain { user, token }
-  const token = res.data?.token;
+  // Expect res.data to contain { user, token } (+ refreshToken when the server issues pairs)
+  const token = res.data?.token ?? res.data?.accessToken;
   const user = normalizeUser(res.data?.user);
   if (!token || !user) {
     throw new Error("Malformed login response: expected token and user");
   }
-  return { user, token };
+  return { user, token, refreshToken: res.data?.refreshToken ?? null };
+}
+
+// Exchange a refresh token for a new access token. The server may rotate the
+// refresh token; if it doesn't, keep using the old one.
+export async function refreshSession(refreshToken) {
+  const res = await api.post(
+    AUTH_API_REFRESH,
+    { refreshToken },
+    { headers: { "Content-Type": "application/json" }, skipAuth: true, skipAuthRedirect: true }
+  );
+  const token = res.data?.token ?? res.data?.accessToken;
+  if (!token) {
+    throw new Error("Malformed refresh response: expected token");
+  }
+  return { token, refreshToken: res.data?.refreshToken ?? refreshToken };
 }
 
 // Register a new user. Backend may or may not auto-login.
 export async function registerUser({ username, email, password }) {
-  const res = await axios.post(
+  const res = await api.post(
     AUTH_API_REGISTER,
     { username, email, password },
-    { headers: { "Content-Type": "application/json" } }
+    { headers: { "Content-Type": "application/json" }, skipAuthRedirect: true }
   );
   // If backend returns user/token, surface them; otherwise just success message.
   const token = res.data?.token;
@@ -80,11 +104,12 @@ export async function registerUser({ username, email, password }) {
   return { user, token, message: res.data?.message };
 }
 
-// Fetch the current authenticated user profile / role using stored token
+// Fetch the current authenticated user profile / role.
+// Pass `token` while signing in, before AuthContext holds it; otherwise the client injects it.
 export async function fetchCurrentUser(token) {
-  if (!token) throw new Error("Missing auth token");
-  const res = await axios.get(AUTH_API_ME, {
-    headers: { Authorization: `Bearer ${token}` },
+  const res = await api.get(AUTH_API_ME, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    skipAuthRedirect: Boolean(token),
   });
   const user = normalizeUser(res.data?.user || res.data);
   return user;
@@ -94,14 +119,14 @@ export async function fetchCurrentUser(token) {
 export async function verifyToken(token) {
   if (!token) return false;
   try {
-    await axios.get(AUTH_API_ME, { headers: { Authorization: `Bearer ${token}` } });
+    await api.get(AUTH_API_ME, { headers: { Authorization: `Bearer ${token}` }, skipAuthRedirect: true });
     return true;
   } catch {
     return false;
   }
 }
 
-// Utility to compute an expiry timestamp (1 hour by default) for auto-logout.
+// Fallback expiry (1 hour by default) for tokens without an `exp` claim.
 export function computeExpiry(ms = 60 * 60 * 1000) {
   return Date.now() + ms;
 }
@@ -112,6 +137,60 @@ export async function fetchUserRole(token) {
   return user.role;
 }
 
+// Admin: every user with their purchase total between `from` and `to` (yyyy-mm-dd, inclusive)
+export async function getUserTotals({ from, to } = {}) {
+  const res = await api.get(`${ADMIN_API}/users-total`, { params: { from, to } });
+  return Array.isArray(res.data?.totals) ? res.data.totals : [];
+}
+
+export async function updateUserRole(userId, role) {
+  const res = await api.put(`${ADMIN_API}/user/${userId}/role`, { role });
+  return res.data;
+}
+
+export async function createUser({ username, email, password, role }) {
+  const res = await api.post(`${ADMIN_API}/users`, { username, email, password, role });
+  return normalizeUser(res.data?.user ?? res.data);
+}
+
+export async function updateUser(userId, { username, email }) {
+  const res = await api.put(`${ADMIN_API}/user/${userId}`, { username, email });
+  return normalizeUser(res.data?.user ?? res.data);
+}
+
+export async function setUserActive(userId, active) {
+  const res = await api.put(`${ADMIN_API}/user/${userId}/status`, { active });
+  return res.data;
+}
+
+// Sets a temporary password; the server makes the user change it at their next sign-in
+export async function resetUserPassword(userId, password) {
+  const res = await api.put(`${ADMIN_API}/user/${userId}/password`, { password });
+  return res.data;
+}
+
+// Several users at once: `changes` is { active } or { role }
+export async function bulkUpdateUsers(ids, changes) {
+  const res = await api.post(`${ADMIN_API}/users/bulk`, { ids, ...changes });
+  return res.data;
+}
+
+// Signed-in user's own password; the server may issue new tokens with it
+export async function changePassword({ currentPassword, newPassword }) {
+  const res = await api.post(
+    AUTH_API_CHANGE_PASSWORD,
+    { currentPassword, newPassword },
+    { headers: { "Content-Type": "application/json" } }
+  );
+  const token = res.data?.token ?? res.data?.accessToken ?? null;
+  return { token, refreshToken: res.data?.refreshToken ?? null };
+}
+
+export async function deleteUser(userId) {
+  const res = await api.delete(`${ADMIN_API}/user/${userId}`);
+  return res.data;
+}
+
 // NOTE: Purchase-related functions were moved to `purchaseService.js`.
 // If you previously imported them from userService, update imports:
-//   import { getPurchases, createPurchase, getTotalLast30Days } from "../services/purchaseService";
\ No newline at end of file
+//   import { getPurchases, createPurchase, getPurchaseTotals } from "../services/purchaseService";
\ No newline at end of file
@@ -0,0 +1,113 @@
+// Bill / receipt attachments
+// --------------------------
+// Purchases can carry photos or PDFs of the supplier bill. Records list them as
+//   attachments: [{ _id, name, type, size, uploadedAt }]
+// and the files themselves are fetched through services/attachmentService.
+//
+// Photos are shrunk in the browser before upload: scaled to fit MAX_IMAGE_DIMENSION
+// and re-encoded as JPEG, keeping the original when that isn't smaller.
+// PDFs are sent as they are.
+import { formatNumber, t } from "../i18n";
+
+export const ATTACHMENT_ACCEPT = "image/*,application/pdf";
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+export const MAX_ATTACHMENTS = 10;
+export const MAX_IMAGE_DIMENSION = 2000;
+const JPEG_QUALITY = 0.8;
+
+// Formats the browser can't redraw onto a canvas (or would lose animation) go up unchanged
+const KEEP_AS_IS = ["image/gif", "image/svg+xml"];
+
+export const isPdf = (file) => file?.type === "application/pdf" || /\.pdf$/i.test(file?.name ?? "");
+export const isImage = (file) => String(file?.type ?? "").startsWith("image/");
+
+// Attachments of a purchase record; older records have none
+export const attachmentsOf = (p = {}) => (Array.isArray(p.attachments) ? p.attachments : []);
+
+// "240 KB" / "1.5 MB", with digits in the UI language
+export function formatFileSize(bytes) {
+  const n = Number(bytes) || 0;
+  if (n < 1024) return `${formatNumber(n)} B`;
+  if (n < 1024 * 1024) return `${formatNumber(Math.round(n / 1024))} KB`;
+  return `${formatNumber(Math.round((n / (1024 * 1024)) * 10) / 10)} MB`;
+}
+
+// Error message for a file that can't be attached, or null
+export function attachmentError(file) {
+  if (!isImage(file) && !isPdf(file)) return t("attachments.unsupported", { name: file.name });
+  if (file.size > MAX_ATTACHMENT_BYTES) return t("attachments.tooLarge", { name: file.name, size: formatFileSize(MAX_ATTACHMENT_BYTES) });
+  return null;
+}
+
+// Scale { width, height } down (never up) so the longer side is at most `max`
+export function fitWithin(width, height, max = MAX_IMAGE_DIMENSION) {
+  const scale = Math.min(1, max / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+async function decodeImage(file) {
+  if (typeof createImageBitmap === "function") {
+    try {
+      return await createImageBitmap(file, { imageOrientation: "from-image" });
+    } catch {
+      // fall through to <img>, e.g. formats createImageBitmap doesn't take
+    }
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Shrink a photo for upload. Resolves to a JPEG File, or the original file when it
+ * isn't an image, can't be decoded here, or compressing doesn't make it smaller.
+ */
+export async function compressImage(file, { maxDimension = MAX_IMAGE_DIMENSION, quality = JPEG_QUALITY } = {}) {
+  if (!isImage(file) || KEEP_AS_IS.includes(file.type)) return file;
+  try {
+    const image = await decodeImage(file);
+    const { width, height } = fitWithin(image.width, image.height, maxDimension);
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff"; // transparent PNG areas would turn black in JPEG
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(image, 0, 0, width, height);
+    image.close?.();
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", quality));
+    if (!blob || blob.size >= file.size) return file;
+    const name = file.name.replace(/\.[^.]+$/, "") + ".jpg";
+    return new File([blob], name, { type: "image/jpeg", lastModified: file.lastModified });
+  } catch (err) {
+    console.error(err);
+    return file;
+  }
+}
+
+/**
+ * Check and compress newly picked files.
+ * Resolves to { files, errors }: files ready to upload and messages for the ones left out.
+ * `existingCount` counts attachments already on the purchase toward MAX_ATTACHMENTS.
+ */
+export async function prepareAttachments(picked, existingCount = 0) {
+  const files = [];
+  const errors = [];
+  for (const file of Array.from(picked ?? [])) {
+    if (existingCount + files.length >= MAX_ATTACHMENTS) {
+      errors.push(t("attachments.tooMany", { max: MAX_ATTACHMENTS }));
+      break;
+    }
+    const compressed = await compressImage(file);
+    const error = attachmentError(compressed);
+    if (error) errors.push(error);
+    else files.push(compressed);
+  }
+  return { files, errors };
+}
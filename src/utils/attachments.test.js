@@ -0,0 +1,31 @@
+import { MAX_ATTACHMENTS, attachmentError, attachmentsOf, fitWithin, formatFileSize, prepareAttachments } from "./attachments";
+
+const fileOf = (name, type, size = 100) => new File([new Uint8Array(size)], name, { type });
+
+test("scales large photos down to fit, never up", () => {
+  expect(fitWithin(4000, 3000, 2000)).toEqual({ width: 2000, height: 1500 });
+  expect(fitWithin(1200, 3600, 2000)).toEqual({ width: 667, height: 2000 });
+  expect(fitWithin(800, 600, 2000)).toEqual({ width: 800, height: 600 });
+});
+
+test("accepts photos and PDFs only", () => {
+  expect(attachmentError(fileOf("bill.jpg", "image/jpeg"))).toBeNull();
+  expect(attachmentError(fileOf("bill.pdf", "application/pdf"))).toBeNull();
+  expect(attachmentError(fileOf("bill.docx", "application/msword"))).toBe("bill.docx: only photos and PDFs can be attached");
+  expect(attachmentError(fileOf("scan.pdf", "application/pdf", 11 * 1024 * 1024))).toBe("scan.pdf is larger than 10 MB");
+});
+
+test("limits the number of attachments per purchase", async () => {
+  const picked = [fileOf("a.pdf", "application/pdf"), fileOf("b.pdf", "application/pdf"), fileOf("c.txt", "text/plain")];
+  const { files, errors } = await prepareAttachments(picked, MAX_ATTACHMENTS - 1);
+  expect(files.map((f) => f.name)).toEqual(["a.pdf"]);
+  expect(errors).toEqual([`Up to ${MAX_ATTACHMENTS} attachments per purchase`]);
+});
+
+test("formats sizes and reads attachment lists", () => {
+  expect(formatFileSize(512)).toBe("512 B");
+  expect(formatFileSize(245 * 1024)).toBe("245 KB");
+  expect(formatFileSize(1.5 * 1024 * 1024)).toBe("1.5 MB");
+  expect(attachmentsOf({})).toEqual([]);
+  expect(attachmentsOf({ attachments: [{ _id: "1" }] })).toHaveLength(1);
+});
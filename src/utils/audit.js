@@ -0,0 +1,101 @@
+// Audit trail entries (see services/auditService)
+// -----------------------------------------------
+// The server records an entry whenever a user is added, edited, promoted / demoted,
+// deactivated / reactivated, has their password reset or is deleted, a purchase is
+// created, edited or deleted, and on every sign-in. Entries look like
+//   { _id, action, actor: { id, username }, target: { type, id, label },
+//     before, after, createdAt }
+// where before / after are the changed record (or just its changed fields) as
+// they were before and after the action; either is null for creates and deletes.
+import { t } from "../i18n";
+
+// English names (exports); auditActionLabel() gives them in the UI language
+export const AUDIT_ACTIONS = {
+  "auth.login": "Signed in",
+  "auth.passwordChange": "Password changed",
+  "user.create": "User added",
+  "user.update": "User edited",
+  "user.role": "Role changed",
+  "user.deactivate": "User deactivated",
+  "user.reactivate": "User reactivated",
+  "user.passwordReset": "Password reset",
+  "user.delete": "User deleted",
+  "purchase.create": "Purchase created",
+  "purchase.update": "Purchase edited",
+  "purchase.delete": "Purchase deleted",
+};
+
+export const AUDIT_PAGE_SIZE = 50;
+
+// Bookkeeping fields that change on every save and say nothing about the action
+const IGNORED_FIELDS = ["_id", "id", "__v", "createdAt", "updatedAt"];
+
+export const auditActionLabel = (action) => (AUDIT_ACTIONS[action] ? t(`auditAction.${action}`) : action || "—");
+
+const nameOf = (value) => {
+  if (value == null) return "";
+  if (typeof value !== "object") return String(value);
+  return String(value.username ?? value.name ?? value.label ?? value.id ?? value._id ?? "");
+};
+
+export function normalizeAuditEntry(raw) {
+  if (!raw || typeof raw !== "object") return raw;
+  const actor = raw.actor && typeof raw.actor === "object" ? raw.actor : {};
+  const target = raw.target && typeof raw.target === "object" ? raw.target : {};
+  return {
+    id: raw.id ?? raw._id,
+    action: raw.action ?? "",
+    actorId: actor.id ?? actor._id ?? raw.actorId ?? null,
+    actorName: nameOf(raw.actor) || raw.actorName || "",
+    targetType: target.type ?? raw.targetType ?? "",
+    targetId: target.id ?? target._id ?? raw.targetId ?? null,
+    targetLabel: target.label ?? target.name ?? raw.targetLabel ?? "",
+    before: raw.before ?? null,
+    after: raw.after ?? null,
+    at: raw.createdAt ?? raw.timestamp ?? raw.at ?? null,
+  };
+}
+
+// Short text for a before / after value: objects and arrays as JSON, empty as "—"
+export function formatAuditValue(value) {
+  if (value == null || value === "") return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Fields that differ between an entry's before and after values:
+ * [{ field, before, after }]. Creates list every field of `after`, deletes every
+ * field of `before`; plain (non-object) values come back as a single "value" row.
+ */
+export function auditChanges({ before, after } = {}) {
+  const isRecord = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+  if (!isRecord(before) && !isRecord(after)) {
+    return sameValue(before, after) ? [] : [{ field: "value", before: before ?? null, after: after ?? null }];
+  }
+  const from = isRecord(before) ? before : {};
+  const to = isRecord(after) ? after : {};
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])].filter((f) => !IGNORED_FIELDS.includes(f));
+  return fields
+    .filter((field) => !sameValue(from[field], to[field]))
+    .map((field) => ({ field, before: from[field] ?? null, after: to[field] ?? null }));
+}
+
+// One line per changed field, e.g. "role: viewer → admin; quantity: 2 → 3"
+export function describeChanges(entry) {
+  return auditChanges(entry)
+    .map(({ field, before, after }) => `${field}: ${formatAuditValue(before)} → ${formatAuditValue(after)}`)
+    .join("; ");
+}
+
+// Params for GET /admin/audit: drop empty filters so the server sees only what is set
+export function auditQueryToApiParams({ actor, action, from, to, page, pageSize } = {}) {
+  const params = {};
+  Object.entries({ actor: actor?.trim(), action, from, to, page, pageSize }).forEach(([key, value]) => {
+    if (value === "" || value == null) return;
+    params[key] = value;
+  });
+  return params;
+}
@@ -0,0 +1,45 @@
+import { auditActionLabel, auditChanges, auditQueryToApiParams, describeChanges, normalizeAuditEntry } from "./audit";
+import { setLanguage } from "../i18n";
+
+test("normalizes actor and target from nested or flat entries", () => {
+  const entry = normalizeAuditEntry({
+    _id: "a1",
+    action: "user.role",
+    actor: { _id: "u1", username: "admin" },
+    target: { type: "user", id: "u2", label: "sita" },
+    before: { role: "viewer" },
+    after: { role: "approver" },
+    createdAt: "2024-07-16T10:00:00Z",
+  });
+  expect(entry).toMatchObject({ id: "a1", actorId: "u1", actorName: "admin", targetType: "user", targetId: "u2", targetLabel: "sita", at: "2024-07-16T10:00:00Z" });
+
+  expect(normalizeAuditEntry({ action: "auth.login", actorName: "ram", timestamp: "2024-07-16" })).toMatchObject({ actorName: "ram", before: null, after: null, at: "2024-07-16" });
+});
+
+test("lists only the fields that changed", () => {
+  expect(auditChanges({ before: { role: "viewer", updatedAt: 1, email: "a@x" }, after: { role: "admin", updatedAt: 2, email: "a@x" } })).toEqual([
+    { field: "role", before: "viewer", after: "admin" },
+  ]);
+  expect(describeChanges({ before: null, after: { itemName: "Rice", quantity: 2 } })).toBe("itemName: — → Rice; quantity: — → 2");
+  expect(describeChanges({ before: { lines: [{ qty: 1 }] }, after: null })).toBe('lines: [{"qty":1}] → —');
+  expect(auditChanges({ before: "viewer", after: "admin" })).toEqual([{ field: "value", before: "viewer", after: "admin" }]);
+  expect(auditChanges({ before: null, after: null })).toEqual([]);
+});
+
+test("drops empty filters from the API params", () => {
+  expect(auditQueryToApiParams({ actor: "  ram ", action: "", from: "2024-07-01", to: "2024-07-31", page: 2 })).toEqual({
+    actor: "ram",
+    from: "2024-07-01",
+    to: "2024-07-31",
+    page: 2,
+  });
+});
+
+test("action labels follow the UI language", () => {
+  expect(auditActionLabel("user.role")).toBe("Role changed");
+  setLanguage("ne");
+  expect(auditActionLabel("user.role")).toBe("भूमिका बदलियो");
+  setLanguage("en");
+  expect(auditActionLabel("custom.thing")).toBe("custom.thing");
+  expect(auditActionLabel("")).toBe("—");
+});
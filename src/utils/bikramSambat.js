@@ -0,0 +1,157 @@
+// Bikram Sambat (BS) <-> Gregorian (AD) conversion and date display in either calendar.
+// BS month lengths follow the published calendar rather than a formula, so they
+// come from a table; dates outside it convert to null and display falls back to AD.
+import { localeOf, localizeDigits, t } from "../i18n";
+
+export const CALENDARS = ["AD", "BS"];
+export const DEFAULT_CALENDAR = "AD";
+
+export const BS_MONTHS = [
+  "Baisakh",
+  "Jestha",
+  "Asar",
+  "Shrawan",
+  "Bhadra",
+  "Asoj",
+  "Kartik",
+  "Mangsir",
+  "Poush",
+  "Magh",
+  "Falgun",
+  "Chaitra",
+];
+
+// Days in each month, from Baisakh, for BS_FIRST_YEAR onwards.
+// Add a row here when a new year's calendar is published.
+const BS_FIRST_YEAR = 2070;
+const BS_MONTH_DAYS = [
+  [31, 31, 31, 32, 31, 31, 29, 30, 30, 29, 30, 30], // 2070
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2071
+  [31, 32, 31, 32, 31, 30, 30, 29, 30, 29, 30, 30], // 2072
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2073
+  [31, 31, 31, 32, 31, 31, 30, 29, 30, 29, 30, 30], // 2074
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2075
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 30], // 2076
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 30, 29, 31], // 2077
+  [31, 31, 31, 32, 31, 31, 30, 29, 30, 29, 30, 30], // 2078
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2079
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 30], // 2080
+  [31, 31, 32, 32, 31, 30, 30, 30, 29, 30, 30, 30], // 2081
+  [30, 32, 31, 32, 31, 30, 30, 30, 29, 30, 30, 30], // 2082
+  [31, 31, 32, 31, 31, 30, 30, 30, 29, 30, 30, 30], // 2083
+  [31, 31, 32, 31, 31, 30, 30, 30, 29, 30, 30, 30], // 2084
+  [31, 32, 31, 32, 30, 31, 30, 30, 29, 30, 30, 30], // 2085
+  [30, 32, 31, 32, 31, 30, 30, 30, 29, 30, 30, 30], // 2086
+  [31, 31, 32, 31, 31, 31, 30, 30, 29, 30, 30, 30], // 2087
+  [30, 31, 32, 32, 30, 31, 30, 30, 29, 30, 30, 30], // 2088
+  [30, 32, 31, 32, 31, 30, 30, 30, 29, 30, 30, 30], // 2089
+  [30, 32, 31, 32, 31, 30, 30, 30, 29, 30, 30, 30], // 2090
+];
+export const BS_LAST_YEAR = BS_FIRST_YEAR + BS_MONTH_DAYS.length - 1;
+export const BS_YEARS = BS_MONTH_DAYS.map((_, i) => BS_FIRST_YEAR + i);
+
+// 1 Baisakh 2070 BS
+const EPOCH_AD = Date.UTC(2013, 3, 14);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+export const isCalendar = (value) => CALENDARS.includes(value);
+
+// Days in a BS month (month is 1-12); null outside the table
+export function daysInBsMonth(year, month) {
+  return BS_MONTH_DAYS[year - BS_FIRST_YEAR]?.[month - 1] ?? null;
+}
+
+// Accept a Date or a "YYYY-MM-DD…" string and return days since the AD epoch (UTC, no DST drift)
+function dayNumber(value) {
+  if (value instanceof Date) {
+    if (isNaN(value)) return null;
+    return Math.round((Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) - EPOCH_AD) / DAY_MS);
+  }
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value ?? ""));
+  if (!m) return null;
+  return Math.round((Date.UTC(+m[1], +m[2] - 1, +m[3]) - EPOCH_AD) / DAY_MS);
+}
+
+/**
+ * AD date (Date or "YYYY-MM-DD") -> { year, month, day } in BS (month 1-12).
+ * Returns null for invalid dates or dates outside the table.
+ */
+export function adToBs(value) {
+  let days = dayNumber(value);
+  if (days == null || days < 0) return null;
+  for (let y = 0; y < BS_MONTH_DAYS.length; y++) {
+    for (let m = 0; m < 12; m++) {
+      const len = BS_MONTH_DAYS[y][m];
+      if (days < len) return { year: BS_FIRST_YEAR + y, month: m + 1, day: days + 1 };
+      days -= len;
+    }
+  }
+  return null;
+}
+
+/**
+ * BS { year, month, day } -> AD "YYYY-MM-DD".
+ * Returns null when the date does not exist or is outside the table.
+ */
+export function bsToAd({ year, month, day }) {
+  const len = daysInBsMonth(Number(year), Number(month));
+  if (!len || !(day >= 1 && day <= len)) return null;
+  let days = Number(day) - 1;
+  for (let y = BS_FIRST_YEAR; y < year; y++) days += BS_MONTH_DAYS[y - BS_FIRST_YEAR].reduce((a, b) => a + b, 0);
+  for (let m = 1; m < month; m++) days += daysInBsMonth(year, m);
+  const d = new Date(EPOCH_AD + days * DAY_MS);
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+// "2081-04-01" style string for a BS date
+export const bsToString = (bs) => (bs ? `${bs.year}-${pad(bs.month)}-${pad(bs.day)}` : "");
+
+/**
+ * Display an AD date in the chosen calendar.
+ * - style "short": "16 Jul" / "1 Shrawan"
+ * - style "long": "16 Jul 2024" / "1 Shrawan 2081"
+ * - style "iso": "2024-07-16" / "2081-04-01"
+ * BS dates outside the table are shown in AD. Month names and digits follow the UI language.
+ */
+export function formatCalendarDate(value, calendar = DEFAULT_CALENDAR, style = "long") {
+  if (value == null || value === "") return "";
+  if (calendar === "BS") {
+    const bs = adToBs(value);
+    if (bs) {
+      if (style === "iso") return localizeDigits(bsToString(bs));
+      const name = `${bs.day} ${t(`calendar.bsMonth${bs.month}`)}`;
+      return localizeDigits(style === "short" ? name : `${name} ${bs.year}`);
+    }
+  }
+  const days = dayNumber(value);
+  if (days == null) return String(value);
+  const d = new Date(EPOCH_AD + days * DAY_MS);
+  if (style === "iso") return localizeDigits(d.toISOString().slice(0, 10));
+  const options = style === "short" ? { month: "short", day: "numeric" } : { year: "numeric", month: "short", day: "numeric" };
+  return localizeDigits(d.toLocaleDateString(localeOf(), { ...options, timeZone: "UTC" }));
+}
+
+// Month and year of an AD date in the chosen calendar, e.g. "Shrawan 2081" / "July 2024", in the UI language
+export function formatCalendarMonth(value, calendar = DEFAULT_CALENDAR) {
+  const bs = calendar === "BS" ? adToBs(value) : null;
+  if (bs) return localizeDigits(`${t(`calendar.bsMonth${bs.month}`)} ${bs.year}`);
+  const days = dayNumber(value);
+  if (days == null) return "";
+  const d = new Date(EPOCH_AD + days * DAY_MS);
+  return localizeDigits(d.toLocaleDateString(localeOf(), { year: "numeric", month: "long", timeZone: "UTC" }));
+}
+
+// { month, year } labels for a purchase date in the chosen calendar; null if the date is invalid
+export function monthYearInCalendar(value, calendar = DEFAULT_CALENDAR) {
+  const bs = calendar === "BS" ? adToBs(value) : null;
+  if (bs) return { month: BS_MONTHS[bs.month - 1], year: String(bs.year) };
+  const days = dayNumber(value);
+  if (days == null) return null;
+  const d = new Date(EPOCH_AD + days * DAY_MS);
+  return {
+    month: d.toLocaleString(undefined, { month: "long", timeZone: "UTC" }),
+    year: String(d.getUTCFullYear()),
+  };
+}
@@ -0,0 +1,35 @@
+import { adToBs, bsToAd, daysInBsMonth, formatCalendarDate, monthYearInCalendar } from "./bikramSambat";
+
+test("converts known new-year and Shrawan dates both ways", () => {
+  expect(adToBs("2013-04-14")).toEqual({ year: 2070, month: 1, day: 1 });
+  expect(adToBs("2024-07-16")).toEqual({ year: 2081, month: 4, day: 1 });
+  expect(adToBs("2024-04-12")).toEqual({ year: 2080, month: 12, day: 30 });
+  expect(bsToAd({ year: 2081, month: 1, day: 1 })).toBe("2024-04-13");
+  expect(bsToAd({ year: 2082, month: 1, day: 1 })).toBe("2025-04-14");
+  expect(adToBs(new Date(2024, 6, 16))).toEqual({ year: 2081, month: 4, day: 1 });
+});
+
+test("round-trips every day of a year", () => {
+  const start = Date.UTC(2023, 0, 1);
+  for (let i = 0; i < 366; i++) {
+    const iso = new Date(start + i * 86400000).toISOString().slice(0, 10);
+    expect(bsToAd(adToBs(iso))).toBe(iso);
+  }
+});
+
+test("rejects dates that do not exist or are outside the table", () => {
+  expect(adToBs("2000-01-01")).toBeNull();
+  expect(adToBs("not a date")).toBeNull();
+  expect(bsToAd({ year: 2080, month: 12, day: 31 })).toBeNull();
+  expect(bsToAd({ year: 2200, month: 1, day: 1 })).toBeNull();
+  expect(daysInBsMonth(2081, 3)).toBe(32);
+});
+
+test("formats in the chosen calendar and falls back to AD", () => {
+  expect(formatCalendarDate("2024-07-16", "BS")).toBe("1 Shrawan 2081");
+  expect(formatCalendarDate("2024-07-16", "BS", "short")).toBe("1 Shrawan");
+  expect(formatCalendarDate("2024-07-16T10:00:00.000Z", "BS", "iso")).toBe("2081-04-01");
+  expect(formatCalendarDate("2000-01-01", "BS", "iso")).toBe("2000-01-01");
+  expect(monthYearInCalendar("2024-07-16", "BS")).toEqual({ month: "Shrawan", year: "2081" });
+  expect(monthYearInCalendar("2024-07-16", "AD").year).toBe("2024");
+});
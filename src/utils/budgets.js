@@ -0,0 +1,56 @@
+// Budget helpers shared by the Dashboard, PurchaseCreate and the admin budget page.
+// Budgets come from services/budgetService ({ scope, targetId, amount, spent }).
+import { t } from "../i18n";
+
+// Budgets at or above this share of their limit are shown as "nearly used up"
+export const BUDGET_WARN_RATIO = 0.8;
+
+// "YYYY-MM" of a date, in local time (the month the server totals `spent` for).
+// A yyyy-mm-dd form value is taken as written.
+export function monthKey(date = new Date()) {
+  if (typeof date === "string") return /^\d{4}-\d{2}/.test(date) ? date.slice(0, 7) : monthKey();
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
+
+// Ids a user may be stored under in budgets and totals
+export function userIdsOf(user) {
+  return [user?.id, user?._id, user?.userId, user?.username].filter((v) => v != null && v !== "").map(String);
+}
+
+export function findBudget(budgets, scope, targetId = null) {
+  return budgets.find((b) => b.scope === scope && String(b.targetId ?? "") === String(targetId ?? ""));
+}
+
+// { spent, amount, remaining, ratio, level: "ok" | "warn" | "over" } with `extra` added to spent
+export function budgetProgress(budget, extra = 0) {
+  const amount = Number(budget?.amount || 0);
+  const spent = Number(budget?.spent || 0) + Number(extra || 0);
+  const ratio = amount > 0 ? spent / amount : 0;
+  const level = amount > 0 && spent > amount ? "over" : ratio >= BUDGET_WARN_RATIO ? "warn" : "ok";
+  return { spent, amount, remaining: amount - spent, ratio, level };
+}
+
+// Budgets a purchase by `user` in `categoryId` counts against
+export function budgetsForPurchase(budgets, { user, categoryId } = {}) {
+  const ids = userIdsOf(user);
+  return budgets.filter(
+    (b) =>
+      b.amount > 0 &&
+      (b.scope === "overall" ||
+        (b.scope === "user" && ids.includes(String(b.targetId))) ||
+        (b.scope === "category" && categoryId != null && String(b.targetId) === String(categoryId)))
+  );
+}
+
+// Budgets that `amount` more spending would push over their limit (ones already over included)
+export function overspentBudgets(budgets, { user, categoryId, amount }) {
+  return budgetsForPurchase(budgets, { user, categoryId })
+    .map((budget) => ({ budget, progress: budgetProgress(budget, amount) }))
+    .filter(({ progress }) => progress.level === "over");
+}
+
+export function budgetLabel(budget) {
+  if (budget.scope === "overall") return t("budgets.overall");
+  if (budget.scope === "user") return t("budgets.userLabel", { name: budget.targetName ?? budget.targetId });
+  return t("budgets.categoryLabel", { name: budget.targetName ?? budget.targetId });
+}
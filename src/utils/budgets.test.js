@@ -0,0 +1,33 @@
+import { budgetProgress, monthKey, overspentBudgets } from "./budgets";
+
+const budgets = [
+  { scope: "overall", targetId: null, amount: 10000, spent: 9000 },
+  { scope: "user", targetId: "u1", targetName: "ram", amount: 2000, spent: 500 },
+  { scope: "category", targetId: "c1", targetName: "Stationery", amount: 1000, spent: 950 },
+  { scope: "category", targetId: "c2", targetName: "Fuel", amount: 1000, spent: 0 },
+];
+
+test("budgetProgress classifies usage", () => {
+  expect(budgetProgress(budgets[1]).level).toBe("ok");
+  expect(budgetProgress(budgets[0]).level).toBe("warn");
+  expect(budgetProgress(budgets[0], 1500)).toMatchObject({ spent: 10500, remaining: -500, level: "over" });
+  expect(budgetProgress({ amount: 0, spent: 10 }).level).toBe("ok");
+});
+
+test("overspentBudgets only checks the budgets a purchase counts against", () => {
+  const user = { id: "u1", username: "ram" };
+  const over = overspentBudgets(budgets, { user, categoryId: "c1", amount: 100 });
+  expect(over.map(({ budget }) => budget.targetId)).toEqual(["c1"]);
+
+  const big = overspentBudgets(budgets, { user: { id: "u2" }, categoryId: "c2", amount: 1200 });
+  expect(big.map(({ budget }) => budget.scope)).toEqual(["overall", "category"]);
+});
+
+test("monthKey pads the month", () => {
+  expect(monthKey(new Date(2024, 0, 15))).toBe("2024-01");
+});
+
+test("monthKey reads form dates as written", () => {
+  expect(monthKey("2024-07-31")).toBe("2024-07");
+  expect(monthKey("")).toBe(monthKey(new Date()));
+});
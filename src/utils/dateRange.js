@@ -0,0 +1,91 @@
+// Reporting date ranges shared by the Dashboard and the admin users totals
+// ------------------------------------------------------------------------
+// A range is { preset, from, to } with inclusive yyyy-mm-dd dates. Only the
+// preset goes into the URL (plus the dates for "custom"), so a bookmarked
+// "this month" link keeps meaning the current month.
+//
+// URL keys are rangeFrom/rangeTo because from/to already belong to the
+// PurchaseList filters (utils/purchaseQuery).
+import { localizeDigits, t } from "../i18n";
+
+// English names; rangeLabel() and the picker show them in the UI language
+export const RANGE_PRESETS = {
+  "last-30-days": "Last 30 days",
+  "this-month": "This month",
+  "last-month": "Last month",
+  "this-quarter": "This quarter",
+  "fiscal-ytd": "Fiscal year to date",
+  custom: "Custom",
+};
+
+export const DEFAULT_RANGE_PRESET = "last-30-days";
+
+// Fiscal year start as MM-DD; defaults to 16 July (about 1 Shrawan, Nepal's fiscal new year)
+const FISCAL_YEAR_START = /^\d{2}-\d{2}$/.test(process.env.REACT_APP_FISCAL_YEAR_START ?? "")
+  ? process.env.REACT_APP_FISCAL_YEAR_START
+  : "07-16";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Local calendar date as yyyy-mm-dd (toISOString would shift it to UTC)
+export function toISODate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function presetDates(preset, today) {
+  const y = today.getFullYear();
+  const m = today.getMonth();
+  switch (preset) {
+    case "this-month":
+      return [new Date(y, m, 1), today];
+    case "last-month":
+      return [new Date(y, m - 1, 1), new Date(y, m, 0)];
+    case "this-quarter":
+      return [new Date(y, m - (m % 3), 1), today];
+    case "fiscal-ytd": {
+      const [fm, fd] = FISCAL_YEAR_START.split("-").map(Number);
+      const start = new Date(y, fm - 1, fd);
+      return [start > today ? new Date(y - 1, fm - 1, fd) : start, today];
+    }
+    default: // last-30-days, today included
+      return [new Date(y, m, today.getDate() - 29), today];
+  }
+}
+
+// Fill in from/to for a preset; a custom range with bad dates falls back to the default preset
+export function resolveDateRange({ preset, from, to } = {}, today = new Date()) {
+  if (preset === "custom") {
+    if (ISO_DATE.test(from ?? "") && ISO_DATE.test(to ?? "")) {
+      return from <= to ? { preset, from, to } : { preset, from: to, to: from };
+    }
+    preset = DEFAULT_RANGE_PRESET;
+  }
+  if (!RANGE_PRESETS[preset]) preset = DEFAULT_RANGE_PRESET;
+  const [start, end] = presetDates(preset, today);
+  return { preset, from: toISODate(start), to: toISODate(end) };
+}
+
+export function rangeFromSearchParams(searchParams, today) {
+  return resolveDateRange(
+    { preset: searchParams.get("range") ?? "", from: searchParams.get("rangeFrom"), to: searchParams.get("rangeTo") },
+    today
+  );
+}
+
+// Keeps every other param in `base` (PurchaseList filters, paging)
+export function rangeToSearchParams({ preset, from, to }, base) {
+  const params = new URLSearchParams(base);
+  ["range", "rangeFrom", "rangeTo"].forEach((key) => params.delete(key));
+  if (preset && preset !== DEFAULT_RANGE_PRESET) params.set("range", preset);
+  if (preset === "custom") {
+    params.set("rangeFrom", from);
+    params.set("rangeTo", to);
+  }
+  return params;
+}
+
+// Short label for cards and headings (UI language), e.g. "This month" or "2024-01-05 – 2024-02-10"
+export function rangeLabel({ preset, from, to }) {
+  return preset === "custom" || !RANGE_PRESETS[preset] ? localizeDigits(`${from} – ${to}`) : t(`range.${preset}`);
+}
@@ -0,0 +1,25 @@
+import { rangeFromSearchParams, rangeToSearchParams, resolveDateRange } from "./dateRange";
+
+const today = new Date(2024, 4, 20); // 20 May 2024
+
+test("presets resolve to inclusive local dates", () => {
+  expect(resolveDateRange({ preset: "this-month" }, today)).toEqual({ preset: "this-month", from: "2024-05-01", to: "2024-05-20" });
+  expect(resolveDateRange({ preset: "last-month" }, today)).toMatchObject({ from: "2024-04-01", to: "2024-04-30" });
+  expect(resolveDateRange({ preset: "this-quarter" }, today)).toMatchObject({ from: "2024-04-01" });
+  expect(resolveDateRange({ preset: "fiscal-ytd" }, today)).toMatchObject({ from: "2023-07-16" });
+  expect(resolveDateRange({}, today)).toMatchObject({ preset: "last-30-days", from: "2024-04-21", to: "2024-05-20" });
+});
+
+test("custom ranges are validated and ordered", () => {
+  expect(resolveDateRange({ preset: "custom", from: "2024-03-10", to: "2024-01-01" }, today)).toMatchObject({ from: "2024-01-01", to: "2024-03-10" });
+  expect(resolveDateRange({ preset: "custom", from: "bad", to: "2024-01-01" }, today).preset).toBe("last-30-days");
+});
+
+test("range round-trips through the URL without touching other params", () => {
+  const base = new URLSearchParams("from=2024-01-01&page=2");
+  const params = rangeToSearchParams({ preset: "custom", from: "2024-02-01", to: "2024-02-29" }, base);
+  expect(params.get("from")).toBe("2024-01-01");
+  expect(params.get("page")).toBe("2");
+  expect(rangeFromSearchParams(params, today)).toEqual({ preset: "custom", from: "2024-02-01", to: "2024-02-29" });
+  expect(rangeToSearchParams({ preset: "last-30-days" }, params).has("range")).toBe(false);
+});
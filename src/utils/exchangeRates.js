@@ -0,0 +1,33 @@
+// Exchange-rate table helpers
+// ---------------------------
+// Rates are maintained in the app (Admin › Exchange rates, services/exchangeRateService)
+// as { currency, date: "yyyy-mm-dd", rate } meaning 1 unit of `currency` = `rate` NPR.
+// A purchase uses the latest rate dated on or before its buying date.
+
+import { BASE_CURRENCY, roundMoney } from "./money";
+
+// Rate for `currency` on `date` (yyyy-mm-dd; defaults to the latest known), or null if none
+export function rateOn(rates, currency, date) {
+  if (currency === BASE_CURRENCY) return 1;
+  let best = null;
+  rates.forEach((r) => {
+    if (r.currency !== currency || !(r.rate > 0)) return;
+    if (date && r.date > date) return;
+    if (!best || r.date > best.date) best = r;
+  });
+  return best ? Number(best.rate) : null;
+}
+
+// Convert between any two currencies through NPR; null when a rate is missing
+export function convert(amount, from, to, rates, date) {
+  if (from === to) return Number(amount || 0);
+  const fromRate = rateOn(rates, from, date);
+  const toRate = rateOn(rates, to, date);
+  if (fromRate == null || toRate == null) return null;
+  return roundMoney((Number(amount || 0) * fromRate) / toRate);
+}
+
+// Newest first, then by currency - the order the admin table shows
+export function sortRates(rates) {
+  return [...rates].sort((a, b) => b.date.localeCompare(a.date) || a.currency.localeCompare(b.currency));
+}
@@ -0,0 +1,29 @@
+import { convert, rateOn } from "./exchangeRates";
+import { currencyOf, formatMoney } from "./money";
+
+const rates = [
+  { currency: "INR", date: "2024-01-01", rate: 1.6 },
+  { currency: "USD", date: "2024-01-01", rate: 132 },
+  { currency: "USD", date: "2024-03-01", rate: 133.5 },
+];
+
+test("rateOn picks the latest rate on or before the date", () => {
+  expect(rateOn(rates, "USD", "2024-02-15")).toBe(132);
+  expect(rateOn(rates, "USD", "2024-03-01")).toBe(133.5);
+  expect(rateOn(rates, "USD")).toBe(133.5);
+  expect(rateOn(rates, "USD", "2023-12-31")).toBeNull();
+  expect(rateOn(rates, "NPR", "2000-01-01")).toBe(1);
+});
+
+test("convert goes through the base currency", () => {
+  expect(convert(100, "INR", "NPR", rates, "2024-02-01")).toBe(160);
+  expect(convert(264, "NPR", "USD", rates, "2024-02-01")).toBe(2);
+  expect(convert(10, "USD", "INR", rates, "2024-02-01")).toBe(825);
+  expect(convert(10, "USD", "INR", rates, "2023-01-01")).toBeNull();
+});
+
+test("money helpers default to NPR", () => {
+  expect(currencyOf({})).toBe("NPR");
+  expect(currencyOf({ currency: "USD" })).toBe("USD");
+  expect(formatMoney(20, "USD")).toContain("20.00");
+});
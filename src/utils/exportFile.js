@@ -0,0 +1,66 @@
+// Client-side CSV / XLSX export helpers
+// ------------------------------------
+// Columns are described as { key, header, value? } where `value(row)` overrides
+// reading `row[key]`. Numbers are kept as numbers so spreadsheets can sum them.
+
+// Byte order mark so Excel opens UTF-8 CSVs (Nepali text, "रु") correctly
+const UTF8_BOM = "\uFEFF";
+
+const cellValue = (column, row) => {
+  const v = typeof column.value === "function" ? column.value(row) : row?.[column.key];
+  return v == null ? "" : v;
+};
+
+// Text starting with one of these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote fields containing separators, quotes or newlines (RFC 4180). Text that
+// looks like a formula gets a leading ' so it opens as text; numbers are left alone.
+export function escapeCsvField(value) {
+  let s = String(value ?? "");
+  if (typeof value === "string" && FORMULA_PREFIX.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.map((c) => escapeCsvField(c.header)).join(",")];
+  rows.forEach((row) => {
+    lines.push(columns.map((c) => escapeCsvField(cellValue(c, row))).join(","));
+  });
+  return lines.join("\r\n");
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Give the browser a tick to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadCsv(filename, columns, rows) {
+  const blob = new Blob([UTF8_BOM + toCsv(columns, rows)], { type: "text/csv;charset=utf-8" });
+  downloadBlob(blob, filename);
+}
+
+// SheetJS is loaded on demand so it stays out of the main bundle
+export async function downloadXlsx(filename, sheetName, columns, rows) {
+  const XLSX = await import("xlsx");
+  const aoa = [columns.map((c) => c.header), ...rows.map((row) => columns.map((c) => cellValue(c, row)))];
+  const sheet = XLSX.utils.aoa_to_sheet(aoa);
+  sheet["!cols"] = columns.map((c) => ({ wch: Math.max(10, String(c.header).length + 2) }));
+  const book = XLSX.utils.book_new();
+  // Sheet names are limited to 31 characters
+  XLSX.utils.book_append_sheet(book, sheet, String(sheetName || "Sheet1").slice(0, 31));
+  XLSX.writeFile(book, filename, { bookType: "xlsx", compression: true });
+}
+
+// yyyy-mm-dd stamp for file names
+export function fileDateStamp(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
@@ -0,0 +1,29 @@
+import { escapeCsvField, toCsv } from "./exportFile";
+
+test("quotes fields with separators, quotes and newlines", () => {
+  expect(escapeCsvField("plain")).toBe("plain");
+  expect(escapeCsvField("a,b")).toBe('"a,b"');
+  expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+  expect(escapeCsvField("line\nbreak")).toBe('"line\nbreak"');
+  expect(escapeCsvField(null)).toBe("");
+});
+
+test("neutralizes text that spreadsheets would run as a formula", () => {
+  expect(escapeCsvField('=HYPERLINK("http://x")')).toBe(`"'=HYPERLINK(""http://x"")"`);
+  expect(escapeCsvField("+977-1-4412345")).toBe("'+977-1-4412345");
+  expect(escapeCsvField("-sum")).toBe("'-sum");
+  expect(escapeCsvField("@admin")).toBe("'@admin");
+  expect(escapeCsvField("\tcmd")).toBe("'\tcmd");
+  expect(escapeCsvField(-1200.5)).toBe("-1200.5");
+  expect(escapeCsvField("a=b")).toBe("a=b");
+});
+
+test("builds CSV rows from column definitions", () => {
+  const columns = [
+    { key: "itemName", header: "Item" },
+    { key: "totalAmount", header: "Total (रु)" },
+    { key: "year", header: "Year", value: (r) => r.year + 1 },
+  ];
+  const csv = toCsv(columns, [{ itemName: "चामल", totalAmount: 1200.5, year: 2081 }]);
+  expect(csv).toBe("Item,Total (रु),Year\r\nचामल,1200.5,2082");
+});
@@ -0,0 +1,86 @@
+// Spreadsheet import helpers (CSV / XLSX)
+// ---------------------------------------
+// readSpreadsheet() turns a File into { headers, rows } (rows are arrays of cell
+// values); guessColumnMapping() pairs headers with purchase form fields.
+
+import { EMPTY_PURCHASE_FORM, monthYearFromDate } from "./purchaseForm";
+
+// Form fields a column can be mapped to, with header aliases used for guessing;
+// label is a message key (see ../i18n)
+export const IMPORT_FIELDS = [
+  { field: "buyingDate", label: "purchase.buyingDate", required: true, aliases: ["buyingdate", "date", "purchasedate", "billdate"] },
+  { field: "itemName", label: "purchase.itemName", required: true, aliases: ["itemname", "item", "product", "description", "particulars"] },
+  { field: "quantity", label: "purchase.quantity", required: true, aliases: ["quantity", "qty"] },
+  { field: "rate", label: "purchase.rate", required: true, aliases: ["rate", "price", "unitprice"] },
+  { field: "supplierName", label: "purchase.supplier", aliases: ["suppliername", "supplier", "vendor", "seller"] },
+  { field: "month", label: "purchase.month", aliases: ["month"] },
+  { field: "year", label: "purchase.year", aliases: ["year"] },
+];
+
+const normalizeHeader = (h) => String(h ?? "").toLowerCase().replace(/[^a-z]/g, "");
+
+// Returns { field: columnIndex | "" } for every import field
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  return IMPORT_FIELDS.reduce((acc, { field, aliases }) => {
+    const idx = normalized.findIndex((h) => aliases.includes(h));
+    acc[field] = idx >= 0 ? idx : "";
+    return acc;
+  }, {});
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Convert a spreadsheet cell (Date, "2025-01-31", "31/01/2025", ...) to yyyy-mm-dd
+export function normalizeDateCell(value) {
+  if (value == null || value === "") return "";
+  if (value instanceof Date) {
+    if (isNaN(value)) return "";
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  const s = String(value).trim();
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (m) return `${m[1]}-${pad(m[2])}-${pad(m[3])}`;
+  // dd/mm/yyyy is what our bills use; ambiguous US-style dates are not supported
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (m) return `${m[3]}-${pad(m[2])}-${pad(m[1])}`;
+  const d = new Date(s);
+  return isNaN(d) ? s : normalizeDateCell(d);
+}
+
+// Build purchase form state from one row using the column mapping
+export function rowToPurchaseForm(row, mapping) {
+  const form = { ...EMPTY_PURCHASE_FORM };
+  Object.entries(mapping).forEach(([field, idx]) => {
+    if (idx === "" || idx == null) return;
+    const cell = row[idx];
+    form[field] = field === "buyingDate" ? normalizeDateCell(cell) : String(cell ?? "").trim();
+  });
+  const derived = monthYearFromDate(form.buyingDate);
+  if (derived) {
+    form.month = form.month || derived.month;
+    form.year = form.year || derived.year;
+  }
+  return form;
+}
+
+// SheetJS is loaded on demand so it stays out of the main bundle
+export async function readSpreadsheet(file) {
+  const XLSX = await import("xlsx");
+  const isCsv = /\.csv$/i.test(file.name) || file.type === "text/csv";
+  // Read CSVs as text so UTF-8 (Nepali) content isn't mis-decoded, and keep every
+  // cell a raw string: SheetJS would read "01/02/2025" as US m/d, so dates are left
+  // to normalizeDateCell
+  const book = isCsv
+    ? XLSX.read(await file.text(), { type: "string", raw: true })
+    : XLSX.read(await file.arrayBuffer(), { type: "array", cellDates: true });
+  const sheet = book.Sheets[book.SheetNames[0]];
+  if (!sheet) return { headers: [], rows: [] };
+
+  const aoa = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false, defval: "" });
+  const [headers = [], ...rows] = aoa;
+  return {
+    headers: headers.map((h) => String(h ?? "").trim()),
+    rows: rows.filter((r) => r.some((cell) => String(cell ?? "").trim() !== "")),
+  };
+}
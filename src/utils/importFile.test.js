@@ -0,0 +1,20 @@
+import { guessColumnMapping, normalizeDateCell, readSpreadsheet, rowToPurchaseForm } from "./importFile";
+
+const csvFile = (text) => ({ name: "purchases.csv", type: "text/csv", text: async () => text });
+
+test("reads dd/mm/yyyy dates as day first, whether or not the day is above 12", () => {
+  expect(normalizeDateCell("01/02/2025")).toBe("2025-02-01");
+  expect(normalizeDateCell("31/01/2025")).toBe("2025-01-31");
+  expect(normalizeDateCell("2025-02-01")).toBe("2025-02-01");
+  expect(normalizeDateCell("")).toBe("");
+});
+
+test("keeps CSV cells as text so ambiguous dates reach normalizeDateCell", async () => {
+  const { headers, rows } = await readSpreadsheet(csvFile("Date,Item,Qty,Rate\n01/02/2025,चामल,2,100\n31/01/2025,Dal,1,150\n"));
+  expect(headers).toEqual(["Date", "Item", "Qty", "Rate"]);
+  expect(rows[0][0]).toBe("01/02/2025");
+
+  const mapping = guessColumnMapping(headers);
+  expect(rows.map((row) => rowToPurchaseForm(row, mapping).buyingDate)).toEqual(["2025-02-01", "2025-01-31"]);
+  expect(rowToPurchaseForm(rows[0], mapping)).toMatchObject({ itemName: "चामल", quantity: "2", rate: "100" });
+});
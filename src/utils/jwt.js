@@ -0,0 +1,29 @@
+// Minimal JWT helpers: read claims without verifying the signature.
+// The server is the authority; the client only needs `exp` for scheduling.
+
+function base64UrlDecode(segment) {
+  const base64 = segment.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  // decode UTF-8 so non-ASCII usernames in claims survive
+  return decodeURIComponent(Array.from(binary, (c) => `%${c.charCodeAt(0).toString(16).padStart(2, "0")}`).join(""));
+}
+
+// Returns the payload object, or null for anything that isn't a readable JWT
+export function decodeJwt(token) {
+  if (typeof token !== "string") return null;
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+  try {
+    const payload = JSON.parse(base64UrlDecode(parts[1]));
+    return payload && typeof payload === "object" ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+// `exp` claim as a millisecond timestamp, or null if the token has none
+export function tokenExpiry(token) {
+  const exp = Number(decodeJwt(token)?.exp);
+  return Number.isFinite(exp) && exp > 0 ? exp * 1000 : null;
+}
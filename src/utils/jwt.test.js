@@ -0,0 +1,17 @@
+import { decodeJwt, tokenExpiry } from "./jwt";
+
+const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+const makeToken = (payload) => `${encode({ alg: "HS256", typ: "JWT" })}.${encode(payload)}.signature`;
+
+test("reads the exp claim as milliseconds", () => {
+  const token = makeToken({ sub: "u1", username: "सीता", exp: 1760000000 });
+  expect(decodeJwt(token)).toMatchObject({ sub: "u1", username: "सीता" });
+  expect(tokenExpiry(token)).toBe(1760000000 * 1000);
+});
+
+test("returns null for opaque or malformed tokens", () => {
+  expect(decodeJwt("not-a-jwt")).toBeNull();
+  expect(decodeJwt("a.%%%.c")).toBeNull();
+  expect(tokenExpiry(makeToken({ sub: "u1" }))).toBeNull();
+  expect(tokenExpiry(undefined)).toBeNull();
+});
@@ -0,0 +1,48 @@
+// Money formatting and currencies
+// -------------------------------
+// Every amount on screen goes through formatMoney so the symbol, grouping and
+// decimals are the same everywhere. NPR is the base currency: purchases keep
+// their original currency and also store the amount converted to NPR
+// (baseTotalAmount), which is what totals, budgets and reports add up.
+// Digits follow the UI language (see i18n), whatever the currency's locale.
+import { localizeDigits } from "../i18n";
+
+export const BASE_CURRENCY = "NPR";
+
+// locale drives digit grouping (lakh/crore for NPR and INR); symbol is used when Intl can't format
+export const CURRENCIES = {
+  NPR: { label: "Nepalese rupee", symbol: "रु", locale: "ne-NP" },
+  INR: { label: "Indian rupee", symbol: "₹", locale: "en-IN" },
+  USD: { label: "US dollar", symbol: "$", locale: "en-US" },
+};
+
+export const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+export const isCurrency = (code) => Boolean(CURRENCIES[code]);
+
+// A record's currency; records from before multi-currency are NPR
+export const currencyOf = (record) => (isCurrency(record?.currency) ? record.currency : BASE_CURRENCY);
+
+/**
+ * Format an amount, e.g. formatMoney(1500) -> "रु 1,500.00" ("रु १,५००.००" in Nepali), formatMoney(20, "USD") -> "$20.00".
+ * Some environments print the NPR symbol as "रू"; it is normalized to "रु".
+ */
+export function formatMoney(value, currency = BASE_CURRENCY) {
+  const { symbol, locale } = CURRENCIES[currency] ?? CURRENCIES[BASE_CURRENCY];
+  const amount = Number(value ?? 0);
+  const safe = Number.isFinite(amount) ? amount : 0;
+  try {
+    const nf = new Intl.NumberFormat(locale, { style: "currency", currency, maximumFractionDigits: 2 });
+    return localizeDigits(nf.format(safe).replace("रू", "रु"));
+  } catch {
+    try {
+      const nf = new Intl.NumberFormat("en-IN", { maximumFractionDigits: 2 });
+      return localizeDigits(`${symbol} ${nf.format(safe)}`);
+    } catch {
+      return localizeDigits(`${symbol} ${String(value ?? 0)}`);
+    }
+  }
+}
+
+// Round to paisa / cents so converted amounts don't carry float noise
+export const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
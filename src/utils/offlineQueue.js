@@ -0,0 +1,112 @@
+// Purchases recorded without a connection
+// ---------------------------------------
+// Kept in IndexedDB so they survive reloads and closing the app until
+// services/offlineSync sends them. One entry per purchase:
+//   { localId, owner, payload, attachments, createdAt, state: "pending" | "conflict", error, attempts }
+// `attachments` are the bill photos / PDFs (File objects), uploaded once the purchase is created;
+// `savedId` is set when the purchase is on the server but its attachments are not yet.
+// `owner` is the account that recorded it (see ownerKey); only that account syncs it.
+// The payload carries `clientId: localId` so the server can ignore a resend.
+//
+// Every change fires a window "offline-queue-changed" event, in this tab and (via
+// BroadcastChannel) in the others, so badges and lists stay current.
+
+const DB_NAME = "purchase-tracker";
+const DB_VERSION = 1;
+const STORE = "pendingPurchases";
+
+export const QUEUE_CHANGED_EVENT = "offline-queue-changed";
+
+const channel = typeof BroadcastChannel === "function" ? new BroadcastChannel(QUEUE_CHANGED_EVENT) : null;
+if (channel) {
+  channel.onmessage = (e) => window.dispatchEvent(new CustomEvent(QUEUE_CHANGED_EVENT, { detail: e.data }));
+}
+
+// detail: { synced?: number } - how many entries just reached the server
+export function notifyQueueChanged(detail = {}) {
+  window.dispatchEvent(new CustomEvent(QUEUE_CHANGED_EVENT, { detail }));
+  channel?.postMessage(detail);
+}
+
+export const ownerKey = (user) => String(user?.id ?? user?.username ?? "");
+
+export const isQueueSupported = () => typeof indexedDB !== "undefined";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: "localId" });
+        store.createIndex("owner", "owner");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Run `fn(store)` in a transaction; resolves with the last request's result once it commits
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const newLocalId = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID ? crypto.randomUUID() : `local-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+export async function enqueuePurchase(owner, payload, attachments = []) {
+  const localId = newLocalId();
+  const entry = {
+    localId,
+    owner,
+    payload: { ...payload, clientId: localId },
+    attachments,
+    createdAt: new Date().toISOString(),
+    state: "pending",
+    error: null,
+    attempts: 0,
+  };
+  await withStore("readwrite", (store) => store.add(entry));
+  notifyQueueChanged();
+  return entry;
+}
+
+// Oldest first
+export async function listQueued(owner) {
+  const entries = await withStore("readonly", (store) => store.index("owner").getAll(owner));
+  return (entries ?? []).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export async function updateQueued(localId, patch) {
+  const db = await openDb();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, "readwrite");
+    const store = tx.objectStore(STORE);
+    const get = store.get(localId);
+    get.onsuccess = () => {
+      if (get.result) store.put({ ...get.result, ...patch });
+    };
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  notifyQueueChanged();
+}
+
+export async function removeQueued(localId) {
+  await withStore("readwrite", (store) => store.delete(localId));
+  notifyQueueChanged();
+}
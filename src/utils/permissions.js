@@ -0,0 +1,79 @@
+// Roles and permissions
+// ---------------------
+// Each role grants a fixed set of permissions. UI gating and ProtectedRoute ask
+// `can(user, permission)` instead of comparing role names. The server enforces
+// the same rules; hiding a button here is a convenience, not security.
+// If the backend sends `user.permissions`, that list wins over the role table.
+// Labels and descriptions here are English reference text; the UI shows the
+// `role.*`, `roleDescription.*` and `permission.*` messages instead.
+
+export const PERMISSIONS = {
+  "purchase:read": "View purchases and dashboards",
+  "purchase:create": "Record new purchases",
+  "purchase:edit": "Edit purchases",
+  "purchase:delete": "Delete purchases",
+  "purchase:import": "Import purchases from CSV/Excel",
+  "purchase:approve": "Approve or reject purchases",
+  "report:export": "Export purchases and reports",
+  "supplier:manage": "Add, edit and merge suppliers",
+  "item:manage": "Add and edit catalog items",
+  "category:manage": "Manage purchase categories",
+  "budget:manage": "Set spending budgets",
+  "rate:manage": "Maintain exchange rates",
+  "user:manage": "Manage users and roles",
+  "audit:read": "View the audit log",
+};
+
+const ALL = Object.keys(PERMISSIONS);
+
+export const ROLES = {
+  viewer: {
+    label: "Viewer",
+    description: "Read-only access to purchases and dashboards",
+    permissions: ["purchase:read"],
+  },
+  purchaser: {
+    label: "Purchaser",
+    description: "Records and maintains purchases",
+    permissions: ["purchase:read", "purchase:create", "purchase:edit", "purchase:delete", "purchase:import", "supplier:manage", "item:manage"],
+  },
+  approver: {
+    label: "Approver",
+    description: "Reviews and approves submitted purchases",
+    permissions: ["purchase:read", "purchase:approve", "report:export"],
+  },
+  finance: {
+    label: "Finance",
+    description: "Reporting, supplier records and exchange rates",
+    permissions: ["purchase:read", "purchase:edit", "report:export", "supplier:manage", "rate:manage"],
+  },
+  admin: {
+    label: "Admin",
+    description: "Full access, including users and roles",
+    permissions: ALL,
+  },
+};
+
+export const ROLE_NAMES = Object.keys(ROLES);
+
+// Accounts created before roles existed are plain "user"s: they could record purchases
+const LEGACY_ROLES = { user: "purchaser" };
+
+export function normalizeRole(role) {
+  const name = String(role ?? "").toLowerCase();
+  if (ROLES[name]) return name;
+  return LEGACY_ROLES[name] ?? "viewer";
+}
+
+export function permissionsFor(user) {
+  if (!user) return [];
+  if (Array.isArray(user.permissions)) return user.permissions;
+  return ROLES[normalizeRole(user.role)].permissions;
+}
+
+// can(user, "purchase:create"); an array means "any of these"
+export function can(user, permission) {
+  const granted = permissionsFor(user);
+  const wanted = Array.isArray(permission) ? permission : [permission];
+  return wanted.some((p) => granted.includes(p));
+}
@@ -0,0 +1,19 @@
+import { can, normalizeRole, permissionsFor } from "./permissions";
+
+test("roles grant their permission sets", () => {
+  expect(can({ role: "viewer" }, "purchase:read")).toBe(true);
+  expect(can({ role: "viewer" }, "purchase:create")).toBe(false);
+  expect(can({ role: "approver" }, "purchase:approve")).toBe(true);
+  expect(can({ role: "admin" }, "user:manage")).toBe(true);
+  expect(can({ role: "admin" }, "audit:read")).toBe(true);
+  expect(can({ role: "finance" }, "audit:read")).toBe(false);
+  expect(can({ role: "finance" }, ["user:manage", "report:export"])).toBe(true);
+  expect(can(null, "purchase:read")).toBe(false);
+});
+
+test("legacy and unknown roles fall back safely", () => {
+  expect(normalizeRole("user")).toBe("purchaser");
+  expect(normalizeRole("Admin")).toBe("admin");
+  expect(normalizeRole("superuser")).toBe("viewer");
+  expect(permissionsFor({ role: "admin", permissions: ["purchase:read"] })).toEqual(["purchase:read"]);
+});
@@ -0,0 +1,309 @@
+// Shared helpers for purchase forms
+// ----------------------------------
+// Used by PurchaseCreate, the inline editor in PurchaseList and the bulk import
+// so all of them apply the same parsing, validation and payload shape.
+//
+// A purchase is a document: a header (date, supplier, bill/reference number)
+// plus one or more lines ({ itemId, itemName, unit, quantity, rate }). The import screen still
+// works with flat single-line rows (EMPTY_PURCHASE_FORM), which are converted
+// into a one-line document before sending.
+//
+// Amounts are in the purchase's own currency; the payload also carries the
+// exchange rate used and the total in NPR (baseTotalAmount), see utils/money.
+//
+// Bill totals: the lines add up to the subtotal, then
+//   taxable amount = subtotal − discount + taxable charges   (0 unless VAT applies)
+//   grand total    = subtotal − discount + all charges + VAT (vatRate % of the taxable amount)
+// The discount is a percent of the subtotal or a flat amount. The grand total is
+// the purchase's totalAmount; the components are stored with it for VAT reporting.
+
+import { BASE_CURRENCY, currencyOf, roundMoney } from "./money";
+import { monthYearInCalendar } from "./bikramSambat";
+import { t } from "../i18n";
+
+const readRate = (value, fallback) => {
+  const n = Number(value);
+  return value != null && value !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+// VAT percent preset on new purchases (13 in Nepal); override with REACT_APP_VAT_RATE
+export const DEFAULT_VAT_RATE = readRate(process.env.REACT_APP_VAT_RATE, 13);
+
+export const DISCOUNT_TYPES = ["percent", "flat"];
+
+// Transport, loading and similar charges on the bill
+export const EMPTY_CHARGE = {
+  label: "",
+  amount: "",
+  taxable: false, // included in the VAT base
+};
+
+export const EMPTY_LINE = {
+  itemId: null, // set when picked from the item catalog
+  itemName: "",
+  unit: "",
+  quantity: "",
+  rate: "",
+};
+
+export const EMPTY_PURCHASE_FORM = {
+  month: "",
+  year: "",
+  buyingDate: "",
+  itemName: "",
+  quantity: "",
+  rate: "",
+  supplierName: "",
+};
+
+export const EMPTY_PURCHASE_DOCUMENT = {
+  month: "",
+  year: "",
+  buyingDate: "",
+  supplierId: null, // set when picked from the supplier directory
+  supplierName: "",
+  referenceNo: "",
+  currency: BASE_CURRENCY,
+  categoryId: null,
+  subcategoryId: null,
+  lines: [EMPTY_LINE],
+  discountType: "percent",
+  discountValue: "",
+  vatApplicable: false,
+  vatRate: String(DEFAULT_VAT_RATE),
+  charges: [],
+};
+
+// Parse user input like "1,200.50" into a number (0 when not numeric)
+export function parseNumber(v) {
+  const n = Number(String(v ?? "").replace(/,/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Derive the stored { month, year } from a date input value; null if the date is invalid.
+// Always AD, whatever the user's calendar, so records and reports agree; BS month
+// names are a display concern (see formatCalendarMonth).
+export function monthYearFromDate(value) {
+  if (!value) return null;
+  return monthYearInCalendar(value, "AD");
+}
+
+// Returns an error message (in the UI language) for the first failing line rule, or null when valid
+export function validateLine(line) {
+  if (!String(line.itemName ?? "").trim()) return t("validation.itemNameRequired");
+  if (!line.quantity || parseNumber(line.quantity) <= 0) return t("validation.quantityPositive");
+  if (!line.rate || parseNumber(line.rate) <= 0) return t("validation.ratePositive");
+  return null;
+}
+
+// Flat single-line form (bulk import rows)
+export function validatePurchaseForm(form) {
+  if (!form.buyingDate) return t("validation.buyingDateRequired");
+  return validateLine(form);
+}
+
+// Discount, VAT rate and other charges; null when valid
+export function validateAdjustments(doc) {
+  const discountValue = parseNumber(doc.discountValue);
+  if (discountValue < 0) return t("validation.discountNegative");
+  if (doc.discountType !== "flat" && discountValue > 100) return t("validation.discountPercentMax");
+  if (doc.vatApplicable && readRate(doc.vatRate, null) == null) return t("validation.vatRateInvalid");
+  for (const charge of doc.charges || []) {
+    if (parseNumber(charge.amount) < 0) return t("validation.chargeNegative");
+    if (parseNumber(charge.amount) > 0 && !String(charge.label ?? "").trim()) return t("validation.chargeLabelRequired");
+  }
+  return null;
+}
+
+// `exchangeRate` is the NPR rate for the document's currency on its date (utils/exchangeRates rateOn)
+export function validatePurchaseDocument(doc, { exchangeRate = 1 } = {}) {
+  if (!doc.buyingDate) return t("validation.buyingDateRequired");
+  if (exchangeRate == null) return t("validation.noExchangeRate", { currency: currencyOf(doc), date: doc.buyingDate });
+  if (!doc.lines?.length) return t("validation.noLines");
+  if (doc.lines.length === 1) return validateLine(doc.lines[0]) ?? validateAdjustments(doc);
+  for (let i = 0; i < doc.lines.length; i += 1) {
+    const error = validateLine(doc.lines[i]);
+    if (error) return t("validation.lineError", { line: i + 1, error });
+  }
+  return validateAdjustments(doc);
+}
+
+export function computeLineTotal(line) {
+  return parseNumber(line.quantity) * parseNumber(line.rate);
+}
+
+/**
+ * Bill breakdown of a document:
+ * { subtotal, discountAmount, chargesAmount, taxableAmount, vatAmount, totalAmount }.
+ * The discount is capped at the subtotal.
+ */
+export function computeBreakdown(doc) {
+  const subtotal = roundMoney((doc.lines || []).reduce((sum, line) => sum + computeLineTotal(line), 0));
+  const discountValue = Math.max(0, parseNumber(doc.discountValue));
+  const discount = doc.discountType === "flat" ? discountValue : (subtotal * discountValue) / 100;
+  const discountAmount = roundMoney(Math.min(discount, subtotal));
+  const charges = (doc.charges || []).map((c) => ({ amount: parseNumber(c.amount), taxable: Boolean(c.taxable) }));
+  const chargesAmount = roundMoney(charges.reduce((sum, c) => sum + c.amount, 0));
+  const taxableCharges = charges.reduce((sum, c) => sum + (c.taxable ? c.amount : 0), 0);
+  const taxableAmount = doc.vatApplicable ? roundMoney(subtotal - discountAmount + taxableCharges) : 0;
+  const vatAmount = roundMoney((taxableAmount * readRate(doc.vatRate, 0)) / 100);
+  return {
+    subtotal,
+    discountAmount,
+    chargesAmount,
+    taxableAmount,
+    vatAmount,
+    totalAmount: roundMoney(subtotal - discountAmount + chargesAmount + vatAmount),
+  };
+}
+
+// Grand total: lines after discount, charges and VAT
+export function computeDocumentTotal(doc) {
+  return computeBreakdown(doc).totalAmount;
+}
+
+export const computeTotal = computeLineTotal;
+
+// Nothing worth keeping as a draft: a date on its own doesn't count
+export function isBlankPurchaseDocument(doc) {
+  const blankLine = (line) => !String(line.itemName ?? "").trim() && line.quantity === "" && line.rate === "";
+  return (
+    !String(doc.supplierName ?? "").trim() &&
+    !String(doc.referenceNo ?? "").trim() &&
+    !doc.categoryId &&
+    !(doc.charges || []).length &&
+    (doc.lines || []).every(blankLine)
+  );
+}
+
+// Build the payload sent to the API. `lines` is the source of truth; the flat
+// itemName/quantity/rate fields are kept so single-item views and older
+// records keep working. Multi-line documents leave them empty (their lines may
+// mix units); see purchaseItemSummary for what lists show instead.
+export function toPurchaseDocumentPayload(doc, { exchangeRate = 1 } = {}) {
+  const lines = doc.lines.map((line) => ({
+    itemId: line.itemId || null,
+    itemName: String(line.itemName).trim(),
+    unit: line.unit || "",
+    quantity: parseNumber(line.quantity),
+    rate: parseNumber(line.rate),
+    totalAmount: computeLineTotal(line),
+  }));
+  const [first] = lines;
+  const single = lines.length === 1;
+  const { totalAmount, ...breakdown } = computeBreakdown(doc);
+  const charges = (doc.charges || [])
+    .filter((c) => String(c.label ?? "").trim() || parseNumber(c.amount))
+    .map((c) => ({ label: String(c.label ?? "").trim(), amount: parseNumber(c.amount), taxable: Boolean(c.taxable) }));
+  return {
+    month: doc.month,
+    year: doc.year,
+    buyingDate: doc.buyingDate,
+    supplierId: doc.supplierId || null,
+    supplierName: doc.supplierName,
+    referenceNo: String(doc.referenceNo ?? "").trim(),
+    categoryId: doc.categoryId || null,
+    subcategoryId: doc.subcategoryId || null,
+    lines,
+    itemName: single ? first.itemName : "",
+    quantity: single ? first.quantity : null,
+    rate: single ? first.rate : null,
+    discountType: doc.discountType === "flat" ? "flat" : "percent",
+    discountValue: parseNumber(doc.discountValue),
+    charges,
+    vatApplicable: Boolean(doc.vatApplicable),
+    vatRate: readRate(doc.vatRate, DEFAULT_VAT_RATE),
+    ...breakdown, // subtotal, discountAmount, chargesAmount, taxableAmount, vatAmount
+    totalAmount,
+    currency: currencyOf(doc),
+    exchangeRate, // null on a draft saved before a rate exists; set again when it is submitted
+    baseTotalAmount: exchangeRate != null ? roundMoney(totalAmount * exchangeRate) : null,
+  };
+}
+
+export function formToDocument(form) {
+  const { itemName, quantity, rate, ...header } = form;
+  return { ...EMPTY_PURCHASE_DOCUMENT, ...header, lines: [{ ...EMPTY_LINE, itemName, quantity, rate }] };
+}
+
+// Flat single-line form -> payload
+export function toPurchasePayload(form) {
+  return toPurchaseDocumentPayload(formToDocument(form));
+}
+
+// Total in NPR; records from before multi-currency are already NPR. null for a
+// foreign-currency draft saved before its exchange rate existed: it has no NPR
+// value yet, so totals must leave it out rather than add it as NPR.
+export function baseTotalOf(p = {}) {
+  if (p.baseTotalAmount != null) return Number(p.baseTotalAmount);
+  return currencyOf(p) === BASE_CURRENCY ? Number(p.totalAmount ?? 0) : null;
+}
+
+/**
+ * Stored breakdown of a purchase record (see computeBreakdown). Records saved
+ * before discounts and VAT only have totalAmount, which is then the subtotal.
+ */
+export function breakdownOf(p = {}) {
+  const totalAmount = Number(p.totalAmount ?? 0);
+  const stored = (value, fallback = 0) => (value != null ? Number(value) : fallback);
+  return {
+    subtotal: stored(p.subtotal, totalAmount),
+    discountAmount: stored(p.discountAmount),
+    chargesAmount: stored(p.chargesAmount),
+    taxableAmount: stored(p.taxableAmount),
+    vatAmount: stored(p.vatAmount),
+    totalAmount,
+  };
+}
+
+// Whether a record has a discount, charges or VAT between its subtotal and total
+export function hasAdjustments(p = {}) {
+  const b = breakdownOf(p);
+  return Boolean(p.vatApplicable) || b.discountAmount > 0 || b.chargesAmount > 0;
+}
+
+// Lines of a purchase record; older single-item records become one line
+export function purchaseLines(p = {}) {
+  if (Array.isArray(p.lines) && p.lines.length) return p.lines;
+  return [{ itemId: p.itemId, itemName: p.itemName, unit: p.unit, quantity: p.quantity, rate: p.rate, totalAmount: p.totalAmount }];
+}
+
+// Item text for a purchase row: "Paper", or "Paper + 2 more" for a multi-line
+// document. Built when rendering so it follows the display language.
+export function purchaseItemSummary(p = {}) {
+  const [first, ...rest] = purchaseLines(p);
+  if (!rest.length) return first.itemName ?? "";
+  return t("purchase.itemSummary", { name: first.itemName ?? "", count: rest.length });
+}
+
+// Map a purchase record from the API back into editable document state
+export function purchaseToDocument(p = {}) {
+  return {
+    ...EMPTY_PURCHASE_DOCUMENT,
+    month: p.month ?? "",
+    year: p.year != null ? String(p.year) : "",
+    buyingDate: p.buyingDate ? String(p.buyingDate).slice(0, 10) : "",
+    supplierId: p.supplierId?._id ?? p.supplierId ?? null,
+    supplierName: p.supplierName ?? "",
+    referenceNo: p.referenceNo ?? "",
+    currency: currencyOf(p),
+    categoryId: p.categoryId?._id ?? p.categoryId ?? null,
+    subcategoryId: p.subcategoryId?._id ?? p.subcategoryId ?? null,
+    lines: purchaseLines(p).map((l) => ({
+      itemId: l.itemId?._id ?? l.itemId ?? null,
+      itemName: l.itemName ?? "",
+      unit: l.unit ?? "",
+      quantity: l.quantity != null ? String(l.quantity) : "",
+      rate: l.rate != null ? String(l.rate) : "",
+    })),
+    discountType: p.discountType === "flat" ? "flat" : "percent",
+    discountValue: p.discountValue ? String(p.discountValue) : "",
+    vatApplicable: Boolean(p.vatApplicable),
+    vatRate: String(p.vatRate ?? DEFAULT_VAT_RATE),
+    charges: (p.charges || []).map((c) => ({
+      label: c.label ?? "",
+      amount: c.amount != null ? String(c.amount) : "",
+      taxable: Boolean(c.taxable),
+    })),
+  };
+}
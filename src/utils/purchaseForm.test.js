@@ -0,0 +1,94 @@
+import {
+  EMPTY_PURCHASE_DOCUMENT,
+  breakdownOf,
+  computeBreakdown,
+  monthYearFromDate,
+  purchaseItemSummary,
+  purchaseToDocument,
+  toPurchaseDocumentPayload,
+  validatePurchaseDocument,
+} from "./purchaseForm";
+
+const doc = (overrides) => ({
+  ...EMPTY_PURCHASE_DOCUMENT,
+  buyingDate: "2024-07-16",
+  lines: [
+    { itemName: "Paper", quantity: "10", rate: "500" },
+    { itemName: "Toner", quantity: "1", rate: "5000" },
+  ],
+  ...overrides,
+});
+
+test("without adjustments the total is the sum of the lines", () => {
+  expect(computeBreakdown(doc())).toEqual({
+    subtotal: 10000,
+    discountAmount: 0,
+    chargesAmount: 0,
+    taxableAmount: 0,
+    vatAmount: 0,
+    totalAmount: 10000,
+  });
+});
+
+test("applies discount, VAT on the taxable amount and charges", () => {
+  const b = computeBreakdown(
+    doc({
+      discountValue: "10",
+      vatApplicable: true,
+      vatRate: "13",
+      charges: [
+        { label: "Transport", amount: "500", taxable: true },
+        { label: "Loading", amount: "200", taxable: false },
+      ],
+    })
+  );
+  expect(b.discountAmount).toBe(1000);
+  expect(b.chargesAmount).toBe(700);
+  expect(b.taxableAmount).toBe(9500);
+  expect(b.vatAmount).toBe(1235);
+  expect(b.totalAmount).toBe(10935);
+});
+
+test("caps a flat discount at the subtotal", () => {
+  expect(computeBreakdown(doc({ discountType: "flat", discountValue: "20000" })).totalAmount).toBe(0);
+});
+
+test("stores the breakdown in the payload and reads it back", () => {
+  const form = doc({ discountType: "flat", discountValue: "1,000", vatApplicable: true, vatRate: "13", charges: [{ label: " Transport ", amount: "300", taxable: false }] });
+  const payload = toPurchaseDocumentPayload(form, { exchangeRate: 1 });
+  expect(payload).toMatchObject({
+    subtotal: 10000,
+    discountAmount: 1000,
+    taxableAmount: 9000,
+    vatAmount: 1170,
+    totalAmount: 10470,
+    baseTotalAmount: 10470,
+    charges: [{ label: "Transport", amount: 300, taxable: false }],
+  });
+  expect(breakdownOf(payload).vatAmount).toBe(1170);
+  const back = purchaseToDocument(payload);
+  expect(back).toMatchObject({ discountType: "flat", discountValue: "1000", vatApplicable: true, vatRate: "13" });
+  expect(computeBreakdown(back).totalAmount).toBe(10470);
+});
+
+test("older records without a breakdown use the total as subtotal", () => {
+  expect(breakdownOf({ totalAmount: 750 })).toMatchObject({ subtotal: 750, vatAmount: 0, totalAmount: 750 });
+});
+
+test("rejects invalid adjustments", () => {
+  expect(validatePurchaseDocument(doc({ discountValue: "120" }))).toBe("Discount cannot be more than 100%");
+  expect(validatePurchaseDocument(doc({ charges: [{ label: "", amount: "50" }] }))).toMatch(/other charge/);
+  expect(validatePurchaseDocument(doc({ discountType: "flat", discountValue: "120" }))).toBeNull();
+});
+
+test("multi-line documents leave the header item and quantity to their lines", () => {
+  const payload = toPurchaseDocumentPayload(doc(), { exchangeRate: 1 });
+  expect(payload).toMatchObject({ itemName: "", quantity: null, rate: null });
+  expect(purchaseItemSummary(payload)).toBe("Paper + 1 more");
+  expect(purchaseItemSummary({ itemName: "Chair", quantity: 2, rate: 1500 })).toBe("Chair");
+});
+
+test("month and year are stored in AD whatever the user's calendar", () => {
+  expect(monthYearFromDate("2024-07-16")).toEqual({ month: "July", year: "2024" });
+  expect(monthYearFromDate("")).toBeNull();
+});
@@ -0,0 +1,78 @@
+// PurchaseList query state <-> URL search params <-> API params
+// -------------------------------------------------------------
+// The same keys are used in the page URL and in the GET /products query string
+// so a bookmarked view maps 1:1 onto the request sent to the server.
+
+export const PAGE_SIZES = [10, 25, 50, 100];
+
+export const SORTABLE_FIELDS = ["itemName", "buyingDate", "quantity", "rate", "totalAmount", "supplierName"];
+
+export const DEFAULT_PURCHASE_QUERY = {
+  page: 1,
+  pageSize: 25,
+  sortBy: "buyingDate",
+  sortDir: "desc",
+  // filters
+  from: "", // yyyy-mm-dd
+  to: "", // yyyy-mm-dd
+  supplier: "",
+  q: "", // item name text
+  minTotal: "",
+  maxTotal: "",
+  category: "", // category or subcategory id
+  status: "", // draft | submitted | approved | rejected
+};
+
+export const FILTER_KEYS = ["from", "to", "supplier", "q", "minTotal", "maxTotal", "category", "status"];
+
+const toPositiveInt = (v, fallback) => {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// Read query state from URLSearchParams, falling back to defaults for bad values
+export function queryFromSearchParams(searchParams) {
+  const get = (key) => searchParams.get(key) ?? "";
+  const sortBy = get("sortBy");
+  const pageSize = toPositiveInt(get("pageSize"), DEFAULT_PURCHASE_QUERY.pageSize);
+
+  const query = {
+    ...DEFAULT_PURCHASE_QUERY,
+    page: toPositiveInt(get("page"), 1),
+    pageSize: PAGE_SIZES.includes(pageSize) ? pageSize : DEFAULT_PURCHASE_QUERY.pageSize,
+    sortBy: SORTABLE_FIELDS.includes(sortBy) ? sortBy : DEFAULT_PURCHASE_QUERY.sortBy,
+    sortDir: get("sortDir") === "asc" ? "asc" : DEFAULT_PURCHASE_QUERY.sortDir,
+  };
+  FILTER_KEYS.forEach((key) => {
+    query[key] = get(key);
+  });
+  return query;
+}
+
+// Only non-default values go into the URL to keep shared links short
+export function queryToSearchParams(query, base) {
+  const params = new URLSearchParams(base);
+  Object.keys(DEFAULT_PURCHASE_QUERY).forEach((key) => {
+    const value = query[key];
+    if (value === "" || value == null || String(value) === String(DEFAULT_PURCHASE_QUERY[key])) {
+      params.delete(key);
+    } else {
+      params.set(key, String(value));
+    }
+  });
+  return params;
+}
+
+// Params object for axios: drop empty filters so the server sees only what is set
+export function queryToApiParams(query) {
+  const params = {};
+  Object.entries({ ...DEFAULT_PURCHASE_QUERY, ...query }).forEach(([key, value]) => {
+    if (value === "" || value == null) return;
+    params[key] = value;
+  });
+  return params;
+}
+
+export function hasActiveFilters(query) {
+  return FILTER_KEYS.some((key) => query[key] !== "" && query[key] != null);
+}
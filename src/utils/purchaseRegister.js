@@ -0,0 +1,55 @@
+// Purchase register: purchases grouped by month with NPR subtotals
+// -----------------------------------------------------------------
+// Used by the printable register (pages/Purchases/PurchaseRegisterPrint).
+// Months follow the user's primary calendar, so a BS user gets Shrawan, Bhadra…
+// Amounts add up in NPR (baseTotalAmount, and VAT at the stored exchange rate)
+// because a register mixes currencies. Foreign purchases without a rate are left
+// out of the sums and counted in `unconverted` so the page can say so.
+
+import { adToBs } from "./bikramSambat";
+import { baseTotalOf, breakdownOf } from "./purchaseForm";
+import { BASE_CURRENCY, currencyOf, roundMoney } from "./money";
+
+// VAT of a purchase in NPR; null when a foreign purchase has no exchange rate (see baseTotalOf)
+export function baseVatOf(p = {}) {
+  const rate = p.exchangeRate ?? (currencyOf(p) === BASE_CURRENCY ? 1 : null);
+  return rate == null ? null : roundMoney(breakdownOf(p).vatAmount * Number(rate));
+}
+
+const dateOf = (p) => (p.buyingDate ? String(p.buyingDate).slice(0, 10) : "");
+
+// Sort key of the month a date falls in; "" for purchases without a date
+export function monthKey(date, calendar) {
+  if (!date) return "";
+  const bs = calendar === "BS" ? adToBs(date) : null;
+  return bs ? `${bs.year}-${String(bs.month).padStart(2, "0")}` : date.slice(0, 7);
+}
+
+const sumUp = (purchases) => ({
+  count: purchases.length,
+  total: roundMoney(purchases.reduce((sum, p) => sum + (baseTotalOf(p) ?? 0), 0)),
+  vat: roundMoney(purchases.reduce((sum, p) => sum + (baseVatOf(p) ?? 0), 0)),
+  unconverted: purchases.filter((p) => baseTotalOf(p) == null).length,
+});
+
+/**
+ * Group purchases by month of buying date, oldest first (undated ones last).
+ * Returns { months: [{ key, date, purchases, count, total, vat, unconverted }], count, total, vat, unconverted },
+ * where `date` is the first purchase date of the month (for its label).
+ */
+export function buildRegister(purchases = [], calendar = "AD") {
+  const sorted = [...purchases].sort((a, b) => {
+    const da = dateOf(a);
+    const db = dateOf(b);
+    if (!da || !db) return da ? -1 : db ? 1 : 0;
+    return da.localeCompare(db);
+  });
+  const groups = new Map();
+  sorted.forEach((p) => {
+    const key = monthKey(dateOf(p), calendar);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(p);
+  });
+  const months = [...groups.entries()].map(([key, list]) => ({ key, date: dateOf(list[0]), purchases: list, ...sumUp(list) }));
+  return { months, ...sumUp(sorted) };
+}
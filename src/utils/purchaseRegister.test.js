@@ -0,0 +1,39 @@
+import { baseVatOf, buildRegister, monthKey } from "./purchaseRegister";
+import { baseTotalOf } from "./purchaseForm";
+
+const purchases = [
+  { _id: "a", buyingDate: "2024-07-20", totalAmount: 1130, vatAmount: 130, vatApplicable: true },
+  { _id: "b", buyingDate: "2024-07-10", totalAmount: 500 },
+  { _id: "c", buyingDate: "2024-08-02", currency: "USD", totalAmount: 113, vatAmount: 13, exchangeRate: 133, baseTotalAmount: 15029 },
+  { _id: "d", totalAmount: 50 },
+];
+
+test("groups by AD month, oldest first, with NPR subtotals", () => {
+  const register = buildRegister(purchases, "AD");
+  expect(register.months.map((m) => m.key)).toEqual(["2024-07", "2024-08", ""]);
+  expect(register.months[0].purchases.map((p) => p._id)).toEqual(["b", "a"]);
+  expect(register.months[0]).toMatchObject({ count: 2, total: 1630, vat: 130 });
+  expect(register.months[1]).toMatchObject({ total: 15029, vat: 1729 });
+  expect(register).toMatchObject({ count: 4, total: 16709, vat: 1859 });
+});
+
+test("groups by BS month for BS users", () => {
+  // 16 Jul 2024 is 1 Shrawan 2081, so 10 Jul is still in Asar
+  expect(monthKey("2024-07-10", "BS")).toBe("2081-03");
+  expect(monthKey("2024-07-20", "BS")).toBe("2081-04");
+  expect(buildRegister(purchases, "BS").months.map((m) => m.key)).toEqual(["2081-03", "2081-04", ""]);
+});
+
+test("converts VAT with the stored exchange rate", () => {
+  expect(baseVatOf({ vatAmount: 13, exchangeRate: 133 })).toBe(1729);
+  expect(baseVatOf({ totalAmount: 100 })).toBe(0);
+});
+
+test("leaves foreign purchases without a rate out of the NPR totals", () => {
+  const draft = { _id: "e", buyingDate: "2024-08-05", currency: "USD", totalAmount: 113, vatAmount: 13, exchangeRate: null, baseTotalAmount: null };
+  expect(baseTotalOf(draft)).toBeNull();
+  expect(baseVatOf(draft)).toBeNull();
+  const register = buildRegister([...purchases, draft], "AD");
+  expect(register.months[1]).toMatchObject({ count: 2, total: 15029, vat: 1729, unconverted: 1 });
+  expect(register).toMatchObject({ total: 16709, vat: 1859, unconverted: 1 });
+});
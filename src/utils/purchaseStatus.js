@@ -0,0 +1,31 @@
+// Purchase approval lifecycle: draft -> submitted -> approved | rejected.
+// A rejected purchase can be edited and submitted again; submitted and approved
+// purchases are locked so an approval always covers what was recorded.
+// Records created before the workflow existed have no status and count as approved.
+import { t } from "../i18n";
+
+// `label` is the English name (exports); statusLabel() gives it in the UI language
+
+export const PURCHASE_STATUSES = {
+  draft: { label: "Draft", badgeClass: "bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200" },
+  submitted: { label: "Pending approval", badgeClass: "bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200" },
+  approved: { label: "Approved", badgeClass: "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200" },
+  rejected: { label: "Rejected", badgeClass: "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200" },
+};
+
+export const STATUS_NAMES = Object.keys(PURCHASE_STATUSES);
+
+export const statusLabel = (status) => t(`status.${status}`);
+
+export function purchaseStatus(p) {
+  return PURCHASE_STATUSES[p?.status] ? p.status : "approved";
+}
+
+// Only the author's drafts and rejected purchases can be (re)submitted
+export function canSubmit(p) {
+  const status = purchaseStatus(p);
+  return status === "draft" || status === "rejected";
+}
+
+// Editing and deleting follow the same rule: nothing under review or approved changes
+export const canEdit = canSubmit;
@@ -0,0 +1,15 @@
+import { canEdit, canSubmit, purchaseStatus } from "./purchaseStatus";
+
+test("records without a status count as approved", () => {
+  expect(purchaseStatus({})).toBe("approved");
+  expect(purchaseStatus({ status: "bogus" })).toBe("approved");
+});
+
+test("only drafts and rejected purchases can be edited, deleted or submitted", () => {
+  expect(canEdit({ status: "draft" })).toBe(true);
+  expect(canEdit({ status: "rejected" })).toBe(true);
+  expect(canEdit({ status: "submitted" })).toBe(false);
+  expect(canEdit({ status: "approved" })).toBe(false);
+  expect(canEdit({})).toBe(false);
+  expect(canSubmit({ status: "approved" })).toBe(false);
+});
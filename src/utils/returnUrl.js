@@ -0,0 +1,7 @@
+// Where to send the user after signing in.
+// ProtectedRoute passes the page it bounced from as `location.state.from`.
+export function returnPathFrom(location, fallback = "/dashboard") {
+  const from = location?.state?.from;
+  if (!from?.pathname || from.pathname === "/login") return fallback;
+  return `${from.pathname}${from.search ?? ""}${from.hash ?? ""}`;
+}
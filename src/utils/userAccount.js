@@ -0,0 +1,33 @@
+// Account rules shared by self-registration, the admin user form and password changes
+import { t } from "../i18n";
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// No 0/O, 1/l/I so a temporary password can be read out or copied by hand
+const PASSWORD_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789";
+
+// Error message (in the UI language) for the password, or null when valid
+export function validatePassword(password) {
+  if (!password) return t("register.passwordRequired");
+  if (password.length < MIN_PASSWORD_LENGTH) return t("register.passwordTooShort", { min: MIN_PASSWORD_LENGTH });
+  return null;
+}
+
+// Username, email and (unless requirePassword is false) password; null when valid
+export function validateAccount({ username, email, password }, { requirePassword = true } = {}) {
+  if (!String(username ?? "").trim()) return t("register.usernameRequired");
+  if (!String(email ?? "").trim()) return t("register.emailRequired");
+  if (!EMAIL_RE.test(String(email).trim())) return t("register.emailInvalid");
+  return requirePassword ? validatePassword(password) : null;
+}
+
+export function generateTemporaryPassword(length = 12) {
+  const bytes = new Uint32Array(length);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (n) => PASSWORD_CHARS[n % PASSWORD_CHARS.length]).join("");
+}
+
+// Deactivated accounts can't sign in but keep their purchases; users without the flag are active
+export const isActiveUser = (u) => u?.active !== false;
@@ -0,0 +1,27 @@
+import { webcrypto } from "crypto";
+import { MIN_PASSWORD_LENGTH, generateTemporaryPassword, isActiveUser, validateAccount, validatePassword } from "./userAccount";
+
+// jsdom has no Web Crypto; browsers do
+beforeAll(() => {
+  if (!global.crypto?.getRandomValues) Object.defineProperty(global, "crypto", { value: webcrypto, configurable: true });
+});
+
+test("validates username, email and password in order", () => {
+  expect(validateAccount({ username: " ", email: "a@x.com", password: "secret1" })).toBe("Username is required");
+  expect(validateAccount({ username: "ram", email: "ram", password: "secret1" })).toBe("Please enter a valid email address");
+  expect(validateAccount({ username: "ram", email: "ram@x.com", password: "abc" })).toBe(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  expect(validateAccount({ username: "ram", email: "ram@x.com" }, { requirePassword: false })).toBeNull();
+  expect(validatePassword("")).toBe("Password is required");
+});
+
+test("temporary passwords are long enough and avoid look-alike characters", () => {
+  const password = generateTemporaryPassword();
+  expect(password).toHaveLength(12);
+  expect(validatePassword(password)).toBeNull();
+  expect(password).not.toMatch(/[0O1lI]/);
+});
+
+test("users are active unless flagged otherwise", () => {
+  expect(isActiveUser({ username: "ram" })).toBe(true);
+  expect(isActiveUser({ active: false })).toBe(false);
+});